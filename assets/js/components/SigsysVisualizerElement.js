@@ -0,0 +1,346 @@
+// <sigsys-visualizer> custom element: a self-contained visualizer in shadow DOM for embedding in other sites
+
+import { VisualizerFactory } from "./../visualizers/VisualizerFactory.js";
+import { ConfigTemplates } from "./../config/ConfigTemplates.js";
+import { ConfigValidator } from "./../config/ConfigValidator.js";
+import { LayoutTemplates } from "./../config/LayoutTemplates.js";
+import { Permalink } from "./../config/Permalink.js";
+import { PluginLoader } from "./../visualizers/PluginLoader.js";
+import { DOMUtils } from "./../utils/dom.js";
+
+// Page stylesheets, resolved relative to this module so embedding pages
+// only need the script URL
+const STYLESHEET_BASE = new URL("./../../css/", import.meta.url);
+
+// KaTeX styles do not reach into shadow DOM, so they are linked again there
+const KATEX_STYLESHEET =
+  "https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css";
+
+/**
+ * Embeds one visualizer with its own charts and controls:
+ *
+ *   <sigsys-visualizer type="integral" phase-shift="pi/2"
+ *     angular-frequency="2"></sigsys-visualizer>
+ *
+ *   <sigsys-visualizer type="fourier">
+ *     <script type="application/json">{ "waveform": "triangle" }</script>
+ *   </sigsys-visualizer>
+ *
+ * Attributes: type, config (JSON overrides, as in permalinks), plugin (URL
+ * of a plugin module providing the type, see PluginLoader) and the shareable
+ * state keys in kebab-case (phaseShift → phase-shift). A JSON child script
+ * holds config overrides; attributes take precedence over it. Changing one
+ * of these attributes rebuilds the visualizer. The visualizer's module is
+ * loaded on demand, with a notice in the element while it downloads.
+ *
+ * Events (bubbling and composed): sigsys-ready and sigsys-change with
+ * detail { type, state }, sigsys-error with detail { type, error }.
+ */
+export class SigsysVisualizerElement extends HTMLElement {
+  /**
+   * Custom element name
+   */
+  static tagName = "sigsys-visualizer";
+
+  /**
+   * Attributes that rebuild the visualizer of any type when they change;
+   * state key attributes depend on the type and are checked once it loaded
+   */
+  static rebuildAttributes = ["type", "plugin", Permalink.configParam];
+
+  /**
+   * Convert a state key to its attribute name, e.g. phaseShift → phase-shift
+   * @param {string} key - State key
+   * @returns {string} Attribute name
+   */
+  static toAttributeName(key) {
+    return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.visualizer = null;
+    this.lastState = null;
+    this.buildCount = 0;
+
+    // The state keys of a type are only known once its module is loaded, so
+    // attribute changes are observed here rather than via observedAttributes
+    this.attributeObserver = new MutationObserver((records) =>
+      this.handleAttributeChanges(records)
+    );
+  }
+
+  connectedCallback() {
+    this.attributeObserver.observe(this, {
+      attributes: true,
+      attributeOldValue: true,
+    });
+
+    // Wait for the JSON child script when the element is parsed before it
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.build(), {
+        once: true,
+      });
+    } else {
+      this.build();
+    }
+  }
+
+  disconnectedCallback() {
+    this.attributeObserver.disconnect();
+    this.destroyVisualizer();
+  }
+
+  /**
+   * Rebuild once for a batch of attribute changes that affect the visualizer
+   * @param {MutationRecord[]} records - Attribute mutations
+   */
+  handleAttributeChanges(records) {
+    // Before the first build the attributes are read there anyway
+    if (!this.shadowRoot.hasChildNodes()) return;
+
+    const type = this.type;
+    const stateAttributes = VisualizerFactory.isLoaded(type)
+      ? Object.keys(VisualizerFactory.getStateConfigKeys(type)).map((key) =>
+          SigsysVisualizerElement.toAttributeName(key)
+        )
+      : [];
+    const relevant = records.some(
+      ({ attributeName, oldValue }) =>
+        (SigsysVisualizerElement.rebuildAttributes.includes(attributeName) ||
+          stateAttributes.includes(attributeName)) &&
+        oldValue !== this.getAttribute(attributeName)
+    );
+    if (relevant && this.isConnected) this.build();
+  }
+
+  /**
+   * Visualizer type from the type attribute
+   * @returns {string} Visualizer type
+   */
+  get type() {
+    return this.getAttribute("type") || "phase-shift";
+  }
+
+  set type(value) {
+    this.setAttribute("type", value);
+  }
+
+  /**
+   * Current visualizer state, or null before the visualizer is built
+   * @returns {Object|null} State snapshot
+   */
+  get state() {
+    return this.visualizer ? this.visualizer.getState() : null;
+  }
+
+  /**
+   * Read config overrides from a JSON child script
+   * @returns {Object} Config overrides
+   * @throws {Error} If the script is not a JSON object
+   */
+  readConfigScript() {
+    const script = this.querySelector('script[type="application/json"]');
+    if (!script) return {};
+
+    let parsed;
+    try {
+      parsed = JSON.parse(script.textContent);
+    } catch (error) {
+      throw new Error(`Invalid JSON config: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("JSON config must be an object");
+    }
+    return parsed;
+  }
+
+  /**
+   * Build the visualizer configuration from the child script and attributes;
+   * attribute values are read like permalink parameters
+   * @param {string} type - Visualizer type
+   * @returns {Object} Validated configuration
+   */
+  getConfig(type) {
+    const stateKeys = VisualizerFactory.getStateConfigKeys(type);
+    const params = new URLSearchParams();
+    Object.keys(stateKeys).forEach((key) => {
+      const value = this.getAttribute(
+        SigsysVisualizerElement.toAttributeName(key)
+      );
+      if (value !== null) params.set(key, value);
+    });
+    const configJson = this.getAttribute(Permalink.configParam);
+    if (configJson) params.set(Permalink.configParam, configJson);
+
+    const { overrides } = Permalink.decode(params.toString(), type, stateKeys);
+    return ConfigTemplates.getValidatedTemplate(
+      type,
+      ConfigValidator.deepMerge(this.readConfigScript(), overrides)
+    );
+  }
+
+  /**
+   * Render the shadow DOM skeleton: stylesheets and an empty container
+   * @param {string} type - Visualizer type
+   * @returns {Element} The .main-container element
+   */
+  renderContainer(type) {
+    const stylesheets = [new URL("embed.css", STYLESHEET_BASE)];
+    // The layout is declared by the visualizer class, once it has loaded
+    if (VisualizerFactory.isLoaded(type)) {
+      stylesheets.unshift(
+        new URL(LayoutTemplates.getLayout(type).stylesheet, STYLESHEET_BASE)
+      );
+    }
+    if (typeof katex !== "undefined") {
+      stylesheets.unshift(KATEX_STYLESHEET);
+    }
+    this.shadowRoot.innerHTML = `${stylesheets
+      .map((href) => `<link rel="stylesheet" href="${href}">`)
+      .join("")}<div class="main-container"></div>`;
+    return this.shadowRoot.querySelector(".main-container");
+  }
+
+  /**
+   * (Re)build the shadow DOM and visualizer for the current attributes,
+   * loading the plugin module (if the plugin attribute is set) and the
+   * visualizer's module first
+   */
+  async build() {
+    const type = this.type;
+    const plugin = this.getAttribute("plugin");
+    // A newer build may start while this one is loading
+    const attempt = ++this.buildCount;
+    const isStale = () => attempt !== this.buildCount || !this.isConnected;
+    this.destroyVisualizer();
+
+    try {
+      if (
+        plugin ||
+        (VisualizerFactory.isValidType(type) &&
+          !VisualizerFactory.isLoaded(type))
+      ) {
+        this.renderContainer(type);
+        this.showMessage(
+          `Loading ${
+            VisualizerFactory.getVisualizerInfo()[type]?.name || type
+          }…`
+        );
+      }
+      if (plugin) await PluginLoader.load(plugin);
+      await VisualizerFactory.load(type);
+      if (isStale()) return;
+
+      const container = this.renderContainer(type);
+      container.innerHTML = LayoutTemplates.render(type);
+      if (typeof Chart === "undefined") {
+        throw new Error("Chart.js must be loaded on the page");
+      }
+
+      const visualizer = await VisualizerFactory.create(type, {
+        ...this.getConfig(type),
+        root: this.shadowRoot,
+      });
+      if (isStale()) {
+        visualizer.destroy();
+        return;
+      }
+      this.visualizer = visualizer;
+      this.visualizer.initialize();
+      this.visualizer.subscribe(() => this.emitChangeIfNeeded());
+      this.visualizer.enableHistory();
+
+      const state = this.visualizer.getState();
+      this.lastState = JSON.stringify(state);
+      this.emit("sigsys-ready", { type, state });
+    } catch (error) {
+      if (isStale()) return;
+      console.error(`<${SigsysVisualizerElement.tagName}>:`, error);
+      if (!this.shadowRoot.querySelector(".main-container")) {
+        this.renderContainer(type);
+      }
+      this.showError(error.message);
+      this.emit("sigsys-error", { type, error });
+    }
+  }
+
+  /**
+   * Destroy the current visualizer and its charts
+   */
+  destroyVisualizer() {
+    if (this.visualizer) {
+      this.visualizer.destroy();
+      this.visualizer = null;
+    }
+  }
+
+  /**
+   * Emit sigsys-change if the visualizer state differs from the last event
+   */
+  emitChangeIfNeeded() {
+    if (!this.visualizer) return;
+
+    const state = this.visualizer.getState();
+    const serialized = JSON.stringify(state);
+    if (serialized !== this.lastState) {
+      this.lastState = serialized;
+      this.emit("sigsys-change", { type: this.type, state });
+    }
+  }
+
+  /**
+   * Dispatch an event that crosses the shadow boundary
+   * @param {string} name - Event name
+   * @param {Object} detail - Event detail
+   */
+  emit(name, detail) {
+    this.dispatchEvent(
+      new CustomEvent(name, { detail, bubbles: true, composed: true })
+    );
+  }
+
+  /**
+   * Get the element's #error-message container, adding one if the layout
+   * has not been rendered
+   * @returns {Element} Error container
+   */
+  getErrorContainer() {
+    let errorContainer = this.shadowRoot.getElementById("error-message");
+    if (!errorContainer) {
+      errorContainer = document.createElement("div");
+      errorContainer.id = "error-message";
+      this.shadowRoot.querySelector(".main-container").append(errorContainer);
+    }
+    errorContainer.style.display = "block";
+    return errorContainer;
+  }
+
+  /**
+   * Show a loading notice inside the element
+   * @param {string} message - Notice text
+   */
+  showMessage(message) {
+    this.getErrorContainer().replaceChildren(
+      DOMUtils.createNotice(document, { kind: "status", message })
+    );
+  }
+
+  /**
+   * Show an error inside the element
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.getErrorContainer().replaceChildren(
+      DOMUtils.createNotice(document, { title: "Visualizer Error", message })
+    );
+  }
+}
+
+if (!customElements.get(SigsysVisualizerElement.tagName)) {
+  customElements.define(
+    SigsysVisualizerElement.tagName,
+    SigsysVisualizerElement
+  );
+}
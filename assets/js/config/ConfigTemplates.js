@@ -1,6 +1,7 @@
 // Predefined configuration templates for different visualizer types
 
 import { ConfigValidator } from "./ConfigValidator.js";
+import { CompositeSignal } from "./../utils/calculations.js";
 
 /**
  * Configuration templates for different visualizer types
@@ -85,11 +86,15 @@ export class ConfigTemplates {
       initialPhaseShift: Math.PI / 4,
       phaseStep: Math.PI / 100,
       initialAngularFrequency: 1.0,
+      // Composite signal: cos(t) + sin(2t) + cos(3t + π/4)
+      components: CompositeSignal.getDefaultComponents(),
       frequencyStep: 0.1,
       frequencyRange: {
         min: 0.5,
         max: 3.0,
       },
+      integrationMethod: "trapezoid",
+      integrationIntervals: 800,
       legendVisible: {
         phaseShiftedCosineChart: true,
         nonPhaseShiftedCosineChart: false,
@@ -129,6 +134,144 @@ export class ConfigTemplates {
           showIntegrationArea: true,
           showIntegrationLine: true,
         },
+      },
+      elements: {
+        phaseShiftSlider: "phaseShiftSlider",
+        phaseShiftValue: "phaseShiftValue",
+        angularFrequencySlider: "angularFrequencySlider",
+        angularFrequencyValue: "angularFrequencyValue",
+        componentEditor: "componentEditor",
+        integrationMethodSelect: "integrationMethodSelect",
+      },
+    };
+
+    return ConfigValidator.deepMerge(baseConfig, overrides);
+  }
+
+  /**
+   * Get a complete configuration template for Fourier series visualization
+   * @param {Object} overrides - Optional configuration overrides
+   * @returns {Object} Fourier series configuration
+   */
+  static getFourierConfig(overrides = {}) {
+    const baseConfig = {
+      type: "fourier",
+      waveform: "square",
+      period: 2 * Math.PI,
+      customPoints: [
+        [0, 0],
+        [Math.PI / 2, 1],
+        [Math.PI, 0],
+        [2 * Math.PI, 0],
+      ],
+      expression: "rect(t/pi)",
+      initialHarmonics: 5,
+      maxHarmonics: 50,
+      displayPeriods: 2,
+      pointsPerPeriod: 400,
+      samplesPerPeriod: 2048,
+      legendVisible: {
+        partialSumChart: true,
+        coefficientChart: true,
+        harmonicChart: false,
+        errorChart: false,
+      },
+      colors: {
+        orange: "orange",
+        blue: "blue",
+        green: "green",
+        red: "red",
+        gray: "rgba(128, 128, 128, 0.5)",
+        black: "rgba(0, 0, 0, 0.3)",
+      },
+      charts: {
+        partialSum: {
+          canvasId: "partialSumChart",
+          titleElementId: "partialSumTitle",
+          color: "orange",
+        },
+        coefficients: {
+          canvasId: "coefficientChart",
+          titleElementId: "coefficientTitle",
+        },
+        harmonic: {
+          canvasId: "harmonicChart",
+          titleElementId: "harmonicTitle",
+          color: "blue",
+        },
+        error: {
+          canvasId: "errorChart",
+          titleElementId: "errorTitle",
+          color: "red",
+          showXAxis: true,
+        },
+      },
+      elements: {
+        harmonicSlider: "harmonicSlider",
+        harmonicValue: "harmonicValue",
+        waveformSelect: "waveformSelect",
+        expressionInput: "expressionInput",
+      },
+    };
+
+    return ConfigValidator.deepMerge(baseConfig, overrides);
+  }
+
+  /**
+   * Get a complete configuration template for frequency-domain visualization
+   * @param {Object} overrides - Optional configuration overrides
+   * @returns {Object} Frequency-domain configuration
+   */
+  static getFrequencyDomainConfig(overrides = {}) {
+    const baseConfig = {
+      type: "frequency-domain",
+      signal: "composite",
+      period: 2 * Math.PI,
+      customPoints: [
+        [0, 0],
+        [Math.PI / 2, 1],
+        [Math.PI, 0],
+        [2 * Math.PI, 0],
+      ],
+      expression: "rect(t/pi)",
+      components: CompositeSignal.getDefaultComponents(),
+      initialPhaseShift: Math.PI / 4,
+      phaseStep: Math.PI / 100,
+      maxHarmonic: 8,
+      magnitudeThreshold: 1e-3,
+      samplesPerPeriod: 1024,
+      displayPeriods: 2,
+      pointsPerPeriod: 200,
+      legendVisible: {
+        timeSignalChart: true,
+        magnitudeChart: false,
+        phaseChart: false,
+        complexPlaneChart: false,
+      },
+      colors: {
+        orange: "orange",
+        blue: "blue",
+        green: "green",
+        red: "red",
+        gray: "rgba(128, 128, 128, 0.5)",
+        black: "rgba(0, 0, 0, 0.3)",
+      },
+      charts: {
+        timeSignal: {
+          canvasId: "timeSignalChart",
+          titleElementId: "timeSignalTitle",
+          color: "orange",
+        },
+        magnitude: {
+          canvasId: "magnitudeChart",
+          titleElementId: "magnitudeTitle",
+          color: "blue",
+        },
+        phase: {
+          canvasId: "phaseChart",
+          titleElementId: "phaseTitle",
+          color: "green",
+        },
         complexPlane: {
           canvasId: "complexPlaneChart",
         },
@@ -136,25 +279,189 @@ export class ConfigTemplates {
       elements: {
         phaseShiftSlider: "phaseShiftSlider",
         phaseShiftValue: "phaseShiftValue",
-        angularFrequencySlider: "angularFrequencySlider",
-        angularFrequencyValue: "angularFrequencyValue",
+        signalSelect: "signalSelect",
+        expressionInput: "expressionInput",
+      },
+    };
+
+    return ConfigValidator.deepMerge(baseConfig, overrides);
+  }
+
+  /**
+   * Get a complete configuration template for convolution visualization
+   * @param {Object} overrides - Optional configuration overrides
+   * @returns {Object} Convolution configuration
+   */
+  static getConvolutionConfig(overrides = {}) {
+    const baseConfig = {
+      type: "convolution",
+      preset: "rect-rect",
+      mode: "continuous",
+      continuousRange: { min: -3, max: 5, points: 801 },
+      discreteRange: { min: -5, max: 15 },
+      initialTime: -1.5,
+      timeStep: 0.01,
+      playbackSpeed: 1.5,
+      legendVisible: {
+        inputChart: true,
+        slideChart: true,
+        productChart: false,
+        outputChart: false,
+      },
+      colors: {
+        orange: "orange",
+        blue: "blue",
+        green: "green",
+        red: "red",
+        gray: "rgba(128, 128, 128, 0.5)",
+        black: "rgba(0, 0, 0, 0.3)",
+      },
+      charts: {
+        input: {
+          canvasId: "inputChart",
+          titleElementId: "inputTitle",
+        },
+        slide: {
+          canvasId: "slideChart",
+          titleElementId: "slideTitle",
+        },
+        product: {
+          canvasId: "productChart",
+          titleElementId: "productTitle",
+          color: "orange",
+          fillColor: "rgba(255, 165, 0, 0.3)",
+        },
+        output: {
+          canvasId: "outputChart",
+          titleElementId: "outputTitle",
+          color: "orange",
+        },
+      },
+      elements: {
+        timeSlider: "timeSlider",
+        timeValue: "timeValue",
+        playButton: "playButton",
+        modeSelect: "modeSelect",
+        presetSelect: "presetSelect",
       },
     };
 
     return ConfigValidator.deepMerge(baseConfig, overrides);
   }
 
+  /**
+   * Get a complete configuration template for sampling visualization
+   * @param {Object} overrides - Optional configuration overrides
+   * @returns {Object} Sampling configuration
+   */
+  static getSamplingConfig(overrides = {}) {
+    const baseConfig = {
+      type: "sampling",
+      signal: "tone",
+      signals: {
+        tone: [{ frequency: 7, amplitude: 1, phase: 0 }],
+        "multi-tone": [
+          { frequency: 2, amplitude: 0.6, phase: 0 },
+          { frequency: 7, amplitude: 0.4, phase: 0 },
+        ],
+      },
+      initialFrequency: 7,
+      frequencyRange: { min: 0.5, max: 20 },
+      frequencyStep: 0.5,
+      initialSampleRate: 8,
+      sampleRateRange: { min: 1, max: 40 },
+      sampleRateStep: 0.5,
+      timeWindow: { start: 0, end: 1, points: 2001 },
+      spectrumRange: 20,
+      showReconstruction: true,
+      legendVisible: {
+        timeChart: true,
+        spectrumChart: true,
+      },
+      colors: {
+        orange: "orange",
+        blue: "blue",
+        green: "green",
+        red: "red",
+        gray: "rgba(128, 128, 128, 0.5)",
+        black: "rgba(0, 0, 0, 0.3)",
+      },
+      charts: {
+        time: {
+          canvasId: "timeChart",
+          titleElementId: "timeTitle",
+          color: "orange",
+        },
+        spectrum: {
+          canvasId: "spectrumChart",
+          titleElementId: "spectrumTitle",
+        },
+      },
+      elements: {
+        frequencySlider: "frequencySlider",
+        frequencyValue: "frequencyValue",
+        sampleRateSlider: "sampleRateSlider",
+        sampleRateValue: "sampleRateValue",
+        signalSelect: "signalSelect",
+        reconstructionToggle: "reconstructionToggle",
+        aliasInfo: "aliasInfo",
+      },
+    };
+
+    return ConfigValidator.deepMerge(baseConfig, overrides);
+  }
+
+  /**
+   * Templates of visualizer types registered at runtime (see
+   * registerTemplate), keyed by type
+   */
+  static pluginTemplates = {};
+
+  /**
+   * Register the default configuration of a visualizer type defined outside
+   * this file, e.g. by a plugin
+   * @param {string} type - Visualizer type
+   * @param {Object|Function} template - Default configuration, or a function
+   *   returning it
+   */
+  static registerTemplate(type, template) {
+    this.pluginTemplates[type] = template;
+  }
+
+  /**
+   * Get the configuration of a visualizer type registered at runtime
+   * @param {string} type - Visualizer type
+   * @param {Object} overrides - Configuration overrides
+   * @returns {Object} Configuration
+   * @throws {Error} If no template is registered for the type
+   */
+  static getPluginConfig(type, overrides = {}) {
+    const template = this.pluginTemplates[type];
+    if (!template) {
+      throw new Error(`No template defined for visualizer type: ${type}`);
+    }
+
+    const baseConfig = typeof template === "function" ? template() : template;
+    return ConfigValidator.deepMerge({ ...baseConfig, type }, overrides);
+  }
+
   /**
    * Get all available configuration templates
    * @returns {Object} Object containing all available templates
    */
   static getAllTemplates() {
-    return {
+    const templates = {
       "phase-shift": this.getPhaseShiftConfig(),
       integral: this.getIntegralConfig(),
-      //   fourier: this.getFourierConfig(),
-      //   "frequency-domain": this.getFrequencyDomainConfig(),
+      fourier: this.getFourierConfig(),
+      "frequency-domain": this.getFrequencyDomainConfig(),
+      convolution: this.getConvolutionConfig(),
+      sampling: this.getSamplingConfig(),
     };
+    Object.keys(this.pluginTemplates).forEach((type) => {
+      templates[type] = this.getPluginConfig(type);
+    });
+    return templates;
   }
 
   /**
@@ -181,9 +488,55 @@ export class ConfigTemplates {
           "Integration area visualization",
           "Angular frequency adjustment",
           "Horizontal integration result lines",
+          "Editable composite signal components",
+          "Selectable quadrature rules with error estimates",
+          "Complex plane representation",
+        ],
+      },
+      fourier: {
+        name: "Fourier Series Synthesis",
+        description:
+          "Builds periodic waveforms from their Fourier series partial sums",
+        features: [
+          "Square, triangle, sawtooth and custom waveforms",
+          "Harmonic count adjustment",
+          "Coefficient stem plot",
+          "Approximation error and Gibbs phenomenon",
+        ],
+      },
+      "frequency-domain": {
+        name: "Frequency-Domain Visualization",
+        description:
+          "Shows a time signal next to its magnitude and phase spectra",
+        features: [
+          "Two-sided magnitude and phase stem plots",
+          "Time-shift property via the phase slider",
+          "Periodic and composite signal presets",
           "Complex plane representation",
         ],
       },
+      convolution: {
+        name: "Convolution Visualization",
+        description:
+          "Animates convolution as flip, slide, multiply and integrate",
+        features: [
+          "Flipped and shifted impulse response over the input",
+          "Shaded product area traced into the output",
+          "Time slider and autoplay",
+          "Continuous and discrete modes with preset signal pairs",
+        ],
+      },
+      sampling: {
+        name: "Sampling and Aliasing Visualization",
+        description:
+          "Shows a sampled sinusoid, its reconstruction and the aliased frequency",
+        features: [
+          "Adjustable tone frequency and sampling rate",
+          "Sample markers over the continuous signal",
+          "Ideal low-pass reconstruction",
+          "Spectrum replicas folded at fs/2",
+        ],
+      },
     };
   }
 
@@ -203,6 +556,21 @@ export class ConfigTemplates {
       case "integral":
         template = this.getIntegralConfig(overrides);
         break;
+      case "fourier":
+        template = this.getFourierConfig(overrides);
+        break;
+      case "frequency-domain":
+        template = this.getFrequencyDomainConfig(overrides);
+        break;
+      case "convolution":
+        template = this.getConvolutionConfig(overrides);
+        break;
+      case "sampling":
+        template = this.getSamplingConfig(overrides);
+        break;
+      default:
+        template = this.getPluginConfig(type, overrides);
+        break;
     }
 
     // Validate the final configuration
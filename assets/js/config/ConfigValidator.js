@@ -1,5 +1,8 @@
 // Configuration schemas and validation for different visualizer types
 
+import { CompositeSignal } from "./../utils/calculations.js";
+import { ExpressionParser } from "./../utils/expression.js";
+
 /**
  * Configuration validator and schema definitions
  */
@@ -139,6 +142,11 @@ export class ConfigValidator {
         min: 0.1,
         max: 5.0,
       },
+      components: {
+        type: "array",
+        format: "components",
+        default: CompositeSignal.getDefaultComponents(),
+      },
       frequencyStep: {
         type: "number",
         default: 0.1,
@@ -152,6 +160,17 @@ export class ConfigValidator {
           max: { type: "number", default: 3.0 },
         },
       },
+      integrationMethod: {
+        type: "string",
+        default: "trapezoid",
+        enum: ["trapezoid", "simpson", "romberg", "gauss-kronrod", "exact"],
+      },
+      integrationIntervals: {
+        type: "number",
+        default: 800,
+        min: 4,
+        max: 100000,
+      },
       legendVisible: {
         type: "object",
         properties: {
@@ -225,11 +244,506 @@ export class ConfigValidator {
             type: "string",
             default: "angularFrequencyValue",
           },
+          componentEditor: { type: "string", default: "componentEditor" },
+          integrationMethodSelect: {
+            type: "string",
+            default: "integrationMethodSelect",
+          },
+        },
+      },
+    },
+
+    fourier: {
+      ...ConfigValidator.baseSchema,
+      waveform: {
+        type: "string",
+        default: "square",
+        enum: ["square", "triangle", "sawtooth", "custom", "expression"],
+      },
+      period: {
+        type: "number",
+        default: 2 * Math.PI,
+        min: 0.001,
+      },
+      customPoints: {
+        type: "array",
+        default: [
+          [0, 0],
+          [Math.PI / 2, 1],
+          [Math.PI, 0],
+          [2 * Math.PI, 0],
+        ],
+      },
+      expression: {
+        type: "string",
+        format: "expression",
+        default: "rect(t/pi)",
+      },
+      initialHarmonics: {
+        type: "number",
+        default: 5,
+        min: 1,
+        max: 200,
+        maxProperty: "maxHarmonics",
+      },
+      maxHarmonics: {
+        type: "number",
+        default: 50,
+        min: 1,
+        max: 200,
+      },
+      displayPeriods: {
+        type: "number",
+        default: 2,
+        min: 1,
+        max: 10,
+      },
+      pointsPerPeriod: {
+        type: "number",
+        default: 400,
+        min: 10,
+        max: 5000,
+      },
+      samplesPerPeriod: {
+        type: "number",
+        default: 2048,
+        min: 64,
+        max: 65536,
+      },
+      legendVisible: {
+        type: "object",
+        properties: {
+          partialSumChart: { type: "boolean", default: true },
+          coefficientChart: { type: "boolean", default: true },
+          harmonicChart: { type: "boolean", default: false },
+          errorChart: { type: "boolean", default: false },
+        },
+      },
+      charts: {
+        type: "object",
+        properties: {
+          partialSum: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "partialSumChart" },
+              titleElementId: { type: "string", default: "partialSumTitle" },
+              color: { type: "string", default: "orange" },
+            },
+          },
+          coefficients: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "coefficientChart" },
+              titleElementId: { type: "string", default: "coefficientTitle" },
+            },
+          },
+          harmonic: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "harmonicChart" },
+              titleElementId: { type: "string", default: "harmonicTitle" },
+              color: { type: "string", default: "blue" },
+            },
+          },
+          error: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "errorChart" },
+              titleElementId: { type: "string", default: "errorTitle" },
+              color: { type: "string", default: "red" },
+              showXAxis: { type: "boolean", default: true },
+            },
+          },
+        },
+      },
+      elements: {
+        type: "object",
+        properties: {
+          harmonicSlider: { type: "string", default: "harmonicSlider" },
+          harmonicValue: { type: "string", default: "harmonicValue" },
+          waveformSelect: { type: "string", default: "waveformSelect" },
+          expressionInput: { type: "string", default: "expressionInput" },
+        },
+      },
+    },
+
+    "frequency-domain": {
+      ...ConfigValidator.baseSchema,
+      signal: {
+        type: "string",
+        default: "composite",
+        enum: [
+          "cosine",
+          "composite",
+          "square",
+          "triangle",
+          "sawtooth",
+          "custom",
+          "expression",
+        ],
+      },
+      period: {
+        type: "number",
+        default: 2 * Math.PI,
+        min: 0.001,
+      },
+      customPoints: {
+        type: "array",
+        default: [
+          [0, 0],
+          [Math.PI / 2, 1],
+          [Math.PI, 0],
+          [2 * Math.PI, 0],
+        ],
+      },
+      expression: {
+        type: "string",
+        format: "expression",
+        default: "rect(t/pi)",
+      },
+      components: {
+        type: "array",
+        format: "components",
+        default: CompositeSignal.getDefaultComponents(),
+      },
+      initialPhaseShift: {
+        type: "number",
+        default: Math.PI / 4,
+        min: 0,
+        max: 2 * Math.PI,
+      },
+      phaseStep: {
+        type: "number",
+        default: Math.PI / 100,
+        min: 0.001,
+        max: Math.PI,
+      },
+      maxHarmonic: {
+        type: "number",
+        default: 8,
+        min: 1,
+        max: 100,
+      },
+      magnitudeThreshold: {
+        type: "number",
+        default: 1e-3,
+        min: 0,
+      },
+      samplesPerPeriod: {
+        type: "number",
+        default: 1024,
+        min: 64,
+        max: 65536,
+      },
+      displayPeriods: {
+        type: "number",
+        default: 2,
+        min: 1,
+        max: 10,
+      },
+      pointsPerPeriod: {
+        type: "number",
+        default: 200,
+        min: 10,
+        max: 5000,
+      },
+      legendVisible: {
+        type: "object",
+        properties: {
+          timeSignalChart: { type: "boolean", default: true },
+          magnitudeChart: { type: "boolean", default: false },
+          phaseChart: { type: "boolean", default: false },
+          complexPlaneChart: { type: "boolean", default: false },
+        },
+      },
+      charts: {
+        type: "object",
+        properties: {
+          timeSignal: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "timeSignalChart" },
+              titleElementId: { type: "string", default: "timeSignalTitle" },
+              color: { type: "string", default: "orange" },
+            },
+          },
+          magnitude: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "magnitudeChart" },
+              titleElementId: { type: "string", default: "magnitudeTitle" },
+              color: { type: "string", default: "blue" },
+            },
+          },
+          phase: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "phaseChart" },
+              titleElementId: { type: "string", default: "phaseTitle" },
+              color: { type: "string", default: "green" },
+            },
+          },
+          complexPlane: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "complexPlaneChart" },
+            },
+          },
+        },
+      },
+      elements: {
+        type: "object",
+        properties: {
+          phaseShiftSlider: { type: "string", default: "phaseShiftSlider" },
+          phaseShiftValue: { type: "string", default: "phaseShiftValue" },
+          signalSelect: { type: "string", default: "signalSelect" },
+          expressionInput: { type: "string", default: "expressionInput" },
+        },
+      },
+    },
+
+    convolution: {
+      ...ConfigValidator.baseSchema,
+      preset: {
+        type: "string",
+        default: "rect-rect",
+        enum: ["rect-rect", "exp-step", "rect-exp", "tri-rect"],
+      },
+      mode: {
+        type: "string",
+        default: "continuous",
+        enum: ["continuous", "discrete"],
+      },
+      continuousRange: {
+        type: "object",
+        properties: {
+          min: { type: "number", default: -3 },
+          max: { type: "number", default: 5 },
+          points: { type: "number", default: 801, min: 10, max: 5000 },
+        },
+      },
+      discreteRange: {
+        type: "object",
+        properties: {
+          min: { type: "number", default: -5 },
+          max: { type: "number", default: 15 },
+        },
+      },
+      initialTime: {
+        type: "number",
+        default: -1.5,
+      },
+      timeStep: {
+        type: "number",
+        default: 0.01,
+        min: 0.001,
+        max: 1,
+      },
+      playbackSpeed: {
+        type: "number",
+        default: 1.5,
+        min: 0.1,
+        max: 20,
+      },
+      legendVisible: {
+        type: "object",
+        properties: {
+          inputChart: { type: "boolean", default: true },
+          slideChart: { type: "boolean", default: true },
+          productChart: { type: "boolean", default: false },
+          outputChart: { type: "boolean", default: false },
+        },
+      },
+      charts: {
+        type: "object",
+        properties: {
+          input: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "inputChart" },
+              titleElementId: { type: "string", default: "inputTitle" },
+            },
+          },
+          slide: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "slideChart" },
+              titleElementId: { type: "string", default: "slideTitle" },
+            },
+          },
+          product: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "productChart" },
+              titleElementId: { type: "string", default: "productTitle" },
+              color: { type: "string", default: "orange" },
+              fillColor: { type: "string", default: "rgba(255, 165, 0, 0.3)" },
+            },
+          },
+          output: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "outputChart" },
+              titleElementId: { type: "string", default: "outputTitle" },
+              color: { type: "string", default: "orange" },
+            },
+          },
+        },
+      },
+      elements: {
+        type: "object",
+        properties: {
+          timeSlider: { type: "string", default: "timeSlider" },
+          timeValue: { type: "string", default: "timeValue" },
+          playButton: { type: "string", default: "playButton" },
+          modeSelect: { type: "string", default: "modeSelect" },
+          presetSelect: { type: "string", default: "presetSelect" },
+        },
+      },
+    },
+
+    sampling: {
+      ...ConfigValidator.baseSchema,
+      signal: {
+        type: "string",
+        default: "tone",
+        enum: ["tone", "multi-tone"],
+      },
+      signals: {
+        type: "object",
+        properties: {
+          tone: {
+            type: "array",
+            default: [{ frequency: 7, amplitude: 1, phase: 0 }],
+          },
+          "multi-tone": {
+            type: "array",
+            default: [
+              { frequency: 2, amplitude: 0.6, phase: 0 },
+              { frequency: 7, amplitude: 0.4, phase: 0 },
+            ],
+          },
+        },
+      },
+      initialFrequency: {
+        type: "number",
+        default: 7,
+        min: 0,
+      },
+      frequencyRange: {
+        type: "object",
+        properties: {
+          min: { type: "number", default: 0.5, min: 0 },
+          max: { type: "number", default: 20, min: 0.1 },
+        },
+      },
+      frequencyStep: {
+        type: "number",
+        default: 0.5,
+        min: 0.01,
+      },
+      initialSampleRate: {
+        type: "number",
+        default: 8,
+        min: 0.1,
+      },
+      sampleRateRange: {
+        type: "object",
+        properties: {
+          min: { type: "number", default: 1, min: 0.1 },
+          max: { type: "number", default: 40, min: 0.1 },
+        },
+      },
+      sampleRateStep: {
+        type: "number",
+        default: 0.5,
+        min: 0.01,
+      },
+      timeWindow: {
+        type: "object",
+        properties: {
+          start: { type: "number", default: 0 },
+          end: { type: "number", default: 1 },
+          points: { type: "number", default: 2001, min: 10, max: 20000 },
+        },
+      },
+      spectrumRange: {
+        type: "number",
+        default: 20,
+        min: 1,
+      },
+      showReconstruction: {
+        type: "boolean",
+        default: true,
+      },
+      legendVisible: {
+        type: "object",
+        properties: {
+          timeChart: { type: "boolean", default: true },
+          spectrumChart: { type: "boolean", default: true },
+        },
+      },
+      charts: {
+        type: "object",
+        properties: {
+          time: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "timeChart" },
+              titleElementId: { type: "string", default: "timeTitle" },
+              color: { type: "string", default: "orange" },
+            },
+          },
+          spectrum: {
+            type: "object",
+            properties: {
+              canvasId: { type: "string", default: "spectrumChart" },
+              titleElementId: { type: "string", default: "spectrumTitle" },
+            },
+          },
+        },
+      },
+      elements: {
+        type: "object",
+        properties: {
+          frequencySlider: { type: "string", default: "frequencySlider" },
+          frequencyValue: { type: "string", default: "frequencyValue" },
+          sampleRateSlider: { type: "string", default: "sampleRateSlider" },
+          sampleRateValue: { type: "string", default: "sampleRateValue" },
+          signalSelect: { type: "string", default: "signalSelect" },
+          reconstructionToggle: {
+            type: "string",
+            default: "reconstructionToggle",
+          },
+          aliasInfo: { type: "string", default: "aliasInfo" },
         },
       },
     },
   };
 
+  /**
+   * Register the schema of a visualizer type defined outside this file,
+   * e.g. by a plugin; the base schema is included automatically
+   * @param {string} type - Visualizer type
+   * @param {Object} schema - Schema of the type's own properties
+   */
+  static registerSchema(type, schema) {
+    this.schemas[type] = {
+      ...this.baseSchema,
+      ...schema,
+    };
+  }
+
+  /**
+   * Checks for string and array values whose content has a structure of its
+   * own, referenced by a schema's format; each throws if the value is invalid
+   */
+  static formats = {
+    components: (value) => CompositeSignal.normalize(value),
+    // A function of t, with omega bound to the fundamental frequency
+    expression: (value) => ExpressionParser.compile(value, ["t", "omega"]),
+  };
+
   /**
    * Validate a configuration object against its schema
    * @param {Object} config - Configuration to validate
@@ -291,6 +805,17 @@ export class ConfigValidator {
       }
     });
 
+    // Properties bounded by a sibling, e.g. initialHarmonics ≤ maxHarmonics
+    Object.entries(schema).forEach(([key, schemaValue]) => {
+      const limitKey = schemaValue.maxProperty;
+      if (limitKey && result[key] > result[limitKey]) {
+        const currentPath = path ? `${path}.${key}` : key;
+        throw new Error(
+          `Value at ${currentPath} is above ${limitKey}: ${result[key]} > ${result[limitKey]}`
+        );
+      }
+    });
+
     // Include any additional properties not in schema
     Object.entries(obj).forEach(([key, value]) => {
       if (!(key in schema)) {
@@ -330,6 +855,15 @@ export class ConfigValidator {
       );
     }
 
+    // Format validation, e.g. composite signal components
+    if (schemaValue.format) {
+      try {
+        this.formats[schemaValue.format](value);
+      } catch (error) {
+        throw new Error(`Invalid value at ${path}: ${error.message}`);
+      }
+    }
+
     // Number range validation
     if (typeof value === "number") {
       if (schemaValue.min !== undefined && value < schemaValue.min) {
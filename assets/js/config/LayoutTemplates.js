@@ -0,0 +1,214 @@
+// Page markup (charts and controls) generated from the layouts visualizers declare
+
+import { VisualizerFactory } from "../visualizers/VisualizerFactory.js";
+
+/**
+ * Renders the page of a visualizer from the layout its class declares in
+ * `static layout`, with the element IDs its config expects. The markup
+ * matches the page stylesheets, so every page, the single-page shell and the
+ * embeds share it.
+ *
+ * Layout: { title, stylesheet, charts, controls }, where the stylesheet is a
+ * name in assets/css or an absolute URL and defaults to shared.css.
+ * Charts: { canvasId, titleId, title, note, complex } where complex marks the
+ * square side panel; panels without a canvas give formulaId instead.
+ * Controls: { kind: "range" | "select" | "text" | "button" | "checkbox" |
+ * "editor", id, label, ... } in page order; a range may add a hint shown
+ * after its value.
+ */
+export class LayoutTemplates {
+  /**
+   * Get the layout declared by a visualizer type
+   * @param {string} type - Visualizer type, loaded with
+   *   VisualizerFactory.load() first
+   * @returns {Object} Layout { title, stylesheet, charts, controls }
+   * @throws {Error} If the type is unknown, not loaded or declares no layout
+   */
+  static getLayout(type) {
+    const { layout } = VisualizerFactory.getVisualizerClass(type);
+    if (!layout) {
+      throw new Error(`No layout declared by visualizer type: ${type}`);
+    }
+    return { stylesheet: "shared.css", ...layout };
+  }
+
+  /**
+   * Check that a layout declares a title, charts and controls that render
+   * @param {string} type - Visualizer type
+   * @param {Object} layout - Layout to check
+   * @throws {Error} If the layout is invalid
+   */
+  static validateLayout(type, layout) {
+    if (!layout || typeof layout.title !== "string") {
+      throw new Error(`Layout of ${type} needs a title`);
+    }
+    ["charts", "controls"].forEach((key) => {
+      if (!Array.isArray(layout[key])) {
+        throw new Error(`Layout of ${type} needs a ${key} array`);
+      }
+    });
+    layout.charts.forEach((chart) => {
+      if (!chart.canvasId && !chart.formulaId) {
+        throw new Error(
+          `Chart "${chart.title}" of ${type} needs a canvasId or formulaId`
+        );
+      }
+    });
+    layout.controls.forEach((control) => this.renderControl(control));
+  }
+
+  /**
+   * Escape text for use in an HTML attribute
+   * @param {*} value - Attribute value
+   * @returns {string} Escaped value
+   */
+  static escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;");
+  }
+
+  /**
+   * Render one chart item of the charts grid
+   * @param {Object} chart - Chart declaration
+   * @returns {string} HTML markup
+   */
+  static renderChart(chart) {
+    const heading = chart.titleId
+      ? `<h2 id="${chart.titleId}">${chart.title}</h2>`
+      : `<h2>${chart.title}</h2>`;
+    const note = chart.note ? `<p class="chart-note">${chart.note}</p>` : "";
+    const body = chart.canvasId
+      ? `<div class="chart-container"><canvas id="${chart.canvasId}"></canvas></div>`
+      : `<div class="formula-container"><div id="${chart.formulaId}"></div></div>`;
+    const itemClass = chart.complex ? "complex-chart-item" : "chart-item";
+    return `<div class="${itemClass}">${heading}${note}${body}</div>`;
+  }
+
+  /**
+   * Render one control
+   * @param {Object} control - Control declaration
+   * @returns {string} HTML markup
+   * @throws {Error} If the control kind is unknown
+   */
+  static renderControl(control) {
+    const label = (text) =>
+      text ? `<label for="${control.id}">${text}: </label>` : "";
+    const ariaLabel = control.ariaLabel
+      ? ` aria-label="${this.escapeAttribute(control.ariaLabel)}"`
+      : "";
+    const attributes = ["min", "max", "step", "value"]
+      .filter((name) => control[name] !== undefined)
+      .map((name) => ` ${name}="${control[name]}"`)
+      .join("");
+
+    switch (control.kind) {
+      case "range":
+        return `${label(control.label)}<input type="range" id="${
+          control.id
+        }"${attributes}> <span id="${control.valueId}">${
+          control.valueText
+        }</span>${
+          control.hint
+            ? ` <span class="control-hint">${control.hint}</span>`
+            : ""
+        }`;
+      case "select":
+        return `${label(control.label)}<select id="${
+          control.id
+        }"${ariaLabel}>${control.options
+          .map(([value, text]) => `<option value="${value}">${text}</option>`)
+          .join("")}</select>`;
+      case "text":
+        return `<input type="text" id="${
+          control.id
+        }" size="16" spellcheck="false" placeholder="${this.escapeAttribute(
+          control.placeholder
+        )}" aria-label="${this.escapeAttribute(control.label)}">`;
+      case "button":
+        return `<button type="button" id="${control.id}">${control.label}</button>`;
+      case "checkbox":
+        return `<label><input type="checkbox" id="${control.id}"${
+          control.checked ? " checked" : ""
+        }> ${control.label}</label>`;
+      case "editor":
+        return `<details class="component-editor"><summary>${control.label}</summary><div id="${control.id}"></div></details>`;
+      default:
+        throw new Error(`Unknown control kind: ${control.kind}`);
+    }
+  }
+
+  /**
+   * Error and loading notice container, shown in place of a page while its
+   * visualizer loads
+   */
+  static errorMessage = `<div id="error-message" style="display: none;"></div>`;
+
+  /**
+   * Undo and Redo buttons shared by every page and embed; BaseVisualizer
+   * wires them up by these IDs (BaseVisualizer.historyControls)
+   */
+  static historyControls = `<div class="history-controls">
+<button type="button" id="undoButton" title="Undo (Ctrl+Z)" disabled>Undo</button>
+<button type="button" id="redoButton" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
+</div>`;
+
+  /**
+   * Download, Load and export controls shared by every page; main.js wires
+   * them up by these IDs (APP_CONFIG.fileControls)
+   */
+  static fileControls = `<div class="file-controls">
+<button type="button" id="exportStateButton" title="Download the settings and computed data as JSON">Download</button>
+<button type="button" id="importStateButton" title="Load settings from a downloaded JSON file">Load</button>
+<input type="file" id="importStateInput" accept=".json,application/json" hidden>
+<select id="dataFormatSelect" aria-label="Data export format"><option value="csv">CSV</option><option value="json">JSON</option><option value="npy">NumPy text</option></select>
+<button type="button" id="exportDataButton" title="Export the time axis and every plotted series">Export data</button>
+<select id="imageTargetSelect" aria-label="Chart to export"><option value="page">All charts</option></select>
+<select id="imageFormatSelect" aria-label="Image format"><option value="svg">SVG</option><option value="png">PNG</option></select>
+<label for="imageScaleInput">Scale: </label>
+<input type="number" id="imageScaleInput" min="1" max="8" step="1" value="3" title="PNG resolution as a multiple of the on-screen size">
+<button type="button" id="exportImageButton" title="Export charts as vector SVG or high-resolution PNG">Export image</button>
+</div>`;
+
+  /**
+   * Render the charts, error message and controls of a visualizer
+   * @param {string} type - Visualizer type
+   * @param {Object} options - { fileControls: true } to include the
+   *   Download/Load and export controls
+   * @returns {string} HTML markup for a .main-container
+   */
+  static render(type, { fileControls = false } = {}) {
+    const layout = this.getLayout(type);
+    const charts = layout.charts.map((chart) => this.renderChart(chart));
+    const controls = layout.controls
+      .filter((control) => control.kind !== "editor")
+      .map((control) => this.renderControl(control))
+      .join(" ");
+    const editors = layout.controls
+      .filter((control) => control.kind === "editor")
+      .map((control) => this.renderControl(control))
+      .join("");
+
+    return `<div class="charts-section"><div class="charts-grid">${charts.join(
+      ""
+    )}</div></div>
+${this.errorMessage}
+<div class="controls"><div class="control-row">${controls}</div>${editors}${
+      this.historyControls
+    }${fileControls ? this.fileControls : ""}</div>`;
+  }
+
+  /**
+   * Render a full visualizer page body: header, charts and all controls
+   * @param {string} type - Visualizer type
+   * @param {string} description - Introductory text under the title
+   * @returns {string} HTML markup for a .main-container
+   */
+  static renderPage(type, description = "") {
+    const { title } = this.getLayout(type);
+    const intro = description ? `<p>${description}</p>` : "";
+    return `<div class="header"><h1>${title}</h1>${intro}</div>
+${this.render(type, { fileControls: true })}`;
+  }
+}
@@ -0,0 +1,148 @@
+// Versioned postMessage protocol for driving a visualizer embedded in an iframe
+
+/**
+ * Requests from the host page look like
+ *   { protocol: "sigsys", version: 1, id: 7, type: "setParameter",
+ *     name: "phaseShift", value: "pi/2" }
+ * and are answered with
+ *   { protocol: "sigsys", version: 1, id: 7, type: "response", ok: true,
+ *     result: { ... } }
+ * or ok: false with an error message. Subscribed hosts also receive
+ *   { protocol: "sigsys", version: 1, type: "event", event: "change",
+ *     result: { visualizer, state } }
+ * Messages without the protocol field are ignored, so other scripts on the
+ * page can keep using postMessage.
+ */
+export class MessageProtocol {
+  /**
+   * Value of the protocol field on every message
+   */
+  static protocol = "sigsys";
+
+  /**
+   * Version written on outgoing messages
+   */
+  static version = 1;
+
+  /**
+   * Versions accepted on incoming requests
+   */
+  static supportedVersions = [1];
+
+  /**
+   * Request types with their required fields
+   */
+  static requests = {
+    setParameter: { required: ["name", "value"] },
+    getState: { required: [] },
+    switchVisualizer: { required: ["visualizer"] },
+    exportData: { required: [] },
+    subscribe: { required: [] },
+    unsubscribe: { required: [] },
+  };
+
+  /**
+   * Check whether a message belongs to this protocol
+   * @param {*} data - Message data
+   * @returns {boolean} True for protocol messages
+   */
+  static isProtocolMessage(data) {
+    return (
+      Boolean(data) &&
+      typeof data === "object" &&
+      data.protocol === this.protocol
+    );
+  }
+
+  /**
+   * Check a message origin against an allowlist; "*" allows every origin
+   * @param {string} origin - Origin of the message event
+   * @param {string[]} allowedOrigins - Allowed origins
+   * @returns {boolean} True if the origin may send requests
+   */
+  static isAllowedOrigin(origin, allowedOrigins) {
+    return allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Validate a request
+   * @param {Object} data - Protocol message
+   * @returns {Object} The request
+   * @throws {Error} If the version, type or fields are invalid
+   */
+  static validateRequest(data) {
+    if (!this.supportedVersions.includes(data.version)) {
+      throw new Error(
+        `Unsupported protocol version: ${
+          data.version
+        }. Supported versions: ${this.supportedVersions.join(", ")}`
+      );
+    }
+
+    if (!Object.hasOwn(this.requests, data.type)) {
+      throw new Error(
+        `Unknown request type: ${data.type}. Available types: ${Object.keys(
+          this.requests
+        ).join(", ")}`
+      );
+    }
+
+    this.requests[data.type].required.forEach((field) => {
+      if (data[field] === undefined || data[field] === null) {
+        throw new Error(`${data.type} requires "${field}"`);
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Build a successful response
+   * @param {*} id - Request ID chosen by the host
+   * @param {*} result - Result data
+   * @returns {Object} Response message
+   */
+  static response(id, result) {
+    return {
+      protocol: this.protocol,
+      version: this.version,
+      id,
+      type: "response",
+      ok: true,
+      result,
+    };
+  }
+
+  /**
+   * Build an error response
+   * @param {*} id - Request ID chosen by the host
+   * @param {Error} error - Error that stopped the request
+   * @returns {Object} Response message
+   */
+  static errorResponse(id, error) {
+    return {
+      protocol: this.protocol,
+      version: this.version,
+      id,
+      type: "response",
+      ok: false,
+      error: error.message,
+    };
+  }
+
+  /**
+   * Build an event message
+   * @param {string} event - Event name, e.g. "change" or "ready"
+   * @param {*} result - Event data
+   * @returns {Object} Event message
+   */
+  static event(event, result) {
+    return {
+      protocol: this.protocol,
+      version: this.version,
+      type: "event",
+      event,
+      result,
+    };
+  }
+}
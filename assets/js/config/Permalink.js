@@ -0,0 +1,214 @@
+// Shareable permalinks: visualizer state and config overrides in the URL query
+
+import { ConfigValidator } from "./ConfigValidator.js";
+import { MathUtils } from "./../utils/calculations.js";
+
+/**
+ * Encodes and decodes URLs such as
+ *   integral.html?type=integral&phaseShift=3pi/4&angularFrequency=2
+ * State values are written under their state key and restored into the
+ * config key that sets their initial value (e.g. phaseShift → initialPhaseShift).
+ */
+export class Permalink {
+  /**
+   * Query parameter holding the visualizer type
+   */
+  static typeParam = "type";
+
+  /**
+   * Query parameter holding JSON config overrides
+   */
+  static configParam = "config";
+
+  /**
+   * Format a value for the query string; numbers that are simple multiples
+   * of π are written as such (e.g. "3pi/4")
+   * @param {*} value - Number, string, boolean, array or object
+   * @returns {string} Encoded value
+   */
+  static formatValue(value) {
+    if (value !== null && typeof value === "object") {
+      return JSON.stringify(value);
+    }
+    if (typeof value !== "number") {
+      return String(value);
+    }
+
+    const fraction =
+      value !== 0 ? MathUtils.toSimpleFraction(value / Math.PI) : null;
+    if (fraction) {
+      const { numerator, denominator } = fraction;
+      const multiple =
+        numerator === 1 ? "" : numerator === -1 ? "-" : `${numerator}`;
+      return denominator === 1
+        ? `${multiple}pi`
+        : `${multiple}pi/${denominator}`;
+    }
+
+    return String(parseFloat(value.toPrecision(6)));
+  }
+
+  /**
+   * Parse a query-string value according to its schema type
+   * @param {string} raw - Encoded value
+   * @param {Object} schemaValue - Schema of the config property
+   * @returns {*} Decoded value
+   */
+  static parseValue(raw, schemaValue = {}) {
+    switch (schemaValue.type) {
+      case "number":
+        // Accepts plain numbers and expressions such as "3pi/4"
+        return MathUtils.parseNumber(raw);
+      case "boolean":
+        return raw === "true";
+      case "array":
+      case "object":
+        // Malformed JSON stays a string and fails the schema's type check
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          return raw;
+        }
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Build the query string for a visualizer state
+   * @param {string} type - Visualizer type
+   * @param {Object} state - Visualizer state (see BaseVisualizer.getState)
+   * @param {Object} stateKeys - Map of shareable state keys to config keys
+   * @param {Object} configOverrides - Config overrides to carry along
+   * @returns {string} Query string including the leading "?"
+   */
+  static encode(type, state, stateKeys, configOverrides = {}) {
+    const params = new URLSearchParams();
+    params.set(this.typeParam, type);
+
+    const schema = ConfigValidator.schemas[type] || {};
+    Object.entries(stateKeys).forEach(([key, configKey]) => {
+      const value = state[key];
+      if (value === undefined || value === null) return;
+
+      // Arrays and objects make long links, so they are only written when
+      // they differ from the value the page would start with anyway
+      if (typeof value === "object") {
+        const initial =
+          configOverrides[configKey] ?? schema[configKey]?.default;
+        if (JSON.stringify(value) === JSON.stringify(initial)) return;
+      }
+      params.set(key, this.formatValue(value));
+    });
+
+    if (Object.keys(configOverrides).length > 0) {
+      params.set(this.configParam, JSON.stringify(configOverrides));
+    }
+
+    // Keep π and "/" readable in shared links
+    return `?${params.toString().replace(/%2F/g, "/")}`;
+  }
+
+  /**
+   * Read state and config overrides from a query string
+   * Values that fail schema validation are dropped with a warning, so a
+   * hand-edited link can never stop the page from loading.
+   * @param {string} search - Query string, e.g. window.location.search
+   * @param {string} type - Visualizer type of the current page
+   * @param {Object} stateKeys - Map of shareable state keys to config keys
+   * @returns {Object} { state, overrides, configOverrides }, where overrides
+   *   combines the config overrides with the initial values from the state
+   */
+  static decode(search, type, stateKeys) {
+    const params = new URLSearchParams(search);
+    const result = { state: {}, overrides: {}, configOverrides: {} };
+    const schema = ConfigValidator.schemas[type] || {};
+
+    const linkedType = params.get(this.typeParam);
+    if (linkedType && linkedType !== type) {
+      console.warn(
+        `Ignoring permalink for "${linkedType}" on the "${type}" page`
+      );
+      return result;
+    }
+
+    const accept = (configKey, value, source) => {
+      try {
+        return {
+          valid: true,
+          value: schema[configKey]
+            ? ConfigValidator.validateProperty(
+                value,
+                schema[configKey],
+                configKey
+              )
+            : value,
+        };
+      } catch (error) {
+        console.warn(`Ignoring permalink value "${source}": ${error.message}`);
+        return { valid: false };
+      }
+    };
+
+    const configJson = params.get(this.configParam);
+    if (configJson) {
+      try {
+        const parsed = JSON.parse(configJson);
+        if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+          throw new Error("expected an object");
+        }
+        Object.entries(parsed).forEach(([key, value]) => {
+          if (!(key in schema)) {
+            console.warn(`Ignoring unknown permalink config key "${key}"`);
+            return;
+          }
+          const checked = accept(key, value, key);
+          if (checked.valid) {
+            result.configOverrides[key] = value;
+            result.overrides[key] = checked.value;
+          }
+        });
+      } catch (error) {
+        console.warn(`Ignoring permalink config: ${error.message}`);
+      }
+    }
+
+    Object.entries(stateKeys).forEach(([stateKey, configKey]) => {
+      const raw = params.get(stateKey);
+      if (raw === null) return;
+
+      const value = this.parseValue(raw, schema[configKey]);
+      if (typeof value === "number" && !Number.isFinite(value)) {
+        console.warn(`Ignoring permalink value "${stateKey}": not a number`);
+        return;
+      }
+
+      const checked = accept(configKey, value, stateKey);
+      if (checked.valid) {
+        result.state[stateKey] = checked.value;
+        result.overrides[configKey] = checked.value;
+      }
+    });
+
+    // Values above the property that bounds them (schema maxProperty) would
+    // fail validation of the whole config, so they are dropped as well
+    Object.entries(result.overrides).forEach(([configKey, value]) => {
+      const limitKey = schema[configKey]?.maxProperty;
+      if (!limitKey) return;
+
+      const limit = result.overrides[limitKey] ?? schema[limitKey]?.default;
+      if (value > limit) {
+        console.warn(
+          `Ignoring permalink value for ${configKey}: ${value} > ${limitKey} (${limit})`
+        );
+        delete result.overrides[configKey];
+        delete result.configOverrides[configKey];
+        Object.entries(stateKeys).forEach(([stateKey, key]) => {
+          if (key === configKey) delete result.state[stateKey];
+        });
+      }
+    });
+
+    return result;
+  }
+}
@@ -0,0 +1,202 @@
+// Versioned JSON format for exporting and importing visualizer state
+
+import { ConfigValidator } from "./ConfigValidator.js";
+
+/**
+ * Exported files look like
+ *   { format, version, type, exportedAt, config, state, computed }
+ * where computed holds derived data (waveforms, coefficients, ...) for use
+ * outside the app; it is recalculated rather than read back on import.
+ * Files from older versions are upgraded one version at a time through
+ * StateFile.migrations before they are validated.
+ */
+export class StateFile {
+  /**
+   * Format identifier written into every file
+   */
+  static format = "sigsys-visualizer-state";
+
+  /**
+   * Current format version
+   */
+  static version = 2;
+
+  /**
+   * Config keys that only make sense on the page that wrote the file
+   */
+  static pageConfigKeys = ["elements"];
+
+  /**
+   * Migrations keyed by the version they upgrade from; each returns data in
+   * the next version's shape
+   */
+  static migrations = {
+    // Version 1: PhaseShiftVisualizer.exportData() output without a format
+    // header, { config, state, waveforms, timestamp }
+    1: (data, type) => ({
+      format: StateFile.format,
+      version: 2,
+      type: data.config?.type ?? type,
+      exportedAt: data.timestamp ?? null,
+      config: data.config ?? {},
+      state: data.state ?? {},
+      computed: data.waveforms ? { waveforms: data.waveforms } : {},
+    }),
+  };
+
+  /**
+   * Build an export document
+   * @param {string} type - Visualizer type
+   * @param {Object} config - Visualizer configuration
+   * @param {Object} state - Visualizer state (see BaseVisualizer.getState)
+   * @param {Object} computed - Derived data such as waveforms
+   * @returns {Object} Export document in the current format
+   */
+  static create(type, config, state, computed = {}) {
+    return {
+      format: this.format,
+      version: this.version,
+      type,
+      exportedAt: new Date().toISOString(),
+      config: this.withoutPageKeys(config),
+      state,
+      computed,
+    };
+  }
+
+  /**
+   * Serialize an export document
+   * @param {Object} data - Export document
+   * @returns {string} Indented JSON
+   */
+  static stringify(data) {
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Parse file contents into an object
+   * @param {string} text - File contents
+   * @returns {Object} Parsed document
+   * @throws {Error} If the contents are not a JSON object
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`File is not valid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("File does not contain a visualizer state object");
+    }
+    return data;
+  }
+
+  /**
+   * Get the format version of a document; files without a header are
+   * treated as version 1
+   * @param {Object} data - Parsed document
+   * @returns {number} Format version
+   */
+  static getVersion(data) {
+    if (data.format === undefined && data.version === undefined) {
+      if (data.config === undefined && data.state === undefined) {
+        throw new Error("File does not contain a visualizer state");
+      }
+      return 1;
+    }
+    if (data.format !== this.format) {
+      throw new Error(`Unknown file format: ${data.format}`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error(`Invalid format version: ${data.version}`);
+    }
+    return data.version;
+  }
+
+  /**
+   * Upgrade a document to the current version
+   * @param {Object} data - Parsed document
+   * @param {string} type - Visualizer type of the current page
+   * @returns {Object} Document in the current format
+   * @throws {Error} If the document is newer than this app or cannot be upgraded
+   */
+  static migrate(data, type) {
+    let version = this.getVersion(data);
+    if (version > this.version) {
+      throw new Error(
+        `File was written by a newer version (format ${version}); this page reads up to format ${this.version}`
+      );
+    }
+
+    let migrated = data;
+    while (version < this.version) {
+      const migration = this.migrations[version];
+      if (!migration) {
+        throw new Error(`No migration from format version ${version}`);
+      }
+      migrated = migration(migrated, type);
+      version = migrated.version;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Upgrade and validate a document for a visualizer
+   * @param {Object|string} data - Parsed document or file contents
+   * @param {string} type - Visualizer type of the current page
+   * @param {Object} stateKeys - Map of state keys to config keys, used to
+   *   validate state values against the config schema
+   * @returns {Object} { config, state, migratedFrom } ready to be applied,
+   *   where migratedFrom is the file's format version if it was upgraded and
+   *   null otherwise
+   * @throws {Error} If the file is for another visualizer or fails validation
+   */
+  static read(data, type, stateKeys = {}) {
+    const parsed = typeof data === "string" ? this.parse(data) : data;
+    const version = this.getVersion(parsed);
+    const document = this.migrate(parsed, type);
+
+    if (document.type !== type) {
+      throw new Error(
+        `File contains a "${document.type}" visualization, not "${type}"`
+      );
+    }
+
+    const config = this.withoutPageKeys(document.config ?? {});
+    const validation = ConfigValidator.validate({ ...config, type }, type);
+    if (!validation.valid) {
+      throw new Error(`Invalid configuration: ${validation.errors.join(", ")}`);
+    }
+
+    const schema = ConfigValidator.schemas[type];
+    const state = { ...(document.state ?? {}) };
+    Object.entries(stateKeys).forEach(([stateKey, configKey]) => {
+      if (state[stateKey] !== undefined && schema[configKey]) {
+        state[stateKey] = ConfigValidator.validateProperty(
+          state[stateKey],
+          schema[configKey],
+          `state.${stateKey}`
+        );
+      }
+    });
+
+    return {
+      config: this.withoutPageKeys(validation.config),
+      state,
+      migratedFrom: version < this.version ? version : null,
+    };
+  }
+
+  /**
+   * Drop page-specific keys from a configuration
+   * @param {Object} config - Visualizer configuration
+   * @returns {Object} Copy without page-specific keys
+   */
+  static withoutPageKeys(config) {
+    const result = { ...config };
+    this.pageConfigKeys.forEach((key) => delete result[key]);
+    return result;
+  }
+}
@@ -3,16 +3,57 @@
 import { VisualizerFactory } from "./visualizers/VisualizerFactory.js";
 import { ConfigTemplates } from "./config/ConfigTemplates.js";
 import { ConfigValidator } from "./config/ConfigValidator.js";
+import { Permalink } from "./config/Permalink.js";
+import { StateFile } from "./config/StateFile.js";
+import { FileUtils } from "./utils/files.js";
+import { DOMUtils } from "./utils/dom.js";
+import { DataExporter } from "./utils/data-export.js";
+import { ChartExporter } from "./utils/chart-export.js";
+import { MessageProtocol } from "./config/MessageProtocol.js";
+import { LayoutTemplates } from "./config/LayoutTemplates.js";
+import { HashRouter } from "./utils/router.js";
+import { LandingPage } from "./utils/landing.js";
+import { PluginLoader } from "./visualizers/PluginLoader.js";
 import { CONFIG } from "./config.js";
 
 // Global visualizer instance
 let currentVisualizer = null;
 
+// Config overrides that arrived with the permalink, carried into new URLs
+let permalinkConfigOverrides = {};
+
+// Host windows subscribed to change events, mapped to their origin
+const messageSubscribers = new Map();
+
+// Last state sent to subscribers, so unchanged states are not re-sent
+let lastNotifiedState = null;
+
+// Counts initializeApp calls, so a visualizer that finishes loading after
+// the page moved on to another route is dropped
+let initializationCount = 0;
+
+// Counts the shell's view changes, so a layout that finishes loading after
+// the page moved on to another route is not shown
+let viewCount = 0;
+
+/**
+ * Check whether this is the single-page shell rather than a demo page
+ * @returns {boolean} True in the shell
+ */
+function isShell() {
+  return Boolean(document.getElementById(APP_CONFIG.shell.viewId));
+}
+
 /**
  * Detect which page we're on and return the appropriate visualizer type
  * @returns {string} Visualizer type
  */
 function detectVisualizerType() {
+  // The shell routes by hash, e.g. index.html#/integral
+  if (isShell()) {
+    return HashRouter.parse(window.location.hash);
+  }
+
   const path = window.location.pathname;
   const filename = path.split("/").pop();
 
@@ -20,6 +61,14 @@ function detectVisualizerType() {
     return "integral";
   } else if (filename === "phase-shift.html") {
     return "phase-shift";
+  } else if (filename === "fourier.html") {
+    return "fourier";
+  } else if (filename === "frequency-domain.html") {
+    return "frequency-domain";
+  } else if (filename === "convolution.html") {
+    return "convolution";
+  } else if (filename === "sampling.html") {
+    return "sampling";
   }
 
   // Default fallback
@@ -53,6 +102,47 @@ const APP_CONFIG = {
     },
   },
 
+  // Container the demo pages fill with their visualizer's layout
+  layoutId: "visualizerLayout",
+
+  // Element IDs of the single-page shell in index.html
+  shell: {
+    landingId: "landingView",
+    gridId: "demoGrid",
+    searchId: "demoSearch",
+    topicFilterId: "topicFilter",
+    viewId: "visualizerView",
+    stylesheetId: "visualizerStylesheet",
+    stylesheetBase: "./assets/css/",
+    homeIcon: "./assets/favicon.svg",
+    title: "Signals and Systems",
+  },
+
+  // Download/Load controls present on every page
+  fileControls: {
+    exportButton: "exportStateButton",
+    importButton: "importStateButton",
+    importInput: "importStateInput",
+    dataExportButton: "exportDataButton",
+    dataFormatSelect: "dataFormatSelect",
+    imageExportButton: "exportImageButton",
+    imageTargetSelect: "imageTargetSelect",
+    imageFormatSelect: "imageFormatSelect",
+    imageScaleInput: "imageScaleInput",
+  },
+
+  // postMessage control API for iframe embeds (see MessageProtocol)
+  messaging: {
+    enabled: true,
+    // Origins allowed to send requests; add the LMS or slide tool origin
+    // here. "*" allows any origin and should only be used for testing
+    allowedOrigins: [window.location.origin],
+  },
+
+  // Plugin modules (see PluginLoader) loaded before the shell starts, as URLs
+  // relative to the page, e.g. "./plugins/laplace.js"
+  plugins: [],
+
   // Error handling configuration
   errorHandling: {
     showErrorMessages: true,
@@ -62,24 +152,38 @@ const APP_CONFIG = {
 };
 
 /**
- * Initialize the visualization application using factory pattern
+ * Initialize the visualization application using factory pattern; the
+ * visualizer's module is loaded on demand, with a notice while it downloads
  */
-function initializeApp() {
+async function initializeApp() {
+  const type = APP_CONFIG.visualizerType;
+  const attempt = ++initializationCount;
+  const isStale = () => attempt !== initializationCount;
+
   try {
     // Log detected page type for debugging
-    console.log(`Detected page type: ${APP_CONFIG.visualizerType}`);
+    console.log(`Detected page type: ${type}`);
+
+    await loadVisualizer(type);
+    if (isStale()) return;
+    hideErrorMessage();
+
+    // Restore shared state from the URL so it goes through validation too
+    const permalink = Permalink.decode(
+      window.location.search,
+      type,
+      VisualizerFactory.getStateConfigKeys(type)
+    );
+    permalinkConfigOverrides = permalink.configOverrides;
 
     // Get the appropriate configuration template
     const config = createVisualizerConfig(
-      APP_CONFIG.visualizerType,
-      APP_CONFIG.configOverrides
+      type,
+      ConfigValidator.deepMerge(APP_CONFIG.configOverrides, permalink.overrides)
     );
 
     // Validate the configuration
-    const validation = ConfigValidator.validate(
-      config,
-      APP_CONFIG.visualizerType
-    );
+    const validation = ConfigValidator.validate(config, type);
     if (!validation.valid) {
       throw new Error(
         `Configuration validation failed: ${validation.errors.join(", ")}`
@@ -87,18 +191,46 @@ function initializeApp() {
     }
 
     // Create visualizer using factory
-    currentVisualizer = VisualizerFactory.create(
-      APP_CONFIG.visualizerType,
-      validation.config
-    );
+    const visualizer = await VisualizerFactory.create(type, validation.config);
+    if (isStale()) {
+      visualizer.destroy();
+      return;
+    }
+    currentVisualizer = visualizer;
 
-    // Initialize the visualizer
+    // Initialize the visualizer; subscribed host pages then follow every
+    // state change, whether from a control, the URL or a message
     currentVisualizer.initialize();
+    currentVisualizer.subscribe(notifyStateChange);
+    // Undo and redo steps become browser history entries like control changes
+    currentVisualizer.enableHistory({ onRestore: () => updatePermalink() });
+
+    // Record the initial state so back/forward can return to it
+    updatePermalink({ replace: true });
+    announceReady();
 
     console.log(`Successfully initialized ${currentVisualizer._factoryName}`);
   } catch (error) {
-    handleInitializationError(error);
+    if (!isStale()) handleInitializationError(error);
+  }
+}
+
+/**
+ * Load the module of a visualizer type, with a notice while it downloads
+ * @param {string} type - Visualizer type
+ * @returns {Promise<Function>} Visualizer class
+ * @throws {Error} If the type is unknown or its module fails to load
+ */
+async function loadVisualizer(type) {
+  if (
+    VisualizerFactory.isValidType(type) &&
+    !VisualizerFactory.isLoaded(type)
+  ) {
+    showLoadingMessage(
+      `Loading ${VisualizerFactory.getVisualizerInfo()[type].name}…`
+    );
   }
+  return VisualizerFactory.load(type);
 }
 
 /**
@@ -124,7 +256,17 @@ function createVisualizerConfig(type, overrides = {}) {
       case "frequency-domain":
         config = ConfigTemplates.getFrequencyDomainConfig(overrides);
         break;
+      case "convolution":
+        config = ConfigTemplates.getConvolutionConfig(overrides);
+        break;
+      case "sampling":
+        config = ConfigTemplates.getSamplingConfig(overrides);
+        break;
       default:
+        if (ConfigTemplates.pluginTemplates[type]) {
+          config = ConfigTemplates.getPluginConfig(type, overrides);
+          break;
+        }
         // Fallback to phase-shift with legacy CONFIG
         console.warn(
           `Unknown visualizer type: ${type}. Falling back to phase-shift.`
@@ -141,6 +283,267 @@ function createVisualizerConfig(type, overrides = {}) {
   }
 }
 
+/**
+ * Write the current visualizer state into the URL
+ * @param {Object} options - { replace: true } to replace the history entry
+ *   instead of adding one
+ */
+function updatePermalink({ replace = false } = {}) {
+  if (!currentVisualizer) return;
+
+  const type = currentVisualizer._factoryType;
+  const search = Permalink.encode(
+    type,
+    currentVisualizer.getState(),
+    VisualizerFactory.getStateConfigKeys(type),
+    permalinkConfigOverrides
+  );
+  if (search === window.location.search) return;
+
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+}
+
+/**
+ * Restore the state of a history entry (back/forward navigation)
+ */
+function restorePermalink() {
+  if (!currentVisualizer) return;
+
+  // Entries of another route are rebuilt by the shell's router instead
+  const type = currentVisualizer._factoryType;
+  if (detectVisualizerType() !== type) return;
+
+  const { state } = Permalink.decode(
+    window.location.search,
+    type,
+    VisualizerFactory.getStateConfigKeys(type)
+  );
+  currentVisualizer.applyState(state);
+}
+
+/**
+ * Download the current visualization as a versioned JSON file
+ */
+function exportState() {
+  if (!currentVisualizer) return;
+
+  const data = currentVisualizer.exportData();
+  FileUtils.download(
+    FileUtils.makeFilename(data.type, "json"),
+    StateFile.stringify(data)
+  );
+}
+
+/**
+ * Download the plotted series of the current visualizer as a data table
+ * @param {string} format - Format key of DataExporter.formats
+ */
+function exportDataTable(format) {
+  if (!currentVisualizer) return;
+
+  try {
+    const table = currentVisualizer.getDataTable();
+    const { content, extension, mimeType } = DataExporter.export(table, format);
+    FileUtils.download(
+      FileUtils.makeFilename(table.type, extension, "data"),
+      content,
+      mimeType
+    );
+  } catch (error) {
+    console.error("Failed to export data:", error);
+    showErrorMessage("Export Error", error.message);
+  }
+}
+
+/**
+ * Download one chart, or all charts of the page, as SVG or PNG
+ * @param {string} target - Canvas ID, or "page" for every chart
+ * @param {string} format - "svg" or "png"
+ * @param {number} scale - PNG scale factor relative to the on-screen size
+ */
+async function exportChartImage(target, format, scale) {
+  if (!currentVisualizer) return;
+
+  try {
+    const page = target === "page";
+    const svg = page
+      ? currentVisualizer.getPageSVG()
+      : currentVisualizer.getChartSVG(target);
+    const filename = FileUtils.makeFilename(
+      currentVisualizer._factoryType,
+      format,
+      page ? "charts" : target
+    );
+
+    if (format === "png") {
+      FileUtils.download(filename, await ChartExporter.toPNG(svg, scale));
+    } else {
+      FileUtils.download(filename, svg, "image/svg+xml");
+    }
+  } catch (error) {
+    console.error("Failed to export image:", error);
+    showErrorMessage("Export Error", error.message);
+  }
+}
+
+/**
+ * List the current charts, titled as on the page, in the image export menu
+ * @param {HTMLSelectElement} select - Chart selector
+ */
+function populateImageTargets(select) {
+  if (!currentVisualizer) return;
+
+  const selected = select.value;
+  select.innerHTML = "";
+  const addOption = (value, text) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  };
+
+  addOption("page", "All charts");
+  currentVisualizer.getChartFigures().forEach(({ canvasId, title }) => {
+    addOption(canvasId, title || canvasId);
+  });
+  select.value = selected || "page";
+}
+
+/**
+ * Load a previously downloaded JSON file into the current visualizer
+ * @param {File} file - File chosen by the user
+ */
+async function importState(file) {
+  if (!currentVisualizer || !file) return;
+
+  try {
+    const text = await FileUtils.readText(file);
+    const { migratedFrom } = currentVisualizer.importData(
+      StateFile.parse(text)
+    );
+    hideErrorMessage();
+    updatePermalink();
+    console.log(
+      migratedFrom
+        ? `Loaded visualizer state from ${file.name} (upgraded from format ${migratedFrom} to ${StateFile.version})`
+        : `Loaded visualizer state from ${file.name}`
+    );
+  } catch (error) {
+    console.error(`Failed to load ${file.name}:`, error);
+    showErrorMessage("Load Error", `${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Wire up the Download and Load buttons
+ */
+function initializeFileControls() {
+  const {
+    exportButton,
+    importButton,
+    importInput,
+    dataExportButton,
+    dataFormatSelect,
+    imageExportButton,
+    imageTargetSelect,
+    imageFormatSelect,
+    imageScaleInput,
+  } = APP_CONFIG.fileControls;
+  const exportElement = document.getElementById(exportButton);
+  const importElement = document.getElementById(importButton);
+  const inputElement = document.getElementById(importInput);
+  const dataExportElement = document.getElementById(dataExportButton);
+  const formatElement = document.getElementById(dataFormatSelect);
+  const imageExportElement = document.getElementById(imageExportButton);
+  const targetElement = document.getElementById(imageTargetSelect);
+  const imageFormatElement = document.getElementById(imageFormatSelect);
+  const scaleElement = document.getElementById(imageScaleInput);
+
+  if (exportElement) {
+    exportElement.addEventListener("click", exportState);
+  }
+  if (importElement && inputElement) {
+    importElement.addEventListener("click", () => inputElement.click());
+    inputElement.addEventListener("change", (e) => {
+      importState(e.target.files[0]);
+      // Allow the same file to be loaded again
+      e.target.value = "";
+    });
+  }
+  if (dataExportElement) {
+    dataExportElement.addEventListener("click", () =>
+      exportDataTable(formatElement ? formatElement.value : "csv")
+    );
+  }
+  if (imageExportElement) {
+    if (targetElement) {
+      // Chart titles follow the controls, so refresh them on each visit
+      populateImageTargets(targetElement);
+      targetElement.addEventListener("focus", () =>
+        populateImageTargets(targetElement)
+      );
+    }
+    imageExportElement.addEventListener("click", () =>
+      exportChartImage(
+        targetElement ? targetElement.value : "page",
+        imageFormatElement ? imageFormatElement.value : "svg",
+        Math.max(1, parseFloat(scaleElement?.value) || 1)
+      )
+    );
+  }
+}
+
+/**
+ * Show an error in the page's error container
+ * @param {string} title - Short error title
+ * @param {string} message - Error details
+ */
+function showErrorMessage(title, message) {
+  if (!APP_CONFIG.errorHandling.showErrorMessages) return;
+
+  const errorContainer = document.getElementById("error-message");
+  if (errorContainer) {
+    errorContainer.replaceChildren(
+      DOMUtils.createNotice(document, {
+        title,
+        message,
+        note: "Check the console for more details.",
+      })
+    );
+    errorContainer.style.display = "block";
+  }
+}
+
+/**
+ * Show a loading notice in the page's error container
+ * @param {string} message - Notice text
+ */
+function showLoadingMessage(message) {
+  const errorContainer = document.getElementById("error-message");
+  if (errorContainer) {
+    errorContainer.replaceChildren(
+      DOMUtils.createNotice(document, { kind: "status", message })
+    );
+    errorContainer.style.display = "block";
+  }
+}
+
+/**
+ * Hide the page's error container
+ */
+function hideErrorMessage() {
+  const errorContainer = document.getElementById("error-message");
+  if (errorContainer) {
+    errorContainer.innerHTML = "";
+    errorContainer.style.display = "none";
+  }
+}
+
 /**
  * Handle initialization errors gracefully
  * @param {Error} error - The error that occurred
@@ -150,19 +553,8 @@ function handleInitializationError(error) {
 
   console.error(errorMessage, error);
 
-  if (APP_CONFIG.errorHandling.showErrorMessages) {
-    // Try to show error in UI if possible
-    const errorContainer = document.getElementById("error-message");
-    if (errorContainer) {
-      errorContainer.innerHTML = `
-        <div style="color: red; background: #ffe6e6; border: 1px solid red; padding: 10px; margin: 10px 0; border-radius: 4px;">
-          <strong>Initialization Error:</strong> ${error.message}
-          <br><small>Check the console for more details.</small>
-        </div>
-      `;
-      errorContainer.style.display = "block";
-    }
-  }
+  // Try to show error in UI if possible
+  showErrorMessage("Initialization Error", error.message);
 
   // Try fallback initialization
   if (
@@ -177,30 +569,381 @@ function handleInitializationError(error) {
 }
 
 /**
- * Switch to a different visualizer type dynamically
+ * Switch to a different visualizer type. The shell rebuilds its view in
+ * place under the type's route; demo pages load the type's own page. Config
+ * overrides travel in the permalink either way
  * @param {string} newType - New visualizer type
  * @param {Object} configOverrides - Optional configuration overrides
+ * @throws {Error} If the visualizer type is unknown
  */
 function switchVisualizer(newType, configOverrides = {}) {
+  if (!VisualizerFactory.isValidType(newType)) {
+    throw new Error(
+      `Unknown visualizer type: ${newType}. Available types: ${VisualizerFactory.getAvailableTypes().join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!isShell()) {
+    cleanup();
+    window.location.assign(
+      `${newType}.html${Permalink.encode(newType, {}, {}, configOverrides)}`
+    );
+    return;
+  }
+
+  // Keep the query of a history entry that belongs to this route, so back
+  // and forward restore its settings
+  const linkedType = new URLSearchParams(window.location.search).get(
+    Permalink.typeParam
+  );
+  const search =
+    linkedType === newType && Object.keys(configOverrides).length === 0
+      ? window.location.search
+      : Permalink.encode(newType, {}, {}, configOverrides);
+  const hash = HashRouter.format(newType);
+  const url = `${window.location.pathname}${search}${hash}`;
+  if (window.location.hash === hash) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+
+  showVisualizerView(newType);
+}
+
+/**
+ * Build the shell's view from the layout the visualizer type declares and
+ * start the visualizer; the view shows a loading notice until the type's
+ * module has loaded
+ * @param {string} type - Visualizer type
+ */
+async function showVisualizerView(type) {
+  const { landingId, viewId, stylesheetId, stylesheetBase, homeIcon } =
+    APP_CONFIG.shell;
+  const attempt = ++viewCount;
+  const info = VisualizerFactory.getVisualizerInfo()[type];
+
+  cleanup();
+  document.getElementById(landingId).hidden = true;
+  const view = document.getElementById(viewId);
+  view.innerHTML = LayoutTemplates.errorMessage;
+  view.hidden = false;
+
   try {
-    // Clean up current visualizer
-    if (currentVisualizer) {
-      currentVisualizer.destroy();
-      currentVisualizer = null;
+    await loadVisualizer(type);
+  } catch (error) {
+    if (attempt === viewCount) handleInitializationError(error);
+    return;
+  }
+  if (attempt !== viewCount) return;
+
+  const layout = LayoutTemplates.getLayout(type);
+  const stylesheet = document.getElementById(stylesheetId);
+  // Plugin stylesheets are absolute URLs, which URL resolution keeps
+  stylesheet.href = new URL(
+    layout.stylesheet,
+    new URL(stylesheetBase, document.baseURI)
+  ).href;
+  stylesheet.disabled = false;
+
+  view.innerHTML = `${LayoutTemplates.renderPage(type, info.description)}
+<a href="${HashRouter.format(
+    ""
+  )}" class="homepage-link"><img src="${homeIcon}" alt="All demos" class="homepage-icon"></a>`;
+  document.title = layout.title;
+
+  initializeApp();
+  initializeFileControls();
+}
+
+/**
+ * Render the landing page cards that match the search and topic filters
+ */
+function renderLandingCards() {
+  const { gridId, searchId, topicFilterId } = APP_CONFIG.shell;
+
+  document.getElementById(gridId).innerHTML = LandingPage.render(
+    VisualizerFactory.getVisualizerInfo(),
+    {
+      query: document.getElementById(searchId).value,
+      topic: document.getElementById(topicFilterId).value,
     }
+  );
+}
 
-    // Update configuration
-    APP_CONFIG.visualizerType = newType;
-    APP_CONFIG.configOverrides = {
-      ...APP_CONFIG.configOverrides,
-      ...configOverrides,
-    };
+/**
+ * Re-render the cards whenever a landing page filter changes
+ */
+function initializeLandingFilters() {
+  const { searchId, topicFilterId } = APP_CONFIG.shell;
 
-    // Initialize new visualizer
-    initializeApp();
+  document
+    .getElementById(searchId)
+    .addEventListener("input", renderLandingCards);
+  document
+    .getElementById(topicFilterId)
+    .addEventListener("change", renderLandingCards);
+}
+
+/**
+ * Show the shell's landing page with a card per registered visualizer
+ */
+function showLandingView() {
+  const { landingId, viewId, stylesheetId, topicFilterId, title } =
+    APP_CONFIG.shell;
+
+  viewCount++;
+  cleanup();
+  const view = document.getElementById(viewId);
+  view.hidden = true;
+  view.innerHTML = "";
+  document.getElementById(stylesheetId).disabled = true;
+
+  // Topics come from the registry, which may have grown since the last visit
+  const topicFilter = document.getElementById(topicFilterId);
+  const selectedTopic = topicFilter.value;
+  topicFilter.innerHTML = LandingPage.renderTopicOptions(
+    VisualizerFactory.getVisualizerInfo()
+  );
+  topicFilter.value = selectedTopic;
+  if (topicFilter.value !== selectedTopic) topicFilter.value = "";
+
+  renderLandingCards();
+  document.getElementById(landingId).hidden = false;
+  document.title = title;
+}
+
+/**
+ * Show the landing page or visualizer of a shell route
+ * @param {string} route - Visualizer type, or "" for the landing page
+ */
+function handleRoute(route) {
+  if (!route) {
+    showLandingView();
+    return;
+  }
+  if (currentVisualizer && currentVisualizer._factoryType === route) return;
+
+  try {
+    switchVisualizer(route);
+  } catch (error) {
+    console.warn(`Unknown route "${route}":`, error.message);
+    showLandingView();
+  }
+}
+
+/**
+ * Load the plugins listed in APP_CONFIG.plugins; a plugin that fails is
+ * reported and left out so the others still start
+ */
+async function loadPlugins() {
+  const results = await Promise.allSettled(
+    APP_CONFIG.plugins.map((url) => PluginLoader.load(url))
+  );
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error(result.reason.message));
+}
+
+/**
+ * Fill a demo page's layout container with the charts and controls its
+ * visualizer declares, once the visualizer's module has loaded
+ * @returns {Promise<boolean>} True if the layout is shown, false if loading
+ *   failed and the error is shown instead
+ */
+async function renderPageLayout() {
+  const type = APP_CONFIG.visualizerType;
+  const container = document.getElementById(APP_CONFIG.layoutId);
+  container.innerHTML = LayoutTemplates.errorMessage;
+
+  try {
+    await loadVisualizer(type);
   } catch (error) {
     handleInitializationError(error);
+    return false;
+  }
+  container.innerHTML = LayoutTemplates.render(type, { fileControls: true });
+  return true;
+}
+
+/**
+ * Start the page: the shell loads its plugins and follows its hash routes,
+ * demo pages render their layout and start their visualizer
+ */
+async function startApp() {
+  if (isShell()) {
+    await loadPlugins();
+    initializeLandingFilters();
+    new HashRouter(handleRoute).start();
+    return;
   }
+
+  if (!(await renderPageLayout())) return;
+  initializeApp();
+  initializeFileControls();
+}
+
+/**
+ * Get the type and state of the current visualizer
+ * @returns {Object} { visualizer, state }
+ * @throws {Error} If no visualizer is running
+ */
+function getStateSnapshot() {
+  if (!currentVisualizer) {
+    throw new Error("No visualizer is running");
+  }
+  return {
+    visualizer: currentVisualizer._factoryType,
+    state: currentVisualizer.getState(),
+  };
+}
+
+/**
+ * Parse and validate a parameter value sent by a host page
+ * @param {string} name - Shareable state key, e.g. "phaseShift"
+ * @param {*} value - Value, or text such as "pi/2"
+ * @returns {*} Validated value
+ * @throws {Error} If the parameter is unknown or the value invalid
+ */
+function parseParameter(name, value) {
+  const type = currentVisualizer._factoryType;
+  const stateKeys = VisualizerFactory.getStateConfigKeys(type);
+  const configKey = stateKeys[name];
+  if (!configKey) {
+    throw new Error(
+      `Unknown parameter "${name}" for ${type}. Parameters: ${Object.keys(
+        stateKeys
+      ).join(", ")}`
+    );
+  }
+
+  const schemaValue = ConfigValidator.schemas[type]?.[configKey] || {};
+  const parsed =
+    typeof value === "string"
+      ? Permalink.parseValue(value, schemaValue)
+      : value;
+  if (typeof parsed === "number" && !Number.isFinite(parsed)) {
+    throw new Error(`Parameter "${name}" is not a number: ${value}`);
+  }
+  return ConfigValidator.validateProperty(parsed, schemaValue, name);
+}
+
+/**
+ * Handlers for postMessage requests, keyed by request type; each returns
+ * the result sent back to the host
+ */
+const messageHandlers = {
+  setParameter({ name, value }) {
+    getStateSnapshot();
+    currentVisualizer.applyState({ [name]: parseParameter(name, value) });
+    updatePermalink();
+    return getStateSnapshot();
+  },
+
+  getState() {
+    return getStateSnapshot();
+  },
+
+  switchVisualizer({ visualizer, config = {} }) {
+    // A demo page would navigate away and drop every subscription
+    if (!isShell()) {
+      throw new Error(
+        `switchVisualizer needs the app shell (index.html#/${visualizer}); this page shows one visualizer only`
+      );
+    }
+    switchVisualizer(visualizer, config);
+    return { visualizer };
+  },
+
+  exportData({ format = "state" }) {
+    getStateSnapshot();
+    if (format === "state") {
+      return currentVisualizer.exportData();
+    }
+    return DataExporter.export(currentVisualizer.getDataTable(), format);
+  },
+
+  subscribe(request, source, origin) {
+    if (!source) {
+      throw new Error("subscribe needs a message source to send events to");
+    }
+    messageSubscribers.set(source, origin);
+    const snapshot = getStateSnapshot();
+    lastNotifiedState = JSON.stringify(snapshot);
+    return snapshot;
+  },
+
+  unsubscribe(request, source) {
+    messageSubscribers.delete(source);
+    return { subscribed: false };
+  },
+};
+
+/**
+ * Answer a postMessage request from an allowed host page
+ * @param {MessageEvent} event - Message event
+ */
+function handleMessage(event) {
+  if (!MessageProtocol.isProtocolMessage(event.data)) return;
+
+  if (
+    !MessageProtocol.isAllowedOrigin(
+      event.origin,
+      APP_CONFIG.messaging.allowedOrigins
+    )
+  ) {
+    console.warn(`Ignoring message from disallowed origin: ${event.origin}`);
+    return;
+  }
+
+  const reply = (message) => {
+    if (event.source) event.source.postMessage(message, event.origin);
+  };
+
+  try {
+    const request = MessageProtocol.validateRequest(event.data);
+    const result = messageHandlers[request.type](
+      request,
+      event.source,
+      event.origin
+    );
+    reply(MessageProtocol.response(request.id, result));
+  } catch (error) {
+    console.error(`Failed to handle ${event.data.type} message:`, error);
+    reply(MessageProtocol.errorResponse(event.data.id, error));
+  }
+}
+
+/**
+ * Send the current state to subscribed hosts if it changed
+ */
+function notifyStateChange() {
+  if (!currentVisualizer || messageSubscribers.size === 0) return;
+
+  const snapshot = getStateSnapshot();
+  const serialized = JSON.stringify(snapshot);
+  if (serialized === lastNotifiedState) return;
+  lastNotifiedState = serialized;
+
+  const message = MessageProtocol.event("change", snapshot);
+  messageSubscribers.forEach((origin, source) => {
+    source.postMessage(message, origin);
+  });
+}
+
+/**
+ * Tell an embedding page that the visualizer is ready for requests; sent
+ * to the allowed origins only, since the parent's origin is not known
+ */
+function announceReady() {
+  if (!APP_CONFIG.messaging.enabled || window.parent === window) return;
+
+  const message = MessageProtocol.event("ready", getStateSnapshot());
+  APP_CONFIG.messaging.allowedOrigins
+    .filter((origin) => origin !== "*")
+    .forEach((origin) => window.parent.postMessage(message, origin));
 }
 
 /**
@@ -222,10 +965,19 @@ function cleanup() {
 }
 
 // Initialize the application when DOM is loaded
-document.addEventListener("DOMContentLoaded", initializeApp);
+document.addEventListener("DOMContentLoaded", startApp);
 
 // Clean up when page is unloaded
 window.addEventListener("beforeunload", cleanup);
 
+// Committed control changes (slider released, option picked) become history
+// entries; dragging a slider only fires "input" and adds none
+document.addEventListener("change", () => updatePermalink());
+window.addEventListener("popstate", restorePermalink);
+
+if (APP_CONFIG.messaging.enabled) {
+  window.addEventListener("message", handleMessage);
+}
+
 // Export for potential use by other modules
 export { currentVisualizer, switchVisualizer, getAvailableVisualizers };
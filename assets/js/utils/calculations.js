@@ -1,5 +1,7 @@
 // Mathematical calculations and formatting utilities
 
+import { ExpressionParser } from "./expression.js";
+
 export class MathUtils {
   /**
    * Format labels as multiples of π
@@ -55,6 +57,39 @@ export class MathUtils {
       (_, i) => start + i * ((end - start) / (count - 1))
     );
   }
+
+  /**
+   * Parse a number that may be written as a constant expression (e.g. "3/2", "pi/4")
+   * @param {number|string} value - Number or expression string
+   * @returns {number} Parsed value (NaN if it cannot be parsed)
+   */
+  static parseNumber(value) {
+    if (typeof value === "number") return value;
+    if (typeof value !== "string") return NaN;
+
+    try {
+      return ExpressionParser.evaluate(value);
+    } catch (error) {
+      return NaN;
+    }
+  }
+
+  /**
+   * Express a value as a simple fraction n/d if one exists
+   * @param {number} value - Value to express
+   * @param {number} maxDenominator - Largest denominator to try
+   * @param {number} tolerance - Allowed difference from the fraction
+   * @returns {Object|null} { numerator, denominator } or null
+   */
+  static toSimpleFraction(value, maxDenominator = 12, tolerance = 1e-6) {
+    for (let denominator = 1; denominator <= maxDenominator; denominator++) {
+      const numerator = Math.round(value * denominator);
+      if (Math.abs(value - numerator / denominator) < tolerance) {
+        return { numerator, denominator };
+      }
+    }
+    return null;
+  }
 }
 
 export class WaveformCalculator {
@@ -93,4 +128,648 @@ export class WaveformCalculator {
       imaginary: Math.sin(phaseShift),
     };
   }
+
+  /**
+   * Evaluate a sum of sinusoids Σ A·cos(2πft + φ)
+   * @param {number[]} labels - Time labels in seconds
+   * @param {Object[]} tones - Tones { frequency (Hz), amplitude, phase (rad) }
+   * @returns {number[]} Signal values
+   */
+  static calculateMultiTone(labels, tones) {
+    return labels.map((t) =>
+      tones.reduce(
+        (sum, { frequency, amplitude, phase }) =>
+          sum + amplitude * Math.cos(2 * Math.PI * frequency * t + phase),
+        0
+      )
+    );
+  }
+
+  /**
+   * Sample times n/fs that fall inside [start, end]
+   * @param {number} start - Start time in seconds
+   * @param {number} end - End time in seconds
+   * @param {number} sampleRate - Sampling rate fs in Hz
+   * @returns {number[]} Sample times
+   */
+  static calculateSampleTimes(start, end, sampleRate) {
+    const first = Math.ceil(start * sampleRate - 1e-9);
+    const last = Math.floor(end * sampleRate + 1e-9);
+    return Array.from(
+      { length: Math.max(0, last - first + 1) },
+      (_, i) => (first + i) / sampleRate
+    );
+  }
+
+  /**
+   * Find the baseband tone that produces the same samples as a given tone
+   * The frequency is folded into [−fs/2, fs/2]; a negative fold mirrors the
+   * phase, and a tone landing exactly on fs/2 keeps only its cosine part.
+   * @param {Object} tone - Tone { frequency (Hz), amplitude, phase (rad) }
+   * @param {number} sampleRate - Sampling rate fs in Hz
+   * @returns {Object} Aliased tone { frequency, amplitude, phase }
+   */
+  static calculateAlias({ frequency, amplitude, phase }, sampleRate) {
+    const folded = frequency - sampleRate * Math.round(frequency / sampleRate);
+
+    if (Math.abs(Math.abs(folded) - sampleRate / 2) < 1e-12) {
+      return {
+        frequency: sampleRate / 2,
+        amplitude: amplitude * Math.cos(phase),
+        phase: 0,
+      };
+    }
+
+    return {
+      frequency: Math.abs(folded),
+      amplitude,
+      phase: folded < 0 ? -phase : phase,
+    };
+  }
+}
+
+/**
+ * Signals built as a sum of sinusoidal components, each
+ * amplitude·cos(frequency·t + phase) or amplitude·sin(...). The integral and
+ * frequency-domain visualizers share these definitions.
+ */
+export class CompositeSignal {
+  /**
+   * Default components: cos(t) + sin(2t) + cos(3t + π/4)
+   */
+  static defaultComponents = [
+    { type: "cos", amplitude: 1, frequency: 1, phase: 0 },
+    { type: "sin", amplitude: 1, frequency: 2, phase: 0 },
+    { type: "cos", amplitude: 1, frequency: 3, phase: Math.PI / 4 },
+  ];
+
+  /**
+   * Get a copy of the default components, safe to modify
+   * @returns {Object[]} Component definitions
+   */
+  static getDefaultComponents() {
+    return this.defaultComponents.map((component) => ({ ...component }));
+  }
+
+  /**
+   * Validate and normalize components; frequencies may be given as
+   * fractions such as "3/2"
+   * @param {Object[]} components - Component definitions
+   * @returns {Object[]} Normalized components with numeric fields
+   * @throws {Error} If a component is malformed
+   */
+  static normalize(components) {
+    if (!Array.isArray(components) || components.length === 0) {
+      throw new Error("Composite signal requires at least one component");
+    }
+
+    return components.map((component, index) => {
+      const type = component.type || "cos";
+      const amplitude = MathUtils.parseNumber(component.amplitude ?? 1);
+      const frequency = MathUtils.parseNumber(component.frequency);
+      const phase = MathUtils.parseNumber(component.phase ?? 0);
+
+      if (type !== "cos" && type !== "sin") {
+        throw new Error(
+          `Component ${index + 1}: type must be "cos" or "sin", got "${type}"`
+        );
+      }
+      if (![amplitude, frequency, phase].every(Number.isFinite)) {
+        throw new Error(
+          `Component ${
+            index + 1
+          }: amplitude, frequency and phase must be numbers`
+        );
+      }
+      if (frequency < 0) {
+        throw new Error(
+          `Component ${index + 1}: frequency must not be negative`
+        );
+      }
+
+      return { type, amplitude, frequency, phase };
+    });
+  }
+
+  /**
+   * Evaluate the sum of normalized components
+   * @param {Object[]} components - Normalized components
+   * @param {number} time - Time (in units of the fundamental's period / 2π)
+   * @returns {number} Signal value
+   */
+  static evaluate(components, time) {
+    return components.reduce((sum, { type, amplitude, frequency, phase }) => {
+      const argument = frequency * time + phase;
+      return (
+        sum +
+        amplitude * (type === "sin" ? Math.sin(argument) : Math.cos(argument))
+      );
+    }, 0);
+  }
+}
+
+export class FourierSeriesCalculator {
+  /**
+   * Build a periodic waveform function
+   * @param {string} type - Waveform type ("square", "triangle", "sawtooth", "custom" or "expression")
+   * @param {number} period - Waveform period
+   * @param {Array} customPoints - [t, y] breakpoints over one period (custom only)
+   * @param {string} expression - Expression in t over one period centered on 0 (expression only)
+   * @returns {Function} Periodic function of time
+   */
+  static createWaveform(type, period, customPoints = [], expression = "") {
+    // Position within the period, normalized to [0, 1)
+    const phase = (t) => {
+      const x = t / period;
+      return x - Math.floor(x);
+    };
+
+    switch (type) {
+      case "square":
+        return (t) => {
+          const x = phase(t);
+          if (x === 0 || x === 0.5) return 0;
+          return x < 0.5 ? 1 : -1;
+        };
+      case "triangle":
+        return (t) => 1 - 4 * Math.abs(phase(t + period / 2) - 0.5);
+      case "sawtooth":
+        return (t) => 2 * phase(t + period / 2) - 1;
+      case "custom":
+        return this.createPiecewiseLinear(customPoints, period);
+      case "expression":
+        return this.createPeriodicExpression(expression, period);
+      default:
+        throw new Error(`Unknown waveform type: "${type}"`);
+    }
+  }
+
+  /**
+   * Build a periodic piecewise-linear function from breakpoints
+   * @param {Array} points - [t, y] breakpoints within one period
+   * @param {number} period - Waveform period
+   * @returns {Function} Periodic function of time
+   */
+  static createPiecewiseLinear(points, period) {
+    if (!points || points.length === 0) {
+      throw new Error("Custom waveform requires at least one point");
+    }
+
+    const sorted = [...points].sort((p, q) => p[0] - q[0]);
+
+    // Wrap the first point around so interpolation is continuous across periods
+    const [firstT, firstY] = sorted[0];
+    const nodes = [...sorted, [firstT + period, firstY]];
+
+    return (t) => {
+      let x = (t - firstT) % period;
+      if (x < 0) x += period;
+      x += firstT;
+
+      for (let i = 0; i < nodes.length - 1; i++) {
+        const [t0, y0] = nodes[i];
+        const [t1, y1] = nodes[i + 1];
+        if (x >= t0 && x <= t1) {
+          return t1 === t0 ? y1 : y0 + ((x - t0) / (t1 - t0)) * (y1 - y0);
+        }
+      }
+      return firstY;
+    };
+  }
+
+  /**
+   * Build a periodic function by repeating an expression defined on [−T/2, T/2)
+   * The fundamental angular frequency is available in the expression as ω.
+   * @param {string} expression - Expression in t, e.g. "rect(t/pi)"
+   * @param {number} period - Waveform period
+   * @returns {Function} Periodic function of time
+   * @throws {ExpressionError} If the expression cannot be parsed
+   */
+  static createPeriodicExpression(expression, period) {
+    const evaluate = ExpressionParser.toFunction(expression, {
+      omega: (2 * Math.PI) / period,
+    });
+
+    return (t) => {
+      const x = t / period + 0.5;
+      return evaluate((x - Math.floor(x) - 0.5) * period);
+    };
+  }
+
+  /**
+   * Calculate trigonometric Fourier series coefficients
+   * f(t) ≈ a0/2 + Σ [a_n cos(nω₀t) + b_n sin(nω₀t)], with ω₀ = 2π/T
+   * @param {Function} waveform - Periodic function of time
+   * @param {number} period - Waveform period
+   * @param {number} harmonics - Highest harmonic to calculate
+   * @param {number} samples - Number of samples over one period
+   * @returns {Object} Coefficient arrays { a, b } indexed by harmonic number
+   */
+  static calculateCoefficients(waveform, period, harmonics, samples = 2048) {
+    const omega0 = (2 * Math.PI) / period;
+    const dt = period / samples;
+    const a = new Array(harmonics + 1).fill(0);
+    const b = new Array(harmonics + 1).fill(0);
+
+    // Midpoint samples avoid landing exactly on jump discontinuities
+    for (let k = 0; k < samples; k++) {
+      const t = (k + 0.5) * dt;
+      const value = waveform(t);
+      for (let n = 0; n <= harmonics; n++) {
+        a[n] += value * Math.cos(n * omega0 * t);
+        b[n] += value * Math.sin(n * omega0 * t);
+      }
+    }
+
+    // Apply 2/T normalization (the dt factor turns the sums into integrals)
+    for (let n = 0; n <= harmonics; n++) {
+      a[n] *= (2 / period) * dt;
+      b[n] *= (2 / period) * dt;
+    }
+    b[0] = 0;
+
+    return { a, b };
+  }
+
+  /**
+   * Evaluate a single harmonic term a_n cos(nω₀t) + b_n sin(nω₀t)
+   * @param {Object} coefficients - Coefficient arrays { a, b }
+   * @param {number} n - Harmonic number
+   * @param {number[]} labels - Time labels
+   * @param {number} period - Waveform period
+   * @returns {number[]} Harmonic values
+   */
+  static calculateHarmonic(coefficients, n, labels, period) {
+    const omega0 = (2 * Math.PI) / period;
+    if (n === 0) {
+      return labels.map(() => coefficients.a[0] / 2);
+    }
+    return labels.map(
+      (t) =>
+        coefficients.a[n] * Math.cos(n * omega0 * t) +
+        coefficients.b[n] * Math.sin(n * omega0 * t)
+    );
+  }
+
+  /**
+   * Evaluate the partial sum S_N(t) of a Fourier series
+   * @param {Object} coefficients - Coefficient arrays { a, b }
+   * @param {number} harmonics - Number of harmonics N to include
+   * @param {number[]} labels - Time labels
+   * @param {number} period - Waveform period
+   * @returns {number[]} Partial sum values
+   */
+  static calculatePartialSum(coefficients, harmonics, labels, period) {
+    const sum = this.calculateHarmonic(coefficients, 0, labels, period);
+    for (let n = 1; n <= harmonics; n++) {
+      const harmonic = this.calculateHarmonic(coefficients, n, labels, period);
+      harmonic.forEach((value, i) => {
+        sum[i] += value;
+      });
+    }
+    return sum;
+  }
+
+  /**
+   * Convert trigonometric coefficients into a two-sided complex spectrum
+   * c_k = (a_k − i·b_k)/2 for k > 0, c_0 = a_0/2 and c_−k = conj(c_k)
+   * @param {Object} coefficients - Coefficient arrays { a, b }
+   * @param {number} maxHarmonic - Highest harmonic K to include (k = −K…K)
+   * @param {number} threshold - Magnitude below which the phase is reported as 0
+   * @returns {Object} Spectrum { harmonics, magnitude, phase }
+   */
+  static calculateComplexSpectrum(coefficients, maxHarmonic, threshold = 1e-3) {
+    const harmonics = [];
+    const magnitude = [];
+    const phase = [];
+
+    for (let k = -maxHarmonic; k <= maxHarmonic; k++) {
+      const n = Math.abs(k);
+      const re = n === 0 ? coefficients.a[0] / 2 : coefficients.a[n] / 2;
+      const im = n === 0 ? 0 : (Math.sign(k) * -coefficients.b[n]) / 2;
+      const mag = Math.hypot(re, im);
+
+      harmonics.push(k);
+      magnitude.push(mag);
+      // The phase of a (numerically) absent component is meaningless
+      phase.push(mag < threshold ? 0 : Math.atan2(im, re));
+    }
+
+    return { harmonics, magnitude, phase };
+  }
+}
+
+export class FFT {
+  /**
+   * Check whether a length is a power of two
+   * @param {number} n - Length to check
+   * @returns {boolean} True if n is a positive power of two
+   */
+  static isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+  }
+
+  /**
+   * Forward discrete Fourier transform X[k] = Σ x[n]·e^(−2πikn/N)
+   * Uses radix-2 for power-of-two lengths and Bluestein's algorithm otherwise.
+   * @param {ArrayLike<number>} real - Real parts of the input
+   * @param {ArrayLike<number>|null} imag - Imaginary parts of the input (zeros if omitted)
+   * @returns {Object} Spectrum { real, imag } as Float64Arrays of length N
+   */
+  static transform(real, imag = null) {
+    const n = real.length;
+    if (imag && imag.length !== n) {
+      throw new Error(
+        `Real and imaginary parts must have the same length (${n} vs ${imag.length})`
+      );
+    }
+
+    const re = Float64Array.from(real);
+    const im = imag ? Float64Array.from(imag) : new Float64Array(n);
+
+    if (n <= 1) return { real: re, imag: im };
+    if (this.isPowerOfTwo(n)) {
+      this.radix2InPlace(re, im);
+      return { real: re, imag: im };
+    }
+    return this.bluestein(re, im);
+  }
+
+  /**
+   * Inverse discrete Fourier transform x[n] = (1/N)·Σ X[k]·e^(2πikn/N)
+   * @param {ArrayLike<number>} real - Real parts of the spectrum
+   * @param {ArrayLike<number>|null} imag - Imaginary parts of the spectrum
+   * @returns {Object} Signal { real, imag } as Float64Arrays of length N
+   */
+  static inverse(real, imag = null) {
+    const n = real.length;
+
+    // ifft(X) = conj(fft(conj(X))) / N
+    const conjugate = imag ? Float64Array.from(imag, (v) => -v) : null;
+    const result = this.transform(real, conjugate);
+    for (let i = 0; i < n; i++) {
+      result.real[i] /= n;
+      result.imag[i] = -result.imag[i] / n;
+    }
+    return result;
+  }
+
+  /**
+   * Forward transform of a real signal, returning the non-negative bins only
+   * Even lengths are computed with a half-length complex FFT.
+   * @param {ArrayLike<number>} input - Real samples
+   * @returns {Object} Spectrum { real, imag } as Float64Arrays of length ⌊N/2⌋ + 1
+   */
+  static realTransform(input) {
+    const n = input.length;
+    const bins = Math.floor(n / 2) + 1;
+
+    if (n < 2 || n % 2 !== 0) {
+      const full = this.transform(input);
+      return {
+        real: full.real.slice(0, bins),
+        imag: full.imag.slice(0, bins),
+      };
+    }
+
+    // Pack even/odd samples into one complex signal of half the length
+    const half = n / 2;
+    const packedRe = new Float64Array(half);
+    const packedIm = new Float64Array(half);
+    for (let i = 0; i < half; i++) {
+      packedRe[i] = input[2 * i];
+      packedIm[i] = input[2 * i + 1];
+    }
+    const z = this.transform(packedRe, packedIm);
+
+    // Separate the even/odd spectra and combine with twiddle factors
+    const real = new Float64Array(bins);
+    const imag = new Float64Array(bins);
+    for (let k = 0; k <= half; k++) {
+      const a = k % half;
+      const b = (half - k) % half;
+      const evenRe = (z.real[a] + z.real[b]) / 2;
+      const evenIm = (z.imag[a] - z.imag[b]) / 2;
+      const oddRe = (z.imag[a] + z.imag[b]) / 2;
+      const oddIm = -(z.real[a] - z.real[b]) / 2;
+      const angle = (-2 * Math.PI * k) / n;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      real[k] = evenRe + oddRe * cos - oddIm * sin;
+      imag[k] = evenIm + oddRe * sin + oddIm * cos;
+    }
+    return { real, imag };
+  }
+
+  /**
+   * In-place iterative radix-2 Cooley–Tukey FFT
+   * @param {Float64Array} re - Real parts (length must be a power of two)
+   * @param {Float64Array} im - Imaginary parts
+   */
+  static radix2InPlace(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    // Twiddle factors e^(−2πik/N) for k < N/2
+    const cosTable = new Float64Array(n / 2);
+    const sinTable = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      cosTable[k] = Math.cos((2 * Math.PI * k) / n);
+      sinTable[k] = -Math.sin((2 * Math.PI * k) / n);
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+      const halfSize = size / 2;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < halfSize; k++) {
+          const even = start + k;
+          const odd = even + halfSize;
+          const wr = cosTable[k * step];
+          const wi = sinTable[k * step];
+          const tr = re[odd] * wr - im[odd] * wi;
+          const ti = re[odd] * wi + im[odd] * wr;
+          re[odd] = re[even] - tr;
+          im[odd] = im[even] - ti;
+          re[even] += tr;
+          im[even] += ti;
+        }
+      }
+    }
+  }
+
+  /**
+   * Arbitrary-length DFT via Bluestein's chirp-z algorithm
+   * @param {Float64Array} re - Real parts
+   * @param {Float64Array} im - Imaginary parts
+   * @returns {Object} Spectrum { real, imag }
+   */
+  static bluestein(re, im) {
+    const n = re.length;
+    let m = 1;
+    while (m < 2 * n - 1) m *= 2;
+
+    // Chirp w[k] = e^(−iπk²/N); reduce k² mod 2N to keep the angle accurate
+    const chirpRe = new Float64Array(n);
+    const chirpIm = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      const angle = (Math.PI * ((k * k) % (2 * n))) / n;
+      chirpRe[k] = Math.cos(angle);
+      chirpIm[k] = -Math.sin(angle);
+    }
+
+    const aRe = new Float64Array(m);
+    const aIm = new Float64Array(m);
+    for (let k = 0; k < n; k++) {
+      aRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k];
+      aIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k];
+    }
+
+    const bRe = new Float64Array(m);
+    const bIm = new Float64Array(m);
+    bRe[0] = chirpRe[0];
+    bIm[0] = -chirpIm[0];
+    for (let k = 1; k < n; k++) {
+      bRe[k] = bRe[m - k] = chirpRe[k];
+      bIm[k] = bIm[m - k] = -chirpIm[k];
+    }
+
+    // Circular convolution a ⊛ b through power-of-two FFTs
+    this.radix2InPlace(aRe, aIm);
+    this.radix2InPlace(bRe, bIm);
+    for (let k = 0; k < m; k++) {
+      const r = aRe[k] * bRe[k] - aIm[k] * bIm[k];
+      const i = aRe[k] * bIm[k] + aIm[k] * bRe[k];
+      // Conjugate so the forward FFT below acts as an inverse
+      aRe[k] = r;
+      aIm[k] = -i;
+    }
+    this.radix2InPlace(aRe, aIm);
+
+    const real = new Float64Array(n);
+    const imag = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      const cRe = aRe[k] / m;
+      const cIm = -aIm[k] / m;
+      real[k] = cRe * chirpRe[k] - cIm * chirpIm[k];
+      imag[k] = cRe * chirpIm[k] + cIm * chirpRe[k];
+    }
+    return { real, imag };
+  }
+
+  /**
+   * Linear convolution (a * b)[n] = Σ a[k]·b[n − k] via zero-padded FFTs
+   * @param {ArrayLike<number>} a - First real sequence
+   * @param {ArrayLike<number>} b - Second real sequence
+   * @returns {Float64Array} Convolution of length a.length + b.length − 1
+   */
+  static convolve(a, b) {
+    if (a.length === 0 || b.length === 0) return new Float64Array(0);
+
+    const length = a.length + b.length - 1;
+    let size = 1;
+    while (size < length) size *= 2;
+
+    const paddedA = new Float64Array(size);
+    const paddedB = new Float64Array(size);
+    paddedA.set(a);
+    paddedB.set(b);
+
+    const spectrumA = this.transform(paddedA);
+    const spectrumB = this.transform(paddedB);
+    const productRe = new Float64Array(size);
+    const productIm = new Float64Array(size);
+    for (let k = 0; k < size; k++) {
+      productRe[k] =
+        spectrumA.real[k] * spectrumB.real[k] -
+        spectrumA.imag[k] * spectrumB.imag[k];
+      productIm[k] =
+        spectrumA.real[k] * spectrumB.imag[k] +
+        spectrumA.imag[k] * spectrumB.real[k];
+    }
+
+    return this.inverse(productRe, productIm).real.slice(0, length);
+  }
+
+  /**
+   * Frequencies of the bins returned by transform (0, positive, then negative)
+   * @param {number} n - Transform length
+   * @param {number} sampleRate - Samples per unit time
+   * @returns {Float64Array} Bin frequencies
+   */
+  static frequencies(n, sampleRate = 1) {
+    const result = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      result[k] = ((k < Math.ceil(n / 2) ? k : k - n) * sampleRate) / n;
+    }
+    return result;
+  }
+
+  /**
+   * Frequencies of the bins returned by realTransform
+   * @param {number} n - Length of the real input
+   * @param {number} sampleRate - Samples per unit time
+   * @returns {Float64Array} Non-negative bin frequencies
+   */
+  static realFrequencies(n, sampleRate = 1) {
+    return Float64Array.from(
+      { length: Math.floor(n / 2) + 1 },
+      (_, k) => (k * sampleRate) / n
+    );
+  }
+
+  /**
+   * Reorder bins so the zero frequency is centered (negative → positive)
+   * @param {ArrayLike<number>} data - Bins in transform order
+   * @returns {ArrayLike<number>} Shifted copy of the same array type
+   */
+  static shift(data) {
+    return this.rotate(data, Math.floor(data.length / 2));
+  }
+
+  /**
+   * Undo shift, returning bins to transform order
+   * @param {ArrayLike<number>} data - Centered bins
+   * @returns {ArrayLike<number>} Unshifted copy of the same array type
+   */
+  static inverseShift(data) {
+    return this.rotate(data, Math.ceil(data.length / 2));
+  }
+
+  /**
+   * Circularly rotate an array to the right
+   * @param {ArrayLike<number>} data - Values to rotate
+   * @param {number} offset - Number of positions to move each value
+   * @returns {ArrayLike<number>} Rotated copy of the same array type
+   */
+  static rotate(data, offset) {
+    const n = data.length;
+    const result = new data.constructor(n);
+    for (let i = 0; i < n; i++) {
+      result[(i + offset) % n] = data[i];
+    }
+    return result;
+  }
+
+  /**
+   * Magnitude and phase of each bin
+   * @param {Object} spectrum - Spectrum { real, imag }
+   * @returns {Object} { magnitude, phase } as Float64Arrays
+   */
+  static polar({ real, imag }) {
+    return {
+      magnitude: Float64Array.from(real, (re, k) => Math.hypot(re, imag[k])),
+      phase: Float64Array.from(real, (re, k) => Math.atan2(imag[k], re)),
+    };
+  }
 }
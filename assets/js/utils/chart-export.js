@@ -0,0 +1,692 @@
+// Vector (SVG) and high-resolution PNG export of the charts ChartManager holds
+
+import { DOMUtils } from "./dom.js";
+
+const FONT_FAMILY = "Helvetica, Arial, sans-serif";
+const DEFAULT_GRID_COLOR = "rgba(0,0,0,0.1)";
+const DEFAULT_TEXT_COLOR = "#666";
+
+/**
+ * Renders Chart.js charts to SVG from their datasets and scale options
+ * rather than from the canvas pixels, so exported figures stay sharp at
+ * any print size. Supports the line, scatter and stem charts built by
+ * ChartManager and IntegralVisualizer: linear axes, grid callbacks, tick
+ * callbacks, dashed lines, fills to the origin, scriptable point radii and
+ * hidden datasets.
+ */
+export class ChartExporter {
+  /**
+   * Default figure size in CSS pixels when the canvas has no size (e.g.
+   * when rendering headlessly)
+   */
+  static defaultSize = { width: 640, height: 400 };
+
+  /**
+   * Escape text for use in SVG markup
+   * @param {*} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Format a coordinate for SVG output
+   * @param {number} value - Coordinate
+   * @returns {string} Coordinate rounded to 0.01 px
+   */
+  static coordinate(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Resolve a scriptable Chart.js option
+   * @param {*} option - Option value or function of the context
+   * @param {Object} context - Scriptable context
+   * @param {*} fallback - Value used when the option is unset
+   * @returns {*} Resolved value
+   */
+  static resolve(option, context, fallback) {
+    const value = typeof option === "function" ? option(context) : option;
+    return value ?? fallback;
+  }
+
+  /**
+   * Get the plain-text title of a chart from the page heading next to its
+   * canvas; KaTeX headings are read from their rendered text
+   * @param {string} canvasId - Canvas element ID
+   * @param {Document|ShadowRoot|Element} root - Container holding the canvas
+   * @returns {string} Title text, or "" if there is none
+   */
+  static getChartTitle(canvasId, root = globalThis.document) {
+    const canvas = DOMUtils.getElementById(root, canvasId);
+    const item = canvas?.closest?.(".chart-item, .complex-chart-item");
+    const heading = item?.querySelector("h2");
+    return heading ? this.getElementText(heading) : "";
+  }
+
+  /**
+   * Get the visible text of an element, using the HTML half of KaTeX output
+   * so the TeX source and MathML copy are not repeated
+   * @param {Element} element - Heading element
+   * @returns {string} Text content with whitespace collapsed
+   */
+  static getElementText(element) {
+    const katexHtml = element.querySelectorAll?.(".katex-html") || [];
+    const text =
+      katexHtml.length > 0
+        ? Array.from(katexHtml, (node) => node.textContent).join(" ")
+        : element.textContent;
+    return (text || "").replace(/[\s\u200b]+/g, " ").trim();
+  }
+
+  /**
+   * Get the size a chart is displayed at
+   * @param {Object} chart - Chart.js instance
+   * @returns {Object} { width, height } in CSS pixels
+   */
+  static getChartSize(chart) {
+    const width = chart.width || chart.canvas?.clientWidth;
+    const height = chart.height || chart.canvas?.clientHeight;
+    return width && height ? { width, height } : { ...this.defaultSize };
+  }
+
+  /**
+   * Get a dataset's points as { x, y }, reading plain values against the
+   * chart labels
+   * @param {Object} chart - Chart.js instance
+   * @param {Object} dataset - Dataset
+   * @returns {Object[]} Points; y is null for gaps
+   */
+  static getPoints(chart, dataset) {
+    const labels = chart.data.labels || [];
+    return (dataset.data || []).map((point, i) =>
+      point !== null && typeof point === "object"
+        ? { x: point.x, y: point.y ?? null }
+        : { x: parseFloat(labels[i] ?? i), y: point ?? null }
+    );
+  }
+
+  /**
+   * Check whether a dataset is currently shown
+   * @param {Object} chart - Chart.js instance
+   * @param {number} index - Dataset index
+   * @returns {boolean} True if visible
+   */
+  static isVisible(chart, index) {
+    if (typeof chart.isDatasetVisible === "function") {
+      return chart.isDatasetVisible(index);
+    }
+    return !chart.data.datasets[index].hidden;
+  }
+
+  /**
+   * Work out the value range and ticks of an axis
+   * @param {Object} chart - Chart.js instance
+   * @param {string} axis - "x" or "y"
+   * @param {Object[][]} pointSets - Points of the visible datasets
+   * @returns {Object} { min, max, ticks: [{ value, label }] }
+   */
+  static getScale(chart, axis, pointSets) {
+    const options = chart.options.scales?.[axis] || {};
+    // Extremes in one pass; long datasets cannot be spread into Math.min()
+    let [dataMin, dataMax] = [Infinity, -Infinity];
+    pointSets.forEach((points) =>
+      points.forEach((point) => {
+        const value = point[axis];
+        if (!Number.isFinite(value)) return;
+        dataMin = Math.min(dataMin, value);
+        dataMax = Math.max(dataMax, value);
+      })
+    );
+
+    let min = Number.isFinite(options.min) ? options.min : dataMin;
+    let max = Number.isFinite(options.max) ? options.max : dataMax;
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      min = -1;
+      max = 1;
+    }
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+
+    // Use the configured step unless it would flood the axis
+    let step = options.ticks?.stepSize;
+    if (!(step > 0) || (max - min) / step > 50) {
+      step = this.niceStep((max - min) / 8);
+    }
+
+    const callback = options.ticks?.callback;
+    const ticks = [];
+    const first = Math.ceil(min / step - 1e-9);
+    const last = Math.floor(max / step + 1e-9);
+    for (let i = first; i <= last; i++) {
+      const value = Math.abs(i * step) < 1e-12 ? 0 : i * step;
+      const label = callback
+        ? callback.call(options, value, ticks.length, [])
+        : this.formatTick(value, step);
+      ticks.push({ value, label: label ?? "" });
+    }
+
+    return { min, max, ticks, options };
+  }
+
+  /**
+   * Pick a round tick step close to the requested one
+   * @param {number} rough - Approximate step
+   * @returns {number} Step of the form {1, 2, 2.5, 5}·10^k
+   */
+  static niceStep(rough) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const fraction = rough / magnitude;
+    const nice =
+      fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 2.5 ? 2.5 : 5;
+    return nice * magnitude;
+  }
+
+  /**
+   * Format a numeric tick label
+   * @param {number} value - Tick value
+   * @param {number} step - Tick step
+   * @returns {string} Label with as many decimals as the step needs
+   */
+  static formatTick(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+    const text = value.toFixed(Math.min(decimals + 1, 6));
+    return text.includes(".") ? text.replace(/\.?0+$/, "") : text;
+  }
+
+  /**
+   * Render one chart as a standalone SVG document
+   * @param {Object} chart - Chart.js instance
+   * @param {Object} options - { title, width, height }
+   * @returns {string} SVG markup
+   */
+  static renderChart(chart, options = {}) {
+    const size = this.getChartSize(chart);
+    const width = options.width ?? size.width;
+    const height = options.height ?? size.height;
+    return this.wrapSVG(
+      this.renderChartBody(chart, width, height, options.title, "chart"),
+      width,
+      height
+    );
+  }
+
+  /**
+   * Render several charts on one page, laid out in a grid
+   * @param {Object[]} figures - Figures { chart, title }
+   * @param {Object} options - { title, columns, width, height }, where
+   *   width and height are the size of each figure
+   * @returns {string} SVG markup
+   */
+  static renderPage(figures, options = {}) {
+    const columns = Math.max(
+      1,
+      Math.min(options.columns ?? 2, figures.length || 1)
+    );
+    const cellWidth = options.width ?? this.defaultSize.width;
+    const cellHeight = options.height ?? this.defaultSize.height;
+    const titleHeight = options.title ? 36 : 0;
+    const rows = Math.ceil(figures.length / columns);
+    const width = columns * cellWidth;
+    const height = titleHeight + rows * cellHeight;
+
+    const parts = [];
+    if (options.title) {
+      parts.push(
+        `<text x="${
+          width / 2
+        }" y="24" text-anchor="middle" font-size="18" font-weight="bold" fill="#333">${this.escape(
+          options.title
+        )}</text>`
+      );
+    }
+    figures.forEach(({ chart, title }, i) => {
+      const x = (i % columns) * cellWidth;
+      const y = titleHeight + Math.floor(i / columns) * cellHeight;
+      parts.push(
+        `<g transform="translate(${x},${y})">${this.renderChartBody(
+          chart,
+          cellWidth,
+          cellHeight,
+          title,
+          `chart${i}`
+        )}</g>`
+      );
+    });
+
+    return this.wrapSVG(parts.join("\n"), width, height);
+  }
+
+  /**
+   * Wrap SVG content in a document with a white background
+   * @param {string} body - SVG content
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {string} SVG markup
+   */
+  static wrapSVG(body, width, height) {
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+      `<rect width="100%" height="100%" fill="white"/>`,
+      body,
+      `</svg>`,
+    ].join("\n");
+  }
+
+  /**
+   * Render the title, legend, axes and datasets of a chart
+   * @param {Object} chart - Chart.js instance
+   * @param {number} width - Figure width
+   * @param {number} height - Figure height
+   * @param {string} title - Figure title
+   * @param {string} idPrefix - Prefix for element IDs (clip paths)
+   * @returns {string} SVG content
+   */
+  static renderChartBody(chart, width, height, title, idPrefix) {
+    const datasets = chart.data.datasets;
+    const visible = datasets
+      .map((dataset, index) => ({ dataset, index }))
+      .filter(({ index }) => this.isVisible(chart, index));
+    const pointSets = visible.map(({ dataset }) =>
+      this.getPoints(chart, dataset)
+    );
+
+    const xScale = this.getScale(chart, "x", pointSets);
+    const yScale = this.getScale(chart, "y", pointSets);
+
+    const legendOptions = chart.options.plugins?.legend || {};
+    const legendItems = legendOptions.display
+      ? visible.filter(({ dataset }) => dataset.label)
+      : [];
+
+    // Plot area inside the margins
+    let top = 8;
+    const parts = [];
+    if (title) {
+      top += 18;
+      parts.push(
+        `<text x="${width / 2}" y="${
+          top - 4
+        }" text-anchor="middle" font-size="14" font-weight="bold" fill="#333">${this.escape(
+          title
+        )}</text>`
+      );
+    }
+    if (legendItems.length > 0) {
+      top += 18;
+      parts.push(this.renderLegend(legendItems, width, top - 6));
+    }
+    const area = {
+      left: yScale.options.title?.display ? 62 : 46,
+      right: width - 18,
+      top: top + 6,
+      bottom: height - (xScale.options.title?.display ? 40 : 24),
+    };
+
+    const toX = (value) =>
+      area.left +
+      ((value - xScale.min) / (xScale.max - xScale.min)) *
+        (area.right - area.left);
+    const toY = (value) =>
+      area.bottom -
+      ((value - yScale.min) / (yScale.max - yScale.min)) *
+        (area.bottom - area.top);
+
+    parts.push(this.renderGrid(xScale, yScale, area, toX, toY));
+
+    const clipId = `${idPrefix}-plot`;
+    parts.push(
+      `<clipPath id="${clipId}"><rect x="${area.left}" y="${area.top}" width="${
+        area.right - area.left
+      }" height="${area.bottom - area.top}"/></clipPath>`
+    );
+
+    // Chart.js draws lower "order" values last (on top), then lower indices
+    const drawOrder = visible
+      .map((entry, i) => ({ ...entry, points: pointSets[i] }))
+      .sort(
+        (a, b) =>
+          (b.dataset.order ?? 0) - (a.dataset.order ?? 0) || b.index - a.index
+      );
+    const series = drawOrder.map(({ dataset, index, points }) =>
+      this.renderDataset(chart, dataset, index, points, toX, toY)
+    );
+    parts.push(`<g clip-path="url(#${clipId})">${series.join("\n")}</g>`);
+
+    parts.push(this.renderAxes(xScale, yScale, area, toX, toY));
+
+    return parts.join("\n");
+  }
+
+  /**
+   * Render grid lines for both axes using the charts' grid callbacks
+   * @returns {string} SVG content
+   */
+  static renderGrid(xScale, yScale, area, toX, toY) {
+    const lines = [];
+    const gridLine = (scale, tick, x1, y1, x2, y2) => {
+      const grid = scale.options.grid || {};
+      if (grid.display === false) return;
+      const context = { tick };
+      const color = this.resolve(grid.color, context, DEFAULT_GRID_COLOR);
+      const lineWidth = this.resolve(grid.lineWidth, context, 1);
+      lines.push(
+        `<line x1="${this.coordinate(x1)}" y1="${this.coordinate(
+          y1
+        )}" x2="${this.coordinate(x2)}" y2="${this.coordinate(
+          y2
+        )}" stroke="${color}" stroke-width="${lineWidth}"/>`
+      );
+    };
+
+    xScale.ticks.forEach((tick) => {
+      const x = toX(tick.value);
+      gridLine(xScale, tick, x, area.top, x, area.bottom);
+    });
+    yScale.ticks.forEach((tick) => {
+      const y = toY(tick.value);
+      gridLine(yScale, tick, area.left, y, area.right, y);
+    });
+
+    lines.push(
+      `<rect x="${area.left}" y="${area.top}" width="${
+        area.right - area.left
+      }" height="${
+        area.bottom - area.top
+      }" fill="none" stroke="${DEFAULT_GRID_COLOR}"/>`
+    );
+    return `<g>${lines.join("\n")}</g>`;
+  }
+
+  /**
+   * Render tick labels and axis titles
+   * @returns {string} SVG content
+   */
+  static renderAxes(xScale, yScale, area, toX, toY) {
+    const labels = [];
+    const text = (x, y, content, attributes, fontSize = 11) =>
+      labels.push(
+        `<text x="${this.coordinate(x)}" y="${this.coordinate(
+          y
+        )}" font-size="${fontSize}" fill="${DEFAULT_TEXT_COLOR}" ${attributes}>${this.escape(
+          content
+        )}</text>`
+      );
+
+    xScale.ticks.forEach(({ value, label }) => {
+      if (label !== "") {
+        text(toX(value), area.bottom + 14, label, 'text-anchor="middle"');
+      }
+    });
+    yScale.ticks.forEach(({ value, label }) => {
+      if (label !== "") {
+        text(area.left - 6, toY(value) + 4, label, 'text-anchor="end"');
+      }
+    });
+
+    if (xScale.options.title?.display) {
+      text(
+        (area.left + area.right) / 2,
+        area.bottom + 32,
+        xScale.options.title.text,
+        'text-anchor="middle"',
+        12
+      );
+    }
+    if (yScale.options.title?.display) {
+      const x = 14;
+      const y = (area.top + area.bottom) / 2;
+      text(
+        x,
+        y,
+        yScale.options.title.text,
+        `text-anchor="middle" transform="rotate(-90 ${x} ${this.coordinate(
+          y
+        )})"`,
+        12
+      );
+    }
+
+    return `<g>${labels.join("\n")}</g>`;
+  }
+
+  /**
+   * Render a one-row legend of the visible labelled datasets
+   * @param {Object[]} items - Entries { dataset }
+   * @param {number} width - Figure width
+   * @param {number} y - Baseline of the legend text
+   * @returns {string} SVG content
+   */
+  static renderLegend(items, width, y) {
+    const entries = items.map(({ dataset }) => ({
+      label: dataset.label,
+      color: dataset.borderColor || dataset.backgroundColor || "#666",
+      // Rough text width for centring; exact metrics need a canvas
+      width: 30 + String(dataset.label).length * 6.5,
+    }));
+    const total = entries.reduce((sum, entry) => sum + entry.width, 0);
+    let x = Math.max(4, (width - total) / 2);
+
+    const parts = entries.map(({ label, color, width: entryWidth }) => {
+      const swatch = `<rect x="${this.coordinate(x)}" y="${
+        y - 9
+      }" width="20" height="10" fill="${color}" stroke="${color}"/>`;
+      const text = `<text x="${this.coordinate(
+        x + 24
+      )}" y="${y}" font-size="11" fill="${DEFAULT_TEXT_COLOR}">${this.escape(
+        label
+      )}</text>`;
+      x += entryWidth;
+      return swatch + text;
+    });
+    return `<g>${parts.join("\n")}</g>`;
+  }
+
+  /**
+   * Render one dataset: fill, line and point markers
+   * @param {Object} chart - Chart.js instance
+   * @param {Object} dataset - Dataset
+   * @param {number} datasetIndex - Dataset index
+   * @param {Object[]} points - Dataset points { x, y }
+   * @param {Function} toX - Maps x values to pixels
+   * @param {Function} toY - Maps y values to pixels
+   * @returns {string} SVG content
+   */
+  static renderDataset(chart, dataset, datasetIndex, points, toX, toY) {
+    const type = dataset.type || chart.config?.type || "line";
+    const elements = chart.options.elements || {};
+    const color = dataset.borderColor || "rgba(0,0,0,0.1)";
+    const lineWidth = dataset.borderWidth ?? elements.line?.borderWidth ?? 3;
+    const showLine =
+      dataset.showLine ?? chart.options.showLine ?? type !== "scatter";
+    const parts = [];
+
+    // Connected runs of points; null values break the line unless spanGaps
+    const runs = [];
+    let run = [];
+    points.forEach((point) => {
+      if (point.y === null || !Number.isFinite(point.y)) {
+        if (!dataset.spanGaps && run.length > 0) {
+          runs.push(run);
+          run = [];
+        }
+        return;
+      }
+      run.push(point);
+    });
+    if (run.length > 0) runs.push(run);
+
+    const path = (run) =>
+      run
+        .map(
+          ({ x, y }, i) =>
+            `${i === 0 ? "M" : "L"}${this.coordinate(toX(x))} ${this.coordinate(
+              toY(y)
+            )}`
+        )
+        .join(" ");
+
+    const fill = dataset.fill;
+    if (showLine && (fill === "origin" || fill === true || fill === "start")) {
+      const background = dataset.backgroundColor || "rgba(0,0,0,0.1)";
+      const baseline = toY(0);
+      runs.forEach((run) => {
+        if (run.length < 2) return;
+        const first = run[0];
+        const last = run[run.length - 1];
+        parts.push(
+          `<path d="${path(run)} L${this.coordinate(
+            toX(last.x)
+          )} ${this.coordinate(baseline)} L${this.coordinate(
+            toX(first.x)
+          )} ${this.coordinate(
+            baseline
+          )} Z" fill="${background}" stroke="none"/>`
+        );
+      });
+    }
+
+    if (showLine && lineWidth > 0) {
+      const dash = dataset.borderDash?.length
+        ? ` stroke-dasharray="${dataset.borderDash.join(" ")}"`
+        : "";
+      runs.forEach((run) => {
+        parts.push(
+          `<path d="${path(
+            run
+          )}" fill="none" stroke="${color}" stroke-width="${lineWidth}" stroke-linejoin="round"${dash}/>`
+        );
+      });
+    }
+
+    const defaultRadius = elements.point?.radius ?? 3;
+    points.forEach((point, dataIndex) => {
+      if (point.y === null || !Number.isFinite(point.y)) return;
+      const context = {
+        chart,
+        dataset,
+        datasetIndex,
+        dataIndex,
+        raw: dataset.data[dataIndex],
+      };
+      const radius = this.resolve(dataset.pointRadius, context, defaultRadius);
+      if (!(radius > 0)) return;
+      parts.push(
+        this.renderPoint(
+          toX(point.x),
+          toY(point.y),
+          radius,
+          this.resolve(
+            dataset.pointStyle,
+            context,
+            elements.point?.pointStyle ?? "circle"
+          ),
+          this.resolve(
+            dataset.pointBackgroundColor,
+            context,
+            dataset.backgroundColor || color
+          ),
+          this.resolve(dataset.pointBorderColor, context, color)
+        )
+      );
+    });
+
+    return parts.join("\n");
+  }
+
+  /**
+   * Render a point marker
+   * @param {number} x - Center x in pixels
+   * @param {number} y - Center y in pixels
+   * @param {number} radius - Marker radius
+   * @param {string} style - Chart.js point style
+   * @param {string} fill - Fill color
+   * @param {string} stroke - Outline color
+   * @returns {string} SVG element
+   */
+  static renderPoint(x, y, radius, style, fill, stroke) {
+    const cx = this.coordinate(x);
+    const cy = this.coordinate(y);
+    const r = radius;
+    const paint = `fill="${fill}" stroke="${stroke}" stroke-width="1"`;
+
+    switch (style) {
+      case "rect":
+        return `<rect x="${this.coordinate(x - r)}" y="${this.coordinate(
+          y - r
+        )}" width="${2 * r}" height="${2 * r}" ${paint}/>`;
+      case "triangle":
+        return `<path d="M${cx} ${this.coordinate(y - r)} L${this.coordinate(
+          x + r
+        )} ${this.coordinate(y + r)} L${this.coordinate(
+          x - r
+        )} ${this.coordinate(y + r)} Z" ${paint}/>`;
+      case "line":
+        return `<line x1="${this.coordinate(
+          x - r
+        )}" y1="${cy}" x2="${this.coordinate(
+          x + r
+        )}" y2="${cy}" stroke="${stroke}" stroke-width="2"/>`;
+      case "cross":
+      case "crossRot": {
+        const d = style === "cross" ? r : r * Math.SQRT1_2;
+        const [a, b] =
+          style === "cross"
+            ? [
+                [x - d, y, x + d, y],
+                [x, y - d, x, y + d],
+              ]
+            : [
+                [x - d, y - d, x + d, y + d],
+                [x - d, y + d, x + d, y - d],
+              ];
+        return [a, b]
+          .map(
+            ([x1, y1, x2, y2]) =>
+              `<line x1="${this.coordinate(x1)}" y1="${this.coordinate(
+                y1
+              )}" x2="${this.coordinate(x2)}" y2="${this.coordinate(
+                y2
+              )}" stroke="${stroke}" stroke-width="2"/>`
+          )
+          .join("");
+      }
+      default:
+        return `<circle cx="${cx}" cy="${cy}" r="${r}" ${paint}/>`;
+    }
+  }
+
+  /**
+   * Rasterize SVG markup to a PNG at a scale factor
+   * @param {string} svg - SVG markup with width and height attributes
+   * @param {number} scale - Scale factor, e.g. 3 for 3× resolution
+   * @returns {Promise<Blob>} PNG image
+   */
+  static toPNG(svg, scale = 2) {
+    const width = parseFloat(svg.match(/width="([\d.]+)"/)[1]);
+    const height = parseFloat(svg.match(/height="([\d.]+)"/)[1]);
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob((blob) =>
+          blob ? resolve(blob) : reject(new Error("Could not encode the PNG"))
+        );
+      };
+      image.onerror = () => reject(new Error("Could not rasterize the SVG"));
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+  }
+}
@@ -1,9 +1,18 @@
 // Chart creation and management utilities
 
+import { DOMUtils } from "./dom.js";
+
 export class ChartManager {
-  constructor() {
+  /**
+   * @param {Document|ShadowRoot|Element} root - Container holding the canvases
+   */
+  constructor(root = globalThis.document) {
+    this.root = root;
     this.charts = {};
     this.datasetVisibility = {};
+    // Dataset data waiting for the next animation frame, per chart
+    this.pendingUpdates = {};
+    this.updateFrame = null;
   }
 
   /**
@@ -27,15 +36,12 @@ export class ChartManager {
   ) {
     // Store current dataset visibility states before destroying
     if (this.charts[canvasId]) {
-      this.datasetVisibility[canvasId] = {};
-      this.charts[canvasId].data.datasets.forEach((dataset, index) => {
-        const meta = this.charts[canvasId].getDatasetMeta(index);
-        this.datasetVisibility[canvasId][index] = meta.hidden !== true;
-      });
+      this.storeDatasetVisibility(canvasId);
       this.charts[canvasId].destroy();
     }
+    delete this.pendingUpdates[canvasId];
 
-    const ctx = document.getElementById(canvasId).getContext("2d");
+    const ctx = this.getCanvas(canvasId).getContext("2d");
 
     // Create the main dataset
     const mainDataset = {
@@ -44,6 +50,8 @@ export class ChartManager {
       borderColor: borderColor,
       borderWidth: 2,
       fill: false,
+      // Extra dataset properties, e.g. { fill: "origin", backgroundColor }
+      ...(options.mainDataset || {}),
     };
 
     // Combine main dataset with additional datasets
@@ -128,12 +136,17 @@ export class ChartManager {
     };
 
     // Add the x-axis callback after merge to ensure it's not overwritten
-    chartOptions.scales.x.ticks.callback = (value) => {
-      if (Math.abs(value + Math.PI) < 0.001) return "-π";
-      if (Math.abs(value) < 0.001) return "0";
-      if (Math.abs(value - Math.PI) < 0.001) return "π";
-      return "";
-    };
+    // (π multiples by default; pass xTickCallback for other axes)
+    chartOptions.scales.x.ticks.callback =
+      options.xTickCallback ||
+      ((value) => {
+        const multiple = Math.round(value / Math.PI);
+        if (Math.abs(value - multiple * Math.PI) > 0.001) return "";
+        if (multiple === 0) return "0";
+        if (multiple === 1) return "π";
+        if (multiple === -1) return "-π";
+        return `${multiple}π`;
+      });
 
     this.charts[canvasId] = new Chart(ctx, {
       type: "line",
@@ -155,8 +168,9 @@ export class ChartManager {
     if (this.charts[canvasId]) {
       this.charts[canvasId].destroy();
     }
+    delete this.pendingUpdates[canvasId];
 
-    const canvas = document.getElementById(canvasId);
+    const canvas = this.getCanvas(canvasId);
     const container = canvas.parentElement;
 
     // Force the container to be square if specified
@@ -227,6 +241,260 @@ export class ChartManager {
     });
   }
 
+  /**
+   * Replace the data of an existing chart's datasets in place
+   * The chart is redrawn on the next animation frame, and calls made before
+   * then are coalesced into a single update. Legend visibility is untouched
+   * because the Chart.js instance is kept.
+   * @param {string} canvasId - Canvas element ID
+   * @param {Array} datasetData - New data array for each dataset, by index
+   *   (null keeps the current data)
+   * @returns {boolean} False if the chart does not exist or has a different
+   *   number of datasets, in which case it must be created instead
+   */
+  updateChartData(canvasId, datasetData) {
+    const chart = this.charts[canvasId];
+    if (!chart || chart.data.datasets.length !== datasetData.length) {
+      return false;
+    }
+
+    const pending = this.pendingUpdates[canvasId] || [];
+    datasetData.forEach((data, index) => {
+      if (data) pending[index] = data;
+    });
+    this.pendingUpdates[canvasId] = pending;
+
+    this.scheduleUpdate();
+    return true;
+  }
+
+  /**
+   * Request one animation frame for all pending updates
+   */
+  scheduleUpdate() {
+    if (this.updateFrame !== null) return;
+
+    // Without a browser frame loop (e.g. in tests), apply immediately
+    if (typeof requestAnimationFrame !== "function") {
+      this.flushUpdates();
+      return;
+    }
+
+    this.updateFrame = requestAnimationFrame(() => {
+      this.updateFrame = null;
+      this.flushUpdates();
+    });
+  }
+
+  /**
+   * Apply all pending dataset updates now
+   */
+  flushUpdates() {
+    if (this.updateFrame !== null) {
+      cancelAnimationFrame(this.updateFrame);
+      this.updateFrame = null;
+    }
+
+    const pending = this.pendingUpdates;
+    this.pendingUpdates = {};
+
+    Object.entries(pending).forEach(([canvasId, datasetData]) => {
+      const chart = this.charts[canvasId];
+      if (!chart) return;
+
+      datasetData.forEach((data, index) => {
+        if (data) chart.data.datasets[index].data = data;
+      });
+      chart.update("none");
+    });
+  }
+
+  /**
+   * Create or update a discrete-time stem chart x[n]
+   * @param {string} canvasId - Canvas element ID
+   * @param {Array} sequences - Sequences { label, indices, values, color, offset }
+   * @param {Object} options - Chart configuration options; besides the axis
+   *   options of createLineChart it accepts envelope (continuous curves
+   *   { label, x, y, color, borderDash } drawn behind the stems), maxTicks and
+   *   markerRadius
+   */
+  createStemChart(canvasId, sequences, options = {}) {
+    // Store current dataset visibility states before destroying
+    if (this.charts[canvasId]) {
+      this.storeDatasetVisibility(canvasId);
+      this.charts[canvasId].destroy();
+    }
+    delete this.pendingUpdates[canvasId];
+
+    const ctx = this.getCanvas(canvasId).getContext("2d");
+
+    const stemDatasets = sequences.map(
+      ({ label, indices, values, color, offset = 0 }) =>
+        this.createStemDataset(
+          label,
+          indices,
+          values,
+          color,
+          offset,
+          options.markerRadius ?? 4
+        )
+    );
+    const envelopeDatasets = (options.envelope || []).map(
+      ({ label, x, y, color, borderDash = [5, 5] }) => ({
+        label,
+        data: x.map((value, i) => ({ x: value, y: y[i] })),
+        borderColor: color,
+        borderWidth: 1,
+        borderDash,
+        pointRadius: 0,
+        showLine: true,
+        fill: false,
+        order: 1,
+      })
+    );
+    const allDatasets = [...stemDatasets, ...envelopeDatasets];
+
+    // Default axis limits from the data: half a sample of margin around the
+    // indices and a y range that always includes zero. The extremes are
+    // found in a loop, since spreading a long sequence into Math.min() or
+    // Math.max() exceeds the engine's argument limit
+    let [lowestIndex, highestIndex, lowest, peak] = [0, 1, 0, 0.1];
+    sequences.forEach(({ indices, values }) => {
+      indices.forEach((index) => {
+        lowestIndex = Math.min(lowestIndex, index);
+        highestIndex = Math.max(highestIndex, index);
+      });
+      values.forEach((value) => {
+        if (!Number.isFinite(value)) return;
+        lowest = Math.min(lowest, value);
+        peak = Math.max(peak, Math.abs(value));
+      });
+    });
+    const xMin = options.xMin ?? lowestIndex - 0.5;
+    const xMax = options.xMax ?? highestIndex + 0.5;
+    const yMin = options.yMin ?? (lowest < 0 ? -peak * 1.2 : 0);
+    const yMax = options.yMax ?? peak * 1.2;
+
+    const defaultOptions = {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: {
+          display: options.showLegend || false,
+          position: "top",
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: {
+            display: true,
+            text: options.xAxisTitle || "n",
+          },
+          min: xMin,
+          max: xMax,
+          ticks: {
+            // Integer steps, thinned out so at most maxTicks labels are shown
+            stepSize: Math.max(
+              1,
+              Math.ceil((xMax - xMin) / (options.maxTicks || 20))
+            ),
+          },
+        },
+        y: {
+          title: {
+            display: true,
+            text: options.yAxisTitle || "Amplitude",
+          },
+          min: yMin,
+          max: yMax,
+        },
+      },
+    };
+
+    const chartOptions = this.mergeOptions(
+      defaultOptions,
+      options.chartOptions || {}
+    );
+
+    // Callbacks are added after the merge, which drops functions
+    chartOptions.plugins.legend.onClick = (e, legendItem, legend) =>
+      this.handleLegendClick(e, legendItem, legend, canvasId);
+    chartOptions.scales.x.ticks.callback = (value) =>
+      Number.isInteger(value) ? value.toString() : "";
+    ["x", "y"].forEach((axis) => {
+      chartOptions.scales[axis].grid = {
+        ...chartOptions.scales[axis].grid,
+        drawBorder: true,
+        color: (context) =>
+          Math.abs(context.tick.value) < 0.001 ? "black" : "rgba(0,0,0,0.1)",
+        lineWidth: (context) => (Math.abs(context.tick.value) < 0.001 ? 2 : 1),
+      };
+    });
+
+    this.charts[canvasId] = new Chart(ctx, {
+      type: "scatter",
+      data: { datasets: allDatasets },
+      options: chartOptions,
+    });
+
+    // Restore dataset visibility states
+    this.restoreDatasetVisibility(canvasId, allDatasets);
+  }
+
+  /**
+   * Create a stem dataset for discrete values (drawn on a scatter chart)
+   * @param {string} label - Dataset label
+   * @param {number[]} indices - X positions of the stems
+   * @param {number[]} values - Stem heights
+   * @param {string} color - Stem color
+   * @param {number} offset - Horizontal offset so stems sharing an index don't overlap
+   * @param {number} markerRadius - Radius of the marker at the top of each stem
+   * @returns {Object} Stem dataset
+   */
+  createStemDataset(
+    label,
+    indices,
+    values,
+    color,
+    offset = 0,
+    markerRadius = 4
+  ) {
+    // Each stem is a segment from the axis to the value, separated by gaps
+    const data = [];
+    indices.forEach((index, i) => {
+      const x = index + offset;
+      data.push({ x, y: 0 }, { x, y: values[i] }, { x, y: null });
+    });
+
+    return {
+      label,
+      data,
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 2,
+      pointRadius: (context) =>
+        context.dataIndex % 3 === 1 ? markerRadius : 0,
+      showLine: true,
+      spanGaps: false,
+      fill: false,
+      order: 0,
+    };
+  }
+
+  /**
+   * Store the visibility of each dataset so it survives re-creating the chart
+   * @param {string} canvasId - Canvas element ID
+   */
+  storeDatasetVisibility(canvasId) {
+    this.datasetVisibility[canvasId] = {};
+    this.charts[canvasId].data.datasets.forEach((dataset, index) => {
+      const meta = this.charts[canvasId].getDatasetMeta(index);
+      this.datasetVisibility[canvasId][index] = meta.hidden !== true;
+    });
+  }
+
   /**
    * Handle legend click events
    */
@@ -307,17 +575,36 @@ export class ChartManager {
       delete this.charts[canvasId];
       delete this.datasetVisibility[canvasId];
     }
+    delete this.pendingUpdates[canvasId];
   }
 
   /**
    * Destroy all charts
    */
   destroyAll() {
+    if (this.updateFrame !== null) {
+      cancelAnimationFrame(this.updateFrame);
+      this.updateFrame = null;
+    }
     Object.keys(this.charts).forEach((canvasId) => {
       this.destroyChart(canvasId);
     });
   }
 
+  /**
+   * Find a canvas inside the manager's root container
+   * @param {string} canvasId - Canvas element ID
+   * @returns {HTMLCanvasElement} Canvas element
+   * @throws {Error} If the root has no such canvas
+   */
+  getCanvas(canvasId) {
+    const canvas = DOMUtils.getElementById(this.root, canvasId);
+    if (!canvas) {
+      throw new Error(`Canvas not found: ${canvasId}`);
+    }
+    return canvas;
+  }
+
   /**
    * Get a chart instance
    * @param {string} canvasId - Canvas element ID
@@ -326,4 +613,26 @@ export class ChartManager {
   getChart(canvasId) {
     return this.charts[canvasId] || null;
   }
+
+  /**
+   * Track a chart created outside the manager so it is exported and
+   * destroyed with the others
+   * @param {string} canvasId - Canvas element ID
+   * @param {Chart} chart - Chart instance
+   */
+  registerChart(canvasId, chart) {
+    if (this.charts[canvasId] && this.charts[canvasId] !== chart) {
+      this.charts[canvasId].destroy();
+    }
+    delete this.pendingUpdates[canvasId];
+    this.charts[canvasId] = chart;
+  }
+
+  /**
+   * Get the IDs of all managed charts, in creation order
+   * @returns {string[]} Canvas element IDs
+   */
+  getChartIds() {
+    return Object.keys(this.charts);
+  }
 }
@@ -0,0 +1,176 @@
+// Tabular export of plotted data as CSV, JSON or NumPy-loadable text
+
+/**
+ * Tables come from BaseVisualizer.getDataTable() and look like
+ *   { type, parameters: [{ name, value, unit }],
+ *     columns: [{ name, unit, values }] }
+ * where the first column is the shared axis (usually time).
+ */
+export class DataExporter {
+  /**
+   * Supported export formats
+   */
+  static formats = {
+    csv: { extension: "csv", mimeType: "text/csv", method: "toCSV" },
+    json: { extension: "json", mimeType: "application/json", method: "toJSON" },
+    npy: { extension: "txt", mimeType: "text/plain", method: "toNumpyText" },
+  };
+
+  /**
+   * Serialize a table in one of the supported formats
+   * @param {Object} table - Data table
+   * @param {string} format - Format key (csv, json or npy)
+   * @returns {Object} { content, extension, mimeType }
+   * @throws {Error} If the format is unknown
+   */
+  static export(table, format) {
+    if (!Object.hasOwn(this.formats, format)) {
+      throw new Error(
+        `Unknown export format: ${format}. Available formats: ${Object.keys(
+          this.formats
+        ).join(", ")}`
+      );
+    }
+    const spec = this.formats[format];
+    return {
+      content: this[spec.method](table),
+      extension: spec.extension,
+      mimeType: spec.mimeType,
+    };
+  }
+
+  /**
+   * Format a number or parameter value compactly for headers
+   * @param {*} value - Value to format
+   * @returns {string} Formatted value
+   */
+  static formatValue(value) {
+    if (typeof value === "number") {
+      return String(parseFloat(value.toPrecision(6)));
+    }
+    return value !== null && typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+  }
+
+  /**
+   * Describe the parameters, e.g. "phaseShift=0.785398 rad; signal=square"
+   * @param {Object[]} parameters - Parameters { name, value, unit }
+   * @returns {string} Parameter summary
+   */
+  static formatParameters(parameters) {
+    return parameters
+      .map(({ name, value, unit }) =>
+        unit
+          ? `${name}=${this.formatValue(value)} ${unit}`
+          : `${name}=${this.formatValue(value)}`
+      )
+      .join("; ");
+  }
+
+  /**
+   * Build a column header carrying its unit and, for data columns, the
+   * parameter values it was computed with
+   * @param {Object} column - Column { name, unit }
+   * @param {Object[]} parameters - Parameters, omitted for the axis column
+   * @returns {string} Header such as "sineWave [a.u.] (phaseShift=0.785398 rad)"
+   */
+  static formatHeader(column, parameters = []) {
+    const header = column.unit
+      ? `${column.name} [${column.unit}]`
+      : column.name;
+    return parameters.length > 0
+      ? `${header} (${this.formatParameters(parameters)})`
+      : header;
+  }
+
+  /**
+   * Get the table rows, checking that every column has the same length
+   * @param {Object} table - Data table
+   * @returns {Array[]} Rows of values
+   * @throws {Error} If the columns differ in length
+   */
+  static getRows(table) {
+    const length = table.columns[0]?.values.length ?? 0;
+    table.columns.forEach(({ name, values }) => {
+      if (values.length !== length) {
+        throw new Error(
+          `Column ${name} has ${values.length} values, expected ${length}`
+        );
+      }
+    });
+    return Array.from({ length }, (_, i) =>
+      table.columns.map(({ values }) => values[i])
+    );
+  }
+
+  /**
+   * Quote a CSV cell when it contains separators or quotes
+   * @param {string} cell - Cell text
+   * @returns {string} Escaped cell
+   */
+  static escapeCSV(cell) {
+    return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }
+
+  /**
+   * Serialize a table as CSV with one header row
+   * @param {Object} table - Data table
+   * @returns {string} CSV text
+   */
+  static toCSV(table) {
+    const headers = table.columns.map((column, i) =>
+      this.formatHeader(column, i === 0 ? [] : table.parameters)
+    );
+    const lines = [
+      headers.map((header) => this.escapeCSV(header)).join(","),
+      ...this.getRows(table).map((row) => row.join(",")),
+    ];
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Serialize a table as JSON with parameters and units kept structured
+   * @param {Object} table - Data table
+   * @returns {string} Indented JSON
+   */
+  static toJSON(table) {
+    this.getRows(table);
+    return JSON.stringify(
+      {
+        type: table.type,
+        parameters: Object.fromEntries(
+          table.parameters.map(({ name, value, unit }) => [
+            name,
+            { value, unit: unit ?? null },
+          ])
+        ),
+        columns: table.columns.map(({ name, unit, values }) => ({
+          name,
+          unit: unit ?? null,
+          values,
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Serialize a table as whitespace-separated text with "#" header lines,
+   * readable with numpy.loadtxt(filename)
+   * @param {Object} table - Data table
+   * @returns {string} Text table
+   */
+  static toNumpyText(table) {
+    const lines = [
+      `# sigsys ${table.type} data`,
+      `# parameters: ${this.formatParameters(table.parameters)}`,
+      `# columns: ${table.columns
+        .map((column) => this.formatHeader(column))
+        .join(", ")}`,
+      ...this.getRows(table).map((row) => row.join(" ")),
+    ];
+    return `${lines.join("\n")}\n`;
+  }
+}
@@ -0,0 +1,83 @@
+// Element lookups scoped to a visualizer's root container, and notices
+
+export class DOMUtils {
+  /**
+   * Inline styles of the notices built by createNotice, keyed by kind
+   */
+  static noticeStyles = {
+    error:
+      "color: red; background: #ffe6e6; border: 1px solid red; padding: 10px; margin: 10px 0; border-radius: 4px;",
+    status:
+      "color: #333; background: #eef3fb; border: 1px solid #9ab; padding: 10px; margin: 10px 0; border-radius: 4px;",
+  };
+
+  /**
+   * Find an element by ID inside a root container. Documents and shadow
+   * roots are searched with getElementById; plain elements with a query,
+   * so two containers may reuse the same IDs on one page
+   * @param {Document|ShadowRoot|Element} root - Container to search
+   * @param {string} id - Element ID
+   * @returns {Element|null} The element, or null if it is not in the root
+   */
+  static getElementById(root, id) {
+    if (typeof root.getElementById === "function") {
+      return root.getElementById(id);
+    }
+    return root.querySelector(`[id="${id.replace(/"/g, '\\"')}"]`);
+  }
+
+  /**
+   * Get the document that owns a root container, for creating elements
+   * @param {Document|ShadowRoot|Element} root - Root container
+   * @returns {Document} Owner document
+   */
+  static getDocument(root) {
+    return root.ownerDocument ?? root;
+  }
+
+  /**
+   * Build an error or status notice. Every part is set as text, so messages
+   * quoting a URL, a file or an expression can never inject markup
+   * @param {Document} document - Document to create the elements in
+   * @param {Object} notice - { kind: "error" | "status", title, message,
+   *   note }, where the title is shown in bold and the note in small print
+   * @returns {Element} Notice element
+   */
+  static createNotice(document, { kind = "error", title, message, note }) {
+    const notice = document.createElement("div");
+    notice.style.cssText = this.noticeStyles[kind];
+    if (kind === "status") notice.setAttribute("role", "status");
+
+    if (title) {
+      const heading = document.createElement("strong");
+      heading.textContent = `${title}:`;
+      notice.append(heading, " ");
+    }
+    notice.append(String(message));
+    if (note) {
+      const small = document.createElement("small");
+      small.textContent = note;
+      notice.append(document.createElement("br"), small);
+    }
+    return notice;
+  }
+
+  /**
+   * Check whether an element edits text, where keyboard shortcuts such as
+   * Ctrl+Z belong to the browser
+   * @param {Element|null} element - Element, e.g. a key event's target
+   * @returns {boolean} True for text inputs, text areas and editable content
+   */
+  static isTextField(element) {
+    if (!element) return false;
+    if (element.isContentEditable || element.tagName === "TEXTAREA") {
+      return true;
+    }
+    return (
+      element.tagName === "INPUT" &&
+      !["range", "checkbox", "radio", "button", "submit", "file"].includes(
+        element.type
+      )
+    );
+  }
+}
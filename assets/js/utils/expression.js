@@ -0,0 +1,465 @@
+// Safe mathematical expression parsing and evaluation (no eval)
+
+/**
+ * Error raised for malformed expressions, carrying the offending position
+ */
+export class ExpressionError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - Zero-based index into the source string
+   * @param {string} source - Expression source
+   */
+  constructor(message, position, source) {
+    super(`${message} at position ${position + 1}`);
+    this.name = "ExpressionError";
+    this.position = position;
+    this.source = source;
+  }
+
+  /**
+   * Source line with a caret under the offending position
+   * @returns {string} Two-line pointer string
+   */
+  get pointer() {
+    return `${this.source}\n${" ".repeat(this.position)}^`;
+  }
+}
+
+/**
+ * Recursive-descent parser producing an expression tree
+ * Grammar (lowest to highest precedence):
+ *   sum     := product (("+" | "-") product)*
+ *   product := unary (("*" | "/" | implicit) unary)*
+ *   unary   := ("+" | "-") unary | power
+ *   power   := primary ("^" unary)?
+ *   primary := number | name | name "(" args ")" | "(" sum ")"
+ */
+class Parser {
+  constructor(source, tokens) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  error(message, token = this.peek()) {
+    return new ExpressionError(message, token.position, this.source);
+  }
+
+  expect(value) {
+    const token = this.peek();
+    if (token.value !== value) {
+      throw this.error(
+        token.type === "end"
+          ? `Expected "${value}" but the expression ended`
+          : `Expected "${value}" but found "${token.value}"`
+      );
+    }
+    return this.next();
+  }
+
+  parse() {
+    if (this.peek().type === "end") {
+      throw this.error("Expression is empty");
+    }
+
+    const node = this.parseSum();
+    const token = this.peek();
+    if (token.type !== "end") {
+      throw this.error(`Unexpected "${token.value}"`);
+    }
+    return node;
+  }
+
+  parseSum() {
+    let node = this.parseProduct();
+    while (this.peek().value === "+" || this.peek().value === "-") {
+      const operator = this.next();
+      const right = this.parseProduct();
+      node = {
+        type: "binary",
+        operator: operator.value,
+        left: node,
+        right,
+        position: operator.position,
+      };
+    }
+    return node;
+  }
+
+  parseProduct() {
+    let node = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (token.value === "*" || token.value === "/") {
+        this.next();
+        const right = this.parseUnary();
+        node = {
+          type: "binary",
+          operator: token.value,
+          left: node,
+          right,
+          position: token.position,
+        };
+      } else if (
+        token.type === "number" ||
+        token.type === "name" ||
+        token.value === "("
+      ) {
+        // Implicit multiplication: 3t, 2cos(t), (t + 1)(t - 1)
+        const right = this.parseUnary();
+        node = {
+          type: "binary",
+          operator: "*",
+          left: node,
+          right,
+          position: token.position,
+        };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.value === "+" || token.value === "-") {
+      this.next();
+      return {
+        type: "unary",
+        operator: token.value,
+        argument: this.parseUnary(),
+        position: token.position,
+      };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    const token = this.peek();
+    if (token.value === "^") {
+      this.next();
+      // Right-associative: 2^3^2 = 2^(3^2)
+      const exponent = this.parseUnary();
+      return {
+        type: "binary",
+        operator: "^",
+        left: base,
+        right: exponent,
+        position: token.position,
+      };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === "number") {
+      return { type: "number", value: token.value, position: token.position };
+    }
+
+    if (token.type === "name") {
+      if (Object.hasOwn(ExpressionParser.functions, token.value)) {
+        return this.parseCall(token);
+      }
+      return { type: "name", name: token.value, position: token.position };
+    }
+
+    if (token.value === "(") {
+      const node = this.parseSum();
+      this.expect(")");
+      return node;
+    }
+
+    if (token.type === "end") {
+      throw this.error("Unexpected end of expression", token);
+    }
+    throw this.error(`Unexpected "${token.value}"`, token);
+  }
+
+  parseCall(token) {
+    const { arity } = ExpressionParser.functions[token.value];
+    if (this.peek().value !== "(") {
+      throw this.error(`Expected "(" after function "${token.value}"`);
+    }
+    this.next();
+
+    const args = [this.parseSum()];
+    while (this.peek().value === ",") {
+      this.next();
+      args.push(this.parseSum());
+    }
+    this.expect(")");
+
+    if (args.length !== arity) {
+      throw this.error(
+        `Function "${token.value}" expects ${arity} argument${
+          arity === 1 ? "" : "s"
+        }, got ${args.length}`,
+        token
+      );
+    }
+
+    return {
+      type: "call",
+      name: token.value,
+      args,
+      position: token.position,
+    };
+  }
+}
+
+export class ExpressionParser {
+  /**
+   * Named constants
+   */
+  static constants = {
+    pi: Math.PI,
+    e: Math.E,
+  };
+
+  /**
+   * Alternative spellings mapped to their canonical names
+   */
+  static aliases = {
+    π: "pi",
+    Φ: "phi",
+    φ: "phi",
+    ϕ: "phi",
+    ω: "omega",
+    ln: "log",
+  };
+
+  /**
+   * Supported functions with their argument counts
+   */
+  static functions = {
+    sin: { arity: 1, evaluate: Math.sin },
+    cos: { arity: 1, evaluate: Math.cos },
+    tan: { arity: 1, evaluate: Math.tan },
+    asin: { arity: 1, evaluate: Math.asin },
+    acos: { arity: 1, evaluate: Math.acos },
+    atan: { arity: 1, evaluate: Math.atan },
+    exp: { arity: 1, evaluate: Math.exp },
+    log: { arity: 1, evaluate: Math.log },
+    sqrt: { arity: 1, evaluate: Math.sqrt },
+    abs: { arity: 1, evaluate: Math.abs },
+    sign: { arity: 1, evaluate: Math.sign },
+    floor: { arity: 1, evaluate: Math.floor },
+    min: { arity: 2, evaluate: Math.min },
+    max: { arity: 2, evaluate: Math.max },
+    // Unit rectangle: 1 for |x| < 1/2, 1/2 at the edges, 0 outside
+    rect: {
+      arity: 1,
+      evaluate: (x) => (Math.abs(x) < 0.5 ? 1 : Math.abs(x) === 0.5 ? 0.5 : 0),
+    },
+    // Unit triangle: 1 − |x| for |x| < 1, 0 outside
+    tri: { arity: 1, evaluate: (x) => Math.max(0, 1 - Math.abs(x)) },
+    // Unit step with u(0) = 1
+    u: { arity: 1, evaluate: (x) => (x < 0 ? 0 : 1) },
+    // Normalized sinc: sin(πx)/(πx) with sinc(0) = 1
+    sinc: {
+      arity: 1,
+      evaluate: (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)),
+    },
+  };
+
+  /**
+   * Map a name to its canonical spelling (e.g. "Φ" → "phi")
+   * @param {string} name - Name as written
+   * @returns {string} Canonical name
+   */
+  static normalizeName(name) {
+    // Own properties only, so "constructor" or "toString" stay plain names
+    return Object.hasOwn(this.aliases, name) ? this.aliases[name] : name;
+  }
+
+  /**
+   * Split an expression into number, name and operator tokens
+   * @param {string} source - Expression source
+   * @returns {Object[]} Tokens { type, value, position }, ending with an "end" token
+   * @throws {ExpressionError} On characters that cannot start a token
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const rest = source.slice(i);
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(rest);
+      if (number) {
+        tokens.push({ type: "number", value: Number(number[0]), position: i });
+        i += number[0].length;
+        continue;
+      }
+
+      // ASCII words are names; Greek letters are single-character names so
+      // that "ωt" reads as ω·t
+      const name = /^[A-Za-z_][A-Za-z0-9_]*|^[Ͱ-Ͽ]/.exec(rest);
+      if (name) {
+        tokens.push({
+          type: "name",
+          value: this.normalizeName(name[0]),
+          position: i,
+        });
+        i += name[0].length;
+        continue;
+      }
+
+      if (rest.startsWith("**")) {
+        tokens.push({ type: "operator", value: "^", position: i });
+        i += 2;
+        continue;
+      }
+
+      if ("+-*/^(),".includes(char)) {
+        tokens.push({ type: "operator", value: char, position: i });
+        i++;
+        continue;
+      }
+
+      if (char === "·" || char === "×") {
+        tokens.push({ type: "operator", value: "*", position: i });
+        i++;
+        continue;
+      }
+
+      throw new ExpressionError(`Unexpected character "${char}"`, i, source);
+    }
+
+    tokens.push({ type: "end", value: "", position: source.length });
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into a tree
+   * @param {string} source - Expression source, e.g. "2*cos(3t + pi/4)"
+   * @returns {Object} Expression tree
+   * @throws {ExpressionError} On syntax errors
+   */
+  static parse(source) {
+    if (typeof source !== "string") {
+      throw new Error("Expression must be a string");
+    }
+    return new Parser(source, this.tokenize(source)).parse();
+  }
+
+  /**
+   * Compile an expression into a function of a scope object
+   * @param {string} source - Expression source
+   * @param {string[]} variables - Allowed variable names (aliases such as "Φ" accepted)
+   * @returns {Function} (scope) => number, where scope maps canonical names to values
+   * @throws {ExpressionError} On syntax errors or unknown variables
+   */
+  static compile(source, variables = ["t"]) {
+    const allowed = new Set(variables.map((name) => this.normalizeName(name)));
+
+    const build = (node) => {
+      switch (node.type) {
+        case "number": {
+          const { value } = node;
+          return () => value;
+        }
+        case "name": {
+          const { name } = node;
+          if (allowed.has(name)) return (scope) => scope[name];
+          if (Object.hasOwn(this.constants, name)) {
+            const value = this.constants[name];
+            return () => value;
+          }
+          throw new ExpressionError(
+            `Unknown variable "${name}"${
+              allowed.size > 0 ? ` (expected ${[...allowed].join(", ")})` : ""
+            }`,
+            node.position,
+            source
+          );
+        }
+        case "unary": {
+          const argument = build(node.argument);
+          return node.operator === "-" ? (scope) => -argument(scope) : argument;
+        }
+        case "binary": {
+          const left = build(node.left);
+          const right = build(node.right);
+          switch (node.operator) {
+            case "+":
+              return (scope) => left(scope) + right(scope);
+            case "-":
+              return (scope) => left(scope) - right(scope);
+            case "*":
+              return (scope) => left(scope) * right(scope);
+            case "/":
+              return (scope) => left(scope) / right(scope);
+            default:
+              return (scope) => Math.pow(left(scope), right(scope));
+          }
+        }
+        case "call": {
+          const { evaluate } = this.functions[node.name];
+          const args = node.args.map(build);
+          return args.length === 1
+            ? (scope) => evaluate(args[0](scope))
+            : (scope) => evaluate(...args.map((arg) => arg(scope)));
+        }
+        default:
+          throw new Error(`Unknown expression node: "${node.type}"`);
+      }
+    };
+
+    return build(this.parse(source));
+  }
+
+  /**
+   * Build a function of time with other variables bound to fixed values
+   * @param {string} source - Expression source, e.g. "cos(ωt + Φ)"
+   * @param {Object} bindings - Values for other variables, e.g. { Φ: 0.5, ω: 2 }
+   * @param {string} variable - Name of the free variable
+   * @returns {Function} (t) => number
+   * @throws {ExpressionError} On syntax errors or unbound variables
+   */
+  static toFunction(source, bindings = {}, variable = "t") {
+    const scope = Object.create(null);
+    Object.entries(bindings).forEach(([name, value]) => {
+      scope[this.normalizeName(name)] = value;
+    });
+
+    const name = this.normalizeName(variable);
+    const evaluate = this.compile(source, [name, ...Object.keys(scope)]);
+    return (t) => {
+      scope[name] = t;
+      return evaluate(scope);
+    };
+  }
+
+  /**
+   * Evaluate an expression once
+   * @param {string} source - Expression source, e.g. "3/2" or "pi/4"
+   * @param {Object} bindings - Variable values
+   * @returns {number} Result
+   * @throws {ExpressionError} On syntax errors or unbound variables
+   */
+  static evaluate(source, bindings = {}) {
+    const scope = Object.create(null);
+    Object.entries(bindings).forEach(([name, value]) => {
+      scope[this.normalizeName(name)] = value;
+    });
+    return this.compile(source, Object.keys(scope))(scope);
+  }
+}
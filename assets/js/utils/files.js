@@ -0,0 +1,55 @@
+// Browser file helpers: downloading generated files and reading user-picked ones
+
+export class FileUtils {
+  /**
+   * Build a download filename for a visualizer
+   * @param {string} type - Visualizer type
+   * @param {string} extension - File extension without the dot
+   * @param {string} suffix - Optional name suffix, e.g. a chart ID
+   * @returns {string} Filename such as "sigsys-phase-shift.json"
+   */
+  static makeFilename(type, extension, suffix = "") {
+    const name = suffix ? `sigsys-${type}-${suffix}` : `sigsys-${type}`;
+    return `${name}.${extension}`;
+  }
+
+  /**
+   * Offer generated content as a file download
+   * @param {string} filename - Suggested filename
+   * @param {string|Blob} content - File contents
+   * @param {string} mimeType - MIME type used when content is a string
+   */
+  static download(filename, content, mimeType = "application/json") {
+    const blob =
+      content instanceof Blob
+        ? content
+        : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Read a user-selected file as text
+   * @param {File} file - File from an <input type="file">
+   * @returns {Promise<string>} File contents
+   */
+  static readText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () =>
+        reject(new Error(`Could not read ${file.name}: ${reader.error}`));
+      reader.readAsText(file);
+    });
+  }
+}
@@ -0,0 +1,90 @@
+// Bounded undo/redo history of state snapshots
+
+/**
+ * Keeps the committed state and the snapshots before and after it. The
+ * caller decides when a change is committed, so a slider drag can become a
+ * single entry:
+ *
+ *   const history = new StateHistory(50);
+ *   history.reset({ phaseShift: 0 });
+ *   history.record({ phaseShift: 1 });
+ *   history.undo(); // { phaseShift: 0 }
+ *   history.redo(); // { phaseShift: 1 }
+ */
+export class StateHistory {
+  /**
+   * @param {number} limit - Maximum number of undo steps kept; the oldest
+   *   are dropped first
+   * @throws {Error} If the limit is not a positive integer
+   */
+  constructor(limit = 50) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`History limit must be a positive integer, got ${limit}`);
+    }
+    this.limit = limit;
+    this.reset(null);
+  }
+
+  /**
+   * Forget all entries and start from a state
+   * @param {Object|null} state - Current state snapshot
+   */
+  reset(state) {
+    this.current = state;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Commit a state; an unchanged state adds no entry
+   * @param {Object} state - State snapshot, not modified afterwards
+   * @returns {boolean} True if an entry was added
+   */
+  record(state) {
+    if (JSON.stringify(state) === JSON.stringify(this.current)) return false;
+
+    this.undoStack.push(this.current);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+    this.current = state;
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if there is a state to go back to
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if an undone state can be restored
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Step back to the previous state
+   * @returns {Object|null} The state to apply, or null at the oldest entry
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+
+    this.redoStack.push(this.current);
+    this.current = this.undoStack.pop();
+    return this.current;
+  }
+
+  /**
+   * Step forward to the state most recently undone
+   * @returns {Object|null} The state to apply, or null if nothing was undone
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+
+    this.undoStack.push(this.current);
+    this.current = this.redoStack.pop();
+    return this.current;
+  }
+}
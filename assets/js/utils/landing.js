@@ -0,0 +1,98 @@
+// Landing page cards and filters generated from the visualizer registry
+
+import { HashRouter } from "./router.js";
+import { LayoutTemplates } from "../config/LayoutTemplates.js";
+
+export class LandingPage {
+  /**
+   * Message shown when no card matches the filters
+   */
+  static emptyMessage = "No visualizations match your search.";
+
+  /**
+   * Render one demo card linking to the visualizer's route
+   * @param {string} type - Visualizer type
+   * @param {Object} info - Registry info { name, description, icon, topic,
+   *   difficulty, tags }
+   * @returns {string} HTML markup
+   */
+  static renderCard(type, info) {
+    const escape = (value) => LayoutTemplates.escapeAttribute(value);
+    const tags = info.tags.map((tag) => `<li>${escape(tag)}</li>`).join("");
+
+    return `<a href="${HashRouter.format(type)}" class="demo-card">
+<img src="${escape(info.icon)}" alt="" class="demo-icon">
+<h2>${escape(info.name)}</h2>
+<p>${escape(info.description)}</p>
+<div class="demo-meta"><span class="demo-topic">${escape(
+      info.topic
+    )}</span><span class="demo-difficulty demo-difficulty-${escape(
+      info.difficulty
+    )}">${escape(info.difficulty)}</span></div>
+<ul class="demo-tags">${tags}</ul>
+</a>`;
+  }
+
+  /**
+   * Check whether a visualizer matches the landing page filters
+   * @param {Object} info - Registry info of the visualizer
+   * @param {Object} filters - { query, topic }; empty values match everything
+   * @returns {boolean} True if the card should be shown
+   */
+  static matches(info, { query = "", topic = "" } = {}) {
+    if (topic && info.topic !== topic) return false;
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const text = [
+      info.name,
+      info.description,
+      info.topic,
+      info.difficulty,
+      ...info.tags,
+    ]
+      .join(" ")
+      .toLowerCase();
+    return words.every((word) => text.includes(word));
+  }
+
+  /**
+   * Get the topics of the available visualizers in registry order
+   * @param {Object} visualizerInfo - VisualizerFactory.getVisualizerInfo()
+   * @returns {string[]} Distinct topics
+   */
+  static getTopics(visualizerInfo) {
+    const topics = Object.values(visualizerInfo)
+      .filter((info) => info.available)
+      .map((info) => info.topic);
+    return [...new Set(topics)];
+  }
+
+  /**
+   * Render the options of the topic filter
+   * @param {Object} visualizerInfo - VisualizerFactory.getVisualizerInfo()
+   * @returns {string} HTML markup of the select's options
+   */
+  static renderTopicOptions(visualizerInfo) {
+    const options = this.getTopics(visualizerInfo).map((topic) => {
+      const value = LayoutTemplates.escapeAttribute(topic);
+      return `<option value="${value}">${value}</option>`;
+    });
+    return [`<option value="">All topics</option>`, ...options].join("");
+  }
+
+  /**
+   * Render the cards of every available visualizer matching the filters
+   * @param {Object} visualizerInfo - VisualizerFactory.getVisualizerInfo()
+   * @param {Object} filters - { query, topic }, see matches()
+   * @returns {string} HTML markup for the demos grid
+   */
+  static render(visualizerInfo, filters = {}) {
+    const cards = Object.entries(visualizerInfo)
+      .filter(([, info]) => info.available && this.matches(info, filters))
+      .map(([type, info]) => this.renderCard(type, info));
+
+    return cards.length > 0
+      ? cards.join("")
+      : `<p class="demos-empty">${this.emptyMessage}</p>`;
+  }
+}
@@ -0,0 +1,158 @@
+// Fundamental-period analysis for sums of sinusoids
+
+export class PeriodAnalyzer {
+  /**
+   * Default analysis options
+   */
+  static defaults = {
+    // Largest denominator accepted when expressing frequency ratios as fractions
+    maxDenominator: 1000,
+    // Relative tolerance for accepting a fraction as exact
+    tolerance: 1e-9,
+    // Cycles of the slowest component covered by the practical window
+    practicalCycles: 10,
+  };
+
+  /**
+   * Best rational approximation p/q of x with q ≤ maxDenominator (continued fractions)
+   * @param {number} x - Value to approximate
+   * @param {number} maxDenominator - Largest allowed denominator
+   * @param {number} tolerance - Relative error below which the fraction counts as exact
+   * @returns {Object|null} { numerator, denominator } or null if no fraction is close enough
+   */
+  static toFraction(
+    x,
+    maxDenominator = this.defaults.maxDenominator,
+    tolerance = this.defaults.tolerance
+  ) {
+    if (!Number.isFinite(x)) return null;
+
+    const sign = x < 0 ? -1 : 1;
+    const target = Math.abs(x);
+    let remainder = target;
+
+    // Convergents h/k of the continued fraction expansion
+    let [h0, h1] = [0, 1];
+    let [k0, k1] = [1, 0];
+
+    for (let i = 0; i < 64; i++) {
+      const a = Math.floor(remainder);
+      [h0, h1] = [h1, a * h1 + h0];
+      [k0, k1] = [k1, a * k1 + k0];
+      if (k1 > maxDenominator) return null;
+
+      if (Math.abs(target - h1 / k1) <= tolerance * Math.max(1, target)) {
+        return { numerator: sign * h1, denominator: k1 };
+      }
+
+      const fraction = remainder - a;
+      if (fraction < 1e-15) break;
+      remainder = 1 / fraction;
+    }
+    return null;
+  }
+
+  /**
+   * Greatest common divisor of two integers
+   * @param {number} a - First integer
+   * @param {number} b - Second integer
+   * @returns {number} gcd(a, b)
+   */
+  static gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+  }
+
+  /**
+   * Least common multiple of two positive integers
+   * @param {number} a - First integer
+   * @param {number} b - Second integer
+   * @returns {number} lcm(a, b)
+   */
+  static lcm(a, b) {
+    return (a / this.gcd(a, b)) * b;
+  }
+
+  /**
+   * Find the common period of Σ A·cos(ωᵢt + φᵢ) from its angular frequencies
+   *
+   * The sum is periodic exactly when every ratio ωᵢ/ω₁ is rational. Writing
+   * ωᵢ = nᵢ·ω₀ with integers nᵢ sharing no common factor gives the fundamental
+   * ω₀ and period T = 2π/ω₀. Otherwise the frequencies are incommensurate and
+   * the signal never repeats; a window spanning a few cycles of the slowest
+   * component is offered instead. That practical window is reported for
+   * periodic sums too, whose exact period can be far too long to display.
+   *
+   * @param {number[]} frequencies - Angular frequencies (zeros are ignored)
+   * @param {Object} options - Overrides for PeriodAnalyzer.defaults
+   * @returns {Object} { status: "periodic" | "incommensurate" | "constant",
+   *   period, fundamental, harmonics, window, practicalWindow }, where window
+   *   is the period when periodic and the practical window otherwise
+   */
+  static analyze(frequencies, options = {}) {
+    const { maxDenominator, tolerance, practicalCycles } = {
+      ...this.defaults,
+      ...options,
+    };
+
+    const active = frequencies
+      .map(Math.abs)
+      .filter((frequency) => frequency > 0)
+      .sort((a, b) => a - b);
+
+    if (active.length === 0) {
+      return {
+        status: "constant",
+        period: null,
+        fundamental: null,
+        harmonics: [],
+        window: 2 * Math.PI,
+        practicalWindow: 2 * Math.PI,
+      };
+    }
+
+    const slowest = active[0];
+    const practicalWindow = (2 * Math.PI * practicalCycles) / slowest;
+
+    // Ratios to the slowest frequency as fractions pᵢ/qᵢ
+    const ratios = active.map((frequency) =>
+      this.toFraction(frequency / slowest, maxDenominator, tolerance)
+    );
+    const commonDenominator = ratios.every(Boolean)
+      ? ratios.reduce(
+          (result, { denominator }) => this.lcm(result, denominator),
+          1
+        )
+      : null;
+
+    if (!commonDenominator || commonDenominator > maxDenominator) {
+      return {
+        status: "incommensurate",
+        period: null,
+        fundamental: null,
+        harmonics: [],
+        window: practicalWindow,
+        practicalWindow,
+      };
+    }
+
+    // ωᵢ = (ω_slowest / L)·nᵢ with integer nᵢ; divide out their common factor
+    const multiples = ratios.map(
+      ({ numerator, denominator }) =>
+        (numerator * commonDenominator) / denominator
+    );
+    const divisor = multiples.reduce((result, n) => this.gcd(result, n), 0);
+    const fundamental = (slowest * divisor) / commonDenominator;
+
+    return {
+      status: "periodic",
+      period: (2 * Math.PI) / fundamental,
+      fundamental,
+      harmonics: multiples.map((n) => n / divisor),
+      window: (2 * Math.PI) / fundamental,
+      practicalWindow,
+    };
+  }
+}
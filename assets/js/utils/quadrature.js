@@ -0,0 +1,274 @@
+// Numerical integration (quadrature) rules with error estimates
+
+// Non-negative 15-point Kronrod nodes on [−1, 1] (the rule is symmetric) with
+// their weights; the odd-indexed nodes are the 7-point Gauss nodes
+const KRONROD_NODES = [
+  0.991455371120812639206854697526329, 0.949107912342758524526189684047851,
+  0.864864423359769072789712788640926, 0.741531185599394439863864773280788,
+  0.586087235467691130294144845693013, 0.405845151377397166906606412076961,
+  0.207784955007898467600689403773245, 0,
+];
+const KRONROD_WEIGHTS = [
+  0.02293532201052922496373200805897, 0.063092092629978553290700663189204,
+  0.104790010322250183839876322541518, 0.140653259715525918745189590510238,
+  0.16900472663926790282658342659855, 0.190350578064785409913256402421014,
+  0.204432940075298892414161999234649, 0.209482141084727828012999174891714,
+];
+const GAUSS_WEIGHTS = [
+  0.129484966168869693270611432679082, 0.27970539148927666790146777142378,
+  0.381830050505118944950369775488975, 0.417959183673469387755102040816327,
+];
+
+export class Quadrature {
+  /**
+   * Registry of available integration methods
+   */
+  static methods = {
+    trapezoid: { name: "Trapezoid" },
+    simpson: { name: "Simpson" },
+    romberg: { name: "Romberg" },
+    "gauss-kronrod": { name: "Adaptive Gauss–Kronrod" },
+    exact: { name: "Exact (analytic)" },
+  };
+
+  /**
+   * Integrate a function over [a, b] with the chosen method
+   * Every method returns { value, error, evaluations, method }, where error is
+   * an estimate of |value − true integral|.
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @param {string} method - One of the keys of Quadrature.methods
+   * @param {Object} options - Method-specific options
+   * @returns {Object} Integration result
+   * @throws {Error} If the method is unknown
+   */
+  static integrate(f, a, b, method = "gauss-kronrod", options = {}) {
+    switch (method) {
+      case "trapezoid":
+        return this.trapezoid(f, a, b, options.intervals);
+      case "simpson":
+        return this.simpson(f, a, b, options.intervals);
+      case "romberg":
+        return this.romberg(f, a, b, options);
+      case "gauss-kronrod":
+        return this.gaussKronrod(f, a, b, options);
+      case "exact":
+        return this.exact(f, a, b, options);
+      default:
+        throw new Error(
+          `Unknown integration method: "${method}". Available methods: ${Object.keys(
+            this.methods
+          ).join(", ")}`
+        );
+    }
+  }
+
+  /**
+   * Composite trapezoid rule with a Richardson error estimate (T_n vs T_n/2)
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @param {number} intervals - Number of subintervals (rounded up to even)
+   * @returns {Object} Integration result
+   */
+  static trapezoid(f, a, b, intervals = 800) {
+    const n = Math.max(2, Math.ceil(intervals / 2) * 2);
+    const h = (b - a) / n;
+
+    const ends = (f(a) + f(b)) / 2;
+    let even = 0;
+    let odd = 0;
+    for (let i = 1; i < n; i++) {
+      const value = f(a + i * h);
+      if (i % 2 === 0) even += value;
+      else odd += value;
+    }
+
+    const fine = h * (ends + even + odd);
+    const coarse = 2 * h * (ends + even);
+    return {
+      value: fine,
+      error: Math.abs(fine - coarse) / 3,
+      evaluations: n + 1,
+      method: "trapezoid",
+    };
+  }
+
+  /**
+   * Composite Simpson rule with a Richardson error estimate (S_n vs S_n/2)
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @param {number} intervals - Number of subintervals (rounded up to a multiple of 4)
+   * @returns {Object} Integration result
+   */
+  static simpson(f, a, b, intervals = 800) {
+    const n = Math.max(4, Math.ceil(intervals / 4) * 4);
+    const h = (b - a) / n;
+    const values = Array.from({ length: n + 1 }, (_, i) => f(a + i * h));
+
+    const rule = (step) => {
+      let sum = values[0] + values[n];
+      for (let i = step; i < n; i += step) {
+        sum += (i / step) % 2 === 1 ? 4 * values[i] : 2 * values[i];
+      }
+      return (sum * h * step) / 3;
+    };
+
+    const fine = rule(1);
+    const coarse = rule(2);
+    return {
+      value: fine,
+      error: Math.abs(fine - coarse) / 15,
+      evaluations: n + 1,
+      method: "simpson",
+    };
+  }
+
+  /**
+   * Romberg integration (Richardson-extrapolated trapezoid rules)
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @param {Object} options - { tolerance, minLevels, maxLevels }
+   * @returns {Object} Integration result
+   */
+  static romberg(f, a, b, options = {}) {
+    const { tolerance = 1e-10, minLevels = 4, maxLevels = 16 } = options;
+
+    let h = b - a;
+    let previous = [(h * (f(a) + f(b))) / 2];
+    let evaluations = 2;
+    let error = Infinity;
+
+    for (let level = 1; level <= maxLevels; level++) {
+      // Add the midpoints of the current trapezoid panels
+      h /= 2;
+      let sum = 0;
+      const panels = 2 ** (level - 1);
+      for (let i = 0; i < panels; i++) {
+        sum += f(a + (2 * i + 1) * h);
+      }
+      evaluations += panels;
+
+      const row = [previous[0] / 2 + h * sum];
+      for (let k = 1; k <= level; k++) {
+        const factor = 4 ** k;
+        row.push(row[k - 1] + (row[k - 1] - previous[k - 1]) / (factor - 1));
+      }
+
+      error = Math.abs(row[level] - previous[level - 1]);
+      previous = row;
+      if (
+        level >= minLevels &&
+        error <= tolerance * Math.max(1, Math.abs(row[level]))
+      ) {
+        break;
+      }
+    }
+
+    return {
+      value: previous[previous.length - 1],
+      error,
+      evaluations,
+      method: "romberg",
+    };
+  }
+
+  /**
+   * Globally adaptive 7/15-point Gauss–Kronrod quadrature
+   * The subinterval with the largest error estimate is bisected until the
+   * total estimate meets the tolerance.
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @param {Object} options - { tolerance, maxIntervals }
+   * @returns {Object} Integration result
+   */
+  static gaussKronrod(f, a, b, options = {}) {
+    const { tolerance = 1e-10, maxIntervals = 200 } = options;
+
+    const intervals = [this.kronrodRule(f, a, b)];
+    let value = intervals[0].value;
+    let error = intervals[0].error;
+
+    while (
+      error > tolerance * Math.max(1, Math.abs(value)) &&
+      intervals.length < maxIntervals
+    ) {
+      let worst = 0;
+      for (let i = 1; i < intervals.length; i++) {
+        if (intervals[i].error > intervals[worst].error) worst = i;
+      }
+
+      const { a: left, b: right } = intervals[worst];
+      const middle = (left + right) / 2;
+      intervals.splice(
+        worst,
+        1,
+        this.kronrodRule(f, left, middle),
+        this.kronrodRule(f, middle, right)
+      );
+
+      value = intervals.reduce((sum, interval) => sum + interval.value, 0);
+      error = intervals.reduce((sum, interval) => sum + interval.error, 0);
+    }
+
+    return {
+      value,
+      error,
+      evaluations: (2 * intervals.length - 1) * 15,
+      method: "gauss-kronrod",
+    };
+  }
+
+  /**
+   * Apply the 15-point Kronrod rule and its embedded 7-point Gauss rule
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @returns {Object} { a, b, value, error } for the interval
+   */
+  static kronrodRule(f, a, b) {
+    const center = (a + b) / 2;
+    const halfWidth = (b - a) / 2;
+
+    const centerValue = f(center);
+    let kronrod = centerValue * KRONROD_WEIGHTS[7];
+    let gauss = centerValue * GAUSS_WEIGHTS[3];
+
+    for (let i = 0; i < 7; i++) {
+      const offset = halfWidth * KRONROD_NODES[i];
+      const pair = f(center - offset) + f(center + offset);
+      kronrod += KRONROD_WEIGHTS[i] * pair;
+      if (i % 2 === 1) gauss += GAUSS_WEIGHTS[(i - 1) / 2] * pair;
+    }
+
+    kronrod *= halfWidth;
+    gauss *= halfWidth;
+    return { a, b, value: kronrod, error: Math.abs(kronrod - gauss) };
+  }
+
+  /**
+   * Exact integration from an antiderivative, when one is known
+   * Falls back to adaptive Gauss–Kronrod if no antiderivative is given.
+   * @param {Function} f - Integrand
+   * @param {number} a - Lower limit
+   * @param {number} b - Upper limit
+   * @param {Object} options - { antiderivative } plus Gauss–Kronrod options
+   * @returns {Object} Integration result
+   */
+  static exact(f, a, b, options = {}) {
+    if (typeof options.antiderivative !== "function") {
+      return this.gaussKronrod(f, a, b, options);
+    }
+
+    return {
+      value: options.antiderivative(b) - options.antiderivative(a),
+      error: 0,
+      evaluations: 0,
+      method: "exact",
+    };
+  }
+}
@@ -0,0 +1,61 @@
+// Hash routes for the single-page shell, e.g. index.html#/integral
+
+export class HashRouter {
+  /**
+   * Prefix of every route in the URL hash
+   */
+  static prefix = "#/";
+
+  /**
+   * Read the route from a URL hash
+   * @param {string} hash - URL hash, e.g. window.location.hash
+   * @returns {string} Route name such as "integral", or "" for the landing page
+   */
+  static parse(hash) {
+    if (!hash.startsWith(this.prefix)) return "";
+    return decodeURIComponent(hash.slice(this.prefix.length)).replace(
+      /\/+$/,
+      ""
+    );
+  }
+
+  /**
+   * Build the URL hash of a route
+   * @param {string} route - Route name, or "" for the landing page
+   * @returns {string} URL hash
+   */
+  static format(route) {
+    return `${this.prefix}${encodeURIComponent(route)}`;
+  }
+
+  /**
+   * @param {Function} onRoute - Called with the route name on every change
+   */
+  constructor(onRoute) {
+    this.onRoute = onRoute;
+    this.handleHashChange = () => this.onRoute(this.current);
+  }
+
+  /**
+   * Current route name
+   * @returns {string} Route name, or "" for the landing page
+   */
+  get current() {
+    return HashRouter.parse(window.location.hash);
+  }
+
+  /**
+   * Start following hash changes and handle the current route
+   */
+  start() {
+    window.addEventListener("hashchange", this.handleHashChange);
+    this.handleHashChange();
+  }
+
+  /**
+   * Stop following hash changes
+   */
+  stop() {
+    window.removeEventListener("hashchange", this.handleHashChange);
+  }
+}
@@ -0,0 +1,269 @@
+// Observable state store with typed parameters, batched updates and derived values
+
+/**
+ * Holds the parameters that drive a visualizer. Every write is type-checked,
+ * and subscribers are told which keys changed, once per set() or batch():
+ *
+ *   const store = new StateStore({ phaseShift: "number" });
+ *   store.derive("phasor", ["phaseShift"], ({ phaseShift }) => ({
+ *     re: Math.cos(phaseShift),
+ *     im: Math.sin(phaseShift),
+ *   }));
+ *   store.subscribe((changed) => console.log(changed)); // ["phaseShift", "phasor"]
+ *   store.set("phaseShift", Math.PI / 2);
+ *
+ * Derived values are computed on first read and cached until one of their
+ * dependencies (parameters or other derived values) changes.
+ */
+export class StateStore {
+  /**
+   * Parameter types a store accepts
+   */
+  static types = ["number", "string", "boolean", "array", "object"];
+
+  /**
+   * @param {Object} types - Parameter types keyed by name, see types
+   * @throws {Error} If a type is unknown
+   */
+  constructor(types = {}) {
+    Object.entries(types).forEach(([key, type]) => {
+      if (!StateStore.types.includes(type)) {
+        throw new Error(
+          `Unknown type "${type}" for state parameter ${key}. Use one of: ${StateStore.types.join(
+            ", "
+          )}`
+        );
+      }
+    });
+
+    this.types = { ...types };
+    this.values = {};
+    this.derived = {};
+    this.listeners = new Set();
+    this.batchDepth = 0;
+    this.pendingChanges = new Set();
+    this.view = null;
+  }
+
+  /**
+   * Check whether a key is a declared parameter
+   * @param {string} key - Parameter name
+   * @returns {boolean} True for parameters, false for derived values
+   */
+  isParameter(key) {
+    return key in this.types;
+  }
+
+  /**
+   * Read a parameter or derived value
+   * @param {string} key - Parameter or derived value name
+   * @returns {*} Current value, undefined for a parameter not set yet
+   * @throws {Error} If the key is neither a parameter nor a derived value
+   */
+  get(key) {
+    if (this.isParameter(key)) {
+      return this.values[key];
+    }
+
+    const derived = this.derived[key];
+    if (!derived) {
+      throw new Error(`Unknown state parameter: ${key}`);
+    }
+    if (derived.stale) {
+      const inputs = {};
+      derived.dependencies.forEach((dependency) => {
+        inputs[dependency] = this.get(dependency);
+      });
+      derived.value = derived.compute(inputs);
+      derived.stale = false;
+    }
+    return derived.value;
+  }
+
+  /**
+   * Check a value against the declared type of a parameter
+   * @param {string} key - Parameter name
+   * @param {*} value - New value
+   * @throws {Error} If the parameter is unknown or the value has another type
+   */
+  validate(key, value) {
+    if (!this.isParameter(key)) {
+      throw new Error(
+        this.derived[key]
+          ? `Derived value ${key} cannot be set`
+          : `Unknown state parameter: ${key}`
+      );
+    }
+
+    const expectedType = this.types[key];
+    const actualType = Array.isArray(value)
+      ? "array"
+      : value === null
+      ? "null"
+      : typeof value;
+    if (actualType !== expectedType) {
+      throw new Error(
+        `Type mismatch at ${key}: expected ${expectedType}, got ${actualType}`
+      );
+    }
+    if (expectedType === "number" && !Number.isFinite(value)) {
+      throw new Error(`${key} must be a finite number, got ${value}`);
+    }
+  }
+
+  /**
+   * Set one parameter, or several at once with a single notification
+   * @param {string|Object} keyOrValues - Parameter name, or values keyed by
+   *   parameter name
+   * @param {*} value - New value when a name is given
+   * @throws {Error} If a value fails its type check; nothing is set then
+   */
+  set(keyOrValues, value) {
+    const values =
+      typeof keyOrValues === "string" ? { [keyOrValues]: value } : keyOrValues;
+    Object.entries(values).forEach(([key, newValue]) =>
+      this.validate(key, newValue)
+    );
+
+    this.batch(() => {
+      Object.entries(values).forEach(([key, newValue]) => {
+        if (Object.is(this.values[key], newValue)) return;
+        this.values[key] = newValue;
+        this.markChanged(key);
+      });
+    });
+  }
+
+  /**
+   * Record a change and invalidate the derived values that depend on it
+   * @param {string} key - Changed parameter or derived value
+   */
+  markChanged(key) {
+    this.pendingChanges.add(key);
+    Object.entries(this.derived).forEach(([name, derived]) => {
+      if (
+        derived.dependencies.includes(key) &&
+        !this.pendingChanges.has(name)
+      ) {
+        derived.stale = true;
+        this.markChanged(name);
+      }
+    });
+  }
+
+  /**
+   * Run several updates and notify subscribers once afterwards
+   * @param {Function} callback - Makes the updates
+   * @returns {*} The callback's return value
+   */
+  batch(callback) {
+    this.batchDepth++;
+    try {
+      return callback();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) this.flush();
+    }
+  }
+
+  /**
+   * Notify subscribers of the changes collected since the last flush
+   */
+  flush() {
+    if (this.pendingChanges.size === 0) return;
+
+    const changed = [...this.pendingChanges];
+    this.pendingChanges.clear();
+    this.listeners.forEach((listener) => listener(changed, this));
+  }
+
+  /**
+   * Declare a value computed from parameters or other derived values
+   * @param {string} key - Derived value name
+   * @param {string[]} dependencies - Names it is computed from
+   * @param {Function} compute - Called with the dependencies' values keyed by
+   *   name
+   * @throws {Error} If the name is taken or a dependency is unknown
+   */
+  derive(key, dependencies, compute) {
+    if (this.isParameter(key) || this.derived[key]) {
+      throw new Error(`State value ${key} is already defined`);
+    }
+    dependencies.forEach((dependency) => {
+      if (!this.isParameter(dependency) && !this.derived[dependency]) {
+        throw new Error(`Unknown dependency ${dependency} of ${key}`);
+      }
+    });
+
+    this.derived[key] = {
+      dependencies: [...dependencies],
+      compute,
+      stale: true,
+      value: undefined,
+    };
+  }
+
+  /**
+   * Call a listener after every change
+   * @param {Function} listener - Called with (changedKeys, store); the keys
+   *   include derived values whose dependencies changed
+   * @returns {Function} Removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Remove every listener, e.g. when the visualizer is destroyed
+   */
+  unsubscribeAll() {
+    this.listeners.clear();
+  }
+
+  /**
+   * Copy of all parameters that have been set, detached from the store
+   * @returns {Object} Parameter values keyed by name
+   */
+  snapshot() {
+    const values = {};
+    Object.keys(this.types).forEach((key) => {
+      if (this.values[key] !== undefined) values[key] = this.values[key];
+    });
+    return JSON.parse(JSON.stringify(values));
+  }
+
+  /**
+   * Object view of the store: reading a property calls get() and assigning
+   * one calls set(), so `state.phaseShift = 1` notifies subscribers
+   * @returns {Object} Proxy over the store
+   */
+  get state() {
+    if (!this.view) {
+      this.view = new Proxy(
+        {},
+        {
+          get: (target, key) =>
+            typeof key === "string" ? this.get(key) : undefined,
+          set: (target, key, value) => {
+            this.set(key, value);
+            return true;
+          },
+          has: (target, key) =>
+            this.isParameter(key) || Boolean(this.derived[key]),
+          ownKeys: () => Object.keys(this.snapshot()),
+          getOwnPropertyDescriptor: (target, key) =>
+            this.values[key] === undefined
+              ? undefined
+              : {
+                  value: this.values[key],
+                  writable: true,
+                  enumerable: true,
+                  configurable: true,
+                },
+        }
+      );
+    }
+    return this.view;
+  }
+}
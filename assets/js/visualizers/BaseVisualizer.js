@@ -2,12 +2,71 @@
 
 import { ChartManager } from "./../utils/chart-utils.js";
 import { MathUtils, WaveformCalculator } from "./../utils/calculations.js";
+import { StateFile } from "./../config/StateFile.js";
+import { ChartExporter } from "./../utils/chart-export.js";
+import { DOMUtils } from "./../utils/dom.js";
+import { StateStore } from "./../utils/store.js";
+import { StateHistory } from "./../utils/history.js";
 
 export class BaseVisualizer {
+  /**
+   * State keys that describe a shareable view, mapped to the config key that
+   * sets their initial value (used for permalinks)
+   */
+  static stateConfigKeys = {
+    phaseShift: "initialPhaseShift",
+  };
+
+  /**
+   * Units of the state values, used in data export headers
+   */
+  static stateUnits = {
+    phaseShift: "rad",
+  };
+
+  /**
+   * Types of the parameters held in the state store; every key of
+   * stateConfigKeys must be listed here
+   */
+  static stateTypes = {
+    phaseShift: "number",
+  };
+
+  /**
+   * Maximum number of undo steps kept by enableHistory()
+   */
+  static historyLimit = 50;
+
+  /**
+   * Milliseconds without state changes after which changes that come without
+   * a control "change" event (messages, playback) become one history entry
+   */
+  static historyDelay = 500;
+
+  /**
+   * IDs of the Undo and Redo buttons wired up by enableHistory()
+   */
+  static historyControls = {
+    undoButton: "undoButton",
+    redoButton: "redoButton",
+  };
+
+  /**
+   * @param {Object} config - Visualizer configuration; config.root is the
+   *   container (document, shadow root or element) that holds the
+   *   visualizer's elements and defaults to the global document. It is kept
+   *   out of this.config so the config stays serializable
+   */
   constructor(config = {}) {
-    this.config = this.mergeConfig(this.getDefaultConfig(), config);
-    this.chartManager = new ChartManager();
-    this.state = {};
+    const { root = globalThis.document, ...settings } = config;
+    this.root = root;
+    this.config = this.mergeConfig(this.getDefaultConfig(), settings);
+    this.chartManager = new ChartManager(root);
+
+    // Single source of truth for the parameters; this.state reads and writes
+    // the store, so assignments notify its subscribers
+    this.store = new StateStore(this.constructor.stateTypes);
+    this.state = this.store.state;
 
     // Initialize DOM elements if available
     this.initializeDOMElements();
@@ -83,6 +142,24 @@ export class BaseVisualizer {
     return target;
   }
 
+  /**
+   * Find an element by ID inside the visualizer's root container
+   * @param {string} id - Element ID
+   * @returns {Element|null} The element, or null if it is not in the root
+   */
+  getElementById(id) {
+    return DOMUtils.getElementById(this.root, id);
+  }
+
+  /**
+   * Create an element in the document that owns the root container
+   * @param {string} tagName - Tag name
+   * @returns {Element} New element
+   */
+  createElement(tagName) {
+    return DOMUtils.getDocument(this.root).createElement(tagName);
+  }
+
   /**
    * Initialize DOM elements based on configuration
    */
@@ -91,7 +168,7 @@ export class BaseVisualizer {
 
     // Find and store references to DOM elements
     Object.entries(this.config.elements).forEach(([key, elementId]) => {
-      const element = document.getElementById(elementId);
+      const element = this.getElementById(elementId);
       if (element) {
         this.elements[key] = element;
       }
@@ -145,17 +222,33 @@ export class BaseVisualizer {
   }
 
   /**
-   * Create a complex plane chart
+   * Swap new data into an existing waveform chart
+   * @param {string} canvasId - Canvas element ID
+   * @param {number[]} data - Y-axis data
+   * @param {Array} additionalDatasets - Additional datasets, in creation order
+   * @returns {boolean} False if the chart has to be created instead
+   */
+  updateWaveformChart(canvasId, data, additionalDatasets = []) {
+    const timeLabels = this.generateTimeLabels();
+
+    return this.chartManager.updateChartData(canvasId, [
+      timeLabels.map((x, i) => ({ x, y: data[i] })),
+      ...additionalDatasets.map((dataset) => dataset.data),
+    ]);
+  }
+
+  /**
+   * Build the complex plane datasets for a phase shift
    * @param {number} phaseShift - Current phase shift
-   * @param {Object} options - Chart options
+   * @returns {Array} Chart datasets
    */
-  createComplexPlaneChart(phaseShift, options = {}) {
+  getComplexPlaneDatasets(phaseShift) {
     const components =
       WaveformCalculator.calculateComplexComponents(phaseShift);
     const unitCirclePoints = MathUtils.generateUnitCirclePoints();
 
     // Create datasets for complex plane visualization
-    const datasets = [
+    return [
       {
         label: "Unit Circle",
         data: unitCirclePoints,
@@ -223,6 +316,15 @@ export class BaseVisualizer {
         fill: false,
       },
     ];
+  }
+
+  /**
+   * Create a complex plane chart
+   * @param {number} phaseShift - Current phase shift
+   * @param {Object} options - Chart options
+   */
+  createComplexPlaneChart(phaseShift, options = {}) {
+    const datasets = this.getComplexPlaneDatasets(phaseShift);
 
     const chartOptions = {
       showLegend: this.config.legendVisible.complexPlaneChart || false,
@@ -243,6 +345,37 @@ export class BaseVisualizer {
     );
   }
 
+  /**
+   * Swap new data into an existing complex plane chart
+   * @param {number} phaseShift - Current phase shift
+   * @returns {boolean} False if the chart has to be created instead
+   */
+  updateComplexPlaneChart(phaseShift) {
+    return this.chartManager.updateChartData(
+      "complexPlaneChart",
+      this.getComplexPlaneDatasets(phaseShift).map(({ data }) => data)
+    );
+  }
+
+  /**
+   * Create a stem dataset for discrete values (drawn on a scatter chart)
+   * @param {string} label - Dataset label
+   * @param {number[]} indices - X positions of the stems
+   * @param {number[]} values - Stem heights
+   * @param {string} color - Stem color
+   * @param {number} offset - Horizontal offset so stems sharing an index don't overlap
+   * @returns {Object} Stem dataset
+   */
+  createStemDataset(label, indices, values, color, offset = 0) {
+    return this.chartManager.createStemDataset(
+      label,
+      indices,
+      values,
+      color,
+      offset
+    );
+  }
+
   /**
    * Update UI elements (to be overridden by subclasses)
    * @param {Object} params - Parameters for updating UI
@@ -321,15 +454,348 @@ export class BaseVisualizer {
    * Destroy all charts and clean up
    */
   destroy() {
+    this.disableHistory();
+    this.store.unsubscribeAll();
     this.chartManager.destroyAll();
   }
 
   /**
    * Get current state
-   * @returns {Object} Current state
+   * @returns {Object} Snapshot of the store's parameters, detached from it
    */
   getState() {
-    return { ...this.state };
+    return this.store.snapshot();
+  }
+
+  /**
+   * Call a listener after every state change, see StateStore.subscribe()
+   * @param {Function} listener - Called with (changedKeys, store)
+   * @returns {Function} Removes the listener
+   */
+  subscribe(listener) {
+    return this.store.subscribe(listener);
+  }
+
+  /**
+   * Keep the parameters of a state snapshot that this visualizer declares
+   * @param {Object} state - State values keyed like getState()
+   * @returns {Object} Defined values of known parameters
+   */
+  pickState(state) {
+    return Object.fromEntries(
+      Object.entries(state).filter(
+        ([key, value]) => value !== undefined && this.store.isParameter(key)
+      )
+    );
+  }
+
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    if (state.phaseShift !== undefined) {
+      this.state.phaseShift = state.phaseShift;
+      if (this.elements.phaseShiftSlider) {
+        this.elements.phaseShiftSlider.value = state.phaseShift;
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Start recording undo/redo history from the current state. A slider drag
+   * becomes one entry when the slider is released (its "change" event);
+   * other changes are committed once they pause for historyDelay. Ctrl+Z and
+   * Ctrl+Shift+Z (Cmd on macOS) and the historyControls buttons inside the
+   * root step through the entries
+   * @param {Object} options - { onRestore } called after undo() or redo()
+   *   applied a state, e.g. to update the URL
+   */
+  enableHistory({ onRestore } = {}) {
+    this.disableHistory();
+
+    const { undoButton, redoButton } = this.constructor.historyControls;
+    this.history = new StateHistory(this.constructor.historyLimit);
+    this.history.reset(this.getState());
+    this.historyTimer = null;
+    this.restoringHistory = false;
+    this.onHistoryRestore = onRestore;
+    this.historyButtons = {
+      undo: this.getElementById(undoButton),
+      redo: this.getElementById(redoButton),
+    };
+
+    // [target, event type, listener] triples, removed by disableHistory()
+    this.historyListeners = [
+      [this.root, "change", () => this.commitHistory()],
+      [this.root, "keydown", (event) => this.handleHistoryKey(event)],
+      [this.historyButtons.undo, "click", () => this.undo()],
+      [this.historyButtons.redo, "click", () => this.redo()],
+    ].filter(([target]) => target);
+    this.historyListeners.forEach(([target, type, listener]) =>
+      target.addEventListener(type, listener)
+    );
+    this.unsubscribeHistory = this.subscribe(() =>
+      this.scheduleHistoryCommit()
+    );
+
+    this.updateHistoryControls();
+  }
+
+  /**
+   * Stop recording history and remove its listeners
+   */
+  disableHistory() {
+    if (!this.history) return;
+
+    clearTimeout(this.historyTimer);
+    this.unsubscribeHistory();
+    this.historyListeners.forEach(([target, type, listener]) =>
+      target.removeEventListener(type, listener)
+    );
+    this.history = null;
+  }
+
+  /**
+   * Commit pending state changes once they pause, so a stream of changes
+   * becomes one entry
+   */
+  scheduleHistoryCommit() {
+    if (this.restoringHistory) return;
+
+    clearTimeout(this.historyTimer);
+    this.historyTimer = setTimeout(
+      () => this.commitHistory(),
+      this.constructor.historyDelay
+    );
+  }
+
+  /**
+   * Record the current state as a history entry if it changed
+   */
+  commitHistory() {
+    if (!this.history) return;
+
+    clearTimeout(this.historyTimer);
+    this.historyTimer = null;
+    this.history.record(this.getState());
+    this.updateHistoryControls();
+  }
+
+  /**
+   * Go back to the state before the last committed change
+   * @returns {boolean} True if a state was restored
+   */
+  undo() {
+    return this.restoreHistory(() => this.history.undo());
+  }
+
+  /**
+   * Restore the state most recently undone
+   * @returns {boolean} True if a state was restored
+   */
+  redo() {
+    return this.restoreHistory(() => this.history.redo());
+  }
+
+  /**
+   * Apply the state of a history step without recording it again
+   * @param {Function} step - Moves the history and returns the state to
+   *   apply, or null
+   * @returns {boolean} True if a state was restored
+   */
+  restoreHistory(step) {
+    if (!this.history) return false;
+
+    // Changes still waiting for their commit are undone as one entry
+    this.commitHistory();
+    const state = step();
+    if (!state) return false;
+
+    this.restoringHistory = true;
+    try {
+      this.applyState(state);
+    } finally {
+      this.restoringHistory = false;
+    }
+    this.updateHistoryControls();
+    if (this.onHistoryRestore) this.onHistoryRestore(state);
+    return true;
+  }
+
+  /**
+   * Undo on Ctrl+Z and redo on Ctrl+Shift+Z; text fields keep their own undo,
+   * and a key already handled by an embedded visualizer is not handled again
+   * @param {KeyboardEvent} event - Key event inside the root
+   */
+  handleHistoryKey(event) {
+    if (event.defaultPrevented) return;
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.key.toLowerCase() !== "z") return;
+    if (DOMUtils.isTextField(event.target)) return;
+
+    event.preventDefault();
+    if (event.shiftKey) {
+      this.redo();
+    } else {
+      this.undo();
+    }
+  }
+
+  /**
+   * Enable the Undo and Redo buttons only when there is a step to take
+   */
+  updateHistoryControls() {
+    const { undo, redo } = this.historyButtons;
+    if (undo) undo.disabled = !this.history.canUndo();
+    if (redo) redo.disabled = !this.history.canRedo();
+  }
+
+  /**
+   * Get derived data worth exporting alongside the state (overridden by
+   * subclasses that compute more than waveforms)
+   * @returns {Object} Computed data
+   */
+  getComputedData() {
+    return {
+      timeLabels: this.generateTimeLabels(),
+      waveforms: this.waveforms ? { ...this.waveforms } : null,
+    };
+  }
+
+  /**
+   * Get the current parameter values with their units for data export
+   * @returns {Object[]} Parameters { name, value, unit }
+   */
+  getDataParameters() {
+    const state = this.getState();
+    const units = this.constructor.stateUnits;
+    return Object.keys(this.constructor.stateConfigKeys)
+      .filter((key) => state[key] !== undefined)
+      .map((key) => ({
+        name: key,
+        value: state[key],
+        unit: units[key] ?? null,
+      }));
+  }
+
+  /**
+   * Get the plotted series as a table for CSV/JSON/text export (see
+   * DataExporter); the first column is the time axis
+   * @returns {Object} Table { type, parameters, columns }
+   */
+  getDataTable() {
+    const waveforms = this.waveforms || {};
+    return {
+      type: this._factoryType ?? this.config.type,
+      parameters: this.getDataParameters(),
+      columns: [
+        { name: "t", unit: "s", values: this.generateTimeLabels() },
+        ...Object.entries(waveforms)
+          .filter(([, values]) => Array.isArray(values))
+          .map(([name, values]) => ({
+            name,
+            unit: "a.u.",
+            values: [...values],
+          })),
+      ],
+    };
+  }
+
+  /**
+   * Get the charts to export with their page titles, in page order
+   * @returns {Object[]} Figures { canvasId, chart, title }
+   */
+  getChartFigures() {
+    const ids = this.chartManager.getChartIds();
+    const pageOrder = Array.from(
+      this.root.querySelectorAll("canvas") || [],
+      (canvas) => canvas.id
+    );
+    const position = (id) =>
+      pageOrder.includes(id) ? pageOrder.indexOf(id) : pageOrder.length;
+
+    return [...ids]
+      .sort((a, b) => position(a) - position(b))
+      .map((canvasId) => ({
+        canvasId,
+        chart: this.chartManager.getChart(canvasId),
+        title: ChartExporter.getChartTitle(canvasId, this.root),
+      }));
+  }
+
+  /**
+   * Render one chart as SVG, titled like its heading on the page
+   * @param {string} canvasId - Canvas element ID
+   * @param {Object} options - Size overrides { width, height }
+   * @returns {string} SVG markup
+   * @throws {Error} If there is no chart on that canvas
+   */
+  getChartSVG(canvasId, options = {}) {
+    const chart = this.chartManager.getChart(canvasId);
+    if (!chart) {
+      throw new Error(`No chart to export on canvas: ${canvasId}`);
+    }
+    return ChartExporter.renderChart(chart, {
+      title: ChartExporter.getChartTitle(canvasId, this.root),
+      ...options,
+    });
+  }
+
+  /**
+   * Render every chart on the page as one SVG figure
+   * @param {Object} options - Layout overrides { title, columns, width, height }
+   * @returns {string} SVG markup
+   */
+  getPageSVG(options = {}) {
+    const heading = this.root.querySelector(".header h1");
+    return ChartExporter.renderPage(this.getChartFigures(), {
+      title: heading
+        ? ChartExporter.getElementText(heading)
+        : this._factoryName,
+      ...options,
+    });
+  }
+
+  /**
+   * Export the visualization as a versioned document (see StateFile)
+   * @returns {Object} Export document with config, state and computed data
+   */
+  exportData() {
+    return StateFile.create(
+      this._factoryType ?? this.config.type,
+      this.config,
+      this.getState(),
+      this.getComputedData()
+    );
+  }
+
+  /**
+   * Import a previously exported document, migrating older formats
+   * @param {Object|string} data - Export document or its JSON text
+   * @returns {Object} { migratedFrom }, the file's format version if it was
+   *   upgraded and null otherwise
+   * @throws {Error} If the document is invalid or belongs to another visualizer
+   */
+  importData(data) {
+    const { config, state, migratedFrom } = StateFile.read(
+      data,
+      this._factoryType ?? this.config.type,
+      this.constructor.stateConfigKeys
+    );
+    this.applyConfig(config);
+    this.applyState(state);
+    return { migratedFrom };
+  }
+
+  /**
+   * Apply an imported configuration before its state is applied (overridden
+   * by subclasses that cache values derived from the config)
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    this.updateConfig(config);
   }
 
   /**
@@ -0,0 +1,880 @@
+// Convolution (flip-and-slide) visualization class extending BaseVisualizer
+
+import { BaseVisualizer } from "./BaseVisualizer.js";
+import { MathUtils, FFT } from "./../utils/calculations.js";
+import { ExpressionParser } from "./../utils/expression.js";
+import { Quadrature } from "./../utils/quadrature.js";
+
+export class ConvolutionVisualizer extends BaseVisualizer {
+  /**
+   * Shareable state keys and the config keys that initialize them
+   */
+  static stateConfigKeys = {
+    time: "initialTime",
+    mode: "mode",
+    preset: "preset",
+  };
+
+  /**
+   * Units of the state values, used in data export headers (discrete time
+   * is a sample index and has none)
+   */
+  static stateUnits = {
+    time: "s",
+  };
+
+  /**
+   * Types of the parameters held in the state store
+   */
+  static stateTypes = {
+    time: "number",
+    mode: "string",
+    preset: "string",
+    playing: "boolean",
+  };
+
+  /**
+   * Page layout rendered by LayoutTemplates: the charts in grid order with
+   * their initial titles, then the controls
+   */
+  static layout = {
+    title: "Convolution",
+    stylesheet: "convolution.css",
+    charts: [
+      {
+        canvasId: "inputChart",
+        titleId: "inputTitle",
+        title: "x(t) and h(t)",
+      },
+      {
+        canvasId: "slideChart",
+        titleId: "slideTitle",
+        title: "x(τ) and h(t − τ)",
+      },
+      {
+        canvasId: "productChart",
+        titleId: "productTitle",
+        title: "x(τ)·h(t − τ)",
+      },
+      { canvasId: "outputChart", titleId: "outputTitle", title: "y(t)" },
+    ],
+    controls: [
+      {
+        kind: "range",
+        id: "timeSlider",
+        label: "Time (t)",
+        min: -3,
+        max: 5,
+        step: 0.01,
+        value: -1.5,
+        valueId: "timeValue",
+        valueText: "-1.50",
+      },
+      { kind: "button", id: "playButton", label: "▶ Play" },
+      {
+        kind: "select",
+        id: "presetSelect",
+        label: "Signals",
+        options: [
+          ["rect-rect", "rect * rect → triangle"],
+          ["exp-step", "step * exp"],
+          ["rect-exp", "rect * exp"],
+          ["tri-rect", "tri * rect"],
+        ],
+      },
+      {
+        kind: "select",
+        id: "modeSelect",
+        ariaLabel: "Time model",
+        options: [
+          ["continuous", "Continuous"],
+          ["discrete", "Discrete"],
+        ],
+      },
+    ],
+  };
+
+  /**
+   * Preset signal pairs, written as expressions in t (continuous) or n (discrete)
+   */
+  static presets = {
+    "rect-rect": {
+      name: "rect * rect → triangle",
+      continuous: { x: "rect(t)", h: "rect(t)" },
+      discrete: { x: "u(n) - u(n - 4)", h: "u(n) - u(n - 4)" },
+    },
+    "exp-step": {
+      name: "step * exp",
+      continuous: { x: "u(t)", h: "exp(-t)u(t)" },
+      discrete: { x: "u(n)", h: "0.7^n u(n)" },
+    },
+    "rect-exp": {
+      name: "rect * exp",
+      continuous: { x: "rect(t - 0.5)", h: "exp(-2t)u(t)" },
+      discrete: { x: "u(n) - u(n - 3)", h: "0.5^n u(n)" },
+    },
+    "tri-rect": {
+      name: "tri * rect",
+      continuous: { x: "tri(t)", h: "rect(t)" },
+      discrete: { x: "tri(n/3)", h: "u(n) - u(n - 3)" },
+    },
+  };
+
+  constructor(config = {}) {
+    super(config);
+    this.signals = null;
+    this.output = null;
+    this.animationFrame = null;
+  }
+
+  /**
+   * Get default configuration specific to convolution visualization
+   * @returns {Object} Default configuration
+   */
+  getDefaultConfig() {
+    const baseConfig = super.getDefaultConfig();
+
+    return {
+      ...baseConfig,
+      // Signal pair and time model
+      preset: "rect-rect",
+      mode: "continuous",
+
+      // Axis ranges for τ (continuous) and k (discrete)
+      continuousRange: { min: -3, max: 5, points: 801 },
+      discreteRange: { min: -5, max: 15 },
+
+      // Time slider settings
+      initialTime: -1.5,
+      timeStep: 0.01,
+
+      // Autoplay speed in time units (or samples) per second
+      playbackSpeed: 1.5,
+
+      legendVisible: {
+        inputChart: true,
+        slideChart: true,
+        productChart: false,
+        outputChart: false,
+      },
+
+      charts: {
+        input: {
+          canvasId: "inputChart",
+          titleElementId: "inputTitle",
+        },
+        slide: {
+          canvasId: "slideChart",
+          titleElementId: "slideTitle",
+        },
+        product: {
+          canvasId: "productChart",
+          titleElementId: "productTitle",
+          color: "orange",
+          fillColor: "rgba(255, 165, 0, 0.3)",
+        },
+        output: {
+          canvasId: "outputChart",
+          titleElementId: "outputTitle",
+          color: "orange",
+        },
+      },
+
+      elements: {
+        timeSlider: "timeSlider",
+        timeValue: "timeValue",
+        playButton: "playButton",
+        modeSelect: "modeSelect",
+        presetSelect: "presetSelect",
+      },
+    };
+  }
+
+  /**
+   * Get the axis range for the current mode
+   * @returns {Object} { min, max, step }
+   */
+  getRange() {
+    if (this.state.mode === "discrete") {
+      const { min, max } = this.config.discreteRange;
+      return { min, max, step: 1 };
+    }
+    const { min, max } = this.config.continuousRange;
+    return { min, max, step: this.config.timeStep };
+  }
+
+  /**
+   * Generate the τ grid (continuous) or the integer k grid (discrete)
+   * @returns {number[]} Array of axis values
+   */
+  generateTimeLabels() {
+    if (this.state.mode === "discrete") {
+      const { min, max } = this.config.discreteRange;
+      return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    }
+    const { min, max, points } = this.config.continuousRange;
+    return MathUtils.generateLabels(min, max, points);
+  }
+
+  /**
+   * Compile the x and h expressions of the current preset and mode
+   * @throws {Error} If the preset is unknown
+   */
+  compileSignals() {
+    const preset = ConvolutionVisualizer.presets[this.state.preset];
+    if (!preset) {
+      throw new Error(`Unknown convolution preset: "${this.state.preset}"`);
+    }
+
+    const variable = this.state.mode === "discrete" ? "n" : "t";
+    const { x, h } = preset[this.state.mode];
+    this.signals = {
+      x: ExpressionParser.toFunction(x, {}, variable),
+      h: ExpressionParser.toFunction(h, {}, variable),
+      expressions: { x, h },
+    };
+  }
+
+  /**
+   * Calculate x, h and the full output y over the axis grid
+   * Continuous output uses a Riemann sum Δτ·Σ x(τₖ)h(t − τₖ) computed with the FFT.
+   */
+  calculateOutput() {
+    const labels = this.generateTimeLabels();
+    const { x, h } = this.signals;
+    const xValues = labels.map(x);
+    const hValues = labels.map(h);
+
+    if (this.state.mode === "discrete") {
+      // y[n] = Σ x[k]h[n − k]; index m of the full convolution is n = 2·min + m
+      const full = FFT.convolve(xValues, hValues);
+      const offset = labels[0];
+      this.output = labels.map((n) => full[n - 2 * offset]);
+    } else {
+      // Sample h at every lag (i − k)Δτ so y(tᵢ) is one entry of a convolution
+      const n = labels.length;
+      const step = labels[1] - labels[0];
+      const lags = Array.from({ length: 2 * n - 1 }, (_, j) =>
+        h((j - n + 1) * step)
+      );
+      const full = FFT.convolve(xValues, lags);
+      this.output = labels.map((_, i) => full[i + n - 1] * step);
+    }
+
+    this.signalValues = { labels, x: xValues, h: hValues };
+  }
+
+  /**
+   * Evaluate the product x(τ)h(t − τ) and its area at the current time
+   * @param {number} time - Current output time t (or n)
+   * @returns {Object} { product, area }
+   */
+  calculateProduct(time) {
+    const { labels } = this.signalValues;
+    const { x, h } = this.signals;
+    const product = labels.map((tau) => x(tau) * h(time - tau));
+
+    if (this.state.mode === "discrete") {
+      return { product, area: product.reduce((sum, value) => sum + value, 0) };
+    }
+
+    // Adaptive quadrature copes with the jumps of rect and u
+    const { min, max } = this.config.continuousRange;
+    const { value } = Quadrature.gaussKronrod(
+      (tau) => x(tau) * h(time - tau),
+      min,
+      max,
+      { tolerance: 1e-8 }
+    );
+    return { product, area: value };
+  }
+
+  /**
+   * Update chart titles for the current time
+   * @param {number} time - Current output time
+   * @param {number} area - Value of y at the current time
+   */
+  updateTitles(time, area) {
+    const { charts } = this.config;
+    const discrete = this.state.mode === "discrete";
+    const { x, h } = this.signals.expressions;
+    const timeText = this.formatTime(time);
+
+    const titles = {
+      input: discrete
+        ? `x[n] = ${x},  h[n] = ${h}`
+        : `x(t) = ${x},  h(t) = ${h}`,
+      slide: discrete
+        ? `x[k] and h[n − k], n = ${timeText}`
+        : `x(τ) and h(t − τ), t = ${timeText}`,
+      product: discrete
+        ? `x[k]·h[n − k], sum = y[${timeText}] = ${area.toFixed(3)}`
+        : `x(τ)·h(t − τ), area = y(${timeText}) = ${area.toFixed(3)}`,
+      output: discrete ? "y[n] = Σ x[k]·h[n − k]" : "y(t) = ∫ x(τ)·h(t − τ) dτ",
+    };
+
+    Object.entries(titles).forEach(([key, text]) => {
+      const element = this.getElementById(charts[key].titleElementId);
+      if (element) {
+        element.textContent = text;
+      }
+    });
+  }
+
+  /**
+   * Format the current time for titles and the slider readout
+   * @param {number} time - Time value
+   * @returns {string} Formatted time
+   */
+  formatTime(time) {
+    return this.state.mode === "discrete"
+      ? Math.round(time).toString()
+      : time.toFixed(2);
+  }
+
+  /**
+   * Get y-axis limits with headroom around a set of values
+   * @param {number[]} values - Values to fit
+   * @returns {Object} { yMin, yMax }
+   */
+  getValueRange(values) {
+    const max = Math.max(...values.map(Math.abs), 0.1);
+    const min = Math.min(...values, 0);
+    return {
+      yMin: min < 0 ? min * 1.2 : -0.2 * max,
+      yMax: max * 1.2,
+    };
+  }
+
+  /**
+   * Create all charts for the current time
+   * @param {number} time - Current output time
+   * @param {number[]} product - Pointwise product over the axis grid
+   */
+  createCharts(time, product) {
+    if (this.state.mode === "discrete") {
+      this.createDiscreteCharts(time, product);
+    } else {
+      this.createContinuousCharts(time, product);
+    }
+  }
+
+  /**
+   * Create the continuous-time line charts
+   * @param {number} time - Current output time t
+   * @param {number[]} product - x(τ)h(t − τ) over the τ grid
+   */
+  createContinuousCharts(time, product) {
+    const { labels, x, h } = this.signalValues;
+    const { colors, charts } = this.config;
+    const { min, max } = this.config.continuousRange;
+    const flipped = labels.map((tau) => this.signals.h(time - tau));
+
+    const axis = {
+      xMin: min,
+      xMax: max,
+      xTickCallback: (value) =>
+        Number.isInteger(value) ? value.toString() : "",
+      chartOptions: {
+        elements: { point: { radius: 0 } },
+        scales: { x: { ticks: { stepSize: 1 } } },
+      },
+    };
+    const line = (label, data, color, extra = {}) => ({
+      label,
+      data: labels.map((tau, i) => ({ x: tau, y: data[i] })),
+      borderColor: color,
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false,
+      ...extra,
+    });
+    const signalRange = this.getValueRange([...x, ...h]);
+
+    // Original signals
+    this.createWaveformChart(
+      charts.input.canvasId,
+      "x(τ)",
+      x,
+      colors.blue,
+      [line("h(τ)", h, colors.green)],
+      { ...axis, ...signalRange }
+    );
+
+    // Flipped and shifted impulse response sliding over x
+    this.createWaveformChart(
+      charts.slide.canvasId,
+      "x(τ)",
+      x,
+      colors.blue,
+      [
+        line("h(t − τ)", flipped, colors.green),
+        {
+          label: "τ = t",
+          data: [
+            { x: time, y: signalRange.yMin },
+            { x: time, y: signalRange.yMax },
+          ],
+          borderColor: colors.gray,
+          borderWidth: 1,
+          borderDash: [5, 5],
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+      { ...axis, ...signalRange }
+    );
+
+    // Pointwise product with its area shaded
+    this.createWaveformChart(
+      charts.product.canvasId,
+      "x(τ)·h(t − τ)",
+      product,
+      colors[charts.product.color],
+      [],
+      {
+        ...axis,
+        ...this.getValueRange([...product, ...this.output]),
+        mainDataset: {
+          fill: "origin",
+          backgroundColor: charts.product.fillColor,
+        },
+      }
+    );
+
+    // Output traced up to the current time
+    const traced = labels.map((t, i) => (t <= time ? this.output[i] : null));
+    const { area } = this.current;
+    this.createWaveformChart(
+      charts.output.canvasId,
+      "y(t)",
+      traced,
+      colors[charts.output.color],
+      [
+        line("y(t) (full)", this.output, colors.gray, { borderWidth: 1 }),
+        {
+          label: "y at current t",
+          data: [{ x: time, y: area }],
+          borderColor: colors.red,
+          backgroundColor: colors.red,
+          pointRadius: 5,
+          showLine: false,
+        },
+      ],
+      { ...axis, ...this.getValueRange(this.output), showXAxis: true }
+    );
+  }
+
+  /**
+   * Create the discrete-time stem charts
+   * @param {number} time - Current output index n
+   * @param {number[]} product - x[k]h[n − k] over the k grid
+   */
+  createDiscreteCharts(time, product) {
+    const { labels, x, h } = this.signalValues;
+    const { colors, charts, legendVisible } = this.config;
+    const { min, max } = this.config.discreteRange;
+    const flipped = labels.map((k) => this.signals.h(time - k));
+    const signalRange = this.getValueRange([...x, ...h]);
+
+    const axis = (title) => ({
+      xAxisTitle: title,
+      xMin: min - 0.5,
+      xMax: max + 0.5,
+    });
+    const sequence = (label, indices, values, color, offset = 0) => ({
+      label,
+      indices,
+      values,
+      color,
+      offset,
+    });
+
+    this.chartManager.createStemChart(
+      charts.input.canvasId,
+      [
+        sequence("x[k]", labels, x, colors.blue, -0.1),
+        sequence("h[k]", labels, h, colors.green, 0.1),
+      ],
+      {
+        showLegend: legendVisible[charts.input.canvasId] || false,
+        ...axis("k"),
+        ...signalRange,
+      }
+    );
+
+    this.chartManager.createStemChart(
+      charts.slide.canvasId,
+      [
+        sequence("x[k]", labels, x, colors.blue, -0.1),
+        sequence("h[n − k]", labels, flipped, colors.green, 0.1),
+      ],
+      {
+        showLegend: legendVisible[charts.slide.canvasId] || false,
+        ...axis("k"),
+        ...signalRange,
+      }
+    );
+
+    this.chartManager.createStemChart(
+      charts.product.canvasId,
+      [
+        sequence(
+          "x[k]·h[n − k]",
+          labels,
+          product,
+          colors[charts.product.color]
+        ),
+      ],
+      {
+        showLegend: legendVisible[charts.product.canvasId] || false,
+        ...axis("k"),
+        ...this.getValueRange([...product, ...this.output]),
+      }
+    );
+
+    // Output: samples up to n highlighted over the full response
+    const reached = labels.filter((n) => n <= time);
+    this.chartManager.createStemChart(
+      charts.output.canvasId,
+      [
+        sequence(
+          "y[n]",
+          reached,
+          reached.map((n) => this.output[n - min]),
+          colors[charts.output.color]
+        ),
+        sequence("y[n] (full)", labels, this.output, colors.gray),
+      ],
+      {
+        showLegend: legendVisible[charts.output.canvasId] || false,
+        ...axis("n"),
+        ...this.getValueRange(this.output),
+      }
+    );
+  }
+
+  /**
+   * Update UI elements
+   * @param {Object} params - Parameters for updating UI
+   */
+  updateUI(params) {
+    if (this.elements.timeValue && params.time !== undefined) {
+      this.elements.timeValue.textContent = this.formatTime(params.time);
+    }
+    if (this.elements.timeSlider && params.time !== undefined) {
+      this.elements.timeSlider.value = params.time;
+    }
+    if (this.elements.playButton && params.playing !== undefined) {
+      this.elements.playButton.textContent = params.playing
+        ? "⏸ Pause"
+        : "▶ Play";
+    }
+  }
+
+  /**
+   * Configure the time slider for the current mode
+   */
+  initializeSlider() {
+    const slider = this.elements.timeSlider;
+    if (slider) {
+      const { min, max, step } = this.getRange();
+      slider.min = min;
+      slider.max = max;
+      slider.step = step;
+      slider.value = this.state.time;
+    }
+  }
+
+  /**
+   * Add event listeners for the time slider, playback and selectors
+   */
+  addEventListeners() {
+    if (this.elements.timeSlider) {
+      this.elements.timeSlider.addEventListener("input", (e) => {
+        this.stopPlayback();
+        this.onTimeChange(parseFloat(e.target.value));
+      });
+    }
+
+    if (this.elements.playButton) {
+      this.elements.playButton.addEventListener("click", () => {
+        this.togglePlayback();
+      });
+    }
+
+    if (this.elements.modeSelect) {
+      this.elements.modeSelect.addEventListener("change", (e) => {
+        this.onModeChange(e.target.value);
+      });
+    }
+
+    if (this.elements.presetSelect) {
+      this.elements.presetSelect.addEventListener("change", (e) => {
+        this.onPresetChange(e.target.value);
+      });
+    }
+  }
+
+  /**
+   * Handle time changes
+   * @param {number} time - New output time
+   */
+  onTimeChange(time) {
+    this.store.set("time", time);
+  }
+
+  /**
+   * Handle switching between continuous and discrete time
+   * @param {string} mode - "continuous" or "discrete"
+   */
+  onModeChange(mode) {
+    this.store.set("mode", mode);
+  }
+
+  /**
+   * Handle preset changes
+   * @param {string} preset - Preset key
+   */
+  onPresetChange(preset) {
+    this.store.set("preset", preset);
+  }
+
+  /**
+   * Keep a time inside the current range, and on the integer grid when
+   * discrete
+   * @param {number} time - Output time
+   * @returns {number} Time the output can be shown at
+   */
+  clampTime(time) {
+    const { min, max } = this.getRange();
+    const clamped = Math.min(Math.max(time, min), max);
+    return this.state.mode === "discrete" ? Math.round(clamped) : clamped;
+  }
+
+  /**
+   * Start or stop autoplay
+   */
+  togglePlayback() {
+    if (this.state.playing) {
+      this.stopPlayback();
+    } else {
+      this.startPlayback();
+    }
+  }
+
+  /**
+   * Sweep the time forward until the end of the range
+   */
+  startPlayback() {
+    const { min, max } = this.getRange();
+    if (this.state.time >= max) {
+      this.onTimeChange(min);
+    }
+
+    this.store.set("playing", true);
+
+    let position = this.state.time;
+    let previousTimestamp = null;
+
+    const step = (timestamp) => {
+      if (!this.state.playing) return;
+
+      if (previousTimestamp !== null) {
+        position +=
+          (this.config.playbackSpeed * (timestamp - previousTimestamp)) / 1000;
+        const time =
+          this.state.mode === "discrete" ? Math.floor(position) : position;
+
+        if (time >= max) {
+          this.onTimeChange(max);
+          this.stopPlayback();
+          return;
+        }
+        if (time !== this.state.time) {
+          this.onTimeChange(time);
+        }
+      }
+
+      previousTimestamp = timestamp;
+      this.animationFrame = requestAnimationFrame(step);
+    };
+
+    this.animationFrame = requestAnimationFrame(step);
+  }
+
+  /**
+   * Stop autoplay
+   */
+  stopPlayback() {
+    if (this.animationFrame !== null) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+    if (this.state.playing) {
+      this.store.set("playing", false);
+    }
+  }
+
+  /**
+   * Compile signals and compute the full output for the current preset and mode
+   */
+  prepare() {
+    this.compileSignals();
+    this.calculateOutput();
+  }
+
+  /**
+   * Initialize the visualizer
+   */
+  initialize() {
+    this.store.set({
+      mode: this.config.mode,
+      preset: this.config.preset,
+      time: this.config.initialTime,
+      playing: false,
+    });
+
+    this.syncSelects();
+    this.initializeSlider();
+    this.addEventListeners();
+    this.prepare();
+    this.render();
+    this.subscribe((changed) => this.onStateChange(changed));
+  }
+
+  /**
+   * Show the stored mode and preset in their selectors
+   */
+  syncSelects() {
+    if (this.elements.modeSelect) {
+      this.elements.modeSelect.value = this.state.mode;
+    }
+    if (this.elements.presetSelect) {
+      this.elements.presetSelect.value = this.state.preset;
+    }
+  }
+
+  /**
+   * Recompute what the changed parameters affect and redraw, once per update
+   * @param {string[]} changed - Changed parameters
+   */
+  onStateChange(changed) {
+    // Starting or stopping playback only relabels the button
+    if (changed.every((key) => key === "playing")) {
+      this.updateUI({ playing: this.state.playing });
+      return;
+    }
+
+    if (changed.includes("mode") || changed.includes("preset")) {
+      this.syncSelects();
+      this.initializeSlider();
+      this.prepare();
+      this.stopPlayback();
+    }
+
+    // A time outside the range notifies again once corrected, and redraws then
+    const time = this.clampTime(this.state.time);
+    if (time !== this.state.time) {
+      this.onTimeChange(time);
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Render the complete convolution visualization
+   */
+  render() {
+    const { time, playing } = this.state;
+    this.current = this.calculateProduct(time);
+    this.createCharts(time, this.current.product);
+    this.updateTitles(time, this.current.area);
+    this.updateUI({ time, playing });
+  }
+
+  /**
+   * Stop autoplay and destroy all charts
+   */
+  destroy() {
+    this.stopPlayback();
+    super.destroy();
+  }
+
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL; the
+   * store notifies onStateChange(), which redraws. Playback is only ever
+   * started by the user, so a snapshot taken while playing stops it
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    this.stopPlayback();
+    const values = this.pickState(state);
+    delete values.playing;
+    this.store.set(values);
+  }
+
+  /**
+   * Pick up imported ranges and redraw in case the state turns out unchanged
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    super.applyConfig(config);
+    this.initializeSlider();
+    this.prepare();
+    this.render();
+  }
+
+  /**
+   * Get derived data worth exporting alongside the state
+   * @returns {Object} Signals, output and the product at the current time
+   */
+  getComputedData() {
+    if (!this.signalValues) {
+      return { timeLabels: null, signals: null, output: null, current: null };
+    }
+    return {
+      timeLabels: [...this.signalValues.labels],
+      signals: { x: [...this.signalValues.x], h: [...this.signalValues.h] },
+      output: [...this.output],
+      current: this.current
+        ? { product: [...this.current.product], area: this.current.area }
+        : null,
+    };
+  }
+
+  /**
+   * Get both signals, the product at the current time and the output as a
+   * table over the shared axis (τ or k, which is also the axis of y)
+   * @returns {Object} Table { type, parameters, columns }
+   */
+  getDataTable() {
+    const discrete = this.state.mode === "discrete";
+    const unit = discrete ? null : "s";
+    const { labels, x, h } = this.signalValues;
+
+    return {
+      type: this._factoryType ?? this.config.type,
+      parameters: this.getDataParameters().map((parameter) =>
+        parameter.name === "time" ? { ...parameter, unit } : parameter
+      ),
+      columns: [
+        { name: discrete ? "n" : "t", unit, values: [...labels] },
+        { name: "x", unit: "a.u.", values: [...x] },
+        { name: "h", unit: "a.u.", values: [...h] },
+        { name: "product", unit: "a.u.", values: [...this.current.product] },
+        { name: "output", unit: "a.u.", values: [...this.output] },
+      ],
+    };
+  }
+
+  /**
+   * Get the full output signal over the axis grid
+   * @returns {Object|null} { labels, values }
+   */
+  getOutput() {
+    return this.output
+      ? { labels: [...this.signalValues.labels], values: [...this.output] }
+      : null;
+  }
+}
@@ -0,0 +1,582 @@
+// Fourier series synthesis visualization class extending BaseVisualizer
+
+import { BaseVisualizer } from "./BaseVisualizer.js";
+import { FourierSeriesCalculator } from "./../utils/calculations.js";
+import { ExpressionParser } from "./../utils/expression.js";
+
+export class FourierSeriesVisualizer extends BaseVisualizer {
+  /**
+   * Shareable state keys and the config keys that initialize them
+   */
+  static stateConfigKeys = {
+    harmonics: "initialHarmonics",
+    waveform: "waveform",
+    expression: "expression",
+  };
+
+  /**
+   * Types of the parameters held in the state store
+   */
+  static stateTypes = {
+    harmonics: "number",
+    waveform: "string",
+    expression: "string",
+  };
+
+  /**
+   * Page layout rendered by LayoutTemplates: the charts in grid order with
+   * their initial titles, then the controls
+   */
+  static layout = {
+    title: "Fourier Series Synthesis",
+    stylesheet: "fourier.css",
+    charts: [
+      {
+        canvasId: "partialSumChart",
+        titleId: "partialSumTitle",
+        title: "S<sub>N</sub>(t)",
+      },
+      {
+        canvasId: "coefficientChart",
+        titleId: "coefficientTitle",
+        title: "Fourier Coefficients",
+        note: '<span class="cosine-component">aₙ</span> and <span class="sine-component">bₙ</span> for n = 0…N (a₀ shown as a₀/2)',
+        complex: true,
+      },
+      {
+        canvasId: "harmonicChart",
+        titleId: "harmonicTitle",
+        title: "Harmonic N",
+      },
+      {
+        canvasId: "errorChart",
+        titleId: "errorTitle",
+        title: "f(t) − S<sub>N</sub>(t)",
+      },
+    ],
+    controls: [
+      {
+        kind: "range",
+        id: "harmonicSlider",
+        label: "Harmonics (N)",
+        min: 1,
+        max: 50,
+        step: 1,
+        value: 5,
+        valueId: "harmonicValue",
+        valueText: "5",
+      },
+      {
+        kind: "select",
+        id: "waveformSelect",
+        label: "Waveform",
+        options: [
+          ["square", "Square"],
+          ["triangle", "Triangle"],
+          ["sawtooth", "Sawtooth"],
+          ["custom", "Custom"],
+          ["expression", "Expression"],
+        ],
+      },
+      {
+        kind: "text",
+        id: "expressionInput",
+        label: "Waveform expression in t",
+        placeholder: "e.g. rect(t/pi)",
+      },
+    ],
+  };
+
+  constructor(config = {}) {
+    super(config);
+    this.coefficients = null;
+    this.waveforms = null;
+  }
+
+  /**
+   * Get default configuration specific to Fourier series visualization
+   * @returns {Object} Default configuration
+   */
+  getDefaultConfig() {
+    const baseConfig = super.getDefaultConfig();
+
+    return {
+      ...baseConfig,
+      // Periodic waveform to synthesize
+      waveform: "square",
+      period: 2 * Math.PI,
+      customPoints: [
+        [0, 0],
+        [Math.PI / 2, 1],
+        [Math.PI, 0],
+        [2 * Math.PI, 0],
+      ],
+      // One period of the "expression" waveform, centered on t = 0
+      expression: "rect(t/pi)",
+
+      // Harmonic slider settings
+      initialHarmonics: 5,
+      maxHarmonics: 50,
+
+      // Display and integration resolution
+      displayPeriods: 2,
+      pointsPerPeriod: 400,
+      samplesPerPeriod: 2048,
+
+      legendVisible: {
+        partialSumChart: true,
+        coefficientChart: true,
+        harmonicChart: false,
+        errorChart: false,
+      },
+
+      charts: {
+        partialSum: {
+          canvasId: "partialSumChart",
+          titleElementId: "partialSumTitle",
+          color: "orange",
+        },
+        coefficients: {
+          canvasId: "coefficientChart",
+          titleElementId: "coefficientTitle",
+        },
+        harmonic: {
+          canvasId: "harmonicChart",
+          titleElementId: "harmonicTitle",
+          color: "blue",
+        },
+        error: {
+          canvasId: "errorChart",
+          titleElementId: "errorTitle",
+          color: "red",
+          showXAxis: true,
+        },
+      },
+
+      elements: {
+        harmonicSlider: "harmonicSlider",
+        harmonicValue: "harmonicValue",
+        waveformSelect: "waveformSelect",
+        expressionInput: "expressionInput",
+      },
+    };
+  }
+
+  /**
+   * Generate time labels spanning the configured number of periods
+   * @returns {number[]} Array of time labels
+   */
+  generateTimeLabels() {
+    const { period, displayPeriods, pointsPerPeriod } = this.config;
+    const halfSpan = (displayPeriods * period) / 2;
+    return Array.from(
+      { length: displayPeriods * pointsPerPeriod + 1 },
+      (_, i) =>
+        -halfSpan + (i * 2 * halfSpan) / (displayPeriods * pointsPerPeriod)
+    );
+  }
+
+  /**
+   * Calculate Fourier coefficients for a waveform up to the maximum harmonic
+   * @param {string} waveformType - Waveform type
+   */
+  calculateCoefficients(waveformType) {
+    const { period, customPoints, maxHarmonics, samplesPerPeriod } =
+      this.config;
+
+    this.waveform = FourierSeriesCalculator.createWaveform(
+      waveformType,
+      period,
+      customPoints,
+      this.state.expression ?? this.config.expression
+    );
+    this.coefficients = FourierSeriesCalculator.calculateCoefficients(
+      this.waveform,
+      period,
+      maxHarmonics,
+      samplesPerPeriod
+    );
+  }
+
+  /**
+   * Calculate all required waveforms for the current harmonic count
+   * @param {number} harmonics - Number of harmonics in the partial sum
+   */
+  calculateWaveforms(harmonics) {
+    const timeLabels = this.generateTimeLabels();
+    const { period } = this.config;
+
+    const target = timeLabels.map(this.waveform);
+    const partialSum = FourierSeriesCalculator.calculatePartialSum(
+      this.coefficients,
+      harmonics,
+      timeLabels,
+      period
+    );
+
+    this.waveforms = {
+      target,
+      partialSum,
+      harmonic: FourierSeriesCalculator.calculateHarmonic(
+        this.coefficients,
+        harmonics,
+        timeLabels,
+        period
+      ),
+      error: target.map((value, i) => value - partialSum[i]),
+    };
+
+    // Leave headroom for Gibbs overshoot
+    this.maxAmplitude = Math.max(1, ...target.map(Math.abs)) * 1.25;
+  }
+
+  /**
+   * Update chart titles based on current harmonic count
+   * @param {number} harmonics - Number of harmonics in the partial sum
+   */
+  updateTitles(harmonics) {
+    const { charts } = this.config;
+    // Snap numerical noise to zero so titles don't show "-0.000"
+    const clean = (value) => (Math.abs(value) < 5e-4 ? 0 : value);
+    const a = clean(this.coefficients.a[harmonics]);
+    const b = clean(this.coefficients.b[harmonics]);
+
+    const partialSumTitle = this.getElementById(
+      charts.partialSum.titleElementId
+    );
+    if (partialSumTitle) {
+      partialSumTitle.textContent = `S${harmonics}(t) = a₀/2 + Σ [aₙcos(nω₀t) + bₙsin(nω₀t)], n = 1…${harmonics}`;
+    }
+
+    const harmonicTitle = this.getElementById(charts.harmonic.titleElementId);
+    if (harmonicTitle) {
+      harmonicTitle.textContent = `Harmonic ${harmonics}: ${a.toFixed(
+        3
+      )}cos(${harmonics}ω₀t) ${b < 0 ? "−" : "+"} ${Math.abs(b).toFixed(
+        3
+      )}sin(${harmonics}ω₀t)`;
+    }
+
+    const errorTitle = this.getElementById(charts.error.titleElementId);
+    if (errorTitle) {
+      const rms = Math.sqrt(
+        this.waveforms.error.reduce((sum, e) => sum + e * e, 0) /
+          this.waveforms.error.length
+      );
+      errorTitle.textContent = `Error f(t) − S${harmonics}(t), RMS = ${rms.toFixed(
+        3
+      )}`;
+    }
+  }
+
+  /**
+   * Create all waveform charts
+   * @param {number} harmonics - Number of harmonics in the partial sum
+   */
+  createWaveformCharts(harmonics) {
+    this.calculateWaveforms(harmonics);
+
+    const timeLabels = this.generateTimeLabels();
+    const halfSpan = (this.config.displayPeriods * this.config.period) / 2;
+    const range = {
+      xMin: -halfSpan,
+      xMax: halfSpan,
+      yMin: -this.maxAmplitude,
+      yMax: this.maxAmplitude,
+      chartOptions: { elements: { point: { radius: 0 } } },
+    };
+
+    const targetDataset = {
+      label: "Target Waveform f(t)",
+      data: timeLabels.map((x, i) => ({ x, y: this.waveforms.target[i] })),
+      borderColor: this.config.colors.black,
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false,
+    };
+
+    // Partial sum overlaid on the target waveform
+    const partialSumConfig = this.config.charts.partialSum;
+    this.createWaveformChart(
+      partialSumConfig.canvasId,
+      `Partial Sum S${harmonics}(t)`,
+      this.waveforms.partialSum,
+      this.config.colors[partialSumConfig.color],
+      [targetDataset],
+      range
+    );
+
+    // Newest harmonic term
+    const harmonicConfig = this.config.charts.harmonic;
+    this.createWaveformChart(
+      harmonicConfig.canvasId,
+      `Harmonic ${harmonics}`,
+      this.waveforms.harmonic,
+      this.config.colors[harmonicConfig.color],
+      [],
+      range
+    );
+
+    // Approximation error
+    const errorConfig = this.config.charts.error;
+    this.createWaveformChart(
+      errorConfig.canvasId,
+      "Error",
+      this.waveforms.error,
+      this.config.colors[errorConfig.color],
+      [],
+      { ...range, showXAxis: errorConfig.showXAxis }
+    );
+
+    this.createCoefficientChart(harmonics);
+  }
+
+  /**
+   * Create the stem chart of a_n and b_n coefficients
+   * @param {number} harmonics - Number of harmonics in the partial sum
+   */
+  createCoefficientChart(harmonics) {
+    const indices = Array.from({ length: harmonics + 1 }, (_, n) => n);
+    const a = indices.map((n) =>
+      n === 0 ? this.coefficients.a[0] / 2 : this.coefficients.a[n]
+    );
+    const b = indices.map((n) => this.coefficients.b[n]);
+    const maxCoefficient = Math.max(
+      ...a.map(Math.abs),
+      ...b.map(Math.abs),
+      0.1
+    );
+
+    this.chartManager.createStemChart(
+      this.config.charts.coefficients.canvasId,
+      [
+        {
+          label: "aₙ (cosine)",
+          indices,
+          values: a,
+          color: this.config.colors.blue,
+          offset: -0.15,
+        },
+        {
+          label: "bₙ (sine)",
+          indices,
+          values: b,
+          color: this.config.colors.green,
+          offset: 0.15,
+        },
+      ],
+      {
+        showLegend: this.config.legendVisible.coefficientChart || false,
+        xAxisTitle: "Harmonic (n)",
+        yAxisTitle: "Coefficient",
+        xMin: -0.5,
+        xMax: harmonics + 0.5,
+        yMin: -maxCoefficient * 1.2,
+        yMax: maxCoefficient * 1.2,
+        maxTicks: 10,
+      }
+    );
+  }
+
+  /**
+   * Update UI elements
+   * @param {Object} params - Parameters for updating UI
+   */
+  updateUI(params) {
+    if (this.elements.harmonicValue && params.harmonics !== undefined) {
+      this.elements.harmonicValue.textContent = params.harmonics;
+    }
+    if (this.elements.waveformSelect && params.waveform !== undefined) {
+      this.elements.waveformSelect.value = params.waveform;
+    }
+    if (this.elements.expressionInput && params.expression !== undefined) {
+      this.elements.expressionInput.value = params.expression;
+    }
+  }
+
+  /**
+   * Initialize harmonic slider configuration
+   */
+  initializeSlider() {
+    if (this.elements.harmonicSlider) {
+      this.elements.harmonicSlider.min = 1;
+      this.elements.harmonicSlider.max = this.config.maxHarmonics;
+      this.elements.harmonicSlider.step = 1;
+      this.elements.harmonicSlider.value = this.clampHarmonics(
+        this.config.initialHarmonics
+      );
+    }
+  }
+
+  /**
+   * Add event listeners for harmonic slider and waveform selector
+   */
+  addEventListeners() {
+    if (this.elements.harmonicSlider) {
+      this.elements.harmonicSlider.addEventListener("input", (e) => {
+        this.onHarmonicsChange(parseInt(e.target.value, 10));
+      });
+    }
+
+    if (this.elements.waveformSelect) {
+      this.elements.waveformSelect.addEventListener("change", (e) => {
+        this.onWaveformChange(e.target.value);
+      });
+    }
+
+    if (this.elements.expressionInput) {
+      this.elements.expressionInput.addEventListener("change", (e) => {
+        this.onExpressionChange(e.target.value);
+      });
+    }
+  }
+
+  /**
+   * Limit a harmonic count to the coefficients that were calculated
+   * @param {number} harmonics - Requested number of harmonics
+   * @returns {number} Integer between 1 and config.maxHarmonics
+   */
+  clampHarmonics(harmonics) {
+    return Math.min(
+      Math.max(Math.round(harmonics), 1),
+      this.config.maxHarmonics
+    );
+  }
+
+  /**
+   * Handle harmonic count changes
+   * @param {number} harmonics - New number of harmonics
+   */
+  onHarmonicsChange(harmonics) {
+    this.store.set("harmonics", this.clampHarmonics(harmonics));
+  }
+
+  /**
+   * Handle waveform type changes
+   * @param {string} waveform - New waveform type
+   */
+  onWaveformChange(waveform) {
+    this.store.set("waveform", waveform);
+  }
+
+  /**
+   * Handle expression edits, switching to the expression waveform
+   * @param {string} expression - New expression in t
+   */
+  onExpressionChange(expression) {
+    const input = this.elements.expressionInput;
+    try {
+      ExpressionParser.compile(expression, ["t", "omega"]);
+    } catch (error) {
+      if (input) {
+        input.classList.add("invalid");
+        input.title = error.message;
+      }
+      return;
+    }
+
+    if (input) {
+      input.classList.remove("invalid");
+      input.title = "";
+    }
+    this.store.set({ expression, waveform: "expression" });
+  }
+
+  /**
+   * Initialize the visualizer
+   */
+  initialize() {
+    this.initializeSlider();
+    this.addEventListeners();
+    this.store.set({
+      harmonics: this.clampHarmonics(this.config.initialHarmonics),
+      waveform: this.config.waveform,
+      expression: this.config.expression,
+    });
+    this.calculateCoefficients(this.state.waveform);
+    this.render();
+    this.subscribe((changed) => this.onStateChange(changed));
+  }
+
+  /**
+   * Recalculate what the changed parameters affect and redraw, once per
+   * update
+   * @param {string[]} changed - Changed parameters
+   */
+  onStateChange(changed) {
+    // Only maxHarmonics coefficients are calculated; the corrected count
+    // notifies again and redraws then
+    const harmonics = this.clampHarmonics(this.state.harmonics);
+    if (harmonics !== this.state.harmonics) {
+      this.store.set("harmonics", harmonics);
+      return;
+    }
+
+    if (changed.includes("harmonics") && this.elements.harmonicSlider) {
+      this.elements.harmonicSlider.value = harmonics;
+    }
+    if (changed.includes("waveform") || changed.includes("expression")) {
+      this.calculateCoefficients(this.state.waveform);
+    }
+    this.render();
+  }
+
+  /**
+   * Render the complete Fourier series visualization
+   */
+  render() {
+    const { harmonics, waveform, expression } = this.state;
+    this.createWaveformCharts(harmonics);
+    this.updateTitles(harmonics);
+    this.updateUI({ harmonics, waveform, expression });
+  }
+
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL; the
+   * store notifies onStateChange(), which clamps the harmonic count and
+   * redraws
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    this.store.set(this.pickState(state));
+  }
+
+  /**
+   * Recalculate the coefficients after an imported configuration, since
+   * the period and harmonic count may have changed, and redraw in case the
+   * state turns out unchanged
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    super.applyConfig(config);
+    if (this.elements.harmonicSlider) {
+      this.elements.harmonicSlider.max = this.config.maxHarmonics;
+    }
+    this.calculateCoefficients(this.state.waveform);
+    if (this.state.harmonics !== undefined) {
+      this.store.set("harmonics", this.clampHarmonics(this.state.harmonics));
+    }
+    this.render();
+  }
+
+  /**
+   * Get derived data worth exporting alongside the state
+   * @returns {Object} Time labels, waveforms and coefficients
+   */
+  getComputedData() {
+    return {
+      ...super.getComputedData(),
+      coefficients: this.getCoefficients(),
+    };
+  }
+
+  /**
+   * Get current Fourier coefficients
+   * @returns {Object|null} Coefficient arrays { a, b }
+   */
+  getCoefficients() {
+    return this.coefficients
+      ? { a: [...this.coefficients.a], b: [...this.coefficients.b] }
+      : null;
+  }
+}
@@ -0,0 +1,546 @@
+// Frequency-domain (magnitude/phase spectrum) visualization class extending BaseVisualizer
+
+import { BaseVisualizer } from "./BaseVisualizer.js";
+import {
+  MathUtils,
+  FourierSeriesCalculator,
+  CompositeSignal,
+} from "./../utils/calculations.js";
+import { ExpressionParser } from "./../utils/expression.js";
+
+export class FrequencyDomainVisualizer extends BaseVisualizer {
+  /**
+   * Shareable state keys and the config keys that initialize them
+   */
+  static stateConfigKeys = {
+    ...BaseVisualizer.stateConfigKeys,
+    signal: "signal",
+    expression: "expression",
+  };
+
+  /**
+   * Types of the parameters held in the state store
+   */
+  static stateTypes = {
+    ...BaseVisualizer.stateTypes,
+    signal: "string",
+    expression: "string",
+  };
+
+  /**
+   * Page layout rendered by LayoutTemplates: the charts in grid order with
+   * their initial titles, then the controls
+   */
+  static layout = {
+    title: "Magnitude and Phase Spectra",
+    stylesheet: "frequency-domain.css",
+    charts: [
+      {
+        canvasId: "timeSignalChart",
+        titleId: "timeSignalTitle",
+        title: "x(t + Φ/ω₀)",
+      },
+      {
+        canvasId: "complexPlaneChart",
+        titleId: "complexPlaneTitle",
+        title: "Phase Rotation",
+        note: "Harmonic k is multiplied by e^(ikΦ)",
+        complex: true,
+      },
+      {
+        canvasId: "magnitudeChart",
+        titleId: "magnitudeTitle",
+        title: "Magnitude |cₖ|",
+      },
+      {
+        canvasId: "phaseChart",
+        titleId: "phaseTitle",
+        title: "Phase ∠cₖ",
+      },
+    ],
+    controls: [
+      {
+        kind: "range",
+        id: "phaseShiftSlider",
+        label: "Phase Shift (Φ)",
+        min: 0,
+        value: 0.785,
+        valueId: "phaseShiftValue",
+        valueText: "π/4",
+      },
+      {
+        kind: "select",
+        id: "signalSelect",
+        label: "Signal",
+        options: [
+          ["cosine", "Cosine"],
+          ["composite", "Composite"],
+          ["square", "Square"],
+          ["triangle", "Triangle"],
+          ["sawtooth", "Sawtooth"],
+          ["custom", "Custom"],
+          ["expression", "Expression"],
+        ],
+      },
+      {
+        kind: "text",
+        id: "expressionInput",
+        label: "Waveform expression in t",
+        placeholder: "e.g. rect(t/pi)",
+      },
+    ],
+  };
+
+  constructor(config = {}) {
+    super(config);
+    this.spectrum = null;
+    this.waveforms = null;
+  }
+
+  /**
+   * Get default configuration specific to frequency-domain visualization
+   * @returns {Object} Default configuration
+   */
+  getDefaultConfig() {
+    const baseConfig = super.getDefaultConfig();
+
+    return {
+      ...baseConfig,
+      // Time signal to analyze
+      signal: "composite",
+      period: 2 * Math.PI,
+      customPoints: [
+        [0, 0],
+        [Math.PI / 2, 1],
+        [Math.PI, 0],
+        [2 * Math.PI, 0],
+      ],
+      // One period of the "expression" signal, centered on t = 0
+      expression: "rect(t/pi)",
+      // Components of the "composite" signal, with frequencies in multiples
+      // of the fundamental; the integral visualizer uses the same defaults
+      components: CompositeSignal.getDefaultComponents(),
+
+      // Spectrum settings
+      maxHarmonic: 8,
+      magnitudeThreshold: 1e-3,
+      samplesPerPeriod: 1024,
+
+      // Time axis resolution
+      displayPeriods: 2,
+      pointsPerPeriod: 200,
+
+      legendVisible: {
+        timeSignalChart: true,
+        magnitudeChart: false,
+        phaseChart: false,
+        complexPlaneChart: false,
+      },
+
+      charts: {
+        timeSignal: {
+          canvasId: "timeSignalChart",
+          titleElementId: "timeSignalTitle",
+          color: "orange",
+        },
+        magnitude: {
+          canvasId: "magnitudeChart",
+          titleElementId: "magnitudeTitle",
+          color: "blue",
+        },
+        phase: {
+          canvasId: "phaseChart",
+          titleElementId: "phaseTitle",
+          color: "green",
+        },
+        complexPlane: {
+          canvasId: "complexPlaneChart",
+        },
+      },
+
+      elements: {
+        phaseShiftSlider: "phaseShiftSlider",
+        phaseShiftValue: "phaseShiftValue",
+        signalSelect: "signalSelect",
+        expressionInput: "expressionInput",
+      },
+    };
+  }
+
+  /**
+   * Generate time labels spanning the configured number of periods
+   * @returns {number[]} Array of time labels
+   */
+  generateTimeLabels() {
+    const { period, displayPeriods, pointsPerPeriod } = this.config;
+    const halfSpan = (displayPeriods * period) / 2;
+    return MathUtils.generateLabels(
+      -halfSpan,
+      halfSpan,
+      displayPeriods * pointsPerPeriod + 1
+    );
+  }
+
+  /**
+   * Build the time signal for a signal type
+   * @param {string} type - Signal type
+   * @returns {Function} Periodic function of time
+   */
+  createSignal(type) {
+    const { period, customPoints } = this.config;
+    const omega0 = (2 * Math.PI) / period;
+
+    switch (type) {
+      case "cosine":
+        return (t) => Math.cos(omega0 * t);
+      case "composite": {
+        const components = CompositeSignal.normalize(this.config.components);
+        return (t) => CompositeSignal.evaluate(components, omega0 * t);
+      }
+      default:
+        return FourierSeriesCalculator.createWaveform(
+          type,
+          period,
+          customPoints,
+          this.state.expression ?? this.config.expression
+        );
+    }
+  }
+
+  /**
+   * Calculate the time signal and its spectrum for the current phase shift
+   * The phase shift is applied as a time advance x(t + Φ/ω₀), so the k-th
+   * harmonic gains kΦ of phase while every magnitude stays the same.
+   * @param {number} phaseShift - Phase shift in radians
+   */
+  calculateWaveforms(phaseShift) {
+    const { period, maxHarmonic, magnitudeThreshold, samplesPerPeriod } =
+      this.config;
+    const omega0 = (2 * Math.PI) / period;
+    const signal = this.createSignal(this.state.signal);
+    const shifted = (t) => signal(t + phaseShift / omega0);
+
+    const timeLabels = this.generateTimeLabels();
+    this.waveforms = {
+      original: timeLabels.map(signal),
+      shifted: timeLabels.map(shifted),
+    };
+
+    const coefficients = FourierSeriesCalculator.calculateCoefficients(
+      shifted,
+      period,
+      maxHarmonic,
+      samplesPerPeriod
+    );
+    this.spectrum = FourierSeriesCalculator.calculateComplexSpectrum(
+      coefficients,
+      maxHarmonic,
+      magnitudeThreshold
+    );
+
+    this.maxAmplitude =
+      Math.max(1, ...this.waveforms.original.map(Math.abs)) * 1.1;
+  }
+
+  /**
+   * Update chart titles based on current phase shift
+   * @param {number} phaseShift - Current phase shift value
+   */
+  updateTitles(phaseShift) {
+    const { charts } = this.config;
+    const phaseStr = MathUtils.formatPhaseShift(phaseShift);
+
+    const timeSignalTitle = this.getElementById(
+      charts.timeSignal.titleElementId
+    );
+    if (timeSignalTitle) {
+      timeSignalTitle.textContent = `x(t + Φ/ω₀), Φ = ${phaseStr}`;
+    }
+
+    const magnitudeTitle = this.getElementById(charts.magnitude.titleElementId);
+    if (magnitudeTitle) {
+      magnitudeTitle.textContent = "Magnitude |cₖ|";
+    }
+
+    const phaseTitle = this.getElementById(charts.phase.titleElementId);
+    if (phaseTitle) {
+      phaseTitle.textContent = `Phase ∠cₖ (shifted by k·${phaseStr})`;
+    }
+  }
+
+  /**
+   * Create all charts for the current phase shift
+   * @param {number} phaseShift - Current phase shift
+   */
+  createWaveformCharts(phaseShift) {
+    this.calculateWaveforms(phaseShift);
+
+    const timeLabels = this.generateTimeLabels();
+    const halfSpan = (this.config.displayPeriods * this.config.period) / 2;
+
+    // Time signal with the unshifted signal in the background
+    const originalDataset = {
+      label: "x(t)",
+      data: timeLabels.map((x, i) => ({ x, y: this.waveforms.original[i] })),
+      borderColor: this.config.colors.gray,
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false,
+    };
+
+    const timeSignalConfig = this.config.charts.timeSignal;
+    this.createWaveformChart(
+      timeSignalConfig.canvasId,
+      "x(t + Φ/ω₀)",
+      this.waveforms.shifted,
+      this.config.colors[timeSignalConfig.color],
+      [originalDataset],
+      {
+        xMin: -halfSpan,
+        xMax: halfSpan,
+        yMin: -this.maxAmplitude,
+        yMax: this.maxAmplitude,
+        chartOptions: { elements: { point: { radius: 0 } } },
+      }
+    );
+
+    this.createMagnitudeChart();
+    this.createPhaseChart();
+    this.createComplexPlaneChart(phaseShift);
+  }
+
+  /**
+   * Create the magnitude spectrum stem chart
+   */
+  createMagnitudeChart() {
+    const { harmonics, magnitude } = this.spectrum;
+    const magnitudeConfig = this.config.charts.magnitude;
+    const maxMagnitude = Math.max(...magnitude, 0.1);
+
+    this.chartManager.createStemChart(
+      magnitudeConfig.canvasId,
+      [
+        {
+          label: "|cₖ|",
+          indices: harmonics,
+          values: magnitude,
+          color: this.config.colors[magnitudeConfig.color],
+        },
+      ],
+      {
+        showLegend:
+          this.config.legendVisible[magnitudeConfig.canvasId] || false,
+        xAxisTitle: "Harmonic (k)",
+        yAxisTitle: "|cₖ|",
+        ...this.getHarmonicAxisRange(),
+        yMin: 0,
+        yMax: maxMagnitude * 1.2,
+      }
+    );
+  }
+
+  /**
+   * Create the phase spectrum stem chart
+   */
+  createPhaseChart() {
+    const { harmonics, phase } = this.spectrum;
+    const phaseConfig = this.config.charts.phase;
+
+    this.chartManager.createStemChart(
+      phaseConfig.canvasId,
+      [
+        {
+          label: "∠cₖ",
+          indices: harmonics,
+          values: phase,
+          color: this.config.colors[phaseConfig.color],
+        },
+      ],
+      {
+        showLegend: this.config.legendVisible[phaseConfig.canvasId] || false,
+        xAxisTitle: "Harmonic (k)",
+        yAxisTitle: "∠cₖ (rad)",
+        ...this.getHarmonicAxisRange(),
+        yMin: -Math.PI * 1.1,
+        yMax: Math.PI * 1.1,
+        chartOptions: {
+          scales: {
+            y: {
+              ticks: {
+                stepSize: Math.PI / 2,
+                callback: (value) => {
+                  const multiple = Math.round((2 * value) / Math.PI);
+                  if (Math.abs(value - (multiple * Math.PI) / 2) > 0.001)
+                    return "";
+                  return ["-π", "-π/2", "0", "π/2", "π"][multiple + 2] || "";
+                },
+              },
+            },
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Get the x-axis range covering harmonics −K…K
+   * @returns {Object} Axis range options
+   */
+  getHarmonicAxisRange() {
+    return {
+      xMin: -this.config.maxHarmonic - 0.5,
+      xMax: this.config.maxHarmonic + 0.5,
+    };
+  }
+
+  /**
+   * Add event listeners for the phase slider and signal selector
+   */
+  addEventListeners() {
+    super.addEventListeners();
+
+    if (this.elements.signalSelect) {
+      this.elements.signalSelect.addEventListener("change", (e) => {
+        this.onSignalChange(e.target.value);
+      });
+    }
+
+    if (this.elements.expressionInput) {
+      this.elements.expressionInput.addEventListener("change", (e) => {
+        this.onExpressionChange(e.target.value);
+      });
+    }
+  }
+
+  /**
+   * Handle phase shift changes
+   * @param {number} phaseShift - New phase shift value
+   */
+  onPhaseShiftChange(phaseShift) {
+    this.store.set("phaseShift", phaseShift);
+  }
+
+  /**
+   * Handle signal type changes
+   * @param {string} signal - New signal type
+   */
+  onSignalChange(signal) {
+    this.store.set("signal", signal);
+  }
+
+  /**
+   * Handle expression edits, switching to the expression signal
+   * @param {string} expression - New expression in t
+   */
+  onExpressionChange(expression) {
+    const input = this.elements.expressionInput;
+    try {
+      ExpressionParser.compile(expression, ["t", "omega"]);
+    } catch (error) {
+      if (input) {
+        input.classList.add("invalid");
+        input.title = error.message;
+      }
+      return;
+    }
+
+    if (input) {
+      input.classList.remove("invalid");
+      input.title = "";
+    }
+    this.store.set({ expression, signal: "expression" });
+  }
+
+  /**
+   * Initialize the visualizer
+   */
+  initialize() {
+    this.store.set({
+      signal: this.config.signal,
+      expression: this.config.expression,
+      phaseShift: this.config.initialPhaseShift,
+    });
+
+    this.syncControls();
+    this.initializeSlider();
+    this.addEventListeners();
+    this.render();
+    this.subscribe(() => this.onStateChange());
+  }
+
+  /**
+   * Show the stored signal and expression in their controls
+   */
+  syncControls() {
+    if (this.elements.signalSelect) {
+      this.elements.signalSelect.value = this.state.signal;
+    }
+    if (this.elements.expressionInput) {
+      this.elements.expressionInput.value = this.state.expression;
+    }
+  }
+
+  /**
+   * Bring the controls in line with the store and redraw, once per update
+   */
+  onStateChange() {
+    if (this.elements.phaseShiftSlider) {
+      this.elements.phaseShiftSlider.value = this.state.phaseShift;
+    }
+    this.syncControls();
+    this.render();
+  }
+
+  /**
+   * Render the complete frequency-domain visualization
+   */
+  render() {
+    const phaseShift = this.state.phaseShift ?? this.config.initialPhaseShift;
+    this.createWaveformCharts(phaseShift);
+    this.updateTitles(phaseShift);
+    this.updateUI({ phaseShift });
+  }
+
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL; the
+   * store notifies onStateChange(), which redraws
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    this.store.set(this.pickState(state));
+  }
+
+  /**
+   * Rebuild the charts after an imported configuration
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    super.applyConfig(config);
+    this.render();
+  }
+
+  /**
+   * Get derived data worth exporting alongside the state
+   * @returns {Object} Time labels, waveforms and spectrum
+   */
+  getComputedData() {
+    return {
+      ...super.getComputedData(),
+      spectrum: this.getSpectrum(),
+    };
+  }
+
+  /**
+   * Get the current two-sided spectrum
+   * @returns {Object|null} Spectrum { harmonics, magnitude, phase }
+   */
+  getSpectrum() {
+    return this.spectrum
+      ? {
+          harmonics: [...this.spectrum.harmonics],
+          magnitude: [...this.spectrum.magnitude],
+          phase: [...this.spectrum.phase],
+        }
+      : null;
+  }
+}
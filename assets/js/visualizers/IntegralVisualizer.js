@@ -1,23 +1,340 @@
 import { BaseVisualizer } from "./BaseVisualizer.js";
+import { MathUtils, CompositeSignal } from "./../utils/calculations.js";
+import { Quadrature } from "./../utils/quadrature.js";
+import { PeriodAnalyzer } from "./../utils/periods.js";
 
 export class IntegralVisualizer extends BaseVisualizer {
+  /**
+   * Shareable state keys and the config keys that initialize them
+   */
+  static stateConfigKeys = {
+    ...BaseVisualizer.stateConfigKeys,
+    angularFrequency: "initialAngularFrequency",
+    integrationMethod: "integrationMethod",
+    components: "components",
+  };
+
+  /**
+   * Units of the state values, used in data export headers
+   */
+  static stateUnits = {
+    ...BaseVisualizer.stateUnits,
+    angularFrequency: "rad/s",
+  };
+
+  /**
+   * Types of the parameters held in the state store
+   */
+  static stateTypes = {
+    ...BaseVisualizer.stateTypes,
+    angularFrequency: "number",
+    integrationMethod: "string",
+    components: "array",
+  };
+
+  /**
+   * Samples per cycle of the fastest product f(t)·cos(ωt) when plotting or
+   * integrating, so long windows keep the same resolution as short ones
+   */
+  static samplesPerCycle = 16;
+
+  /**
+   * Upper bound on the plotted points, whatever the window
+   */
+  static maxPlotPoints = 20000;
+
+  /**
+   * Upper bound on the quadrature intervals, the schema's integrationIntervals
+   * maximum
+   */
+  static maxIntegrationIntervals = 100000;
+
+  /**
+   * Page layout rendered by LayoutTemplates: the charts in grid order with
+   * their initial titles, then the controls
+   */
+  static layout = {
+    title: "Cosine-Sine Extraction",
+    stylesheet: "integral.css",
+    charts: [
+      {
+        canvasId: "phaseShiftedCosineChart",
+        titleId: "phaseShiftedCosineTitle",
+        title: "f(t)",
+      },
+      {
+        formulaId: "dynamicFormula",
+        title: "Frequency Components",
+        note: "Drag the slider to discover frequency components",
+        complex: true,
+      },
+      {
+        canvasId: "nonPhaseShiftedCosineChart",
+        titleId: "nonPhaseShiftedCosineTitle",
+        title: "(2/T)∫f(t)cos(ωt)dt",
+      },
+      {
+        canvasId: "sineWaveChart",
+        titleId: "sineWaveTitle",
+        title: "(2/T)∫f(t)sin(ωt)dt",
+      },
+    ],
+    controls: [
+      {
+        kind: "range",
+        id: "angularFrequencySlider",
+        label: "Angular Frequency (ω)",
+        min: 0.5,
+        max: 3,
+        step: 0.1,
+        value: 1,
+        valueId: "angularFrequencyValue",
+        valueText: "1.0",
+        hint: "← Drag to change integration frequency",
+      },
+      {
+        kind: "select",
+        id: "integrationMethodSelect",
+        label: "Integration method",
+        options: [
+          ["trapezoid", "Trapezoid"],
+          ["simpson", "Simpson"],
+          ["romberg", "Romberg"],
+          ["gauss-kronrod", "Adaptive Gauss–Kronrod"],
+          ["exact", "Exact (analytic)"],
+        ],
+      },
+      {
+        kind: "editor",
+        id: "componentEditor",
+        label: "Edit composite signal",
+      },
+    ],
+  };
+
   constructor(config = {}) {
     super(config);
-    this.phaseShift = config.initialPhaseShift || Math.PI / 4;
-    this.angularFrequency = config.initialAngularFrequency || 1.0;
+    this.store.set({
+      phaseShift: config.initialPhaseShift ?? Math.PI / 4,
+      angularFrequency: config.initialAngularFrequency ?? 1.0,
+      integrationMethod: this.config.integrationMethod,
+      // Sinusoidal components that make up the composite signal
+      components: CompositeSignal.normalize(this.config.components),
+    });
+    this.store.derive("phaseShiftLabel", ["phaseShift"], ({ phaseShift }) =>
+      this.formatPhaseValue(phaseShift)
+    );
+    this.store.derive(
+      "angularFrequencyLabel",
+      ["angularFrequency"],
+      ({ angularFrequency }) => angularFrequency.toFixed(1)
+    );
     this.charts = {}; // Store chart instances
+    this.editingComponents = false; // Set while the editor applies its rows
+    this.effectCleanups = new Map(); // Pending discovery effect timers
 
-    // Calculate and store the maximum period needed for the entire slider range
-    // This ensures fixed time axis limits for better user experience
-    this.maxDisplayPeriod = this.calculateMaxOrthogonalPeriod();
+    this.updateDisplayWindow();
+  }
+
+  getDefaultConfig() {
+    const baseConfig = super.getDefaultConfig();
+
+    return {
+      ...baseConfig,
+      // Composite signal: cos(t) + sin(2t) + cos(3t + π/4)
+      components: CompositeSignal.getDefaultComponents(),
+      frequencyStep: 0.1,
+      frequencyRange: {
+        min: 0.5,
+        max: 3.0,
+      },
+      // Quadrature rule for the coefficient integrals (see Quadrature.methods)
+      integrationMethod: "trapezoid",
+      integrationIntervals: 800,
+      elements: {
+        ...baseConfig.elements,
+        angularFrequencySlider: "angularFrequencySlider",
+        angularFrequencyValue: "angularFrequencyValue",
+        componentEditor: "componentEditor",
+        integrationMethodSelect: "integrationMethodSelect",
+      },
+    };
   }
 
   initialize() {
     this.initializeCharts();
     this.initializeControls();
+    this.renderComponentEditor();
+    this.updateAllCharts();
+    this.subscribe((changed) => this.onStateChange(changed));
+  }
+
+  /**
+   * Bring the controls in line with the store and redraw, once per update
+   * @param {string[]} changed - Changed parameters and derived values
+   */
+  onStateChange(changed) {
+    const {
+      phaseShiftSlider,
+      phaseShiftValue,
+      angularFrequencyValue,
+      integrationMethodSelect,
+    } = this.elements;
+
+    if (changed.includes("phaseShift") && phaseShiftSlider) {
+      phaseShiftSlider.value = this.state.phaseShift.toString();
+    }
+    if (changed.includes("phaseShiftLabel") && phaseShiftValue) {
+      phaseShiftValue.textContent = this.state.phaseShiftLabel;
+    }
+    if (changed.includes("angularFrequency")) {
+      this.updateFrequencySlider();
+    }
+    if (changed.includes("angularFrequencyLabel") && angularFrequencyValue) {
+      angularFrequencyValue.textContent = this.state.angularFrequencyLabel;
+    }
+    if (changed.includes("integrationMethod") && integrationMethodSelect) {
+      integrationMethodSelect.value = this.state.integrationMethod;
+    }
+    if (changed.includes("components")) {
+      this.updateDisplayWindow();
+      this.updateFrequencySlider();
+      // The editor already shows the components it applied itself
+      if (!this.editingComponents) this.renderComponentEditor();
+    }
+
+    this.updateAllCharts();
+  }
+
+  /**
+   * Remove pending discovery effects and destroy all charts
+   */
+  destroy() {
+    this.effectCleanups.forEach((cleanup, timer) => {
+      clearTimeout(timer);
+      cleanup();
+    });
+    this.effectCleanups.clear();
+    super.destroy();
+  }
+
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL; the
+   * store notifies onStateChange(), which redraws
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    this.store.set(this.pickState(state));
+  }
+
+  /**
+   * Pick up the components of files that keep them only in the config, and
+   * redraw in case the state turns out unchanged
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    super.applyConfig(config);
+    if (config.components) {
+      this.setComponents(config.components);
+    }
     this.updateAllCharts();
   }
 
+  /**
+   * Get derived data worth exporting alongside the state
+   * @returns {Object} Time labels, waveforms, integrals and components
+   */
+  getComputedData() {
+    return {
+      timeLabels: this.timeArray ? [...this.timeArray] : null,
+      waveforms: this.waveforms ? { ...this.waveforms } : null,
+      integrals: this.integrals ? { ...this.integrals } : null,
+      components: this.state.components.map((component) => ({
+        ...component,
+      })),
+    };
+  }
+
+  /**
+   * Get the composite signal, the products and the integral values as a
+   * table; the integrals are single numbers repeated down their columns
+   * @returns {Object} Table { type, parameters, columns }
+   */
+  getDataTable() {
+    const { composite, cosineProduct, sineProduct } = this.waveforms;
+    const length = this.timeArray.length;
+    const constant = (value) => new Array(length).fill(value);
+
+    return {
+      type: this._factoryType ?? this.config.type,
+      parameters: this.getDataParameters(),
+      columns: [
+        { name: "t", unit: "s", values: [...this.timeArray] },
+        { name: "composite", unit: "a.u.", values: [...composite] },
+        { name: "cosineProduct", unit: "a.u.", values: [...cosineProduct] },
+        { name: "sineProduct", unit: "a.u.", values: [...sineProduct] },
+        {
+          name: "cosineIntegral",
+          unit: "a.u.·s",
+          values: constant(this.integrals.cosine.value),
+        },
+        {
+          name: "sineIntegral",
+          unit: "a.u.·s",
+          values: constant(this.integrals.sine.value),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Replace the composite signal components; the store notifies
+   * onStateChange(), which redraws
+   * @param {Object[]} components - New component definitions
+   * @throws {Error} If a component is malformed; the state is unchanged then
+   */
+  setComponents(components) {
+    this.store.set("components", CompositeSignal.normalize(components));
+  }
+
+  evaluateComposite(time) {
+    return CompositeSignal.evaluate(this.state.components, time);
+  }
+
+  getComponentCoefficients({ type, amplitude, frequency, phase }) {
+    // A·cos(ft + φ) = A·cos(φ)cos(ft) − A·sin(φ)sin(ft)
+    // A·sin(ft + φ) = A·sin(φ)cos(ft) + A·cos(φ)sin(ft)
+    const a =
+      type === "sin"
+        ? amplitude * Math.sin(phase)
+        : amplitude * Math.cos(phase);
+    const b =
+      frequency === 0
+        ? 0
+        : type === "sin"
+        ? amplitude * Math.cos(phase)
+        : -amplitude * Math.sin(phase);
+    return { a, b };
+  }
+
+  getFrequencyTerms() {
+    // Combine components sharing a frequency into a·cos(ft) + b·sin(ft) terms
+    const terms = [];
+    this.state.components.forEach((component) => {
+      const { a, b } = this.getComponentCoefficients(component);
+      const existing = terms.find(
+        (term) => Math.abs(term.frequency - component.frequency) < 1e-9
+      );
+      if (existing) {
+        existing.a += a;
+        existing.b += b;
+      } else {
+        terms.push({ frequency: component.frequency, a, b });
+      }
+    });
+    return terms.sort((p, q) => p.frequency - q.frequency);
+  }
+
   initializeCharts() {
     // Create initial waveforms
     this.calculateWaveforms();
@@ -27,23 +344,20 @@ export class IntegralVisualizer extends BaseVisualizer {
   }
 
   calculateWaveforms() {
-    // Generate time arrays for display (full range) and integration (mathematically correct period)
+    // Generate time array for display (full range)
     const tDisplay = this.generateTimeArray();
-    const tIntegration = this.generateIntegrationTimeArray();
 
-    // Composite waveform: cos(t) + sin(2t) + cos(3t + π/4)
-    // cos(3t + π/4) = cos(3t)cos(π/4) - sin(3t)sin(π/4) = (√2/2)[cos(3t) - sin(3t)]
-    const phaseShift = Math.PI / 4;
-
-    // Create composite function
-    const compositeFunction = (time) =>
-      Math.cos(time) + Math.sin(2 * time) + Math.cos(3 * time + phaseShift);
+    // Composite waveform built from the configured components
+    const compositeFunction = (time) => this.evaluateComposite(time);
 
     // Display data (for plotting over full visible range)
     const compositeWave = tDisplay.map(compositeFunction);
 
     // Calculate the maximum absolute value for y-axis scaling
-    this.maxAmplitude = Math.max(...compositeWave.map(Math.abs));
+    this.maxAmplitude = compositeWave.reduce(
+      (max, value) => Math.max(max, Math.abs(value)),
+      0
+    );
 
     // Store time array for use in chart creation
     this.timeArray = tDisplay;
@@ -52,39 +366,97 @@ export class IntegralVisualizer extends BaseVisualizer {
       composite: compositeWave,
       cosineProduct: tDisplay.map(
         (time) =>
-          compositeFunction(time) * Math.cos(this.angularFrequency * time)
+          compositeFunction(time) * Math.cos(this.state.angularFrequency * time)
       ),
       sineProduct: tDisplay.map(
         (time) =>
-          compositeFunction(time) * Math.sin(this.angularFrequency * time)
+          compositeFunction(time) * Math.sin(this.state.angularFrequency * time)
       ),
     };
 
-    // Integration data (over mathematically correct period for accurate integration)
-    this.integrationData = {
-      cosineProduct: tIntegration.map(
-        (time) =>
-          compositeFunction(time) * Math.cos(this.angularFrequency * time)
-      ),
-      sineProduct: tIntegration.map(
-        (time) =>
-          compositeFunction(time) * Math.sin(this.angularFrequency * time)
-      ),
+    // Integrate the products over the mathematically correct period
+    this.integrals = {
+      cosine: this.calculateCosineIntegral(),
+      sine: this.calculateSineIntegral(),
     };
-
-    // Calculate integrals using integration data
-    this.waveforms.cosineIntegral = this.calculateCosineIntegral();
-    this.waveforms.sineIntegral = this.calculateSineIntegral();
+    this.waveforms.cosineIntegral = this.integrals.cosine.value;
+    this.waveforms.sineIntegral = this.integrals.sine.value;
   }
 
   calculateCosineIntegral() {
-    // Use numerical integration with integration-specific data
-    return this.numericalIntegration(this.integrationData.cosineProduct);
+    return this.integrateProduct("cos");
   }
 
   calculateSineIntegral() {
-    // Use numerical integration with integration-specific data
-    return this.numericalIntegration(this.integrationData.sineProduct);
+    return this.integrateProduct("sin");
+  }
+
+  /**
+   * Integrate f(t)·cos(ωt) or f(t)·sin(ωt) over the orthogonality period
+   * @param {string} basis - "cos" or "sin"
+   * @returns {Object} Normalized coefficient { value, error, evaluations, method }
+   */
+  integrateProduct(basis) {
+    const period = this.calculateOrthogonalPeriod();
+    const omega = this.state.angularFrequency;
+    const trig = basis === "sin" ? Math.sin : Math.cos;
+    // The exact period can span hundreds of cycles of the product
+    const intervals = Math.min(
+      IntegralVisualizer.maxIntegrationIntervals,
+      this.getSampleCount(
+        period,
+        this.getHighestFrequency() + omega,
+        this.config.integrationIntervals
+      )
+    );
+
+    const result = Quadrature.integrate(
+      (time) => this.evaluateComposite(time) * trig(omega * time),
+      -period / 2,
+      period / 2,
+      this.state.integrationMethod,
+      {
+        intervals,
+        antiderivative: this.getProductAntiderivative(basis),
+      }
+    );
+
+    // Apply 2/T normalization for Fourier coefficients
+    return {
+      ...result,
+      value: (2 / period) * result.value,
+      error: (2 / period) * result.error,
+    };
+  }
+
+  getProductAntiderivative(basis) {
+    const omega = this.state.angularFrequency;
+
+    // ∫cos(kt + θ)dt, which is linear in t when k = 0
+    const integralOfCosine = (k, theta, time) =>
+      Math.abs(k) < 1e-12
+        ? time * Math.cos(theta)
+        : Math.sin(k * time + theta) / k;
+
+    // cos(x)cos(y) = ½[cos(x + y) + cos(x − y)]
+    // cos(x)sin(y) = ½[sin(x + y) − sin(x − y)], with sin(z) = cos(z − π/2)
+    const shift = basis === "sin" ? -Math.PI / 2 : 0;
+    const sign = basis === "sin" ? -1 : 1;
+
+    return (time) =>
+      this.state.components.reduce(
+        (sum, { type, amplitude, frequency, phase }) => {
+          // Write every component as A·cos(ft + θ)
+          const theta = (type === "sin" ? phase - Math.PI / 2 : phase) + shift;
+          return (
+            sum +
+            (amplitude / 2) *
+              (integralOfCosine(frequency + omega, theta, time) +
+                sign * integralOfCosine(frequency - omega, theta, time))
+          );
+        },
+        0
+      );
   }
 
   splitDataByIntegrationPeriod(data, timeArray) {
@@ -163,23 +535,6 @@ export class IntegralVisualizer extends BaseVisualizer {
     };
   }
 
-  numericalIntegration(productData) {
-    if (!productData || productData.length === 0) return 0;
-
-    // Numerical integration using trapezoidal rule
-    const integrationPeriod = this.calculateOrthogonalPeriod();
-    const dt = integrationPeriod / productData.length;
-
-    let integral = 0;
-    for (let i = 0; i < productData.length - 1; i++) {
-      // Trapezoidal rule: (f(i) + f(i+1)) * dt / 2
-      integral += ((productData[i] + productData[i + 1]) * dt) / 2;
-    }
-
-    // Apply 2/T normalization for Fourier coefficients
-    return (2 / integrationPeriod) * integral;
-  }
-
   createWaveformCharts() {
     // Composite waveform chart
     if (!this.charts.composite) {
@@ -222,7 +577,7 @@ export class IntegralVisualizer extends BaseVisualizer {
   }
 
   createCompositeChart() {
-    const canvas = document.getElementById("phaseShiftedCosineChart");
+    const canvas = this.getElementById("phaseShiftedCosineChart");
     if (!canvas) return null;
 
     const ctx = canvas.getContext("2d");
@@ -231,7 +586,7 @@ export class IntegralVisualizer extends BaseVisualizer {
       this.timeArray
     );
 
-    return new Chart(ctx, {
+    const chart = new Chart(ctx, {
       type: "line",
       data: {
         labels: splitData.allLabels,
@@ -258,6 +613,10 @@ export class IntegralVisualizer extends BaseVisualizer {
       },
       options: this.getChartOptions(),
     });
+
+    // Managed charts are included in SVG/PNG export
+    this.chartManager.registerChart("phaseShiftedCosineChart", chart);
+    return chart;
   }
 
   updateCompositeChart() {
@@ -288,7 +647,7 @@ export class IntegralVisualizer extends BaseVisualizer {
   }
 
   createIntegrationChart(canvasId, productData, integralValue, color) {
-    const canvas = document.getElementById(canvasId);
+    const canvas = this.getElementById(canvasId);
     if (!canvas) return null;
 
     const ctx = canvas.getContext("2d");
@@ -308,7 +667,7 @@ export class IntegralVisualizer extends BaseVisualizer {
 
     const rgb = colorMap[color] || { r: 0, g: 123, b: 255 }; // Default to blue
 
-    return new Chart(ctx, {
+    const chart = new Chart(ctx, {
       type: "line",
       data: {
         labels: splitData.allLabels,
@@ -346,6 +705,10 @@ export class IntegralVisualizer extends BaseVisualizer {
       },
       options: this.getChartOptions(),
     });
+
+    // Managed charts are included in SVG/PNG export
+    this.chartManager.registerChart(canvasId, chart);
+    return chart;
   }
 
   updateIntegrationChart(chart, productData, integralValue) {
@@ -377,44 +740,164 @@ export class IntegralVisualizer extends BaseVisualizer {
   }
 
   initializeControls() {
-    // Phase shift slider
-    const phaseShiftSlider = document.getElementById("phaseShiftSlider");
-    const phaseShiftValue = document.getElementById("phaseShiftValue");
+    const {
+      phaseShiftSlider,
+      phaseShiftValue,
+      angularFrequencySlider,
+      angularFrequencyValue,
+      integrationMethodSelect,
+    } = this.elements;
 
+    // Phase shift slider
     if (phaseShiftSlider && phaseShiftValue) {
       phaseShiftSlider.min = "0";
       phaseShiftSlider.max = (2 * Math.PI).toString();
       phaseShiftSlider.step = "0.01";
-      phaseShiftSlider.value = this.phaseShift.toString();
+      phaseShiftSlider.value = this.state.phaseShift.toString();
 
       phaseShiftSlider.addEventListener("input", (e) => {
-        this.phaseShift = parseFloat(e.target.value);
-        phaseShiftValue.textContent = this.formatPhaseValue(this.phaseShift);
-        this.updateAllCharts();
+        this.store.set("phaseShift", parseFloat(e.target.value));
       });
 
-      phaseShiftValue.textContent = this.formatPhaseValue(this.phaseShift);
+      phaseShiftValue.textContent = this.state.phaseShiftLabel;
     }
 
     // Angular frequency slider
-    const angularFrequencySlider = document.getElementById(
-      "angularFrequencySlider"
-    );
-    const angularFrequencyValue = document.getElementById(
-      "angularFrequencyValue"
-    );
-
     if (angularFrequencySlider && angularFrequencyValue) {
+      this.updateFrequencySlider();
+
       angularFrequencySlider.addEventListener("input", (e) => {
-        this.angularFrequency = parseFloat(e.target.value);
-        angularFrequencyValue.textContent = this.angularFrequency.toFixed(1);
-        this.updateAllCharts();
+        this.store.set("angularFrequency", parseFloat(e.target.value));
       });
 
-      angularFrequencyValue.textContent = this.angularFrequency.toFixed(1);
+      angularFrequencyValue.textContent = this.state.angularFrequencyLabel;
+    }
+
+    // Integration method selector
+    if (integrationMethodSelect) {
+      integrationMethodSelect.value = this.state.integrationMethod;
+
+      integrationMethodSelect.addEventListener("change", (e) => {
+        this.store.set("integrationMethod", e.target.value);
+      });
     }
   }
 
+  getFrequencyRange() {
+    // Extend the slider so every component frequency can be discovered
+    const { min, max } = this.config.frequencyRange;
+    const highest = Math.max(...this.state.components.map((c) => c.frequency));
+    return {
+      min,
+      max: Math.max(max, Math.ceil(highest)),
+      step: this.config.frequencyStep,
+    };
+  }
+
+  updateFrequencySlider() {
+    const slider = this.elements.angularFrequencySlider;
+    if (!slider) return;
+
+    const { min, max, step } = this.getFrequencyRange();
+    slider.min = min.toString();
+    slider.max = max.toString();
+    slider.step = step.toString();
+    slider.value = this.state.angularFrequency.toString();
+  }
+
+  renderComponentEditor() {
+    const container = this.elements.componentEditor;
+    if (!container) return;
+
+    container.innerHTML = "";
+
+    const list = this.createElement("div");
+    list.className = "component-list";
+    container.appendChild(list);
+
+    const status = this.createElement("div");
+    status.className = "component-status";
+
+    const apply = () => {
+      const rows = Array.from(list.querySelectorAll(".component-row"));
+      const components = rows.map((row) => ({
+        type: row.querySelector('[name="type"]').value,
+        amplitude: row.querySelector('[name="amplitude"]').value,
+        frequency: row.querySelector('[name="frequency"]').value,
+        phase: row.querySelector('[name="phase"]').value,
+      }));
+
+      this.editingComponents = true;
+      try {
+        this.setComponents(components);
+        status.textContent = "";
+        container.classList.remove("invalid");
+      } catch (error) {
+        status.textContent = error.message;
+        container.classList.add("invalid");
+      } finally {
+        this.editingComponents = false;
+      }
+    };
+
+    const addRow = (component) => {
+      const row = this.createElement("div");
+      row.className = "component-row";
+
+      const type = this.createElement("select");
+      type.name = "type";
+      ["cos", "sin"].forEach((name) => {
+        const option = this.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        type.appendChild(option);
+      });
+      type.value = component.type || "cos";
+      row.appendChild(type);
+
+      [
+        ["amplitude", "A", component.amplitude ?? 1],
+        ["frequency", "ω", component.frequency],
+        ["phase", "φ (rad)", component.phase ?? 0],
+      ].forEach(([name, label, value]) => {
+        const field = this.createElement("label");
+        field.textContent = `${label} `;
+        const input = this.createElement("input");
+        input.type = "text";
+        input.name = name;
+        input.size = 5;
+        input.value = value;
+        field.appendChild(input);
+        row.appendChild(field);
+      });
+
+      const remove = this.createElement("button");
+      remove.type = "button";
+      remove.textContent = "✕";
+      remove.title = "Remove component";
+      remove.addEventListener("click", () => {
+        row.remove();
+        apply();
+      });
+      row.appendChild(remove);
+
+      row.addEventListener("change", apply);
+      list.appendChild(row);
+    };
+
+    this.state.components.forEach(addRow);
+
+    const add = this.createElement("button");
+    add.type = "button";
+    add.textContent = "Add component";
+    add.addEventListener("click", () => {
+      addRow({ type: "cos", amplitude: 1, frequency: 1, phase: 0 });
+      apply();
+    });
+    container.appendChild(add);
+    container.appendChild(status);
+  }
+
   updateAllCharts() {
     this.calculateWaveforms();
     this.createWaveformCharts();
@@ -422,40 +905,45 @@ export class IntegralVisualizer extends BaseVisualizer {
   }
 
   updateTitles() {
-    const phaseTitle = document.getElementById("phaseShiftedCosineTitle");
-    const cosineTitle = document.getElementById("nonPhaseShiftedCosineTitle");
-    const sineTitle = document.getElementById("sineWaveTitle");
+    const phaseTitle = this.getElementById("phaseShiftedCosineTitle");
+    const cosineTitle = this.getElementById("nonPhaseShiftedCosineTitle");
+    const sineTitle = this.getElementById("sineWaveTitle");
 
-    // Calculate integration results for display using the actual calculation methods
-    const cosineIntegral = this.calculateCosineIntegral();
-    const sineIntegral = this.calculateSineIntegral();
+    // Integration results from the latest waveform calculation
+    const cosineIntegral = this.integrals.cosine.value;
+    const sineIntegral = this.integrals.sine.value;
 
     if (phaseTitle) {
+      // Incommensurate frequencies never repeat, so say so in the title
+      const aperiodic =
+        this.analyzeCompositePeriod().status === "incommensurate"
+          ? `\\quad\\color{gray}{(\\mathrm{aperiodic})}`
+          : "";
       this.renderMath(
         phaseTitle,
-        `f(t) = \\cos(t) + \\sin(2t) + \\cos(3t + \\frac{\\pi}{4})`
+        `f(t) = ${this.getCompositeLatex()}${aperiodic}`
       );
     }
 
     if (cosineTitle) {
       this.renderMath(
         cosineTitle,
-        `\\color{gray}{\\frac{2}{T}\\int f(t)}\\color{black}{\\cos(\\color{#8e44ad}{\\texttt{${this.angularFrequency.toFixed(
+        `\\color{gray}{\\frac{2}{T}\\int f(t)}\\color{black}{\\cos(\\color{#8e44ad}{\\texttt{${this.state.angularFrequency.toFixed(
           1
         )}}}\\color{black}{t})}\\color{gray}{dt = ${this.formatIntegralValue(
           cosineIntegral
-        )}}`
+        )}}${this.formatErrorEstimate(this.integrals.cosine.error)}`
       );
     }
 
     if (sineTitle) {
       this.renderMath(
         sineTitle,
-        `\\color{gray}{\\frac{2}{T}\\int f(t)}\\color{black}{\\sin(\\color{#8e44ad}{\\texttt{${this.angularFrequency.toFixed(
+        `\\color{gray}{\\frac{2}{T}\\int f(t)}\\color{black}{\\sin(\\color{#8e44ad}{\\texttt{${this.state.angularFrequency.toFixed(
           1
         )}}}\\color{black}{t})}\\color{gray}{dt = ${this.formatIntegralValue(
           sineIntegral
-        )}}`
+        )}}${this.formatErrorEstimate(this.integrals.sine.error)}`
       );
     }
 
@@ -466,29 +954,82 @@ export class IntegralVisualizer extends BaseVisualizer {
     this.updateDynamicFormula();
   }
 
+  getCompositeLatex() {
+    return this.state.components
+      .map((component, index) => {
+        const { type, amplitude, frequency, phase } = component;
+        const sign = amplitude < 0 ? "-" : index === 0 ? "" : "+";
+
+        // A zero-frequency component is just a constant
+        if (frequency === 0) {
+          const { a } = this.getComponentCoefficients(component);
+          const constant = parseFloat(a.toFixed(3));
+          return `${constant < 0 ? "-" : index === 0 ? "" : "+"} ${Math.abs(
+            constant
+          )}`;
+        }
+
+        const magnitude = Math.abs(amplitude);
+        const scale =
+          Math.abs(magnitude - 1) < 1e-9
+            ? ""
+            : parseFloat(magnitude.toFixed(3)).toString();
+        return `${sign} ${scale}\\${type}(${this.formatArgumentLatex(
+          frequency,
+          phase
+        )})`;
+      })
+      .join(" ")
+      .trim();
+  }
+
+  formatArgumentLatex(frequency, phase) {
+    let argument;
+    const fraction = MathUtils.toSimpleFraction(frequency);
+    if (!fraction) {
+      argument = `${parseFloat(frequency.toFixed(3))}t`;
+    } else if (fraction.denominator === 1) {
+      argument = fraction.numerator === 1 ? "t" : `${fraction.numerator}t`;
+    } else {
+      argument = `\\frac{${fraction.numerator}}{${fraction.denominator}}t`;
+    }
+
+    if (Math.abs(phase) < 1e-12) return argument;
+    return `${argument} ${phase < 0 ? "-" : "+"} ${this.formatPiLatex(
+      Math.abs(phase)
+    )}`;
+  }
+
+  formatPiLatex(value) {
+    const fraction = MathUtils.toSimpleFraction(value / Math.PI);
+    if (!fraction) return parseFloat(value.toFixed(3)).toString();
+
+    const { numerator, denominator } = fraction;
+    const piMultiple = numerator === 1 ? "\\pi" : `${numerator}\\pi`;
+    return denominator === 1
+      ? piMultiple
+      : `\\frac{${piMultiple}}{${denominator}}`;
+  }
+
   checkForDiscoveries(cosineIntegral, sineIntegral) {
-    const omega = this.angularFrequency;
+    const omega = this.state.angularFrequency;
     const tolerance = 0.05; // Small tolerance for slider precision
 
-    // Check for cosine component discoveries at exact frequencies
-    if (
-      Math.abs(omega - 1.0) < tolerance ||
-      Math.abs(omega - 3.0) < tolerance
-    ) {
-      this.triggerDiscoveryEffect("nonPhaseShiftedCosineChart", "blue");
-    }
+    // Check each component frequency for cosine and sine discoveries
+    this.getFrequencyTerms().forEach(({ frequency, a, b }) => {
+      if (frequency === 0 || Math.abs(omega - frequency) >= tolerance) return;
 
-    // Check for sine component discoveries at exact frequencies
-    if (
-      Math.abs(omega - 2.0) < tolerance ||
-      Math.abs(omega - 3.0) < tolerance
-    ) {
-      this.triggerDiscoveryEffect("sineWaveChart", "green");
-    }
+      if (Math.abs(a) > 1e-6) {
+        this.triggerDiscoveryEffect("nonPhaseShiftedCosineChart", "blue");
+      }
+      if (Math.abs(b) > 1e-6) {
+        this.triggerDiscoveryEffect("sineWaveChart", "green");
+      }
+    });
   }
 
   triggerDiscoveryEffect(canvasId, color) {
-    const canvas = document.getElementById(canvasId);
+    const canvas = this.getElementById(canvasId);
     if (!canvas) return;
 
     // Remove any existing discovery effects
@@ -506,7 +1047,7 @@ export class IntegralVisualizer extends BaseVisualizer {
     this.showDiscoveryBadge(canvas, color);
 
     // Remove the effect after animation completes
-    setTimeout(() => {
+    this.scheduleCleanup(() => {
       if (canvas.classList.contains(glowClass)) {
         canvas.classList.remove(glowClass);
       }
@@ -515,32 +1056,38 @@ export class IntegralVisualizer extends BaseVisualizer {
 
   showDiscoveryBadge(canvas, color) {
     // Create badge element
-    const badge = document.createElement("div");
+    const badge = this.createElement("div");
     badge.className = `discovery-badge discovery-badge-${color}`;
-    badge.innerHTML = `ω = ${this.angularFrequency.toFixed(1)}`;
+    badge.textContent = `ω = ${this.state.angularFrequency.toFixed(1)}`;
 
-    // Position badge within the chart area
+    // Sit in the top-right corner of the chart, inside the visualizer's root
+    // so its styles apply and it moves with the chart
     const container =
       canvas.closest(".chart-container") || canvas.parentElement;
-    const rect = container.getBoundingClientRect();
-
-    // Position badge in the top-right area of the chart
-    badge.style.position = "absolute";
-    badge.style.top = rect.top + window.scrollY + 15 + "px";
-    badge.style.right = window.innerWidth - rect.right + 15 + "px";
-    badge.style.zIndex = "1000";
-
-    // Add to body
-    document.body.appendChild(badge);
+    container.appendChild(badge);
 
     // Remove badge after animation
-    setTimeout(() => {
+    this.scheduleCleanup(() => {
       if (badge.parentNode) {
         badge.parentNode.removeChild(badge);
       }
     }, 3000); // Same duration as glow effect
   }
 
+  /**
+   * Remove a discovery effect after a delay, or as soon as the visualizer
+   * is destroyed
+   * @param {Function} cleanup - Removes the effect
+   * @param {number} delay - Milliseconds the effect stays visible
+   */
+  scheduleCleanup(cleanup, delay) {
+    const timer = setTimeout(() => {
+      this.effectCleanups.delete(timer);
+      cleanup();
+    }, delay);
+    this.effectCleanups.set(timer, cleanup);
+  }
+
   formatIntegralValue(value) {
     // Smart formatting: 0 decimal points except for 0.707 values
     if (Math.abs(value) < 0.001) {
@@ -549,44 +1096,96 @@ export class IntegralVisualizer extends BaseVisualizer {
       // Handle 0.707 and -0.707 (√2/2) values
       return value < 0 ? "-0.707" : "0.707";
     } else {
-      // Round to nearest integer for other values
-      return Math.round(value).toString();
+      // Otherwise show up to two decimals, dropping trailing zeros
+      return parseFloat(value.toFixed(2)).toString();
     }
   }
 
+  formatErrorEstimate(error) {
+    // Estimated quadrature error, e.g. "± 3.2×10⁻⁷"
+    if (!(error > 1e-15)) return `\\quad\\color{gray}{\\pm 0}`;
+
+    const [mantissa, exponent] = error.toExponential(1).split("e");
+    return `\\quad\\color{gray}{\\pm ${mantissa}\\times10^{${Number(
+      exponent
+    )}}}`;
+  }
+
   updateDynamicFormula() {
-    const formulaElement = document.getElementById("dynamicFormula");
+    const formulaElement = this.getElementById("dynamicFormula");
     if (!formulaElement) return;
 
     // Show components based on current angular frequency
-    const omega = this.angularFrequency;
+    const omega = this.state.angularFrequency;
+    const terms = this.getFrequencyTerms();
+    const revealed = terms.filter((term) => term.frequency <= omega + 1e-9);
+    const ellipsis = '<span style="color: #999;">⋯</span>';
+
+    // Reveal each discovered frequency in its expanded cosine/sine form
+    const parts = [];
+    revealed.forEach(({ frequency, a, b }) => {
+      if (frequency === 0) {
+        parts.push({ negative: a < 0, html: this.formatCoefficient(a, true) });
+        return;
+      }
+
+      const argument = this.formatFrequencyArgument(frequency);
+      if (Math.abs(a) > 1e-6) {
+        parts.push({
+          negative: a < 0,
+          html: `<span class="cosine-component">${this.formatCoefficient(
+            a
+          )}cos(${argument})</span>`,
+        });
+      }
+      if (Math.abs(b) > 1e-6) {
+        parts.push({
+          negative: b < 0,
+          html: `<span class="sine-component">${this.formatCoefficient(
+            b
+          )}sin(${argument})</span>`,
+        });
+      }
+    });
 
     let htmlContent =
       '<span style="font-size: 1.2em; color: #ff7f00;">f(t)</span> = ';
 
-    if (omega < 1.0) {
-      // Below ω=1, show only base structure
-      htmlContent += '<span style="color: #999;">⋯</span>';
-    } else if (omega >= 1.0 && omega < 2.0) {
-      // ω≥1, reveal cos(t) component in cosine color
-      htmlContent +=
-        '<span class="cosine-component">cos(t)</span> + <span style="color: #999;">⋯</span>';
-    } else if (omega >= 2.0 && omega < 3.0) {
-      // ω≥2, reveal sin(2t) component in sine color
-      htmlContent +=
-        '<span class="cosine-component">cos(t)</span> + <span class="sine-component">sin(2t)</span> + <span style="color: #999;">⋯</span>';
-    } else if (omega >= 3.0) {
-      // ω≥3, reveal the expanded form with proper coloring
-      htmlContent +=
-        '<span class="cosine-component">cos(t)</span> + ' +
-        '<span class="sine-component">sin(2t)</span> + ' +
-        '<span class="cosine-component">0.707cos(3t)</span> - ' +
-        '<span class="sine-component">0.707sin(3t)</span>';
+    if (parts.length === 0) {
+      htmlContent += ellipsis;
+    } else {
+      htmlContent += parts
+        .map(({ negative, html }, index) =>
+          index === 0
+            ? `${negative ? "-" : ""}${html}`
+            : ` ${negative ? "-" : "+"} ${html}`
+        )
+        .join("");
+
+      if (revealed.length < terms.length) {
+        htmlContent += ` + ${ellipsis}`;
+      }
     }
 
     formulaElement.innerHTML = htmlContent;
   }
 
+  formatCoefficient(value, showUnit = false) {
+    // Unit coefficients are implied unless the term is a bare constant
+    const magnitude = Math.abs(value);
+    if (!showUnit && Math.abs(magnitude - 1) < 1e-6) return "";
+    return parseFloat(magnitude.toFixed(3)).toString();
+  }
+
+  formatFrequencyArgument(frequency) {
+    const fraction = MathUtils.toSimpleFraction(frequency);
+    if (!fraction) return `${parseFloat(frequency.toFixed(3))}t`;
+    if (fraction.denominator === 1) {
+      return fraction.numerator === 1 ? "t" : `${fraction.numerator}t`;
+    }
+    return `(${fraction.numerator}/${fraction.denominator})t`;
+  }
+
   renderMath(element, latex) {
     // Check if KaTeX is available, otherwise fall back to plain text
     if (typeof katex !== "undefined") {
@@ -607,25 +1206,42 @@ export class IntegralVisualizer extends BaseVisualizer {
         .replace(/\\cos/g, "cos")
         .replace(/\\sin/g, "sin")
         .replace(/\\int/g, "∫")
-        .replace(/\\frac\{2\}\{T\}/g, "2/T")
-        .replace(/\\frac\{\\pi\}\{4\}/g, "π/4")
+        .replace(/\\frac\{([^{}]*)\}\{([^{}]*)\}/g, "$1/$2")
         .replace(/\\pi/g, "π")
+        .replace(/\\pm/g, "±")
+        .replace(/\\times/g, "×")
+        .replace(/\\quad/g, " ")
+        .replace(/\\mathrm/g, "")
         .replace(/[{}]/g, "");
       element.textContent = fallbackText;
     }
   }
 
+  /**
+   * Fix the time axis and plot resolution for the whole slider range, so
+   * moving the slider never rescales the charts
+   */
+  updateDisplayWindow() {
+    this.maxDisplayPeriod = this.calculateMaxOrthogonalPeriod();
+    this.plotPoints = Math.min(
+      IntegralVisualizer.maxPlotPoints,
+      this.getSampleCount(
+        this.maxDisplayPeriod,
+        this.getHighestFrequency() + this.getFrequencyRange().max,
+        800
+      )
+    );
+  }
+
   calculateMaxOrthogonalPeriod() {
-    // Calculate the maximum period needed across the entire slider range (0.5 to 3.0)
-    const sliderMin = 0.5;
-    const sliderMax = 3.0;
-    const sliderStep = 0.1;
+    // Calculate the maximum display window needed across the slider range
+    const { min, max, step } = this.getFrequencyRange();
 
     let maxPeriod = 0;
 
     // Check all possible slider values
-    for (let omega = sliderMin; omega <= sliderMax; omega += sliderStep) {
-      const period = this.calculateOrthogonalPeriodForOmega(omega);
+    for (let i = 0; min + i * step <= max + 1e-9; i++) {
+      const period = this.calculateDisplayWindowForOmega(min + i * step);
       maxPeriod = Math.max(maxPeriod, period);
     }
 
@@ -633,130 +1249,70 @@ export class IntegralVisualizer extends BaseVisualizer {
   }
 
   calculateOrthogonalPeriodForOmega(omega) {
-    // For true orthogonality, we need the LCM of all relevant periods:
-    // 1. Composite signal components: cos(t)=2π, sin(2t)=π, cos(3t)=2π/3
-    // 2. Integrating function: cos(ωt) or sin(ωt) = 2π/ω
+    // For true orthogonality, integrate over a common period of the
+    // composite components and the integrating function cos(ωt) or sin(ωt)
+    return PeriodAnalyzer.analyze([...this.getComponentFrequencies(), omega])
+      .window;
+  }
 
-    const compositePeriods = [2 * Math.PI, Math.PI, (2 * Math.PI) / 3];
-    const integratingPeriod = (2 * Math.PI) / omega;
+  /**
+   * Time span shown for one slider value: the orthogonality period, capped
+   * at the practical window when that period is too long to read
+   * @param {number} omega - Angular frequency of the integrating function
+   * @returns {number} Window length in seconds
+   */
+  calculateDisplayWindowForOmega(omega) {
+    const { window, practicalWindow } = PeriodAnalyzer.analyze([
+      ...this.getComponentFrequencies(),
+      omega,
+    ]);
+    return Math.min(window, practicalWindow);
+  }
 
-    // Calculate LCM of all periods
-    const allPeriods = [...compositePeriods, integratingPeriod];
-    return this.calculateLCMOfPeriods(allPeriods);
+  /**
+   * Samples that resolve a span at samplesPerCycle per cycle of the fastest
+   * frequency in it
+   * @param {number} span - Length of the span in seconds
+   * @param {number} fastest - Highest angular frequency in the span
+   * @param {number} minimum - Fewest samples to use
+   * @returns {number} Number of samples
+   */
+  getSampleCount(span, fastest, minimum) {
+    const cycles = (span * fastest) / (2 * Math.PI);
+    return Math.max(
+      minimum,
+      Math.ceil(cycles * IntegralVisualizer.samplesPerCycle)
+    );
   }
 
   calculateOrthogonalPeriod() {
     // Use the current omega for integration calculations
-    return this.calculateOrthogonalPeriodForOmega(this.angularFrequency);
+    return this.calculateOrthogonalPeriodForOmega(this.state.angularFrequency);
   }
 
   calculateCompositePeriod() {
-    // Calculate the period of just the composite function: cos(t) + sin(2t) + cos(3t + π/4)
-    // Component periods: cos(t)=2π, sin(2t)=π, cos(3t)=2π/3
-    const compositePeriods = [2 * Math.PI, Math.PI, (2 * Math.PI) / 3];
-    return this.calculateLCMOfPeriods(compositePeriods);
+    // Period of just the composite function (practical window if aperiodic)
+    return this.analyzeCompositePeriod().window;
   }
 
-  calculateLCMOfPeriods(periods) {
-    // Convert all periods to multiples of π for easier LCM calculation
-    // All our periods are of the form (2π/n) where n is rational
-    const piMultiples = periods.map((period) => period / Math.PI);
-
-    // Find the LCM of these π-multiples
-    const lcmMultiple = this.lcmOfRationalNumbers(piMultiples);
-
-    // Convert back to actual period
-    return lcmMultiple * Math.PI;
+  analyzeCompositePeriod() {
+    return PeriodAnalyzer.analyze(this.getComponentFrequencies());
   }
 
-  lcmOfRationalNumbers(numbers) {
-    // Convert numbers to rational form {numerator, denominator}
-    const rationals = numbers.map((num) => this.toRational(num));
-
-    // LCM of fractions a/b and c/d is LCM(a,c) / GCD(b,d)
-    let lcmNumerator = rationals[0].numerator;
-    let gcdDenominator = rationals[0].denominator;
-
-    for (let i = 1; i < rationals.length; i++) {
-      lcmNumerator = this.lcm(lcmNumerator, rationals[i].numerator);
-      gcdDenominator = this.gcd(gcdDenominator, rationals[i].denominator);
-    }
-
-    return lcmNumerator / gcdDenominator;
+  getComponentFrequencies() {
+    return this.state.components.map((component) => component.frequency);
   }
 
-  toRational(decimal, precision = 1e-10) {
-    // Convert decimal to rational number approximation
-    // Handle common cases exactly
-    if (Math.abs(decimal - 2) < precision)
-      return { numerator: 2, denominator: 1 }; // 2π
-    if (Math.abs(decimal - 1) < precision)
-      return { numerator: 1, denominator: 1 }; // π
-    if (Math.abs(decimal - 2 / 3) < precision)
-      return { numerator: 2, denominator: 3 }; // 2π/3
-
-    // For 2π/ω cases, approximate ω as rational
-    if (decimal > 0) {
-      const reciprocal = 2 / decimal; // This gives us ω
-
-      // Round ω to nearest simple fraction
-      if (Math.abs(reciprocal - Math.round(reciprocal)) < precision) {
-        // ω is close to an integer
-        return { numerator: 2, denominator: Math.round(reciprocal) };
-      } else {
-        // Try common fractions like 1.5 = 3/2, 2.5 = 5/2, etc.
-        const doubled = reciprocal * 2;
-        if (Math.abs(doubled - Math.round(doubled)) < precision) {
-          return { numerator: 4, denominator: Math.round(doubled) };
-        }
-      }
-    }
-
-    // Fallback: use continued fraction approximation
-    return this.continuedFractionApprox(decimal);
-  }
-
-  continuedFractionApprox(x, maxDenominator = 100) {
-    let a = Math.floor(x);
-    let p0 = 1,
-      p1 = a;
-    let q0 = 0,
-      q1 = 1;
-
-    x = x - a;
-
-    while (x > 1e-10 && q1 < maxDenominator) {
-      x = 1 / x;
-      a = Math.floor(x);
-
-      let p2 = a * p1 + p0;
-      let q2 = a * q1 + q0;
-
-      if (q2 > maxDenominator) break;
-
-      p0 = p1;
-      p1 = p2;
-      q0 = q1;
-      q1 = q2;
-      x = x - a;
-    }
-
-    return { numerator: p1, denominator: q1 };
-  }
-
-  gcd(a, b) {
-    a = Math.abs(Math.round(a));
-    b = Math.abs(Math.round(b));
-    return b === 0 ? a : this.gcd(b, a % b);
-  }
-
-  lcm(a, b) {
-    return Math.abs(a * b) / this.gcd(a, b);
+  getHighestFrequency() {
+    return this.getComponentFrequencies().reduce(
+      (max, frequency) => Math.max(max, frequency),
+      0
+    );
   }
 
   generateTimeArray() {
     // Generate time array over the full display range for plotting
-    const points = 800;
+    const points = this.plotPoints;
     const t = [];
 
     // Use the fixed display range so functions are plotted over the entire visible axis
@@ -769,22 +1325,6 @@ export class IntegralVisualizer extends BaseVisualizer {
     return t;
   }
 
-  generateIntegrationTimeArray() {
-    // Generate time array over the mathematically correct integration period
-    const points = 800;
-    const t = [];
-
-    // Use the actual integration period for this omega value
-    const integrationPeriod = this.calculateOrthogonalPeriod();
-    const tMin = -integrationPeriod / 2;
-    const tMax = integrationPeriod / 2;
-
-    for (let i = 0; i <= points; i++) {
-      t.push(tMin + (i / points) * (tMax - tMin));
-    }
-    return t;
-  }
-
   getTimeRange() {
     // Use fixed maximum period for consistent display
     return {
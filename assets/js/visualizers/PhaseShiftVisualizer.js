@@ -4,6 +4,51 @@ import { BaseVisualizer } from "./BaseVisualizer.js";
 import { MathUtils, WaveformCalculator } from "./../utils/calculations.js";
 
 export class PhaseShiftVisualizer extends BaseVisualizer {
+  /**
+   * Page layout rendered by LayoutTemplates: the charts in grid order with
+   * their initial titles, then the controls
+   */
+  static layout = {
+    title: "Cosine-Sine Decomposition",
+    stylesheet: "phase-shift.css",
+    charts: [
+      {
+        canvasId: "phaseShiftedCosineChart",
+        titleId: "phaseShiftedCosineTitle",
+        title: "cos(t + Φ)",
+      },
+      {
+        canvasId: "complexPlaneChart",
+        titleId: "complexPlaneTitle",
+        title: "Complex Representation",
+        note: 'e^(iΦ) = <span class="cosine-component">cos(Φ)</span> + i·<span class="sine-component">sin(Φ)</span>',
+        complex: true,
+      },
+      {
+        canvasId: "nonPhaseShiftedCosineChart",
+        titleId: "nonPhaseShiftedCosineTitle",
+        title: "cos(Φ)cos(t)",
+      },
+      {
+        canvasId: "sineWaveChart",
+        titleId: "sineWaveTitle",
+        title: "-sin(Φ)sin(t)",
+      },
+    ],
+    controls: [
+      {
+        kind: "range",
+        id: "phaseShiftSlider",
+        label: "Phase Shift (Φ)",
+        min: 0,
+        value: 0.785,
+        valueId: "phaseShiftValue",
+        valueText: "π/4",
+        hint: "← Drag to see how the decomposition changes",
+      },
+    ],
+  };
+
   constructor(config = {}) {
     super(config);
     this.waveforms = null;
@@ -70,21 +115,21 @@ export class PhaseShiftVisualizer extends BaseVisualizer {
     const sinPhaseFlipped = Math.sin(phaseShift).toFixed(3); // Flipped for visual consistency
 
     // Update title elements if they exist
-    const phaseShiftedTitle = document.getElementById(
+    const phaseShiftedTitle = this.getElementById(
       this.config.charts.phaseShiftedCosine.titleElementId
     );
     if (phaseShiftedTitle) {
       phaseShiftedTitle.textContent = `cos(t + ${phaseStr})`;
     }
 
-    const nonPhaseShiftedTitle = document.getElementById(
+    const nonPhaseShiftedTitle = this.getElementById(
       this.config.charts.nonPhaseShiftedCosine.titleElementId
     );
     if (nonPhaseShiftedTitle) {
       nonPhaseShiftedTitle.textContent = `${cosPhase}cos(t)`;
     }
 
-    const sineTitle = document.getElementById(
+    const sineTitle = this.getElementById(
       this.config.charts.sineWave.titleElementId
     );
     if (sineTitle) {
@@ -160,14 +205,79 @@ export class PhaseShiftVisualizer extends BaseVisualizer {
   }
 
   /**
-   * Handle phase shift changes
-   * @param {number} phaseShift - New phase shift value
+   * Swap new data into the existing charts for a phase shift
+   * @param {number} phaseShift - Current phase shift
+   * @returns {boolean} False if any chart has to be created instead
    */
-  onPhaseShiftChange(phaseShift) {
-    super.onPhaseShiftChange(phaseShift);
+  updateWaveformCharts(phaseShift) {
+    this.calculateWaveforms(phaseShift);
+
+    const { charts } = this.config;
+    const phaseShiftedConfig = charts.phaseShiftedCosine;
+    const updated = [
+      this.updateWaveformChart(
+        phaseShiftedConfig.canvasId,
+        this.waveforms.phaseShiftedCosine,
+        phaseShiftedConfig.showDecomposedSum
+          ? [this.createDecomposedSumDataset()]
+          : []
+      ),
+      this.updateWaveformChart(
+        charts.nonPhaseShiftedCosine.canvasId,
+        this.waveforms.nonPhaseShiftedCosine
+      ),
+      this.updateWaveformChart(
+        charts.sineWave.canvasId,
+        this.waveforms.sineWave
+      ),
+      this.updateComplexPlaneChart(phaseShift),
+    ];
+
+    return updated.every(Boolean);
+  }
+
+  /**
+   * Initialize the visualizer and redraw whenever the phase shift changes,
+   * whether it comes from the slider, the URL or the messaging API
+   */
+  initialize() {
+    super.initialize();
+    this.subscribe((changed) => {
+      if (changed.includes("phaseShift")) {
+        this.onStateChange();
+      }
+    });
+  }
+
+  /**
+   * Bring the slider and charts in line with the stored phase shift
+   */
+  onStateChange() {
+    const { phaseShift } = this.state;
+    if (this.elements.phaseShiftSlider) {
+      this.elements.phaseShiftSlider.value = phaseShift;
+    }
     this.updateChartsForPhaseShift(phaseShift);
   }
 
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL; the
+   * store notifies onStateChange(), which redraws
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    this.store.set(this.pickState(state));
+  }
+
+  /**
+   * Rebuild the charts after an imported configuration
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    super.applyConfig(config);
+    this.render();
+  }
+
   /**
    * Update all charts for a new phase shift value
    * @param {number} phaseShift - New phase shift value
@@ -179,16 +289,21 @@ export class PhaseShiftVisualizer extends BaseVisualizer {
     // Update UI elements
     this.updateUI({ phaseShift });
 
-    // Recreate all charts with new data
-    this.createWaveformCharts(phaseShift);
+    // Swap the data in place (one redraw per frame); build missing charts
+    if (!this.updateWaveformCharts(phaseShift)) {
+      this.createWaveformCharts(phaseShift);
+    }
   }
 
   /**
    * Render the complete phase shift visualization
+   * Charts are always rebuilt so configuration changes take effect.
    */
   render() {
-    const phaseShift = this.state.phaseShift || this.config.initialPhaseShift;
-    this.updateChartsForPhaseShift(phaseShift);
+    const phaseShift = this.state.phaseShift ?? this.config.initialPhaseShift;
+    this.updateTitles(phaseShift);
+    this.updateUI({ phaseShift });
+    this.createWaveformCharts(phaseShift);
   }
 
   /**
@@ -198,37 +313,4 @@ export class PhaseShiftVisualizer extends BaseVisualizer {
   getWaveforms() {
     return this.waveforms ? { ...this.waveforms } : null;
   }
-
-  /**
-   * Export current visualization data
-   * @returns {Object} Visualization data including configuration and state
-   */
-  exportData() {
-    return {
-      config: this.config,
-      state: this.getState(),
-      waveforms: this.getWaveforms(),
-      timestamp: new Date().toISOString(),
-    };
-  }
-
-  /**
-   * Import and apply visualization data
-   * @param {Object} data - Previously exported visualization data
-   */
-  importData(data) {
-    if (data.config) {
-      this.updateConfig(data.config);
-    }
-
-    if (data.state && data.state.phaseShift !== undefined) {
-      // Update slider value if available
-      if (this.elements.phaseShiftSlider) {
-        this.elements.phaseShiftSlider.value = data.state.phaseShift;
-      }
-
-      // Update visualization
-      this.onPhaseShiftChange(data.state.phaseShift);
-    }
-  }
 }
@@ -0,0 +1,191 @@
+// Plugin manifests and loader for visualizers shipped outside this repository
+
+import { VisualizerFactory } from "./VisualizerFactory.js";
+import { ConfigValidator } from "../config/ConfigValidator.js";
+import { ConfigTemplates } from "../config/ConfigTemplates.js";
+import { LayoutTemplates } from "../config/LayoutTemplates.js";
+
+/**
+ * A plugin is an ES module whose default (or `manifest`) export describes one
+ * visualizer:
+ *
+ *   export default {
+ *     apiVersion: 1,
+ *     type: "laplace",
+ *     name: "Laplace Transform",
+ *     description: "Poles, zeros and the region of convergence",
+ *     class: LaplaceVisualizer,          // extends BaseVisualizer
+ *     schema: { initialSigma: { type: "number", default: 0 } },
+ *     template: { initialSigma: 0.5, elements: { ... } },
+ *     metadata: { icon, topic, difficulty, tags },
+ *   };
+ *
+ * The schema lists the properties beyond ConfigValidator.baseSchema, and the
+ * template is the default configuration (or a function returning it). Like
+ * the built-in visualizers, the class declares its page in `static layout`
+ * (see LayoutTemplates). Relative icon and stylesheet URLs are resolved
+ * against the plugin module.
+ */
+export class PluginLoader {
+  /**
+   * Manifest versions this loader understands
+   */
+  static supportedApiVersions = [1];
+
+  /**
+   * Loads by module URL, so each plugin is imported and registered once
+   */
+  static loaded = new Map();
+
+  /**
+   * Check a manifest before anything is registered
+   * @param {Object} manifest - Plugin manifest
+   * @throws {Error} If the manifest is incomplete or its template does not
+   *   match its schema
+   */
+  static validateManifest(manifest) {
+    if (!manifest || typeof manifest !== "object") {
+      throw new Error("Plugin manifest must be an object");
+    }
+    if (!this.supportedApiVersions.includes(manifest.apiVersion)) {
+      throw new Error(
+        `Unsupported plugin apiVersion: ${
+          manifest.apiVersion
+        }. Supported versions: ${this.supportedApiVersions.join(", ")}`
+      );
+    }
+
+    const { type } = manifest;
+    if (typeof type !== "string" || !/^[a-z][a-z0-9-]*$/.test(type)) {
+      throw new Error(
+        `Plugin type must be lowercase letters, digits and dashes, got "${type}"`
+      );
+    }
+    if (VisualizerFactory.isValidType(type)) {
+      throw new Error(`Visualizer type "${type}" is already registered`);
+    }
+    ["name", "description"].forEach((key) => {
+      if (typeof manifest[key] !== "string") {
+        throw new Error(`Plugin ${type} needs a ${key}`);
+      }
+    });
+
+    const prototype = manifest.class && manifest.class.prototype;
+    if (
+      typeof manifest.class !== "function" ||
+      typeof prototype.initialize !== "function" ||
+      typeof prototype.getState !== "function"
+    ) {
+      throw new Error(`Plugin ${type} needs a class extending BaseVisualizer`);
+    }
+
+    // Shareable state lives in the visualizer's store, which needs its types
+    const { stateConfigKeys = {}, stateTypes = {} } = manifest.class;
+    const untyped = Object.keys(stateConfigKeys).filter(
+      (key) => !(key in stateTypes)
+    );
+    if (untyped.length > 0) {
+      throw new Error(
+        `Plugin ${type} needs stateTypes for: ${untyped.join(", ")}`
+      );
+    }
+
+    if (!manifest.schema || typeof manifest.schema !== "object") {
+      throw new Error(`Plugin ${type} needs a schema`);
+    }
+    if (!["object", "function"].includes(typeof manifest.template)) {
+      throw new Error(`Plugin ${type} needs a template`);
+    }
+    LayoutTemplates.validateLayout(type, manifest.class.layout);
+
+    const { difficulty } = manifest.metadata || {};
+    if (
+      difficulty !== undefined &&
+      !VisualizerFactory.difficulties.includes(difficulty)
+    ) {
+      throw new Error(
+        `Unknown difficulty "${difficulty}" for ${type}. Use one of: ${VisualizerFactory.difficulties.join(
+          ", "
+        )}`
+      );
+    }
+
+    // The template must pass the schema it is registered with
+    const template =
+      typeof manifest.template === "function"
+        ? manifest.template()
+        : manifest.template;
+    ConfigValidator.validateObject(
+      { ...template, type },
+      { ...ConfigValidator.baseSchema, ...manifest.schema },
+      ""
+    );
+  }
+
+  /**
+   * Register a plugin's schema, template and class
+   * @param {Object} manifest - Plugin manifest
+   * @param {string} baseUrl - URL relative icon and stylesheet URLs are
+   *   resolved against, normally the plugin module's URL
+   * @returns {string} The registered visualizer type
+   * @throws {Error} If the manifest is invalid
+   */
+  static register(manifest, baseUrl) {
+    this.validateManifest(manifest);
+
+    const { type } = manifest;
+    const { layout } = manifest.class;
+    const resolve = (url) => (baseUrl ? new URL(url, baseUrl).href : url);
+    const metadata = { ...manifest.metadata };
+    if (metadata.icon) metadata.icon = resolve(metadata.icon);
+
+    ConfigValidator.registerSchema(type, manifest.schema);
+    ConfigTemplates.registerTemplate(type, manifest.template);
+    // The class belongs to this plugin, so its stylesheet is resolved in place
+    if (layout.stylesheet) {
+      manifest.class.layout = {
+        ...layout,
+        stylesheet: resolve(layout.stylesheet),
+      };
+    }
+    VisualizerFactory.registerVisualizer(
+      type,
+      manifest.class,
+      manifest.name,
+      manifest.description,
+      metadata
+    );
+
+    return type;
+  }
+
+  /**
+   * Import a plugin module and register its manifest; loading the same URL
+   * again returns the first load
+   * @param {string} url - Module URL, relative to the page
+   * @param {string} base - Base URL for relative module URLs
+   * @returns {Promise<string>} The registered visualizer type
+   */
+  static load(url, base = globalThis.document?.baseURI) {
+    const href = new URL(url, base).href;
+
+    if (!this.loaded.has(href)) {
+      const loading = import(href)
+        .then((module) => {
+          const manifest = module.default || module.manifest;
+          if (!manifest) {
+            throw new Error("The module does not export a plugin manifest");
+          }
+          return this.register(manifest, href);
+        })
+        .catch((error) => {
+          // Allow a failed plugin to be loaded again later
+          this.loaded.delete(href);
+          throw new Error(`Failed to load plugin ${href}: ${error.message}`);
+        });
+      this.loaded.set(href, loading);
+    }
+
+    return this.loaded.get(href);
+  }
+}
@@ -0,0 +1,640 @@
+// Sampling and aliasing visualization class extending BaseVisualizer
+
+import { BaseVisualizer } from "./BaseVisualizer.js";
+import { MathUtils, WaveformCalculator } from "./../utils/calculations.js";
+
+export class SamplingVisualizer extends BaseVisualizer {
+  /**
+   * Shareable state keys and the config keys that initialize them
+   */
+  static stateConfigKeys = {
+    frequency: "initialFrequency",
+    sampleRate: "initialSampleRate",
+    signal: "signal",
+    showReconstruction: "showReconstruction",
+  };
+
+  /**
+   * Units of the state values, used in data export headers
+   */
+  static stateUnits = {
+    frequency: "Hz",
+    sampleRate: "Hz",
+  };
+
+  /**
+   * Types of the parameters held in the state store
+   */
+  static stateTypes = {
+    frequency: "number",
+    sampleRate: "number",
+    signal: "string",
+    showReconstruction: "boolean",
+  };
+
+  /**
+   * Page layout rendered by LayoutTemplates: the charts in grid order with
+   * their initial titles, then the controls
+   */
+  static layout = {
+    title: "Sampling and Aliasing",
+    stylesheet: "sampling.css",
+    charts: [
+      {
+        canvasId: "timeChart",
+        titleId: "timeTitle",
+        title: "x(t) sampled at fs",
+      },
+      {
+        canvasId: "spectrumChart",
+        titleId: "spectrumTitle",
+        title: "Spectrum",
+      },
+    ],
+    controls: [
+      {
+        kind: "range",
+        id: "frequencySlider",
+        label: "Tone (f)",
+        min: 0.5,
+        max: 20,
+        step: 0.5,
+        value: 7,
+        valueId: "frequencyValue",
+        valueText: "7 Hz",
+      },
+      {
+        kind: "range",
+        id: "sampleRateSlider",
+        label: "Sampling rate (fs)",
+        min: 1,
+        max: 40,
+        step: 0.5,
+        value: 8,
+        valueId: "sampleRateValue",
+        valueText: "8 Hz",
+      },
+      {
+        kind: "select",
+        id: "signalSelect",
+        label: "Signal",
+        options: [
+          ["tone", "Single tone"],
+          ["multi-tone", "Two tones (2 Hz + f)"],
+        ],
+      },
+      {
+        kind: "checkbox",
+        id: "reconstructionToggle",
+        label: "Reconstruction",
+        checked: true,
+      },
+    ],
+  };
+
+  constructor(config = {}) {
+    super(config);
+    this.tones = [];
+    this.aliases = [];
+    this.samples = null;
+  }
+
+  /**
+   * Get default configuration specific to sampling visualization
+   * @returns {Object} Default configuration
+   */
+  getDefaultConfig() {
+    const baseConfig = super.getDefaultConfig();
+
+    return {
+      ...baseConfig,
+      // Signals as tones { frequency (Hz), amplitude, phase (rad) }; the
+      // frequency slider sets the last tone of the selected signal
+      signal: "tone",
+      signals: {
+        tone: [{ frequency: 7, amplitude: 1, phase: 0 }],
+        "multi-tone": [
+          { frequency: 2, amplitude: 0.6, phase: 0 },
+          { frequency: 7, amplitude: 0.4, phase: 0 },
+        ],
+      },
+
+      // Tone frequency slider (Hz)
+      initialFrequency: 7,
+      frequencyRange: { min: 0.5, max: 20 },
+      frequencyStep: 0.5,
+
+      // Sampling rate slider (Hz)
+      initialSampleRate: 8,
+      sampleRateRange: { min: 1, max: 40 },
+      sampleRateStep: 0.5,
+
+      // Time window in seconds
+      timeWindow: { start: 0, end: 1, points: 2001 },
+
+      // Spectrum axis extends to at least this frequency (Hz)
+      spectrumRange: 20,
+
+      showReconstruction: true,
+
+      legendVisible: {
+        timeChart: true,
+        spectrumChart: true,
+      },
+
+      charts: {
+        time: {
+          canvasId: "timeChart",
+          titleElementId: "timeTitle",
+          color: "orange",
+        },
+        spectrum: {
+          canvasId: "spectrumChart",
+          titleElementId: "spectrumTitle",
+        },
+      },
+
+      elements: {
+        frequencySlider: "frequencySlider",
+        frequencyValue: "frequencyValue",
+        sampleRateSlider: "sampleRateSlider",
+        sampleRateValue: "sampleRateValue",
+        signalSelect: "signalSelect",
+        reconstructionToggle: "reconstructionToggle",
+        aliasInfo: "aliasInfo",
+      },
+    };
+  }
+
+  /**
+   * Generate time labels over the configured window (seconds)
+   * @returns {number[]} Array of time labels
+   */
+  generateTimeLabels() {
+    const { start, end, points } = this.config.timeWindow;
+    return MathUtils.generateLabels(start, end, points);
+  }
+
+  /**
+   * Build the tones of the selected signal with the slider frequency applied
+   * @returns {Object[]} Tones { frequency, amplitude, phase }
+   * @throws {Error} If the signal is unknown
+   */
+  getTones() {
+    const tones = this.config.signals[this.state.signal];
+    if (!tones || tones.length === 0) {
+      throw new Error(`Unknown sampling signal: "${this.state.signal}"`);
+    }
+
+    return tones.map((tone, i) =>
+      i === tones.length - 1
+        ? { ...tone, frequency: this.state.frequency }
+        : tone
+    );
+  }
+
+  /**
+   * Calculate the signal, its samples, the aliases and the reconstruction
+   */
+  calculateWaveforms() {
+    const { start, end } = this.config.timeWindow;
+    const { sampleRate } = this.state;
+    const timeLabels = this.generateTimeLabels();
+
+    this.tones = this.getTones();
+    this.aliases = this.tones.map((tone) =>
+      WaveformCalculator.calculateAlias(tone, sampleRate)
+    );
+
+    const sampleTimes = WaveformCalculator.calculateSampleTimes(
+      start,
+      end,
+      sampleRate
+    );
+    this.samples = {
+      times: sampleTimes,
+      values: WaveformCalculator.calculateMultiTone(sampleTimes, this.tones),
+    };
+
+    // Ideal low-pass reconstruction keeps only the baseband copies, i.e. the aliases
+    this.waveforms = {
+      signal: WaveformCalculator.calculateMultiTone(timeLabels, this.tones),
+      reconstruction: WaveformCalculator.calculateMultiTone(
+        timeLabels,
+        this.aliases
+      ),
+    };
+
+    // The tones can add up to the sum of their amplitudes
+    const peak = this.tones.reduce(
+      (sum, { amplitude }) => sum + Math.abs(amplitude),
+      0
+    );
+    this.maxAmplitude = Math.max(1, peak) * 1.1;
+  }
+
+  /**
+   * Check whether every tone lies below the Nyquist frequency fs/2
+   * @returns {boolean} True if the signal is sampled without aliasing
+   */
+  isAliasFree() {
+    return this.tones.every(
+      ({ frequency }) => frequency < this.state.sampleRate / 2
+    );
+  }
+
+  /**
+   * Format a frequency in Hz
+   * @param {number} frequency - Frequency in Hz
+   * @returns {string} Formatted frequency
+   */
+  formatFrequency(frequency) {
+    return `${parseFloat(frequency.toFixed(2))} Hz`;
+  }
+
+  /**
+   * Update chart titles and the alias readout
+   */
+  updateTitles() {
+    const { charts } = this.config;
+    const { sampleRate } = this.state;
+    const fs = this.formatFrequency(sampleRate);
+
+    const timeTitle = this.getElementById(charts.time.titleElementId);
+    if (timeTitle) {
+      timeTitle.textContent = `x(t) sampled at fs = ${fs}`;
+    }
+
+    const spectrumTitle = this.getElementById(charts.spectrum.titleElementId);
+    if (spectrumTitle) {
+      spectrumTitle.textContent = `Spectrum: replicas every ${fs}, folded at ±fs/2 = ±${this.formatFrequency(
+        sampleRate / 2
+      )}`;
+    }
+
+    if (this.elements.aliasInfo) {
+      const lines = this.tones.map((tone, i) => {
+        const original = this.formatFrequency(tone.frequency);
+        const alias = this.formatFrequency(this.aliases[i].frequency);
+        return tone.frequency < sampleRate / 2
+          ? `${original} is below fs/2 and is preserved`
+          : `${original} aliases to ${alias}`;
+      });
+      this.elements.aliasInfo.textContent = `${lines.join("; ")}. ${
+        this.isAliasFree()
+          ? "Nyquist criterion met."
+          : `Aliasing: fs must exceed ${this.formatFrequency(
+              2 * Math.max(...this.tones.map(({ frequency }) => frequency))
+            )}.`
+      }`;
+      this.elements.aliasInfo.classList.toggle("aliased", !this.isAliasFree());
+    }
+  }
+
+  /**
+   * Create the time-domain chart: signal, sample markers and reconstruction
+   */
+  createTimeChart() {
+    const { colors, charts } = this.config;
+    const { start, end } = this.config.timeWindow;
+    const timeLabels = this.generateTimeLabels();
+
+    const datasets = [
+      {
+        label: "Samples x(n/fs)",
+        data: this.samples.times.map((x, i) => ({
+          x,
+          y: this.samples.values[i],
+        })),
+        borderColor: colors.blue,
+        backgroundColor: colors.blue,
+        pointRadius: 4,
+        showLine: false,
+      },
+    ];
+
+    if (this.state.showReconstruction) {
+      datasets.push({
+        label: "Reconstruction",
+        data: timeLabels.map((x, i) => ({
+          x,
+          y: this.waveforms.reconstruction[i],
+        })),
+        borderColor: colors.red,
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+
+    this.createWaveformChart(
+      charts.time.canvasId,
+      "x(t)",
+      this.waveforms.signal,
+      colors[charts.time.color],
+      datasets,
+      {
+        xAxisTitle: "Time (s)",
+        yMin: -this.maxAmplitude,
+        yMax: this.maxAmplitude,
+        xTickCallback: (value) => parseFloat(value.toFixed(2)).toString(),
+        chartOptions: {
+          elements: { point: { radius: 0 } },
+          scales: {
+            // Set here since a zero start would be dropped by the xMin fallback
+            x: {
+              min: start,
+              max: end,
+              ticks: { stepSize: (end - start) / 10 },
+            },
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Create the spectrum chart with the replicas at f + k·fs and the fold at ±fs/2
+   */
+  createSpectrumChart() {
+    const { colors, charts, legendVisible } = this.config;
+    const { sampleRate } = this.state;
+    const limit = Math.max(
+      this.config.spectrumRange,
+      1.25 * Math.max(...this.tones.map(({ frequency }) => frequency)),
+      sampleRate
+    );
+
+    // Each real tone is a pair of lines of height A/2 at ±f
+    const lines = (tones) =>
+      tones.flatMap(({ frequency, amplitude }) => [
+        { frequency, height: Math.abs(amplitude) / 2 },
+        { frequency: -frequency, height: Math.abs(amplitude) / 2 },
+      ]);
+
+    const original = lines(this.tones);
+    const replicas = [];
+    original.forEach(({ frequency, height }) => {
+      const lowest = Math.ceil((-limit - frequency) / sampleRate);
+      const highest = Math.floor((limit - frequency) / sampleRate);
+      for (let k = lowest; k <= highest; k++) {
+        if (k !== 0)
+          replicas.push({ frequency: frequency + k * sampleRate, height });
+      }
+    });
+    const baseband = lines(this.aliases).filter(({ height }) => height > 0);
+
+    const maxHeight = Math.max(...original.map(({ height }) => height), 0.1);
+    const nyquist = sampleRate / 2;
+
+    this.chartManager.createScatterChart(
+      charts.spectrum.canvasId,
+      [
+        this.createStemDataset(
+          "x(t)",
+          original.map(({ frequency }) => frequency),
+          original.map(({ height }) => height),
+          colors[charts.time.color]
+        ),
+        this.createStemDataset(
+          "Replicas f + k·fs",
+          replicas.map(({ frequency }) => frequency),
+          replicas.map(({ height }) => height),
+          colors.gray
+        ),
+        this.createStemDataset(
+          "Baseband (aliases)",
+          baseband.map(({ frequency }) => frequency),
+          baseband.map(({ height }) => height),
+          colors.red,
+          limit / 200
+        ),
+        {
+          label: "±fs/2",
+          data: [-nyquist, nyquist].flatMap((x) => [
+            { x, y: 0 },
+            { x, y: maxHeight * 1.2 },
+            { x, y: null },
+          ]),
+          borderColor: colors.black,
+          borderWidth: 1,
+          borderDash: [5, 5],
+          pointRadius: 0,
+          showLine: true,
+          spanGaps: false,
+          fill: false,
+        },
+      ],
+      {
+        showLegend: legendVisible[charts.spectrum.canvasId] || false,
+        xAxisTitle: "Frequency (Hz)",
+        yAxisTitle: "Magnitude",
+        xMin: -limit,
+        xMax: limit,
+        yMax: maxHeight * 1.3,
+        chartOptions: {
+          scales: {
+            y: { min: 0 },
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Update UI elements
+   * @param {Object} params - Parameters for updating UI
+   */
+  updateUI(params) {
+    if (this.elements.frequencyValue && params.frequency !== undefined) {
+      this.elements.frequencyValue.textContent = this.formatFrequency(
+        params.frequency
+      );
+    }
+    if (this.elements.sampleRateValue && params.sampleRate !== undefined) {
+      this.elements.sampleRateValue.textContent = this.formatFrequency(
+        params.sampleRate
+      );
+    }
+  }
+
+  /**
+   * Configure the frequency and sampling rate sliders
+   */
+  initializeSlider() {
+    const { frequencyRange, frequencyStep, sampleRateRange, sampleRateStep } =
+      this.config;
+
+    if (this.elements.frequencySlider) {
+      this.elements.frequencySlider.min = frequencyRange.min;
+      this.elements.frequencySlider.max = frequencyRange.max;
+      this.elements.frequencySlider.step = frequencyStep;
+      this.elements.frequencySlider.value = this.state.frequency;
+    }
+
+    if (this.elements.sampleRateSlider) {
+      this.elements.sampleRateSlider.min = sampleRateRange.min;
+      this.elements.sampleRateSlider.max = sampleRateRange.max;
+      this.elements.sampleRateSlider.step = sampleRateStep;
+      this.elements.sampleRateSlider.value = this.state.sampleRate;
+    }
+  }
+
+  /**
+   * Add event listeners for sliders, signal selector and reconstruction toggle
+   */
+  addEventListeners() {
+    if (this.elements.frequencySlider) {
+      this.elements.frequencySlider.addEventListener("input", (e) => {
+        this.onFrequencyChange(parseFloat(e.target.value));
+      });
+    }
+
+    if (this.elements.sampleRateSlider) {
+      this.elements.sampleRateSlider.addEventListener("input", (e) => {
+        this.onSampleRateChange(parseFloat(e.target.value));
+      });
+    }
+
+    if (this.elements.signalSelect) {
+      this.elements.signalSelect.addEventListener("change", (e) => {
+        this.onSignalChange(e.target.value);
+      });
+    }
+
+    if (this.elements.reconstructionToggle) {
+      this.elements.reconstructionToggle.addEventListener("change", (e) => {
+        this.store.set("showReconstruction", e.target.checked);
+      });
+    }
+  }
+
+  /**
+   * Handle tone frequency changes
+   * @param {number} frequency - New frequency in Hz
+   */
+  onFrequencyChange(frequency) {
+    this.store.set("frequency", frequency);
+  }
+
+  /**
+   * Handle sampling rate changes
+   * @param {number} sampleRate - New sampling rate in Hz
+   */
+  onSampleRateChange(sampleRate) {
+    this.store.set("sampleRate", sampleRate);
+  }
+
+  /**
+   * Handle signal changes
+   * @param {string} signal - Key of config.signals
+   */
+  onSignalChange(signal) {
+    this.store.set("signal", signal);
+  }
+
+  /**
+   * Initialize the visualizer
+   */
+  initialize() {
+    this.store.set({
+      signal: this.config.signal,
+      frequency: this.config.initialFrequency,
+      sampleRate: this.config.initialSampleRate,
+      showReconstruction: this.config.showReconstruction,
+    });
+
+    this.syncControls();
+    this.initializeSlider();
+    this.addEventListeners();
+    this.render();
+    this.subscribe((changed) => this.onStateChange(changed));
+  }
+
+  /**
+   * Show the stored signal and reconstruction setting in their controls
+   */
+  syncControls() {
+    if (this.elements.signalSelect) {
+      this.elements.signalSelect.value = this.state.signal;
+    }
+    if (this.elements.reconstructionToggle) {
+      this.elements.reconstructionToggle.checked =
+        this.state.showReconstruction;
+    }
+  }
+
+  /**
+   * Bring the controls in line with the store and redraw, once per update
+   * @param {string[]} changed - Changed parameters
+   */
+  onStateChange(changed) {
+    if (changed.includes("frequency") && this.elements.frequencySlider) {
+      this.elements.frequencySlider.value = this.state.frequency;
+    }
+    if (changed.includes("sampleRate") && this.elements.sampleRateSlider) {
+      this.elements.sampleRateSlider.value = this.state.sampleRate;
+    }
+    this.syncControls();
+    this.render();
+  }
+
+  /**
+   * Render the complete sampling visualization
+   */
+  render() {
+    const { frequency, sampleRate } = this.state;
+    this.calculateWaveforms();
+    this.createTimeChart();
+    this.createSpectrumChart();
+    this.updateTitles();
+    this.updateUI({ frequency, sampleRate });
+  }
+
+  /**
+   * Apply a (partial) state snapshot, e.g. one restored from the URL; the
+   * store notifies onStateChange(), which redraws
+   * @param {Object} state - State values keyed like getState()
+   */
+  applyState(state) {
+    this.store.set(this.pickState(state));
+  }
+
+  /**
+   * Pick up imported slider ranges and redraw in case the state turns out
+   * unchanged
+   * @param {Object} config - Validated configuration without page elements
+   */
+  applyConfig(config) {
+    super.applyConfig(config);
+    this.initializeSlider();
+    this.render();
+  }
+
+  /**
+   * Get derived data worth exporting alongside the state
+   * @returns {Object} Time labels, waveforms, samples and aliases
+   */
+  getComputedData() {
+    return {
+      ...super.getComputedData(),
+      samples: this.samples
+        ? { times: [...this.samples.times], values: [...this.samples.values] }
+        : null,
+      aliases: this.getAliases(),
+    };
+  }
+
+  /**
+   * Get the current tones with their aliases
+   * @returns {Object[]} Array of { frequency, alias, aliased }
+   */
+  getAliases() {
+    return this.tones.map((tone, i) => ({
+      frequency: tone.frequency,
+      alias: this.aliases[i].frequency,
+      aliased: tone.frequency >= this.state.sampleRate / 2,
+    }));
+  }
+}
@@ -1,40 +1,125 @@
 // Factory pattern for creating different types of visualizers
 
-import { PhaseShiftVisualizer } from "./PhaseShiftVisualizer.js";
-import { IntegralVisualizer } from "./IntegralVisualizer.js";
+// Visualizer modules are imported on first use (see load), so a page only
+// downloads the visualizers it shows
 
 /**
  * Factory class for creating different types of visualizers
  */
 export class VisualizerFactory {
   /**
-   * Registry of available visualizer types
+   * Landing page metadata used when a registration leaves it out
+   */
+  static defaultMetadata = {
+    icon: "./assets/favicon.svg",
+    topic: "Other",
+    difficulty: "beginner",
+    tags: [],
+  };
+
+  /**
+   * Difficulty levels in increasing order
+   */
+  static difficulties = ["beginner", "intermediate", "advanced"];
+
+  /**
+   * Registry of available visualizer types; besides the loader of the class,
+   * name and description each entry carries landing page metadata: icon (URL
+   * relative to the site root), topic, difficulty (see difficulties) and tags
    */
   static visualizerTypes = {
     "phase-shift": {
-      class: PhaseShiftVisualizer,
+      load: () =>
+        import("./PhaseShiftVisualizer.js").then(
+          (module) => module.PhaseShiftVisualizer
+        ),
       name: "Phase Shift Visualizer",
       description:
         "Visualizes phase-shifted cosine decomposition into sine and cosine components",
+      icon: "./assets/favicon.svg",
+      topic: "Signals",
+      difficulty: "beginner",
+      tags: ["phasors", "trigonometry", "complex plane"],
     },
     integral: {
-      class: IntegralVisualizer,
+      load: () =>
+        import("./IntegralVisualizer.js").then(
+          (module) => module.IntegralVisualizer
+        ),
       name: "Integral Visualizer",
       description:
         "Visualizes how integration extracts cosine and sine components from phase-shifted cosine",
+      icon: "./assets/integral.svg",
+      topic: "Fourier analysis",
+      difficulty: "intermediate",
+      tags: ["orthogonality", "integration", "quadrature"],
+    },
+    fourier: {
+      load: () =>
+        import("./FourierSeriesVisualizer.js").then(
+          (module) => module.FourierSeriesVisualizer
+        ),
+      name: "Fourier Series Visualizer",
+      description:
+        "Visualizes how partial sums of harmonics synthesize a periodic waveform",
+      icon: "./assets/fourier.svg",
+      topic: "Fourier analysis",
+      difficulty: "intermediate",
+      tags: ["harmonics", "partial sums", "Gibbs phenomenon"],
+    },
+    "frequency-domain": {
+      load: () =>
+        import("./FrequencyDomainVisualizer.js").then(
+          (module) => module.FrequencyDomainVisualizer
+        ),
+      name: "Frequency-Domain Visualizer",
+      description:
+        "Visualizes a time signal alongside its magnitude and phase spectra",
+      icon: "./assets/spectrum.svg",
+      topic: "Fourier analysis",
+      difficulty: "intermediate",
+      tags: ["spectrum", "magnitude", "phase", "time shift"],
+    },
+    convolution: {
+      load: () =>
+        import("./ConvolutionVisualizer.js").then(
+          (module) => module.ConvolutionVisualizer
+        ),
+      name: "Convolution Visualizer",
+      description:
+        "Visualizes convolution as flipping, sliding and integrating a product",
+      icon: "./assets/convolution.svg",
+      topic: "Systems",
+      difficulty: "intermediate",
+      tags: ["LTI systems", "impulse response", "discrete time"],
+    },
+    sampling: {
+      load: () =>
+        import("./SamplingVisualizer.js").then(
+          (module) => module.SamplingVisualizer
+        ),
+      name: "Sampling and Aliasing Visualizer",
+      description:
+        "Visualizes how sampling folds frequencies above fs/2 into aliases",
+      icon: "./assets/sampling.svg",
+      topic: "Sampling",
+      difficulty: "beginner",
+      tags: ["aliasing", "Nyquist rate", "reconstruction"],
     },
     // Future visualizers can be added here
   };
 
   /**
-   * Create a new visualizer instance
-   * @param {string} type - Type of visualizer to create
-   * @param {Object} config - Configuration object for the visualizer
-   * @returns {BaseVisualizer} Visualizer instance
-   * @throws {Error} If visualizer type is not supported
+   * Classes of the types loaded so far, keyed by type
+   */
+  static loadedClasses = {};
+
+  /**
+   * Check that a visualizer type is registered
+   * @param {string} type - Visualizer type
+   * @throws {Error} If the type is not registered
    */
-  static create(type, config = {}) {
-    // Validate visualizer type
+  static assertValidType(type) {
     if (!this.isValidType(type)) {
       throw new Error(
         `Unknown visualizer type: "${type}". Available types: ${this.getAvailableTypes().join(
@@ -42,9 +127,65 @@ export class VisualizerFactory {
         )}`
       );
     }
+  }
+
+  /**
+   * Import the module of a visualizer type, once
+   * @param {string} type - Visualizer type
+   * @returns {Promise<Function>} Visualizer class
+   * @throws {Error} If the type is unknown or its module fails to load
+   */
+  static async load(type) {
+    this.assertValidType(type);
+
+    if (!this.loadedClasses[type]) {
+      const visualizerInfo = this.visualizerTypes[type];
+      try {
+        this.loadedClasses[type] = await visualizerInfo.load();
+      } catch (error) {
+        throw new Error(
+          `Failed to load ${visualizerInfo.name}: ${error.message}`
+        );
+      }
+    }
+    return this.loadedClasses[type];
+  }
+
+  /**
+   * Check whether the class of a visualizer type has been loaded
+   * @param {string} type - Visualizer type
+   * @returns {boolean} True once load(type) has resolved
+   */
+  static isLoaded(type) {
+    return Boolean(this.loadedClasses[type]);
+  }
+
+  /**
+   * Get the class of a loaded visualizer type
+   * @param {string} type - Visualizer type
+   * @returns {Function} Visualizer class
+   * @throws {Error} If the type is unknown or not loaded yet
+   */
+  static getVisualizerClass(type) {
+    this.assertValidType(type);
+    if (!this.isLoaded(type)) {
+      throw new Error(
+        `Visualizer type "${type}" is not loaded yet; await VisualizerFactory.load("${type}") first`
+      );
+    }
+    return this.loadedClasses[type];
+  }
 
+  /**
+   * Create a new visualizer instance, loading its module first if needed
+   * @param {string} type - Type of visualizer to create
+   * @param {Object} config - Configuration object for the visualizer
+   * @returns {Promise<BaseVisualizer>} Visualizer instance
+   * @throws {Error} If visualizer type is not supported or fails to load
+   */
+  static async create(type, config = {}) {
+    const VisualizerClass = await this.load(type);
     const visualizerInfo = this.visualizerTypes[type];
-    const VisualizerClass = visualizerInfo.class;
 
     try {
       // Create instance with merged configuration
@@ -87,23 +228,61 @@ export class VisualizerFactory {
   static getVisualizerInfo() {
     const info = {};
     Object.entries(this.visualizerTypes).forEach(([type, data]) => {
+      const metadata = { ...this.defaultMetadata, ...data };
       info[type] = {
         name: data.name,
         description: data.description,
+        icon: metadata.icon,
+        topic: metadata.topic,
+        difficulty: metadata.difficulty,
+        tags: [...metadata.tags],
         available: true,
       };
     });
     return info;
   }
 
+  /**
+   * Get the shareable state keys of a visualizer type
+   * @param {string} type - Visualizer type
+   * @returns {Object} Map of state keys to the config keys that initialize them
+   * @throws {Error} If the type is registered but not loaded yet
+   */
+  static getStateConfigKeys(type) {
+    if (!this.isValidType(type)) {
+      return {};
+    }
+    return { ...(this.getVisualizerClass(type).stateConfigKeys || {}) };
+  }
+
   /**
    * Register a new visualizer type
    * @param {string} type - Type identifier
    * @param {Function} visualizerClass - Visualizer class constructor
    * @param {string} name - Human-readable name
    * @param {string} description - Description of the visualizer
+   * @param {Object} metadata - Landing page metadata { icon, topic,
+   *   difficulty, tags }; missing fields fall back to defaultMetadata
+   * @throws {Error} If the difficulty is not one of difficulties
    */
-  static registerVisualizer(type, visualizerClass, name, description) {
+  static registerVisualizer(
+    type,
+    visualizerClass,
+    name,
+    description,
+    metadata = {}
+  ) {
+    if (
+      metadata.difficulty !== undefined &&
+      !this.difficulties.includes(metadata.difficulty)
+    ) {
+      throw new Error(
+        `Unknown difficulty "${
+          metadata.difficulty
+        }" for ${type}. Use one of: ${this.difficulties.join(", ")}`
+      );
+    }
+
     if (this.isValidType(type)) {
       console.warn(
         `Visualizer type "${type}" is already registered. Overwriting...`
@@ -111,10 +290,12 @@ export class VisualizerFactory {
     }
 
     this.visualizerTypes[type] = {
-      class: visualizerClass,
+      load: async () => visualizerClass,
       name,
       description,
+      ...metadata,
     };
+    this.loadedClasses[type] = visualizerClass;
   }
 
   /**
@@ -124,15 +305,16 @@ export class VisualizerFactory {
   static unregisterVisualizer(type) {
     if (this.isValidType(type)) {
       delete this.visualizerTypes[type];
+      delete this.loadedClasses[type];
     }
   }
 
   /**
    * Create a visualizer from a configuration object that includes the type
    * @param {Object} fullConfig - Configuration object with 'type' property
-   * @returns {BaseVisualizer} Visualizer instance
+   * @returns {Promise<BaseVisualizer>} Visualizer instance
    */
-  static createFromConfig(fullConfig) {
+  static async createFromConfig(fullConfig) {
     if (!fullConfig || typeof fullConfig !== "object") {
       throw new Error("Configuration must be an object");
     }
@@ -148,14 +330,10 @@ export class VisualizerFactory {
   /**
    * Get default configuration for a specific visualizer type
    * @param {string} type - Visualizer type
-   * @returns {Object} Default configuration
+   * @returns {Promise<Object>} Default configuration
    */
-  static getDefaultConfig(type) {
-    if (!this.isValidType(type)) {
-      throw new Error(`Unknown visualizer type: "${type}"`);
-    }
-
-    const VisualizerClass = this.visualizerTypes[type].class;
+  static async getDefaultConfig(type) {
+    const VisualizerClass = await this.load(type);
 
     // Create a temporary instance to get default config
     const tempInstance = new VisualizerClass();
@@ -0,0 +1,233 @@
+// DOM and Chart.js stand-ins so the visualizers can run under Node
+
+/**
+ * Minimal element supporting the properties and methods the visualizers
+ * touch: values, text, styles, classes, listeners and child lists
+ */
+class HeadlessElement {
+  constructor(document, tagName, id = "") {
+    this.ownerDocument = document;
+    this.tagName = tagName.toUpperCase();
+    this.id = id;
+    this.value = "";
+    this.checked = false;
+    this.textContent = "";
+    this.innerHTML = "";
+    this.className = "";
+    this.style = {};
+    this.dataset = {};
+    this.attributes = {};
+    this.children = [];
+    this.parentNode = null;
+    this.listeners = {};
+    this.classList = {
+      items: new Set(),
+      add: (...names) =>
+        names.forEach((name) => this.classList.items.add(name)),
+      remove: (...names) =>
+        names.forEach((name) => this.classList.items.delete(name)),
+      toggle: (name, force) => {
+        const on = force ?? !this.classList.items.has(name);
+        if (on) this.classList.items.add(name);
+        else this.classList.items.delete(name);
+        return on;
+      },
+      contains: (name) => this.classList.items.has(name),
+    };
+  }
+
+  get parentElement() {
+    return this.parentNode;
+  }
+
+  get options() {
+    return this.children.filter((child) => child.tagName === "OPTION");
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(
+      (registered) => registered !== listener
+    );
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  appendChild(child) {
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter((node) => node !== child);
+    child.parentNode = null;
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  /**
+   * Find the enclosing chart item; canvases "xChart" are headed by "xTitle"
+   * on every page, which is all ChartExporter needs to title figures
+   */
+  closest(selector) {
+    if (!/chart-item/.test(selector) || !/Chart$/.test(this.id)) {
+      return null;
+    }
+    const title = this.ownerDocument.getElementById(
+      this.id.replace(/Chart$/, "Title")
+    );
+    return {
+      querySelector: (query) => (query === "h2" ? title : null),
+    };
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  querySelectorAll(selector) {
+    const nameMatch = selector.match(/^\[name="(.+)"\]$/);
+    const classMatch = selector.match(/^\.([\w-]+)$/);
+    const matches = [];
+    const visit = (node) => {
+      node.children.forEach((child) => {
+        if (
+          (nameMatch && child.name === nameMatch[1]) ||
+          (classMatch &&
+            child.className.split(/\s+/).includes(classMatch[1])) ||
+          child.tagName === selector.toUpperCase()
+        ) {
+          matches.push(child);
+        }
+        visit(child);
+      });
+    };
+    visit(this);
+    return matches;
+  }
+
+  getContext() {
+    return { canvas: this };
+  }
+
+  getBoundingClientRect() {
+    return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  }
+
+  get offsetWidth() {
+    return 0;
+  }
+
+  get offsetHeight() {
+    return 0;
+  }
+
+  get clientWidth() {
+    return 0;
+  }
+
+  get clientHeight() {
+    return 0;
+  }
+}
+
+/**
+ * Document whose getElementById creates elements on first use, so every
+ * element a visualizer config names exists; canvases get a chart container
+ * parent as on the pages
+ */
+class HeadlessDocument {
+  constructor() {
+    this.elements = {};
+    this.body = new HeadlessElement(this, "body");
+  }
+
+  getElementById(id) {
+    if (!this.elements[id]) {
+      const tagName = /Chart$/.test(id) ? "canvas" : "div";
+      const element = new HeadlessElement(this, tagName, id);
+      if (tagName === "canvas") {
+        new HeadlessElement(this, "div").appendChild(element);
+      }
+      this.elements[id] = element;
+    }
+    return this.elements[id];
+  }
+
+  createElement(tagName) {
+    return new HeadlessElement(this, tagName);
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    return Object.values(this.elements).filter(
+      (element) => element.tagName === selector.toUpperCase()
+    );
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+}
+
+/**
+ * Chart.js stand-in that keeps the configuration ChartManager builds;
+ * ChartExporter renders figures from it
+ */
+class HeadlessChart {
+  constructor(ctx, config) {
+    this.canvas = ctx.canvas;
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options || {};
+    this.meta = [];
+  }
+
+  getDatasetMeta(index) {
+    return (this.meta[index] ||= { hidden: null });
+  }
+
+  isDatasetVisible(index) {
+    const { hidden } = this.getDatasetMeta(index);
+    return hidden === null ? !this.data.datasets[index].hidden : !hidden;
+  }
+
+  update() {}
+
+  destroy() {}
+}
+
+/**
+ * Install the stand-ins as globals (document, window, Chart)
+ * @returns {HeadlessDocument} The installed document
+ */
+export function installHeadlessEnvironment() {
+  const document = new HeadlessDocument();
+  globalThis.document = document;
+  globalThis.window = {
+    document,
+    location: { pathname: "", search: "", hash: "" },
+    scrollY: 0,
+    innerWidth: 1280,
+    addEventListener() {},
+    removeEventListener() {},
+  };
+  globalThis.Chart = HeadlessChart;
+  return document;
+}
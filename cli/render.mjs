@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// Headless renderer: writes chart images and computed data for a parameter sweep
+
+import { parseArgs } from "node:util";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { installHeadlessEnvironment } from "./headless.mjs";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { ConfigValidator } from "../assets/js/config/ConfigValidator.js";
+import { Permalink } from "../assets/js/config/Permalink.js";
+import { PluginLoader } from "../assets/js/visualizers/PluginLoader.js";
+import { MathUtils } from "../assets/js/utils/calculations.js";
+import { FileUtils } from "../assets/js/utils/files.js";
+
+const USAGE = `Usage: node cli/render.mjs <type> [options]
+
+Renders a visualizer without a browser and writes one image per sweep step
+plus sigsys-<type>-data.json with the state and computed data of every step.
+
+Options:
+  --sweep name=start:stop:steps  Sweep a parameter, e.g. phaseShift=0:2pi:8
+                                 (steps intervals, so steps + 1 images)
+  --set name=value               Fix a parameter (repeatable), e.g. waveform=square
+  --format svg|png               Image format (default svg; png needs the
+                                 optional @resvg/resvg-js package)
+  --scale n                      PNG scale factor (default 2)
+  --chart id                     Render one chart by canvas ID instead of the page
+  --width px, --height px        Figure size (per chart on page figures)
+  --columns n                    Charts per row on page figures (default 2)
+  --out dir                      Output directory (default ./figures)
+  --plugin file                  Load a plugin module providing more types
+                                 (repeatable)
+  --help                         Show this help
+
+Types: ${VisualizerFactory.getAvailableTypes().join(", ")}`;
+
+/**
+ * Parse "name=value"
+ * @param {string} assignment - Command-line assignment
+ * @returns {string[]} [name, value]
+ */
+function splitAssignment(assignment) {
+  const index = assignment.indexOf("=");
+  if (index <= 0) {
+    throw new Error(`Expected name=value, got "${assignment}"`);
+  }
+  return [assignment.slice(0, index), assignment.slice(index + 1)];
+}
+
+/**
+ * Expand a sweep such as "phaseShift=0:2pi:8" into its values
+ * @param {string} sweep - Sweep specification
+ * @returns {Object} { name, values }
+ */
+function parseSweep(sweep) {
+  const [name, range] = splitAssignment(sweep);
+  const parts = range.split(":");
+  if (parts.length !== 3) {
+    throw new Error(`Expected ${name}=start:stop:steps, got "${sweep}"`);
+  }
+
+  const [start, stop] = parts.slice(0, 2).map(MathUtils.parseNumber);
+  const steps = Number(parts[2]);
+  if (!Number.isFinite(start) || !Number.isFinite(stop)) {
+    throw new Error(`Invalid sweep range in "${sweep}"`);
+  }
+  if (!Number.isInteger(steps) || steps < 0) {
+    throw new Error(`Sweep steps must be a non-negative integer: "${sweep}"`);
+  }
+
+  const values = Array.from({ length: steps + 1 }, (_, i) =>
+    steps === 0 ? start : start + ((stop - start) * i) / steps
+  );
+  return { name, values };
+}
+
+/**
+ * Turn parameter values into validated config overrides; parameters are
+ * the shareable state keys (as in permalinks) or plain config keys
+ * @param {string} type - Visualizer type
+ * @param {Object} parameters - Values keyed by parameter name
+ * @returns {Object} Config overrides
+ * @throws {Error} If a parameter is unknown or out of range
+ */
+function toConfigOverrides(type, parameters) {
+  const stateKeys = VisualizerFactory.getStateConfigKeys(type);
+  const schema = ConfigValidator.schemas[type];
+  const overrides = {};
+
+  Object.entries(parameters).forEach(([name, raw]) => {
+    const configKey = stateKeys[name] ?? (name in schema ? name : null);
+    if (!configKey) {
+      throw new Error(
+        `Unknown parameter "${name}" for ${type}. Parameters: ${Object.keys(
+          stateKeys
+        ).join(", ")}`
+      );
+    }
+
+    const value =
+      typeof raw === "string"
+        ? Permalink.parseValue(raw, schema[configKey])
+        : raw;
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      throw new Error(`Parameter "${name}" is not a number: ${raw}`);
+    }
+    overrides[configKey] = ConfigValidator.validateProperty(
+      value,
+      schema[configKey] || {},
+      name
+    );
+  });
+
+  return overrides;
+}
+
+/**
+ * Convert SVG to PNG with the optional resvg package
+ * @param {string} svg - SVG markup
+ * @param {number} scale - Scale factor
+ * @returns {Promise<Buffer>} PNG data
+ */
+async function rasterize(svg, scale) {
+  let Resvg;
+  try {
+    ({ Resvg } = await import("@resvg/resvg-js"));
+  } catch (error) {
+    throw new Error(
+      "PNG output needs the @resvg/resvg-js package (npm install @resvg/resvg-js); use --format svg otherwise"
+    );
+  }
+  return new Resvg(svg, {
+    fitTo: { mode: "zoom", value: scale },
+    background: "white",
+  })
+    .render()
+    .asPng();
+}
+
+/**
+ * Render one sweep step
+ * @param {string} type - Visualizer type
+ * @param {Object} parameters - Parameter values for this step
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<Object>} { svg, data }
+ */
+async function renderStep(type, parameters, options) {
+  // A fresh document per step so no state leaks between figures
+  const root = installHeadlessEnvironment();
+
+  const config = ConfigTemplates.getValidatedTemplate(
+    type,
+    toConfigOverrides(type, parameters)
+  );
+  const visualizer = await VisualizerFactory.create(type, { ...config, root });
+  visualizer.initialize();
+
+  const size = {};
+  if (options.width) size.width = Number(options.width);
+  if (options.height) size.height = Number(options.height);
+
+  const svg = options.chart
+    ? visualizer.getChartSVG(options.chart, size)
+    : visualizer.getPageSVG({
+        ...size,
+        columns: options.columns ? Number(options.columns) : undefined,
+      });
+  const data = visualizer.exportData();
+  visualizer.destroy();
+
+  return { svg, data };
+}
+
+/**
+ * Run the command line
+ * @param {string[]} args - Arguments after the script name
+ */
+async function main(args) {
+  const { values: options, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      sweep: { type: "string" },
+      set: { type: "string", multiple: true },
+      format: { type: "string", default: "svg" },
+      scale: { type: "string", default: "2" },
+      chart: { type: "string" },
+      width: { type: "string" },
+      height: { type: "string" },
+      columns: { type: "string" },
+      out: { type: "string", default: "figures" },
+      plugin: { type: "string", multiple: true },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (options.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+
+  // Plugin paths are relative to the working directory
+  const base = pathToFileURL(`${process.cwd()}/`);
+  for (const plugin of options.plugin || []) {
+    await PluginLoader.load(plugin, base);
+  }
+
+  const type = positionals[0];
+  if (!VisualizerFactory.isValidType(type)) {
+    throw new Error(
+      `Unknown visualizer type: ${type}. Available types: ${VisualizerFactory.getAvailableTypes().join(
+        ", "
+      )}`
+    );
+  }
+  await VisualizerFactory.load(type);
+  if (!["svg", "png"].includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (use svg or png)`);
+  }
+
+  const fixed = Object.fromEntries((options.set || []).map(splitAssignment));
+  const sweep = options.sweep
+    ? parseSweep(options.sweep)
+    : { name: null, values: [null] };
+
+  await mkdir(options.out, { recursive: true });
+  const digits = String(sweep.values.length - 1).length;
+  const steps = [];
+
+  for (const [i, value] of sweep.values.entries()) {
+    const parameters = sweep.name ? { ...fixed, [sweep.name]: value } : fixed;
+    const { svg, data } = await renderStep(type, parameters, options);
+
+    const suffix = [
+      sweep.name ? String(i).padStart(digits, "0") : "",
+      options.chart || "",
+    ]
+      .filter(Boolean)
+      .join("-");
+    const filename = FileUtils.makeFilename(type, options.format, suffix);
+    const image =
+      options.format === "png"
+        ? await rasterize(svg, Number(options.scale) || 1)
+        : svg;
+    await writeFile(path.join(options.out, filename), image);
+    console.log(`Wrote ${path.join(options.out, filename)}`);
+
+    steps.push({ file: filename, parameters, ...data });
+  }
+
+  const dataFile = FileUtils.makeFilename(type, "json", "data");
+  await writeFile(
+    path.join(options.out, dataFile),
+    JSON.stringify({ type, sweep: sweep.name ? sweep : null, steps }, null, 2)
+  );
+  console.log(`Wrote ${path.join(options.out, dataFile)}`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
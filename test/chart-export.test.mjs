@@ -0,0 +1,105 @@
+// Chart export: SVG figures rendered from chart data and scale options
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ChartExporter } from "../assets/js/utils/chart-export.js";
+import { ChartManager } from "../assets/js/utils/chart-utils.js";
+
+const root = installHeadlessEnvironment();
+
+function createLineChart(options = {}) {
+  const manager = new ChartManager(root);
+  manager.createLineChart(
+    "exportChart",
+    "x(t) <signal>",
+    [0, 1, 2],
+    [0, 1, 0],
+    "red",
+    [
+      {
+        label: "hidden",
+        data: [{ x: 0, y: 5 }],
+        borderColor: "blue",
+        hidden: true,
+      },
+    ],
+    { showLegend: true, xMin: -1, xMax: 2, ...options }
+  );
+  return manager.charts.exportChart;
+}
+
+test("tick steps are round and labelled with the decimals they need", () => {
+  assert.equal(ChartExporter.niceStep(0.3), 0.5);
+  assert.equal(ChartExporter.niceStep(1.7), 2);
+  assert.equal(ChartExporter.niceStep(2.2), 2.5);
+  assert.equal(ChartExporter.niceStep(40), 50);
+  assert.equal(ChartExporter.formatTick(0.5, 0.5), "0.5");
+  assert.equal(ChartExporter.formatTick(2, 0.25), "2");
+  assert.equal(ChartExporter.formatTick(1000, 250), "1000");
+});
+
+test("scales use the configured limits, else the visible data", () => {
+  const chart = createLineChart();
+  const points = [ChartExporter.getPoints(chart, chart.data.datasets[0])];
+  const x = ChartExporter.getScale(chart, "x", points);
+  assert.deepEqual([x.min, x.max], [-1, 2]);
+
+  const configured = ChartExporter.getScale(chart, "y", points);
+  assert.deepEqual([configured.min, configured.max], [-1.05, 1.05]);
+
+  const y = ChartExporter.getScale({ options: {} }, "y", points);
+  assert.deepEqual([y.min, y.max], [0, 1]);
+  assert.deepEqual(
+    y.ticks.map(({ label }) => label),
+    ["0", "0.2", "0.4", "0.6", "0.8", "1"]
+  );
+
+  // No data and no limits: a unit range around zero
+  const empty = ChartExporter.getScale({ options: {} }, "y", [[]]);
+  assert.deepEqual([empty.min, empty.max], [-1, 1]);
+});
+
+test("scales are found for datasets too long to spread", () => {
+  const length = 500000;
+  const points = Array.from({ length }, (_, i) => ({ x: i, y: i % 7 }));
+  const scale = ChartExporter.getScale({ options: {} }, "x", [points]);
+  assert.deepEqual([scale.min, scale.max], [0, length - 1]);
+});
+
+test("a chart renders to SVG with escaped text and only visible datasets", () => {
+  const svg = ChartExporter.renderChart(createLineChart(), {
+    title: "A & B",
+    width: 300,
+    height: 200,
+  });
+  assert.match(
+    svg,
+    /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="300" height="200"/
+  );
+  assert.ok(svg.includes("A &amp; B"));
+  assert.ok(svg.includes("x(t) &lt;signal&gt;"));
+  assert.ok(svg.includes('stroke="red"'));
+  assert.ok(!svg.includes('stroke="blue"'));
+  assert.ok(svg.trim().endsWith("</svg>"));
+});
+
+test("a page lays the figures out in a grid under its title", () => {
+  const chart = createLineChart();
+  const figures = [1, 2, 3].map((i) => ({ chart, title: `Figure ${i}` }));
+  const svg = ChartExporter.renderPage(figures, {
+    title: "Lecture 3",
+    width: 100,
+    height: 80,
+  });
+  assert.match(svg, /width="200" height="196"/);
+  assert.ok(svg.includes('transform="translate(0,116)"'));
+  assert.ok(svg.includes("Lecture 3"));
+});
+
+test("chart titles come from the heading next to the canvas", () => {
+  root.getElementById("exportTitle").textContent = " Phase​  shift ";
+  assert.equal(ChartExporter.getChartTitle("exportChart", root), "Phase shift");
+  assert.equal(ChartExporter.getChartTitle("missingCanvas", root), "");
+});
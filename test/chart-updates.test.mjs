@@ -0,0 +1,73 @@
+// In-place chart updates: the phase slider swaps data into existing charts
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { ChartManager } from "../assets/js/utils/chart-utils.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const root = installHeadlessEnvironment();
+
+async function createPhaseShift() {
+  const visualizer = await VisualizerFactory.create("phase-shift", {
+    ...ConfigTemplates.getValidatedTemplate("phase-shift"),
+    root,
+  });
+  visualizer.initialize();
+  return visualizer;
+}
+
+test("phase changes keep the charts and swap in their data", async () => {
+  const visualizer = await createPhaseShift();
+  const { charts } = visualizer.chartManager;
+  const before = { ...charts };
+  const create = mock.method(visualizer, "createWaveformCharts");
+
+  visualizer.store.set("phaseShift", Math.PI / 2);
+  assert.equal(create.mock.callCount(), 0);
+  Object.keys(before).forEach((canvasId) =>
+    assert.equal(charts[canvasId], before[canvasId], canvasId)
+  );
+
+  // cos(t + π/2) = −sin(t): the shifted curve now matches the negated sine
+  const shifted = charts.phaseShiftedCosineChart.data.datasets[0].data;
+  const sine = charts.sineWaveChart.data.datasets[0].data;
+  shifted.forEach(({ y }, i) =>
+    assert.ok(Math.abs(y + Math.sin(shifted[i].x)) < 1e-9, `at ${i}`)
+  );
+  assert.equal(shifted.length, sine.length);
+  visualizer.destroy();
+});
+
+test("a chart that is missing is created instead of updated", async () => {
+  const visualizer = await createPhaseShift();
+  delete visualizer.chartManager.charts.sineWaveChart;
+  const create = mock.method(visualizer, "createWaveformCharts");
+
+  visualizer.store.set("phaseShift", 1);
+  assert.equal(create.mock.callCount(), 1);
+  assert.ok(visualizer.chartManager.charts.sineWaveChart);
+  visualizer.destroy();
+});
+
+test("recreating a chart drops its pending updates", (t) => {
+  const frames = [];
+  globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+  globalThis.cancelAnimationFrame = () => {};
+  t.after(() => {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+
+  const manager = new ChartManager(root);
+  manager.createLineChart("lineChart", "x(t)", [0], [0], "red");
+  manager.updateChartData("lineChart", [[{ x: 0, y: 9 }]]);
+  manager.createLineChart("lineChart", "x(t)", [0], [1], "red");
+
+  frames.forEach((frame) => frame());
+  assert.deepEqual(manager.charts.lineChart.data.datasets[0].data, [
+    { x: 0, y: 1 },
+  ]);
+});
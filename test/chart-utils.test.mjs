@@ -0,0 +1,99 @@
+// ChartManager: stem chart axis defaults and frame-coalesced data updates
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ChartManager } from "../assets/js/utils/chart-utils.js";
+
+const root = installHeadlessEnvironment();
+
+function stemScales(sequences, options) {
+  const manager = new ChartManager(root);
+  manager.createStemChart("stemChart", sequences, options);
+  return manager.charts.stemChart.options.scales;
+}
+
+test("stem chart axes default to the data, including zero", () => {
+  const { x, y } = stemScales([
+    { label: "x[n]", indices: [2, 3, 4], values: [1, -2, NaN], color: "red" },
+  ]);
+  assert.equal(x.min, -0.5);
+  assert.equal(x.max, 4.5);
+  assert.equal(y.min, -2.4);
+  assert.equal(y.max, 2.4);
+
+  const positive = stemScales([
+    { label: "h[n]", indices: [-3, -1], values: [0.5, 1], color: "blue" },
+  ]).y;
+  assert.equal(positive.min, 0);
+  assert.equal(positive.max, 1.2);
+});
+
+test("stem chart axes keep a minimum span and honour overrides", () => {
+  const { x, y } = stemScales([
+    { label: "zero", indices: [0], values: [0], color: "gray" },
+  ]);
+  assert.equal(x.max, 1.5);
+  assert.equal(y.max, 0.1 * 1.2);
+
+  const custom = stemScales(
+    [{ label: "x[n]", indices: [0, 1], values: [1, 1], color: "red" }],
+    { xMin: -5, xMax: 5, yMin: -1, yMax: 3, maxTicks: 5 }
+  );
+  assert.deepEqual(
+    [custom.x.min, custom.x.max, custom.y.min, custom.y.max],
+    [-5, 5, -1, 3]
+  );
+  assert.equal(custom.x.ticks.stepSize, 2);
+});
+
+test("stem chart axes are found for sequences too long to spread", () => {
+  const length = 500000;
+  const indices = Array.from({ length }, (_, n) => n);
+  const values = indices.map((n) => (n === length - 1 ? -4 : 1));
+  const { x, y } = stemScales([
+    { label: "sweep", indices, values, color: "red" },
+  ]);
+  assert.equal(x.max, length - 0.5);
+  assert.equal(y.min, -4.8);
+});
+
+test("data updates are applied once per animation frame", (t) => {
+  const frames = [];
+  globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+  globalThis.cancelAnimationFrame = () => {};
+  t.after(() => {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+
+  const manager = new ChartManager(root);
+  manager.createLineChart("lineChart", "x(t)", [0, 1], [0, 1], "red", [
+    { label: "y(t)", data: [] },
+  ]);
+  const chart = manager.charts.lineChart;
+  const update = mock.method(chart, "update");
+
+  assert.equal(manager.updateChartData("lineChart", [[1], null]), true);
+  assert.equal(manager.updateChartData("lineChart", [[2], [3]]), true);
+  assert.equal(manager.updateChartData("lineChart", [[4]]), false);
+  assert.equal(manager.updateChartData("otherChart", [[4]]), false);
+  assert.equal(frames.length, 1);
+  assert.equal(update.mock.callCount(), 0);
+
+  frames[0]();
+  assert.equal(update.mock.callCount(), 1);
+  assert.deepEqual(
+    chart.data.datasets.map(({ data }) => data),
+    [[2], [3]]
+  );
+  assert.equal(manager.updateFrame, null);
+});
+
+test("without a frame loop updates are applied immediately", () => {
+  const manager = new ChartManager(root);
+  manager.createLineChart("lineChart", "x(t)", [0], [0], "red");
+  manager.updateChartData("lineChart", [[5]]);
+  assert.deepEqual(manager.charts.lineChart.data.datasets[0].data, [5]);
+});
@@ -0,0 +1,68 @@
+// The integral and frequency-domain visualizers share one composite signal
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { CompositeSignal } from "../assets/js/utils/calculations.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+installHeadlessEnvironment();
+
+test("normalize parses fractions and rejects malformed components", () => {
+  assert.deepEqual(
+    CompositeSignal.normalize([{ type: "sin", frequency: "3/2" }]),
+    [{ type: "sin", amplitude: 1, frequency: 1.5, phase: 0 }]
+  );
+  assert.throws(() => CompositeSignal.normalize([]), /at least one/);
+  assert.throws(
+    () => CompositeSignal.normalize([{ type: "tan", frequency: 1 }]),
+    /type must be/
+  );
+  assert.throws(
+    () => CompositeSignal.normalize([{ frequency: -1 }]),
+    /must not be negative/
+  );
+});
+
+test("the default components are cos(t) + sin(2t) + cos(3t + π/4)", () => {
+  const components = CompositeSignal.normalize(
+    CompositeSignal.getDefaultComponents()
+  );
+  for (const t of [-2, -0.3, 0, 0.7, 3]) {
+    assert.ok(
+      Math.abs(
+        CompositeSignal.evaluate(components, t) -
+          (Math.cos(t) + Math.sin(2 * t) + Math.cos(3 * t + Math.PI / 4))
+      ) < 1e-12
+    );
+  }
+});
+
+test("the frequency-domain composite follows its configured components", async () => {
+  const components = [{ type: "cos", amplitude: 2, frequency: 3, phase: 0 }];
+  const visualizer = await VisualizerFactory.create("frequency-domain", {
+    ...ConfigTemplates.getValidatedTemplate("frequency-domain"),
+    components,
+  });
+  const signal = visualizer.createSignal("composite");
+  for (const t of [-1, 0, 0.4, 2]) {
+    assert.ok(Math.abs(signal(t) - 2 * Math.cos(3 * t)) < 1e-12);
+  }
+});
+
+test("both visualizers default to the same composite signal", async () => {
+  const integral = await VisualizerFactory.create(
+    "integral",
+    ConfigTemplates.getValidatedTemplate("integral")
+  );
+  const frequencyDomain = await VisualizerFactory.create(
+    "frequency-domain",
+    ConfigTemplates.getValidatedTemplate("frequency-domain")
+  );
+  const signal = frequencyDomain.createSignal("composite");
+  for (const t of [-2, 0, 1.3]) {
+    assert.ok(Math.abs(signal(t) - integral.evaluateComposite(t)) < 1e-12);
+  }
+});
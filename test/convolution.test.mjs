@@ -0,0 +1,99 @@
+// Convolution presets: outputs against their closed forms, in both time models
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { ConvolutionVisualizer } from "../assets/js/visualizers/ConvolutionVisualizer.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const root = installHeadlessEnvironment();
+
+async function createConvolution(state = {}) {
+  const visualizer = await VisualizerFactory.create("convolution", {
+    ...ConfigTemplates.getValidatedTemplate("convolution"),
+    root,
+  });
+  visualizer.initialize();
+  visualizer.store.set(state);
+  return visualizer;
+}
+
+function outputAt(visualizer, time) {
+  const { labels, values } = visualizer.getOutput();
+  const index = labels.findIndex((label) => Math.abs(label - time) < 1e-9);
+  assert.ok(index >= 0, `no sample at ${time}`);
+  return values[index];
+}
+
+test("rect * rect is a triangle of unit height and width 2", async () => {
+  const visualizer = await createConvolution();
+  [
+    [0, 1],
+    [0.5, 0.5],
+    [-0.25, 0.75],
+    [1.5, 0],
+    [-2, 0],
+  ].forEach(([time, expected]) =>
+    assert.ok(
+      Math.abs(outputAt(visualizer, time) - expected) < 0.01,
+      `y(${time})`
+    )
+  );
+  visualizer.destroy();
+});
+
+test("discrete boxes of four samples give the triangle 1, 2, 3, 4, 3, 2, 1", async () => {
+  const visualizer = await createConvolution({ mode: "discrete" });
+  const values = [-1, 0, 1, 2, 3, 4, 5, 6, 7].map((n) =>
+    outputAt(visualizer, n)
+  );
+  values.forEach((value, i) =>
+    assert.ok(Math.abs(value - [0, 1, 2, 3, 4, 3, 2, 1, 0][i]) < 1e-9)
+  );
+  visualizer.destroy();
+});
+
+test("step * exp rises as 1 − e^(−t)", async () => {
+  const visualizer = await createConvolution({ preset: "exp-step" });
+  [0.5, 1, 2].forEach((time) =>
+    assert.ok(
+      Math.abs(outputAt(visualizer, time) - (1 - Math.exp(-time))) < 0.01,
+      `y(${time})`
+    )
+  );
+  assert.ok(Math.abs(outputAt(visualizer, -1)) < 1e-9);
+  visualizer.destroy();
+});
+
+test("the product's area at the slider time is the output there", async () => {
+  const visualizer = await createConvolution({ preset: "tri-rect", time: 0.3 });
+  assert.ok(
+    Math.abs(visualizer.current.area - outputAt(visualizer, 0.3)) < 0.01
+  );
+
+  visualizer.store.set({ mode: "discrete", time: 2.6 });
+  assert.equal(visualizer.getState().time, 3);
+  assert.ok(Math.abs(visualizer.current.area - outputAt(visualizer, 3)) < 1e-9);
+  visualizer.destroy();
+});
+
+test("every preset compiles in both time models", async () => {
+  const visualizer = await createConvolution();
+  Object.keys(ConvolutionVisualizer.presets).forEach((preset) =>
+    ["continuous", "discrete"].forEach((mode) => {
+      visualizer.store.set({ preset, mode });
+      assert.ok(
+        visualizer.getOutput().values.every(Number.isFinite),
+        `${preset} ${mode}`
+      );
+    })
+  );
+
+  assert.throws(
+    () => visualizer.store.set("preset", "missing"),
+    /Unknown convolution preset: "missing"/
+  );
+  visualizer.destroy();
+});
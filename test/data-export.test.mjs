@@ -0,0 +1,118 @@
+// Data export: CSV, JSON and NumPy text with units and parameter headers
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { DataExporter } from "../assets/js/utils/data-export.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const root = installHeadlessEnvironment();
+
+function createTable() {
+  return {
+    type: "phase-shift",
+    parameters: [
+      { name: "phaseShift", value: Math.PI / 4, unit: "rad" },
+      { name: "signal", value: "square" },
+    ],
+    columns: [
+      { name: "t", unit: "s", values: [0, 0.5] },
+      { name: "x", unit: "a.u.", values: [1, -1] },
+      { name: "label", values: ["a", "b"] },
+    ],
+  };
+}
+
+test("headers carry units and, for data columns, the parameters", () => {
+  const [time, x, label] = createTable().columns;
+  const { parameters } = createTable();
+  assert.equal(DataExporter.formatHeader(time), "t [s]");
+  assert.equal(DataExporter.formatHeader(label), "label");
+  assert.equal(
+    DataExporter.formatHeader(x, parameters),
+    "x [a.u.] (phaseShift=0.785398 rad; signal=square)"
+  );
+  assert.equal(DataExporter.formatValue({ a: 1 }), '{"a":1}');
+  assert.equal(DataExporter.formatValue(1 / 3), "0.333333");
+});
+
+test("CSV has one quoted header row and one line per sample", () => {
+  assert.equal(
+    DataExporter.toCSV(createTable()),
+    [
+      "t [s],x [a.u.] (phaseShift=0.785398 rad; signal=square),label (phaseShift=0.785398 rad; signal=square)",
+      "0,1,a",
+      "0.5,-1,b",
+      "",
+    ].join("\n")
+  );
+  assert.equal(
+    DataExporter.escapeCSV('say "hi", twice'),
+    '"say ""hi"", twice"'
+  );
+});
+
+test("NumPy text puts the parameters and columns in comment lines", () => {
+  assert.equal(
+    DataExporter.toNumpyText(createTable()),
+    [
+      "# sigsys phase-shift data",
+      "# parameters: phaseShift=0.785398 rad; signal=square",
+      "# columns: t [s], x [a.u.], label",
+      "0 1 a",
+      "0.5 -1 b",
+      "",
+    ].join("\n")
+  );
+});
+
+test("JSON keeps parameters and units structured", () => {
+  const data = JSON.parse(DataExporter.toJSON(createTable()));
+  assert.deepEqual(data.parameters.signal, { value: "square", unit: null });
+  assert.deepEqual(data.columns[0], { name: "t", unit: "s", values: [0, 0.5] });
+  assert.equal(data.columns[2].unit, null);
+});
+
+test("columns of unequal length are rejected in every format", () => {
+  const table = createTable();
+  table.columns[1].values.push(0);
+  ["csv", "json", "npy"].forEach((format) =>
+    assert.throws(
+      () => DataExporter.export(table, format),
+      /Column x has 3 values, expected 2/
+    )
+  );
+});
+
+test("export names the extension and MIME type of known formats only", () => {
+  const { extension, mimeType } = DataExporter.export(createTable(), "npy");
+  assert.equal(extension, "txt");
+  assert.equal(mimeType, "text/plain");
+  ["xlsx", "toString", "constructor"].forEach((format) =>
+    assert.throws(
+      () => DataExporter.export(createTable(), format),
+      /Unknown export format/
+    )
+  );
+});
+
+test("every visualizer's data table exports", async () => {
+  for (const type of VisualizerFactory.getAvailableTypes()) {
+    const visualizer = await VisualizerFactory.create(type, {
+      ...ConfigTemplates.getValidatedTemplate(type),
+      root,
+    });
+    visualizer.initialize();
+    const csv = DataExporter.export(visualizer.getDataTable(), "csv").content;
+    const lines = csv.trim().split("\n");
+    assert.ok(lines.length > 2, type);
+    assert.equal(
+      lines[1].split(",").length,
+      visualizer.getDataTable().columns.length,
+      type
+    );
+    visualizer.destroy();
+  }
+});
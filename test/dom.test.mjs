@@ -0,0 +1,71 @@
+// Root-scoped lookups: visualizers find their elements in their own container
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { DOMUtils } from "../assets/js/utils/dom.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+// Two containers reusing the same IDs, as two embeds on one page do
+const left = installHeadlessEnvironment();
+const right = installHeadlessEnvironment();
+
+async function createPhaseShift(root) {
+  const visualizer = await VisualizerFactory.create("phase-shift", {
+    ...ConfigTemplates.getValidatedTemplate("phase-shift"),
+    root,
+  });
+  visualizer.initialize();
+  return visualizer;
+}
+
+test("documents and shadow roots are searched with getElementById", () => {
+  const slider = left.getElementById("phaseShiftSlider");
+  assert.equal(DOMUtils.getElementById(left, "phaseShiftSlider"), slider);
+  assert.notEqual(DOMUtils.getElementById(right, "phaseShiftSlider"), slider);
+  assert.equal(DOMUtils.getDocument(left), left);
+});
+
+test("plain elements are searched with an ID selector", () => {
+  const selectors = [];
+  const container = {
+    ownerDocument: left,
+    querySelector: (selector) => {
+      selectors.push(selector);
+      return null;
+    },
+  };
+  assert.equal(DOMUtils.getElementById(container, 'odd"id'), null);
+  assert.deepEqual(selectors, ['[id="odd\\"id"]']);
+  assert.equal(DOMUtils.getDocument(container), left);
+});
+
+test("two visualizers with the same IDs keep to their own containers", async () => {
+  const [first, second] = await Promise.all([
+    createPhaseShift(left),
+    createPhaseShift(right),
+  ]);
+  first.store.set("phaseShift", 1);
+  second.store.set("phaseShift", -2);
+
+  assert.equal(Number(left.getElementById("phaseShiftSlider").value), 1);
+  assert.equal(Number(right.getElementById("phaseShiftSlider").value), -2);
+  assert.equal(
+    first.elements.phaseShiftSlider,
+    left.getElementById("phaseShiftSlider")
+  );
+  assert.notEqual(
+    first.chartManager.charts.sineWaveChart,
+    second.chartManager.charts.sineWaveChart
+  );
+  assert.equal(
+    first.chartManager.charts.sineWaveChart.canvas,
+    left.getElementById("sineWaveChart")
+  );
+
+  first.destroy();
+  assert.equal(second.getState().phaseShift, -2);
+  second.destroy();
+});
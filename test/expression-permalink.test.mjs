@@ -0,0 +1,75 @@
+// Expressions that do not parse must not reach the visualizers
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { ConfigValidator } from "../assets/js/config/ConfigValidator.js";
+import { Permalink } from "../assets/js/config/Permalink.js";
+import { StateFile } from "../assets/js/config/StateFile.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+installHeadlessEnvironment();
+
+const pages = [
+  { type: "fourier", selector: "waveform" },
+  { type: "frequency-domain", selector: "signal" },
+];
+
+pages.forEach(({ type, selector }) => {
+  test(`a ${type} permalink drops an expression that does not parse`, async () => {
+    await VisualizerFactory.load(type);
+    const stateKeys = VisualizerFactory.getStateConfigKeys(type);
+
+    ["sin(", "x + 1", "2 $ 3", "constructor"].forEach((expression) => {
+      const { state } = Permalink.decode(
+        `?type=${type}&${selector}=expression&expression=${encodeURIComponent(
+          expression
+        )}`,
+        type,
+        stateKeys
+      );
+      assert.equal(state.expression, undefined, expression);
+      assert.equal(state[selector], "expression");
+    });
+
+    const { state, overrides } = Permalink.decode(
+      `?type=${type}&${selector}=expression&expression=sin(`,
+      type,
+      stateKeys
+    );
+    const visualizer = await VisualizerFactory.create(
+      type,
+      ConfigTemplates.getValidatedTemplate(type, overrides)
+    );
+    visualizer.initialize();
+    visualizer.applyState(state);
+    assert.equal(visualizer.getState().expression, "rect(t/pi)");
+    visualizer.destroy();
+  });
+
+  test(`a ${type} permalink keeps an expression that parses`, async () => {
+    await VisualizerFactory.load(type);
+    const { state } = Permalink.decode(
+      `?type=${type}&expression=${encodeURIComponent("cos(omega t)^2")}`,
+      type,
+      VisualizerFactory.getStateConfigKeys(type)
+    );
+    assert.equal(state.expression, "cos(omega t)^2");
+  });
+
+  test(`the ${type} schema rejects an expression that does not parse`, () => {
+    const result = ConfigValidator.validate({ type, expression: "sin(" }, type);
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0], /Invalid value at expression: .*position 5/);
+  });
+});
+
+test("a state file with an expression that does not parse is rejected", () => {
+  const file = StateFile.create("fourier", {}, { expression: "sin(" });
+  assert.throws(
+    () => StateFile.read(file, "fourier", { expression: "expression" }),
+    /Invalid value at state.expression/
+  );
+});
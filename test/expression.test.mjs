@@ -0,0 +1,107 @@
+// Expression parser: grammar, names and error reporting
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ExpressionParser,
+  ExpressionError,
+} from "../assets/js/utils/expression.js";
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-12,
+    `expected ${expected}, got ${actual}`
+  );
+
+test("operators follow the usual precedence", () => {
+  assert.equal(ExpressionParser.evaluate("1 + 2 * 3"), 7);
+  assert.equal(ExpressionParser.evaluate("(1 + 2) * 3"), 9);
+  assert.equal(ExpressionParser.evaluate("2^3^2"), 512);
+  assert.equal(ExpressionParser.evaluate("2**3"), 8);
+  assert.equal(ExpressionParser.evaluate("-t^2", { t: 3 }), -9);
+  assert.equal(ExpressionParser.evaluate("12 / 3 / 2"), 2);
+  assert.equal(ExpressionParser.evaluate("1.5e2"), 150);
+});
+
+test("implicit multiplication binds like *", () => {
+  assert.equal(ExpressionParser.evaluate("3t", { t: 2 }), 6);
+  assert.equal(ExpressionParser.evaluate("(t + 1)(t - 1)", { t: 3 }), 8);
+  close(ExpressionParser.evaluate("2cos(pi)"), -2);
+  close(ExpressionParser.evaluate("ωt", { ω: 2, t: 1.5 }), 3);
+});
+
+test("constants, aliases and functions are recognized", () => {
+  close(ExpressionParser.evaluate("pi/4"), Math.PI / 4);
+  close(ExpressionParser.evaluate("π"), Math.PI);
+  close(ExpressionParser.evaluate("ln(e)"), 1);
+  close(ExpressionParser.evaluate("max(2, 5) - min(2, 5)"), 3);
+  assert.equal(ExpressionParser.evaluate("rect(0.5)"), 0.5);
+  assert.equal(ExpressionParser.evaluate("u(0)"), 1);
+  assert.equal(ExpressionParser.evaluate("sinc(0)"), 1);
+  close(ExpressionParser.evaluate("tri(0.25)"), 0.75);
+});
+
+test("toFunction binds aliased variables", () => {
+  const f = ExpressionParser.toFunction("cos(ωt + Φ)", { Φ: 0.5, ω: 2 });
+  close(f(1), Math.cos(2.5));
+  assert.equal(ExpressionParser.normalizeName("φ"), "phi");
+});
+
+test("inherited object properties are not names", () => {
+  ["constructor", "toString", "valueOf", "__proto__", "hasOwnProperty"].forEach(
+    (name) => {
+      assert.equal(ExpressionParser.normalizeName(name), name);
+      assert.throws(
+        () => ExpressionParser.evaluate(name),
+        (error) =>
+          error instanceof ExpressionError &&
+          error.message.startsWith(`Unknown variable "${name}"`),
+        name
+      );
+      assert.throws(
+        () => ExpressionParser.evaluate(`${name}(1)`),
+        ExpressionError,
+        `${name}(1)`
+      );
+    }
+  );
+});
+
+test("names that shadow object properties can be bound", () => {
+  assert.equal(
+    ExpressionParser.evaluate("constructor + 1", { constructor: 1 }),
+    2
+  );
+  const f = ExpressionParser.toFunction("2toString", {}, "toString");
+  assert.equal(f(4), 8);
+});
+
+test("errors point at the offending position", () => {
+  const cases = [
+    ["sin(", /Unexpected end of expression at position 5/],
+    ["", /Expression is empty/],
+    ["2 $ 3", /Unexpected character "\$" at position 3/],
+    ["max(1)", /expects 2 arguments, got 1/],
+    ["x + 1", /Unknown variable "x" \(expected t\)/],
+    ["cos t", /Expected "\(" after function "cos"/],
+    ["1 + )", /Unexpected "\)"/],
+  ];
+  cases.forEach(([source, message]) => {
+    assert.throws(
+      () => ExpressionParser.compile(source),
+      (error) =>
+        error instanceof ExpressionError && message.test(error.message),
+      source
+    );
+  });
+
+  assert.throws(
+    () => ExpressionParser.compile("t + y"),
+    (error) => error.pointer === "t + y\n    ^"
+  );
+});
+
+test("non-string sources are rejected", () => {
+  assert.throws(() => ExpressionParser.parse(42), /must be a string/);
+});
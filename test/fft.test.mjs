@@ -0,0 +1,153 @@
+// FFT results checked against a direct O(N²) discrete Fourier transform
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { FFT } from "../assets/js/utils/calculations.js";
+
+/**
+ * Deterministic pseudo-random samples in [-1, 1)
+ */
+function samples(n, seed) {
+  let state = seed;
+  return Float64Array.from({ length: n }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return (state / 2147483648) * 2 - 1;
+  });
+}
+
+/**
+ * X[k] = Σ x[n]·e^(sign·2πikn/N), divided by N for the inverse
+ */
+function naiveDFT(real, imag, inverse = false) {
+  const n = real.length;
+  const sign = inverse ? 1 : -1;
+  const result = { real: new Float64Array(n), imag: new Float64Array(n) };
+  for (let k = 0; k < n; k++) {
+    for (let j = 0; j < n; j++) {
+      const angle = (sign * 2 * Math.PI * k * j) / n;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      result.real[k] += real[j] * cos - imag[j] * sin;
+      result.imag[k] += real[j] * sin + imag[j] * cos;
+    }
+    if (inverse) {
+      result.real[k] /= n;
+      result.imag[k] /= n;
+    }
+  }
+  return result;
+}
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) <= tolerance,
+      `index ${i}: expected ${expected[i]}, got ${actual[i]}`
+    );
+  }
+}
+
+function assertSpectrum(actual, expected, tolerance) {
+  assertClose(actual.real, expected.real, tolerance);
+  assertClose(actual.imag, expected.imag, tolerance);
+}
+
+test("isPowerOfTwo", () => {
+  [1, 2, 4, 1024].forEach((n) => assert.equal(FFT.isPowerOfTwo(n), true));
+  [0, 3, 6, 12, 1000].forEach((n) => assert.equal(FFT.isPowerOfTwo(n), false));
+});
+
+test("radix-2 lengths match the direct DFT", () => {
+  [2, 4, 8, 64, 256].forEach((n) => {
+    const re = samples(n, n);
+    const im = samples(n, n + 1);
+    assertSpectrum(FFT.transform(re, im), naiveDFT(re, im));
+  });
+});
+
+test("odd and prime lengths (Bluestein) match the direct DFT", () => {
+  [3, 5, 7, 9, 12, 13, 97, 100].forEach((n) => {
+    const re = samples(n, n);
+    const im = samples(n, 2 * n);
+    assertSpectrum(FFT.transform(re, im), naiveDFT(re, im));
+  });
+});
+
+test("a missing imaginary part is zero", () => {
+  const re = samples(15, 3);
+  assertSpectrum(FFT.transform(re), naiveDFT(re, new Float64Array(15)));
+});
+
+test("lengths 0 and 1 are returned unchanged", () => {
+  assert.equal(FFT.transform([]).real.length, 0);
+  assertSpectrum(FFT.transform([2], [-1]), { real: [2], imag: [-1] });
+});
+
+test("mismatched real and imaginary lengths are rejected", () => {
+  assert.throws(() => FFT.transform([1, 2], [1]), /same length/);
+});
+
+test("inverse matches the direct inverse DFT and round-trips", () => {
+  [8, 11, 30].forEach((n) => {
+    const re = samples(n, 5 * n);
+    const im = samples(n, 7 * n);
+    assertSpectrum(FFT.inverse(re, im), naiveDFT(re, im, true));
+
+    const spectrum = FFT.transform(re, im);
+    assertSpectrum(FFT.inverse(spectrum.real, spectrum.imag), {
+      real: re,
+      imag: im,
+    });
+  });
+});
+
+test("realTransform returns the non-negative bins of the full transform", () => {
+  [1, 2, 6, 7, 16, 25, 50].forEach((n) => {
+    const input = samples(n, 11 * n);
+    const full = naiveDFT(input, new Float64Array(n));
+    const bins = Math.floor(n / 2) + 1;
+    const spectrum = FFT.realTransform(input);
+    assertSpectrum(spectrum, {
+      real: full.real.slice(0, bins),
+      imag: full.imag.slice(0, bins),
+    });
+  });
+});
+
+test("convolve matches direct convolution", () => {
+  const a = samples(9, 1);
+  const b = samples(5, 2);
+  const expected = new Float64Array(a.length + b.length - 1);
+  a.forEach((x, i) => b.forEach((y, j) => (expected[i + j] += x * y)));
+  assertClose(FFT.convolve(a, b), expected);
+  assert.equal(FFT.convolve([], b).length, 0);
+});
+
+test("shift centers the zero frequency and inverseShift undoes it", () => {
+  assert.deepEqual(Array.from(FFT.shift([0, 1, 2, 3])), [2, 3, 0, 1]);
+  assert.deepEqual(Array.from(FFT.shift([0, 1, 2, -2, -1])), [-2, -1, 0, 1, 2]);
+
+  [4, 5].forEach((n) => {
+    const frequencies = FFT.shift(FFT.frequencies(n));
+    assert.ok(frequencies instanceof Float64Array);
+    for (let i = 1; i < n; i++) {
+      assert.ok(frequencies[i] > frequencies[i - 1]);
+    }
+    const data = Float64Array.from({ length: n }, (_, i) => i);
+    assertClose(FFT.inverseShift(FFT.shift(data)), data, 0);
+  });
+});
+
+test("frequencies follow transform order", () => {
+  assertClose(FFT.frequencies(4, 8), [0, 2, -4, -2], 0);
+  assertClose(FFT.frequencies(5, 5), [0, 1, 2, -2, -1], 0);
+  assertClose(FFT.realFrequencies(5, 5), [0, 1, 2], 0);
+});
+
+test("polar gives magnitude and phase", () => {
+  const { magnitude, phase } = FFT.polar({ real: [3, 0], imag: [4, -2] });
+  assertClose(magnitude, [5, 2]);
+  assertClose(phase, [Math.atan2(4, 3), -Math.PI / 2]);
+});
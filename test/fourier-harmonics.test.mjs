@@ -0,0 +1,71 @@
+// Harmonic counts above maxHarmonics must not stop the Fourier page loading
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigValidator } from "../assets/js/config/ConfigValidator.js";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { Permalink } from "../assets/js/config/Permalink.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+installHeadlessEnvironment();
+
+const stateKeys = { harmonics: "initialHarmonics" };
+
+async function createFourier(overrides = {}) {
+  const visualizer = await VisualizerFactory.create("fourier", {
+    ...ConfigTemplates.getValidatedTemplate("fourier"),
+    ...overrides,
+  });
+  visualizer.initialize();
+  return visualizer;
+}
+
+test("the validator rejects initialHarmonics above maxHarmonics", () => {
+  const result = ConfigValidator.validate(
+    { type: "fourier", initialHarmonics: 120 },
+    "fourier"
+  );
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /initialHarmonics is above maxHarmonics/);
+
+  const raised = ConfigValidator.validate(
+    { type: "fourier", initialHarmonics: 120, maxHarmonics: 150 },
+    "fourier"
+  );
+  assert.equal(raised.valid, true);
+});
+
+test("a permalink above maxHarmonics is dropped", () => {
+  const { state, overrides } = Permalink.decode(
+    "?type=fourier&harmonics=120",
+    "fourier",
+    stateKeys
+  );
+  assert.deepEqual(state, {});
+  assert.deepEqual(overrides, {});
+
+  const raised = Permalink.decode(
+    '?type=fourier&harmonics=120&config={"maxHarmonics":150}',
+    "fourier",
+    stateKeys
+  );
+  assert.equal(raised.state.harmonics, 120);
+});
+
+test("initialize clamps an unvalidated initialHarmonics", async () => {
+  const visualizer = await createFourier({ initialHarmonics: 120 });
+  assert.equal(visualizer.getState().harmonics, 50);
+  visualizer.destroy();
+});
+
+test("applyState clamps the harmonic count", async () => {
+  const visualizer = await createFourier();
+  visualizer.applyState({ harmonics: 120 });
+  assert.equal(visualizer.getState().harmonics, 50);
+
+  visualizer.applyState({ harmonics: 0 });
+  assert.equal(visualizer.getState().harmonics, 1);
+  visualizer.destroy();
+});
@@ -0,0 +1,180 @@
+// Undo/redo: the bounded snapshot history and the visualizers recording it
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { StateHistory } from "../assets/js/utils/history.js";
+import { BaseVisualizer } from "../assets/js/visualizers/BaseVisualizer.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const root = installHeadlessEnvironment();
+
+test("the limit must be a positive integer", () => {
+  [0, -1, 1.5, "10"].forEach((limit) =>
+    assert.throws(
+      () => new StateHistory(limit),
+      /History limit must be a positive integer/
+    )
+  );
+});
+
+test("undo and redo step through the recorded states", () => {
+  const history = new StateHistory();
+  history.reset({ phaseShift: 0 });
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.undo(), null);
+
+  assert.equal(history.record({ phaseShift: 1 }), true);
+  assert.equal(history.record({ phaseShift: 2 }), true);
+  assert.deepEqual(history.undo(), { phaseShift: 1 });
+  assert.deepEqual(history.undo(), { phaseShift: 0 });
+  assert.equal(history.undo(), null);
+  assert.equal(history.canRedo(), true);
+
+  assert.deepEqual(history.redo(), { phaseShift: 1 });
+  assert.deepEqual(history.current, { phaseShift: 1 });
+  assert.deepEqual(history.redo(), { phaseShift: 2 });
+  assert.equal(history.redo(), null);
+});
+
+test("an unchanged state adds no entry and keeps the redo steps", () => {
+  const history = new StateHistory();
+  history.reset({ phaseShift: 0 });
+  history.record({ phaseShift: 1 });
+  history.undo();
+
+  assert.equal(history.record({ phaseShift: 0 }), false);
+  assert.equal(history.canRedo(), true);
+
+  history.record({ phaseShift: 3 });
+  assert.equal(history.canRedo(), false);
+  assert.deepEqual(history.undo(), { phaseShift: 0 });
+});
+
+test("the oldest entries are dropped beyond the limit", () => {
+  const history = new StateHistory(2);
+  history.reset({ step: 0 });
+  [1, 2, 3].forEach((step) => history.record({ step }));
+
+  assert.deepEqual(history.undo(), { step: 2 });
+  assert.deepEqual(history.undo(), { step: 1 });
+  assert.equal(history.undo(), null);
+});
+
+async function createPhaseShift() {
+  const visualizer = await VisualizerFactory.create("phase-shift", {
+    ...ConfigTemplates.getValidatedTemplate("phase-shift"),
+    root,
+  });
+  visualizer.initialize();
+  return visualizer;
+}
+
+function click(element) {
+  (element.listeners.click || []).forEach((listener) => listener({}));
+}
+
+function key(options) {
+  return {
+    key: "z",
+    ctrlKey: true,
+    target: root.getElementById("phaseShiftSlider"),
+    defaultPrevented: false,
+    preventDefault() {
+      this.defaultPrevented = true;
+    },
+    ...options,
+  };
+}
+
+test("changes are committed once they pause, as one entry", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const visualizer = await createPhaseShift();
+  const initial = visualizer.getState().phaseShift;
+  visualizer.enableHistory();
+
+  visualizer.store.set("phaseShift", 1);
+  visualizer.store.set("phaseShift", 2);
+  t.mock.timers.tick(BaseVisualizer.historyDelay - 1);
+  assert.equal(visualizer.history.canUndo(), false);
+  t.mock.timers.tick(1);
+  assert.equal(visualizer.history.canUndo(), true);
+
+  assert.equal(visualizer.undo(), true);
+  assert.equal(visualizer.getState().phaseShift, initial);
+  assert.equal(Number(visualizer.elements.phaseShiftSlider.value), initial);
+
+  // Restoring a state schedules no new entry
+  t.mock.timers.tick(BaseVisualizer.historyDelay);
+  assert.equal(visualizer.redo(), true);
+  assert.equal(visualizer.getState().phaseShift, 2);
+  assert.equal(visualizer.redo(), false);
+  visualizer.destroy();
+});
+
+test("pending changes are undone without waiting for their commit", async () => {
+  const visualizer = await createPhaseShift();
+  const initial = visualizer.getState().phaseShift;
+  const onRestore = mock.fn();
+  visualizer.enableHistory({ onRestore });
+
+  visualizer.store.set("phaseShift", 1);
+  assert.equal(visualizer.undo(), true);
+  assert.equal(visualizer.getState().phaseShift, initial);
+  assert.deepEqual(onRestore.mock.calls[0].arguments, [visualizer.getState()]);
+  visualizer.destroy();
+});
+
+test("the buttons follow the history and step through it", async () => {
+  const visualizer = await createPhaseShift();
+  const undoButton = root.getElementById("undoButton");
+  const redoButton = root.getElementById("redoButton");
+  visualizer.enableHistory();
+  assert.equal(undoButton.disabled, true);
+  assert.equal(redoButton.disabled, true);
+
+  visualizer.store.set("phaseShift", 1);
+  visualizer.commitHistory();
+  assert.equal(undoButton.disabled, false);
+
+  click(undoButton);
+  assert.equal(undoButton.disabled, true);
+  assert.equal(redoButton.disabled, false);
+  click(redoButton);
+  assert.equal(visualizer.getState().phaseShift, 1);
+
+  visualizer.disableHistory();
+  assert.equal(undoButton.listeners.click.length, 0);
+  visualizer.store.set("phaseShift", 2);
+  assert.equal(visualizer.undo(), false);
+  visualizer.destroy();
+});
+
+test("Ctrl+Z undoes and Ctrl+Shift+Z redoes outside text fields", async () => {
+  const visualizer = await createPhaseShift();
+  const initial = visualizer.getState().phaseShift;
+  visualizer.enableHistory();
+  visualizer.store.set("phaseShift", 1);
+  visualizer.commitHistory();
+
+  const ignored = [
+    key({ target: { tagName: "INPUT", type: "text" } }),
+    key({ ctrlKey: false }),
+    key({ altKey: true }),
+    key({ key: "y" }),
+    key({ defaultPrevented: true }),
+  ];
+  ignored.forEach((event) => visualizer.handleHistoryKey(event));
+  assert.equal(visualizer.getState().phaseShift, 1);
+
+  const undo = key({ ctrlKey: false, metaKey: true });
+  visualizer.handleHistoryKey(undo);
+  assert.equal(undo.defaultPrevented, true);
+  assert.equal(visualizer.getState().phaseShift, initial);
+
+  visualizer.handleHistoryKey(key({ key: "Z", shiftKey: true }));
+  assert.equal(visualizer.getState().phaseShift, 1);
+  visualizer.destroy();
+});
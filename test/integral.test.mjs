@@ -0,0 +1,147 @@
+// Integral visualizer: components kept in state, discovery effects cleaned up
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { ConfigValidator } from "../assets/js/config/ConfigValidator.js";
+import { Permalink } from "../assets/js/config/Permalink.js";
+import { StateFile } from "../assets/js/config/StateFile.js";
+import { IntegralVisualizer } from "../assets/js/visualizers/IntegralVisualizer.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+installHeadlessEnvironment();
+
+const tone = [{ type: "sin", amplitude: 2, frequency: 2, phase: 0 }];
+
+async function createIntegral(overrides = {}) {
+  const visualizer = await VisualizerFactory.create(
+    "integral",
+    ConfigTemplates.getValidatedTemplate("integral", overrides)
+  );
+  visualizer.initialize();
+  return visualizer;
+}
+
+test("setComponents stores normalized components and redraws", async () => {
+  const visualizer = await createIntegral();
+  const changes = [];
+  visualizer.subscribe((changed) => changes.push(changed));
+
+  visualizer.setComponents([{ type: "sin", amplitude: "2", frequency: "2" }]);
+  assert.deepEqual(visualizer.getState().components, tone);
+  assert.ok(changes[0].includes("components"));
+  assert.equal(visualizer.evaluateComposite(1), 2 * Math.sin(2));
+
+  assert.throws(() => visualizer.setComponents([]), /at least one/);
+  assert.deepEqual(visualizer.getState().components, tone);
+  visualizer.destroy();
+});
+
+test("component edits can be undone", async () => {
+  const visualizer = await createIntegral();
+  const initial = visualizer.getState().components;
+  visualizer.enableHistory();
+
+  visualizer.setComponents(tone);
+  visualizer.commitHistory();
+  visualizer.undo();
+  assert.deepEqual(visualizer.getState().components, initial);
+  visualizer.redo();
+  assert.deepEqual(visualizer.getState().components, tone);
+  visualizer.destroy();
+});
+
+test("components round-trip through a permalink", async () => {
+  const visualizer = await createIntegral();
+  visualizer.setComponents(tone);
+  const stateKeys = VisualizerFactory.getStateConfigKeys("integral");
+  const search = Permalink.encode("integral", visualizer.getState(), stateKeys);
+  visualizer.destroy();
+
+  const { state, overrides } = Permalink.decode(search, "integral", stateKeys);
+  assert.deepEqual(state.components, tone);
+  const restored = await createIntegral(overrides);
+  assert.deepEqual(restored.getState().components, tone);
+  restored.destroy();
+});
+
+test("malformed components in a permalink are dropped", () => {
+  const stateKeys = VisualizerFactory.getStateConfigKeys("integral");
+  ['[{"type":"tan","frequency":1}]', "[]", "not json"].forEach((raw) => {
+    const { state } = Permalink.decode(
+      `?type=integral&components=${encodeURIComponent(raw)}`,
+      "integral",
+      stateKeys
+    );
+    assert.equal(state.components, undefined, raw);
+  });
+});
+
+test("the schema rejects malformed components", () => {
+  const result = ConfigValidator.validate(
+    { type: "integral", components: [{ frequency: -1 }] },
+    "integral"
+  );
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0], /Invalid value at components/);
+});
+
+test("components round-trip through a state file", async () => {
+  const visualizer = await createIntegral();
+  visualizer.setComponents(tone);
+  const file = StateFile.stringify(visualizer.exportData());
+  visualizer.destroy();
+
+  const restored = await createIntegral();
+  restored.importData(file);
+  assert.deepEqual(restored.getState().components, tone);
+  restored.destroy();
+});
+
+test("destroy removes pending discovery effects", async () => {
+  const visualizer = await createIntegral();
+  visualizer.store.set("angularFrequency", 2);
+  assert.ok(visualizer.effectCleanups.size > 0);
+
+  // Badges sit in the chart's container, inside the visualizer's root
+  const container = visualizer.getElementById("sineWaveChart").parentNode;
+  const badges = () => container.querySelectorAll(".discovery-badge").length;
+  assert.ok(badges() > 0);
+  assert.equal(
+    container.querySelector(".discovery-badge").textContent,
+    "ω = 2.0"
+  );
+  visualizer.destroy();
+  assert.equal(visualizer.effectCleanups.size, 0);
+  assert.equal(badges(), 0);
+});
+
+test("a long exact period is displayed over the practical window", async () => {
+  const visualizer = await createIntegral();
+  visualizer.setComponents([
+    ...visualizer.getState().components,
+    { type: "cos", amplitude: 1, frequency: 1.37, phase: 0 },
+  ]);
+  visualizer.store.set("angularFrequency", 3);
+  assert.ok(
+    Math.abs(visualizer.calculateOrthogonalPeriod() - 200 * Math.PI) < 1e-6
+  );
+
+  // Slowest frequency on the slider is 0.5, ten cycles of which are 40π
+  const { min, max } = visualizer.getTimeRange();
+  assert.ok(Math.abs(max - min - 40 * Math.PI) < 1e-6);
+
+  // At least samplesPerCycle points per cycle of the fastest product
+  const step = visualizer.timeArray[1] - visualizer.timeArray[0];
+  const fastest = 3 + visualizer.getFrequencyRange().max;
+  assert.ok(
+    (2 * Math.PI) / fastest / step >= IntegralVisualizer.samplesPerCycle - 1e-9
+  );
+
+  // The coefficients of cos(3t + π/4) still come out over the exact period
+  assert.ok(Math.abs(visualizer.integrals.cosine.value - Math.SQRT1_2) < 1e-6);
+  assert.ok(Math.abs(visualizer.integrals.sine.value + Math.SQRT1_2) < 1e-6);
+  visualizer.destroy();
+});
@@ -0,0 +1,94 @@
+// Landing page: cards, search and topic filter built from registry metadata
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LandingPage } from "../assets/js/utils/landing.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const info = {
+  fourier: {
+    name: "Fourier Series",
+    description: "Partial sums of harmonics",
+    icon: "./assets/fourier.svg",
+    topic: "Fourier analysis",
+    difficulty: "intermediate",
+    tags: ["Gibbs phenomenon"],
+    available: true,
+  },
+  sampling: {
+    name: "Sampling",
+    description: "Aliasing of tones",
+    icon: "./assets/sampling.svg",
+    topic: "Sampling",
+    difficulty: "beginner",
+    tags: ["Nyquist"],
+    available: true,
+  },
+  laplace: {
+    name: "Laplace <Transform>",
+    description: "Poles & zeros",
+    icon: "./assets/laplace.svg",
+    topic: "Systems",
+    difficulty: "advanced",
+    tags: [],
+    available: false,
+  },
+};
+
+const shown = (filters) =>
+  Object.keys(info).filter(
+    (type) => info[type].available && LandingPage.matches(info[type], filters)
+  );
+
+test("search words must all appear, in any field and any case", () => {
+  assert.deepEqual(shown({}), ["fourier", "sampling"]);
+  assert.deepEqual(shown({ query: "gibbs" }), ["fourier"]);
+  assert.deepEqual(shown({ query: "  BEGINNER  nyquist " }), ["sampling"]);
+  assert.deepEqual(shown({ query: "fourier tones" }), []);
+  assert.deepEqual(shown({ query: "analysis" }), ["fourier"]);
+});
+
+test("the topic filter matches the topic exactly and combines with search", () => {
+  assert.deepEqual(shown({ topic: "Sampling" }), ["sampling"]);
+  assert.deepEqual(shown({ topic: "Sampling", query: "harmonics" }), []);
+  assert.deepEqual(shown({ topic: "sampling" }), []);
+});
+
+test("topics of available visualizers are listed once, in registry order", () => {
+  assert.deepEqual(LandingPage.getTopics(info), [
+    "Fourier analysis",
+    "Sampling",
+  ]);
+  assert.equal(
+    LandingPage.renderTopicOptions(info),
+    '<option value="">All topics</option><option value="Fourier analysis">Fourier analysis</option><option value="Sampling">Sampling</option>'
+  );
+});
+
+test("cards link to their route and escape registry text", () => {
+  const card = LandingPage.renderCard("laplace", info.laplace);
+  assert.match(card, /^<a href="#\/laplace" class="demo-card">/);
+  assert.ok(card.includes("<h2>Laplace &lt;Transform></h2>"));
+  assert.ok(!card.includes("<Transform>"));
+  assert.ok(card.includes("Poles &amp; zeros"));
+  assert.ok(card.includes("demo-difficulty-advanced"));
+});
+
+test("unavailable visualizers get no card, and no match says so", () => {
+  const html = LandingPage.render(info);
+  assert.equal(html.match(/class="demo-card"/g).length, 2);
+  assert.ok(!html.includes("laplace"));
+  assert.equal(
+    LandingPage.render(info, { query: "wavelets" }),
+    `<p class="demos-empty">${LandingPage.emptyMessage}</p>`
+  );
+});
+
+test("every registered visualizer has a card", () => {
+  const registry = VisualizerFactory.getVisualizerInfo();
+  const html = LandingPage.render(registry);
+  VisualizerFactory.getAvailableTypes().forEach((type) =>
+    assert.ok(html.includes(`href="#/${type}"`), type)
+  );
+});
@@ -0,0 +1,126 @@
+// Page layouts: declared by the visualizer classes and rendered by LayoutTemplates
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { LayoutTemplates } from "../assets/js/config/LayoutTemplates.js";
+import { BaseVisualizer } from "../assets/js/visualizers/BaseVisualizer.js";
+import { PluginLoader } from "../assets/js/visualizers/PluginLoader.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+installHeadlessEnvironment();
+
+VisualizerFactory.getAvailableTypes().forEach((type) => {
+  test(`the ${type} layout has every chart and control its config uses`, async () => {
+    const VisualizerClass = await VisualizerFactory.load(type);
+    const layout = LayoutTemplates.getLayout(type);
+    assert.ok(Object.hasOwn(VisualizerClass, "layout"));
+    LayoutTemplates.validateLayout(type, layout);
+
+    const html = LayoutTemplates.render(type);
+    const visualizer = await VisualizerFactory.create(
+      type,
+      ConfigTemplates.getValidatedTemplate(type)
+    );
+    const { config } = visualizer;
+    visualizer.destroy();
+    Object.values(config.charts).forEach(({ canvasId, titleElementId }) => {
+      assert.ok(html.includes(`id="${canvasId}"`), canvasId);
+      if (titleElementId) {
+        assert.ok(html.includes(`id="${titleElementId}"`), titleElementId);
+      }
+    });
+
+    const elements = Object.values(config.elements);
+    layout.controls
+      .flatMap(({ id, valueId }) => [id, valueId])
+      .filter(Boolean)
+      .forEach((id) => assert.ok(elements.includes(id), id));
+  });
+});
+
+test("integral titles describe the composite signal, not one cosine", async () => {
+  await VisualizerFactory.load("integral");
+  const titles = LayoutTemplates.getLayout("integral").charts.map(
+    (chart) => chart.title
+  );
+  assert.deepEqual(titles, [
+    "f(t)",
+    "Frequency Components",
+    "(2/T)∫f(t)cos(ωt)dt",
+    "(2/T)∫f(t)sin(ωt)dt",
+  ]);
+});
+
+test("page markup includes the file controls on request", async () => {
+  await VisualizerFactory.load("sampling");
+  const html = LayoutTemplates.render("sampling");
+  assert.equal(html.match(/id="error-message"/g).length, 1);
+  assert.ok(html.includes('id="undoButton"'));
+  assert.ok(!html.includes('id="exportStateButton"'));
+  assert.ok(
+    LayoutTemplates.render("sampling", { fileControls: true }).includes(
+      'id="exportStateButton"'
+    )
+  );
+  assert.match(
+    LayoutTemplates.renderPage("sampling", "Intro"),
+    /<h1>Sampling and Aliasing<\/h1><p>Intro<\/p>/
+  );
+});
+
+test("a plugin's class declares its layout", () => {
+  class TestVisualizer extends BaseVisualizer {
+    static layout = {
+      title: "Test",
+      stylesheet: "test.css",
+      charts: [{ canvasId: "testChart", titleId: "testTitle", title: "x(t)" }],
+      controls: [{ kind: "button", id: "testButton", label: "Go" }],
+    };
+  }
+  const manifest = {
+    apiVersion: 1,
+    type: "layout-test",
+    name: "Layout test",
+    description: "Checks plugin layouts",
+    class: TestVisualizer,
+    schema: {},
+    template: {},
+  };
+
+  try {
+    PluginLoader.register(manifest, "https://example.edu/plugins/test.js");
+    const layout = LayoutTemplates.getLayout("layout-test");
+    assert.equal(layout.stylesheet, "https://example.edu/plugins/test.css");
+    assert.ok(LayoutTemplates.render("layout-test").includes('id="testChart"'));
+  } finally {
+    VisualizerFactory.unregisterVisualizer("layout-test");
+  }
+
+  class Unstyled extends BaseVisualizer {
+    static layout = { title: "Plain", charts: [], controls: [] };
+  }
+  try {
+    PluginLoader.register(
+      { ...manifest, type: "layout-plain", class: Unstyled },
+      "https://example.edu/plugins/plain.js"
+    );
+    assert.equal(
+      LayoutTemplates.getLayout("layout-plain").stylesheet,
+      "shared.css"
+    );
+  } finally {
+    VisualizerFactory.unregisterVisualizer("layout-plain");
+  }
+
+  assert.throws(
+    () =>
+      PluginLoader.register(
+        { ...manifest, type: "layout-none", class: BaseVisualizer },
+        ""
+      ),
+    /Layout of layout-none needs a title/
+  );
+});
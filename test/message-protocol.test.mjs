@@ -0,0 +1,105 @@
+// postMessage protocol: request validation, origin checks and reply shapes
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MessageProtocol } from "../assets/js/config/MessageProtocol.js";
+
+function request(fields) {
+  return { protocol: "sigsys", version: 1, id: 1, ...fields };
+}
+
+test("only messages with the protocol field belong to it", () => {
+  assert.equal(MessageProtocol.isProtocolMessage(request({})), true);
+  [null, "sigsys", { type: "getState" }, { protocol: "other" }].forEach(
+    (data) => assert.equal(MessageProtocol.isProtocolMessage(data), false)
+  );
+});
+
+test("origins are checked against the allowlist", () => {
+  const allowed = ["https://roomrys.github.io"];
+  assert.equal(
+    MessageProtocol.isAllowedOrigin("https://roomrys.github.io", allowed),
+    true
+  );
+  assert.equal(
+    MessageProtocol.isAllowedOrigin("https://example.com", allowed),
+    false
+  );
+  assert.equal(MessageProtocol.isAllowedOrigin("null", allowed), false);
+  assert.equal(
+    MessageProtocol.isAllowedOrigin("https://example.com", ["*"]),
+    true
+  );
+});
+
+test("valid requests are returned unchanged", () => {
+  const data = request({ type: "setParameter", name: "phaseShift", value: 0 });
+  assert.equal(MessageProtocol.validateRequest(data), data);
+  assert.doesNotThrow(() =>
+    MessageProtocol.validateRequest(request({ type: "getState" }))
+  );
+});
+
+test("unsupported versions are rejected", () => {
+  [undefined, 2, "1"].forEach((version) =>
+    assert.throws(
+      () =>
+        MessageProtocol.validateRequest(request({ version, type: "getState" })),
+      /Unsupported protocol version/
+    )
+  );
+});
+
+test("unknown and inherited request types are rejected", () => {
+  ["setState", "toString", "constructor", "__proto__", undefined].forEach(
+    (type) =>
+      assert.throws(
+        () => MessageProtocol.validateRequest(request({ type })),
+        /Unknown request type/
+      )
+  );
+});
+
+test("required fields must be present", () => {
+  assert.throws(
+    () =>
+      MessageProtocol.validateRequest(
+        request({ type: "setParameter", name: "phaseShift" })
+      ),
+    /setParameter requires "value"/
+  );
+  assert.throws(
+    () =>
+      MessageProtocol.validateRequest(
+        request({ type: "switchVisualizer", visualizer: null })
+      ),
+    /switchVisualizer requires "visualizer"/
+  );
+});
+
+test("responses and events carry the protocol and version", () => {
+  assert.deepEqual(MessageProtocol.response(7, { ok: 1 }), {
+    protocol: "sigsys",
+    version: 1,
+    id: 7,
+    type: "response",
+    ok: true,
+    result: { ok: 1 },
+  });
+  assert.deepEqual(MessageProtocol.errorResponse(7, new Error("No")), {
+    protocol: "sigsys",
+    version: 1,
+    id: 7,
+    type: "response",
+    ok: false,
+    error: "No",
+  });
+  assert.deepEqual(MessageProtocol.event("ready", null), {
+    protocol: "sigsys",
+    version: 1,
+    type: "event",
+    event: "ready",
+    result: null,
+  });
+});
@@ -0,0 +1,124 @@
+// Fundamental periods of sums of sinusoids
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PeriodAnalyzer } from "../assets/js/utils/periods.js";
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9 * Math.max(1, Math.abs(expected)),
+    `expected ${expected}, got ${actual}`
+  );
+
+test("toFraction finds the best rational approximation", () => {
+  assert.deepEqual(PeriodAnalyzer.toFraction(1.5), {
+    numerator: 3,
+    denominator: 2,
+  });
+  assert.deepEqual(PeriodAnalyzer.toFraction(-2 / 3), {
+    numerator: -2,
+    denominator: 3,
+  });
+  assert.deepEqual(PeriodAnalyzer.toFraction(4), {
+    numerator: 4,
+    denominator: 1,
+  });
+  assert.deepEqual(PeriodAnalyzer.toFraction(0), {
+    numerator: 0,
+    denominator: 1,
+  });
+});
+
+test("toFraction gives up beyond maxDenominator", () => {
+  assert.equal(PeriodAnalyzer.toFraction(Math.SQRT2), null);
+  assert.equal(PeriodAnalyzer.toFraction(Math.PI), null);
+  assert.equal(PeriodAnalyzer.toFraction(1 / 7, 5), null);
+  assert.equal(PeriodAnalyzer.toFraction(NaN), null);
+  assert.equal(PeriodAnalyzer.toFraction(Infinity), null);
+});
+
+test("gcd and lcm", () => {
+  assert.equal(PeriodAnalyzer.gcd(12, 18), 6);
+  assert.equal(PeriodAnalyzer.gcd(-4, 6), 2);
+  assert.equal(PeriodAnalyzer.gcd(0, 5), 5);
+  assert.equal(PeriodAnalyzer.lcm(4, 6), 12);
+});
+
+test("integer frequencies share the slowest one as fundamental", () => {
+  const result = PeriodAnalyzer.analyze([1, 2, 3]);
+  assert.equal(result.status, "periodic");
+  close(result.fundamental, 1);
+  close(result.period, 2 * Math.PI);
+  assert.deepEqual(result.harmonics, [1, 2, 3]);
+  close(result.window, result.period);
+});
+
+test("rational frequencies have a common fundamental below all of them", () => {
+  const result = PeriodAnalyzer.analyze([2.5, 1.5]);
+  close(result.fundamental, 0.5);
+  close(result.period, 4 * Math.PI);
+  assert.deepEqual(result.harmonics, [3, 5]);
+
+  const tenths = PeriodAnalyzer.analyze([1, 2, 3, 1.3]);
+  close(tenths.fundamental, 0.1);
+  assert.deepEqual(tenths.harmonics, [10, 13, 20, 30]);
+});
+
+test("a common factor of π is carried into the fundamental", () => {
+  const result = PeriodAnalyzer.analyze([Math.PI, 2 * Math.PI]);
+  close(result.fundamental, Math.PI);
+  close(result.period, 2);
+  assert.deepEqual(result.harmonics, [1, 2]);
+});
+
+test("negative and zero frequencies are ignored", () => {
+  const result = PeriodAnalyzer.analyze([0, -2, 3]);
+  close(result.fundamental, 1);
+  assert.deepEqual(result.harmonics, [2, 3]);
+});
+
+test("a constant signal has no period", () => {
+  [[], [0, 0]].forEach((frequencies) => {
+    const result = PeriodAnalyzer.analyze(frequencies);
+    assert.equal(result.status, "constant");
+    assert.equal(result.period, null);
+    close(result.window, 2 * Math.PI);
+  });
+});
+
+test("incommensurate frequencies get a practical window", () => {
+  const result = PeriodAnalyzer.analyze([1, Math.SQRT2]);
+  assert.equal(result.status, "incommensurate");
+  assert.equal(result.period, null);
+  assert.equal(result.fundamental, null);
+  assert.deepEqual(result.harmonics, []);
+  close(result.window, 20 * Math.PI);
+
+  const custom = PeriodAnalyzer.analyze([2, Math.SQRT2 * 2], {
+    practicalCycles: 3,
+  });
+  close(custom.window, 3 * Math.PI);
+});
+
+test("ratios needing too large a common denominator count as incommensurate", () => {
+  // 1/29 and 1/31 are fine alone, but together need a denominator of 899
+  assert.equal(
+    PeriodAnalyzer.analyze([1, 1 + 1 / 29, 1 + 1 / 31]).status,
+    "periodic"
+  );
+  assert.equal(
+    PeriodAnalyzer.analyze([1, 1 + 1 / 29, 1 + 1 / 31], {
+      maxDenominator: 500,
+    }).status,
+    "incommensurate"
+  );
+});
+
+test("the practical window is reported for long exact periods too", () => {
+  const result = PeriodAnalyzer.analyze([1, 2, 3, 1.37]);
+  assert.equal(result.status, "periodic");
+  close(result.window, 200 * Math.PI);
+  close(result.practicalWindow, 20 * Math.PI);
+  close(PeriodAnalyzer.analyze([2, 4]).practicalWindow, 10 * Math.PI);
+});
@@ -0,0 +1,155 @@
+// Plugin manifests: validation, registration and loading by module URL
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { BaseVisualizer } from "../assets/js/visualizers/BaseVisualizer.js";
+import { PluginLoader } from "../assets/js/visualizers/PluginLoader.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+class LaplaceVisualizer extends BaseVisualizer {
+  static stateConfigKeys = {
+    ...BaseVisualizer.stateConfigKeys,
+    sigma: "initialSigma",
+  };
+
+  static stateTypes = { ...BaseVisualizer.stateTypes, sigma: "number" };
+
+  static layout = { title: "Laplace Transform", charts: [], controls: [] };
+}
+
+function createManifest(overrides = {}) {
+  return {
+    apiVersion: 1,
+    type: "laplace",
+    name: "Laplace Transform",
+    description: "Poles, zeros and the region of convergence",
+    class: LaplaceVisualizer,
+    schema: { initialSigma: { type: "number", default: 0, min: -5, max: 5 } },
+    template: { initialSigma: 0.5 },
+    metadata: { icon: "laplace.svg", topic: "Systems", difficulty: "advanced" },
+    ...overrides,
+  };
+}
+
+test("incomplete manifests are rejected with the missing part", () => {
+  const rejected = [
+    [null, /must be an object/],
+    [createManifest({ apiVersion: 2 }), /Unsupported plugin apiVersion: 2/],
+    [createManifest({ type: "Laplace" }), /lowercase letters/],
+    [createManifest({ type: "fourier" }), /"fourier" is already registered/],
+    [createManifest({ name: undefined }), /needs a name/],
+    [createManifest({ class: class {} }), /class extending BaseVisualizer/],
+    [createManifest({ schema: null }), /needs a schema/],
+    [createManifest({ template: "none" }), /needs a template/],
+    [
+      createManifest({ metadata: { difficulty: "expert" } }),
+      /Unknown difficulty "expert"/,
+    ],
+  ];
+  rejected.forEach(([manifest, message]) =>
+    assert.throws(() => PluginLoader.validateManifest(manifest), message)
+  );
+});
+
+test("shareable state needs a type for the store", () => {
+  class Untyped extends LaplaceVisualizer {
+    static stateTypes = BaseVisualizer.stateTypes;
+  }
+  assert.throws(
+    () => PluginLoader.validateManifest(createManifest({ class: Untyped })),
+    /needs stateTypes for: sigma/
+  );
+});
+
+test("the template must pass the plugin's schema", () => {
+  assert.throws(
+    () =>
+      PluginLoader.validateManifest(
+        createManifest({ template: () => ({ initialSigma: 9 }) })
+      ),
+    /initialSigma/
+  );
+  assert.doesNotThrow(() => PluginLoader.validateManifest(createManifest()));
+});
+
+test("registering resolves relative URLs against the plugin module", (t) => {
+  t.after(() => VisualizerFactory.unregisterVisualizer("laplace"));
+  const type = PluginLoader.register(
+    createManifest({
+      class: class extends LaplaceVisualizer {
+        static layout = {
+          ...LaplaceVisualizer.layout,
+          stylesheet: "laplace.css",
+        };
+      },
+    }),
+    "https://example.edu/plugins/laplace/index.js"
+  );
+
+  assert.equal(type, "laplace");
+  const info = VisualizerFactory.getVisualizerInfo().laplace;
+  assert.equal(info.icon, "https://example.edu/plugins/laplace/laplace.svg");
+  assert.equal(info.topic, "Systems");
+  assert.equal(
+    VisualizerFactory.visualizerTypes.laplace.name,
+    "Laplace Transform"
+  );
+  assert.equal(
+    ConfigTemplates.getValidatedTemplate("laplace").initialSigma,
+    0.5
+  );
+});
+
+test("absolute icon URLs are left alone", (t) => {
+  t.after(() => VisualizerFactory.unregisterVisualizer("laplace-absolute"));
+  PluginLoader.register(
+    createManifest({
+      type: "laplace-absolute",
+      metadata: { icon: "https://cdn.example.org/icon.svg" },
+    }),
+    "https://example.edu/plugins/index.js"
+  );
+  assert.equal(
+    VisualizerFactory.getVisualizerInfo()["laplace-absolute"].icon,
+    "https://cdn.example.org/icon.svg"
+  );
+});
+
+const pluginSource = (type) => `
+class Visualizer {
+  static layout = { title: "Loaded", charts: [], controls: [] };
+  initialize() {}
+  getState() { return {}; }
+}
+export default {
+  apiVersion: 1, type: "${type}", name: "Loaded", description: "From a URL",
+  class: Visualizer, schema: {}, template: {},
+};`;
+
+test("a module URL is imported and registered once", async (t) => {
+  t.after(() => VisualizerFactory.unregisterVisualizer("loaded-plugin"));
+  const url = `data:text/javascript,${encodeURIComponent(
+    pluginSource("loaded-plugin")
+  )}`;
+
+  const [first, second] = await Promise.all([
+    PluginLoader.load(url, "https://example.edu/"),
+    PluginLoader.load(url, "https://example.edu/"),
+  ]);
+  assert.equal(first, "loaded-plugin");
+  assert.equal(second, "loaded-plugin");
+  assert.ok(VisualizerFactory.isValidType("loaded-plugin"));
+});
+
+test("a failed load names the module and can be retried", async () => {
+  const url = `data:text/javascript,${encodeURIComponent(
+    "export const x = 1;"
+  )}`;
+  await assert.rejects(
+    PluginLoader.load(url, "https://example.edu/"),
+    /Failed to load plugin data:text\/javascript.*does not export a plugin manifest/
+  );
+  assert.equal(PluginLoader.loaded.has(url), false);
+});
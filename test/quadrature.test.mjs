@@ -0,0 +1,121 @@
+// Quadrature rules: accuracy, error estimates and method dispatch
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Quadrature } from "../assets/js/utils/quadrature.js";
+
+// Integrands with known integrals over [a, b]
+const cases = [
+  { name: "exp on [0, 1]", f: Math.exp, a: 0, b: 1, value: Math.E - 1 },
+  { name: "sin on [0, π]", f: Math.sin, a: 0, b: Math.PI, value: 2 },
+  { name: "x² on [-1, 2]", f: (x) => x * x, a: -1, b: 2, value: 3 },
+  {
+    name: "1/(1 + x²) on [-5, 5]",
+    f: (x) => 1 / (1 + x * x),
+    a: -5,
+    b: 5,
+    value: 2 * Math.atan(5),
+  },
+];
+
+test("every method converges on smooth integrands", () => {
+  const tolerances = {
+    trapezoid: 1e-4,
+    simpson: 1e-8,
+    romberg: 1e-9,
+    "gauss-kronrod": 1e-10,
+  };
+  Object.entries(tolerances).forEach(([method, tolerance]) => {
+    cases.forEach(({ name, f, a, b, value }) => {
+      const result = Quadrature.integrate(f, a, b, method);
+      assert.equal(result.method, method);
+      assert.ok(
+        Math.abs(result.value - value) < tolerance,
+        `${method}, ${name}: ${result.value} vs ${value}`
+      );
+    });
+  });
+});
+
+test("error estimates bound the actual error", () => {
+  ["trapezoid", "simpson", "romberg", "gauss-kronrod"].forEach((method) => {
+    cases.forEach(({ name, f, a, b, value }) => {
+      const result = Quadrature.integrate(f, a, b, method, { intervals: 40 });
+      const actual = Math.abs(result.value - value);
+      assert.ok(
+        actual <= 2 * result.error + 1e-13,
+        `${method}, ${name}: error ${actual} > estimate ${result.error}`
+      );
+    });
+  });
+});
+
+test("low-degree polynomials are integrated exactly", () => {
+  const cubic = (x) => x ** 3 - 2 * x + 1;
+  // ∫₀² (x³ − 2x + 1) dx = 4 − 4 + 2
+  assert.ok(Math.abs(Quadrature.simpson(cubic, 0, 2, 4).value - 2) < 1e-12);
+  assert.ok(Math.abs(Quadrature.kronrodRule(cubic, 0, 2).value - 2) < 1e-12);
+  assert.equal(Quadrature.trapezoid((x) => 3 * x, 0, 2, 2).value, 6);
+});
+
+test("interval counts are rounded up and evaluations counted", () => {
+  assert.equal(Quadrature.trapezoid(Math.sin, 0, 1, 5).evaluations, 7);
+  assert.equal(Quadrature.simpson(Math.sin, 0, 1, 5).evaluations, 9);
+  assert.equal(Quadrature.trapezoid(Math.sin, 0, 1, 0).evaluations, 3);
+
+  let calls = 0;
+  const result = Quadrature.romberg(
+    (x) => {
+      calls++;
+      return Math.exp(x);
+    },
+    0,
+    1
+  );
+  assert.equal(result.evaluations, calls);
+});
+
+test("adaptive Gauss–Kronrod refines a sharp peak", () => {
+  const width = 1e-3;
+  const peak = (x) => width / (x * x + width * width);
+  const result = Quadrature.gaussKronrod(peak, -1, 1);
+  const value = 2 * Math.atan(1 / width);
+  assert.ok(Math.abs(result.value - value) < 1e-8);
+  assert.ok(result.evaluations > 15);
+});
+
+test("reversed limits change the sign", () => {
+  ["trapezoid", "simpson", "romberg", "gauss-kronrod"].forEach((method) => {
+    const forward = Quadrature.integrate(Math.exp, 0, 1, method).value;
+    const backward = Quadrature.integrate(Math.exp, 1, 0, method).value;
+    assert.ok(Math.abs(forward + backward) < 1e-12, method);
+  });
+});
+
+test("exact uses the antiderivative or falls back to Gauss–Kronrod", () => {
+  const exact = Quadrature.integrate(Math.cos, 0, 1, "exact", {
+    antiderivative: Math.sin,
+  });
+  assert.deepEqual(exact, {
+    value: Math.sin(1),
+    error: 0,
+    evaluations: 0,
+    method: "exact",
+  });
+
+  const fallback = Quadrature.integrate(Math.cos, 0, 1, "exact");
+  assert.equal(fallback.method, "gauss-kronrod");
+  assert.ok(Math.abs(fallback.value - Math.sin(1)) < 1e-12);
+});
+
+test("unknown methods are rejected with the available ones", () => {
+  assert.throws(
+    () => Quadrature.integrate(Math.sin, 0, 1, "midpoint"),
+    new RegExp(
+      `Unknown integration method: "midpoint". Available methods: ${Object.keys(
+        Quadrature.methods
+      ).join(", ")}`
+    )
+  );
+});
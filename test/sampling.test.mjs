@@ -0,0 +1,84 @@
+// Sampling and aliasing: frequency folding and the samples the alias shares
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { WaveformCalculator } from "../assets/js/utils/calculations.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const root = installHeadlessEnvironment();
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`
+  );
+
+test("a 7 Hz tone sampled at 8 Hz folds to 1 Hz with its phase mirrored", () => {
+  const alias = WaveformCalculator.calculateAlias(
+    { frequency: 7, amplitude: 1, phase: 0.3 },
+    8
+  );
+  close(alias.frequency, 1);
+  close(alias.amplitude, 1);
+  close(alias.phase, -0.3);
+});
+
+test("tones below Nyquist are their own alias; higher ones fold back", () => {
+  const fold = (frequency, sampleRate) =>
+    WaveformCalculator.calculateAlias(
+      { frequency, amplitude: 1, phase: 0.5 },
+      sampleRate
+    );
+  assert.deepEqual(fold(3, 8), { frequency: 3, amplitude: 1, phase: 0.5 });
+  close(fold(9, 8).frequency, 1);
+  close(fold(9, 8).phase, 0.5);
+  close(fold(16, 8).frequency, 0);
+  close(fold(13, 10).frequency, 3);
+});
+
+test("a tone on fs/2 keeps only its cosine part", () => {
+  const alias = WaveformCalculator.calculateAlias(
+    { frequency: 4, amplitude: 2, phase: Math.PI / 3 },
+    8
+  );
+  close(alias.frequency, 4);
+  close(alias.amplitude, 1);
+  assert.equal(alias.phase, 0);
+});
+
+test("sample times cover the window on the fs grid", () => {
+  const times = WaveformCalculator.calculateSampleTimes(0, 1, 8);
+  assert.equal(times.length, 9);
+  close(times[1], 0.125);
+  close(times.at(-1), 1);
+  assert.deepEqual(WaveformCalculator.calculateSampleTimes(0.1, 0.2, 4), []);
+});
+
+test("the alias passes through every sample of the tone", async () => {
+  const visualizer = await VisualizerFactory.create("sampling", {
+    ...ConfigTemplates.getValidatedTemplate("sampling"),
+    root,
+  });
+  visualizer.initialize();
+  visualizer.store.set({ frequency: 7, sampleRate: 8 });
+
+  assert.deepEqual(visualizer.getAliases(), [
+    { frequency: 7, alias: 1, aliased: true },
+  ]);
+  assert.equal(visualizer.isAliasFree(), false);
+  const [alias] = visualizer.aliases;
+  const { times, values } = visualizer.samples;
+  times.forEach((time, i) =>
+    close(
+      values[i],
+      alias.amplitude * Math.cos(2 * Math.PI * alias.frequency * time)
+    )
+  );
+
+  visualizer.store.set("sampleRate", 20);
+  assert.equal(visualizer.isAliasFree(), true);
+  visualizer.destroy();
+});
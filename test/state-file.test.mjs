@@ -0,0 +1,75 @@
+// Versioned state files: migration, validation and migration reporting
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { StateFile } from "../assets/js/config/StateFile.js";
+
+const stateKeys = { phaseShift: "initialPhaseShift" };
+
+test("a current file is read without migration", () => {
+  const file = StateFile.create(
+    "phase-shift",
+    { initialPhaseShift: 1, elements: { phaseShiftSlider: "slider" } },
+    { phaseShift: 2 }
+  );
+  assert.equal(file.config.elements, undefined);
+
+  const { config, state, migratedFrom } = StateFile.read(
+    StateFile.stringify(file),
+    "phase-shift",
+    stateKeys
+  );
+  assert.equal(config.initialPhaseShift, 1);
+  assert.equal(config.elements, undefined);
+  assert.deepEqual(state, { phaseShift: 2 });
+  assert.equal(migratedFrom, null);
+});
+
+test("a version 1 file is upgraded and reported, without logging", () => {
+  const log = mock.method(console, "log", () => {});
+  try {
+    const { config, state, migratedFrom } = StateFile.read(
+      {
+        config: { type: "phase-shift", initialPhaseShift: 1 },
+        state: { phaseShift: 0.5 },
+        waveforms: {},
+        timestamp: "2024-01-01T00:00:00.000Z",
+      },
+      "phase-shift",
+      stateKeys
+    );
+    assert.equal(config.initialPhaseShift, 1);
+    assert.deepEqual(state, { phaseShift: 0.5 });
+    assert.equal(migratedFrom, 1);
+    assert.equal(log.mock.callCount(), 0);
+  } finally {
+    log.mock.restore();
+  }
+});
+
+test("files for other visualizers or newer formats are rejected", () => {
+  const file = StateFile.create("fourier", {}, {});
+  assert.throws(
+    () => StateFile.read(file, "phase-shift"),
+    /contains a "fourier" visualization/
+  );
+  assert.throws(
+    () => StateFile.read({ ...file, version: 99 }, "fourier"),
+    /newer version \(format 99\)/
+  );
+  assert.throws(
+    () => StateFile.read({ ...file, format: "other" }, "fourier"),
+    /Unknown file format/
+  );
+  assert.throws(() => StateFile.parse("[1]"), /visualizer state object/);
+  assert.throws(() => StateFile.parse("{"), /not valid JSON/);
+});
+
+test("state values are validated against the config schema", () => {
+  const file = StateFile.create("phase-shift", {}, { phaseShift: 10 });
+  assert.throws(
+    () => StateFile.read(file, "phase-shift", stateKeys),
+    /state.phaseShift is above maximum/
+  );
+});
@@ -0,0 +1,199 @@
+// State store: typed writes, batched notifications, derived values, and the
+// visualizers redrawing from it
+
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { installHeadlessEnvironment } from "../cli/headless.mjs";
+import { ConfigTemplates } from "../assets/js/config/ConfigTemplates.js";
+import { StateStore } from "../assets/js/utils/store.js";
+import { VisualizerFactory } from "../assets/js/visualizers/VisualizerFactory.js";
+
+const root = installHeadlessEnvironment();
+
+function createStore() {
+  return new StateStore({
+    phaseShift: "number",
+    signal: "string",
+    playing: "boolean",
+    components: "array",
+  });
+}
+
+test("unknown types are rejected when the store is created", () => {
+  assert.throws(
+    () => new StateStore({ phaseShift: "float" }),
+    /Unknown type "float" for state parameter phaseShift/
+  );
+});
+
+test("writes are type-checked and a failed set changes nothing", () => {
+  const store = createStore();
+  assert.throws(
+    () => store.set("phaseShift", "1"),
+    /expected number, got string/
+  );
+  assert.throws(() => store.set("phaseShift", NaN), /must be a finite number/);
+  assert.throws(
+    () => store.set("components", {}),
+    /expected array, got object/
+  );
+  assert.throws(() => store.set("signal", null), /expected string, got null/);
+  assert.throws(() => store.set("amplitude", 1), /Unknown state parameter/);
+
+  assert.throws(
+    () => store.set({ phaseShift: 1, signal: 2 }),
+    /Type mismatch at signal/
+  );
+  assert.equal(store.get("phaseShift"), undefined);
+});
+
+test("subscribers hear once per set or batch, with the changed keys", () => {
+  const store = createStore();
+  const changes = [];
+  const unsubscribe = store.subscribe((changed, source) => {
+    assert.equal(source, store);
+    changes.push(changed);
+  });
+
+  store.set("phaseShift", 1);
+  store.set({ phaseShift: 2, signal: "square" });
+  store.batch(() => {
+    store.set("playing", true);
+    store.state.signal = "triangle";
+  });
+  assert.deepEqual(changes, [
+    ["phaseShift"],
+    ["phaseShift", "signal"],
+    ["playing", "signal"],
+  ]);
+
+  // Unchanged values are not reported, and an empty update is silent
+  store.set({ phaseShift: 2, signal: "sine" });
+  store.set("playing", true);
+  assert.deepEqual(changes.at(-1), ["signal"]);
+  assert.equal(changes.length, 4);
+
+  unsubscribe();
+  store.set("phaseShift", 3);
+  assert.equal(changes.length, 4);
+});
+
+test("derived values are cached until a dependency changes", () => {
+  const store = createStore();
+  let computations = 0;
+  store.derive("label", ["phaseShift"], ({ phaseShift }) => {
+    computations++;
+    return `${phaseShift} rad`;
+  });
+  store.derive(
+    "title",
+    ["label", "signal"],
+    ({ label, signal }) => `${signal} at ${label}`
+  );
+
+  const changes = [];
+  store.subscribe((changed) => changes.push(changed));
+  store.set({ phaseShift: 1, signal: "sine" });
+  assert.deepEqual(changes[0], ["phaseShift", "label", "title", "signal"]);
+
+  assert.equal(store.get("title"), "sine at 1 rad");
+  assert.equal(store.state.label, "1 rad");
+  assert.equal(computations, 1);
+
+  store.set("signal", "square");
+  assert.deepEqual(changes[1], ["signal", "title"]);
+  assert.equal(store.get("title"), "square at 1 rad");
+  assert.equal(computations, 1);
+
+  assert.throws(
+    () => store.set("label", "x"),
+    /Derived value label cannot be set/
+  );
+  assert.throws(() => store.derive("label", [], () => 0), /already defined/);
+  assert.throws(
+    () => store.derive("other", ["amplitude"], () => 0),
+    /Unknown dependency amplitude of other/
+  );
+  assert.throws(() => store.get("amplitude"), /Unknown state parameter/);
+});
+
+test("snapshots are detached copies of the parameters set", () => {
+  const store = createStore();
+  store.derive("count", ["components"], ({ components }) => components.length);
+  store.set({ components: [{ frequency: 1 }], phaseShift: 0 });
+
+  const snapshot = store.snapshot();
+  assert.deepEqual(snapshot, { phaseShift: 0, components: [{ frequency: 1 }] });
+  snapshot.components[0].frequency = 2;
+  assert.equal(store.get("components")[0].frequency, 1);
+
+  assert.deepEqual(Object.keys(store.state), ["phaseShift", "components"]);
+  assert.ok("count" in store.state);
+  assert.ok(!("amplitude" in store.state));
+});
+
+test("unsubscribeAll removes every listener", () => {
+  const store = createStore();
+  const listener = mock.fn();
+  store.subscribe(listener);
+  store.subscribe(listener);
+  store.subscribe(() => listener());
+  store.unsubscribeAll();
+  store.set("phaseShift", 1);
+  assert.equal(listener.mock.callCount(), 0);
+});
+
+// Setting the store directly, as embedding pages and the messaging API do,
+// must redraw like the page's own controls (phase-shift and integral update
+// their charts in place and have their own tests)
+const updates = [
+  { type: "fourier", values: { harmonics: 7 }, slider: "harmonicSlider" },
+  {
+    type: "fourier",
+    values: { harmonics: 500 },
+    expected: { harmonics: 50 },
+    slider: "harmonicSlider",
+  },
+  { type: "sampling", values: { sampleRate: 20 }, slider: "sampleRateSlider" },
+  { type: "convolution", values: { time: 0.5 }, slider: "timeSlider" },
+  {
+    type: "convolution",
+    values: { mode: "discrete", time: 0.4 },
+    expected: { time: 0 },
+    select: ["modeSelect", "discrete"],
+  },
+  {
+    type: "frequency-domain",
+    values: { signal: "square" },
+    select: ["signalSelect", "square"],
+  },
+];
+
+updates.forEach(({ type, values, expected = {}, slider, select }) => {
+  test(`${type} redraws after store.set(${JSON.stringify(
+    values
+  )})`, async () => {
+    const visualizer = await VisualizerFactory.create(type, {
+      ...ConfigTemplates.getValidatedTemplate(type),
+      root,
+    });
+    visualizer.initialize();
+    const render = mock.method(visualizer, "render");
+
+    visualizer.store.set(values);
+    assert.equal(render.mock.callCount(), 1);
+    const state = { ...values, ...expected };
+    Object.entries(state).forEach(([key, value]) =>
+      assert.deepEqual(visualizer.getState()[key], value, key)
+    );
+    if (slider) {
+      const [key] = Object.keys(values);
+      assert.equal(Number(visualizer.elements[slider].value), state[key]);
+    }
+    if (select) {
+      assert.equal(visualizer.elements[select[0]].value, select[1]);
+    }
+    visualizer.destroy();
+  });
+});